@@ -0,0 +1,55 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import { fileURLToPath } from 'url';
+import { dirname, resolve } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+dotenv.config({ path: resolve(__dirname, '../.env') });
+
+const fixFeeReceiptIndex = async () => {
+  try {
+    console.log('🔄 Connecting to MongoDB...');
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log('✅ Connected to MongoDB');
+
+    const Fee = mongoose.connection.collection('fees');
+
+    // Drop the old global index: sequential numbers repeat across institutions
+    try {
+      console.log('\n🗑️  Dropping old index: receiptNumber_1');
+      await Fee.dropIndex('receiptNumber_1');
+      console.log('✅ Old index dropped');
+    } catch (error) {
+      if (error.code === 27 || error.codeName === 'IndexNotFound') {
+        console.log('ℹ️  Old index not found (already dropped or doesn\'t exist)');
+      } else {
+        throw error;
+      }
+    }
+
+    console.log('\n🔨 Creating new index: institutionId_1_receiptNumber_1');
+    await Fee.createIndex(
+      { institutionId: 1, receiptNumber: 1 },
+      {
+        unique: true,
+        partialFilterExpression: { receiptNumber: { $type: 'string' } },
+        name: 'institutionId_1_receiptNumber_1',
+      }
+    );
+    console.log('✅ New index created');
+
+    console.log('\n✅ Fee receipt index migration complete!');
+    console.log('\nℹ️  Receipt numbers are now unique per institution.');
+
+    await mongoose.disconnect();
+    process.exit(0);
+  } catch (error) {
+    console.error('\n❌ Error fixing index:', error.message);
+    await mongoose.disconnect();
+    process.exit(1);
+  }
+};
+
+fixFeeReceiptIndex();
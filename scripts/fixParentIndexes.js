@@ -0,0 +1,55 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import { fileURLToPath } from 'url';
+import { dirname, resolve } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+dotenv.config({ path: resolve(__dirname, '../.env') });
+
+const dropIfExists = async (collection, name) => {
+  try {
+    console.log(`\n🗑️  Dropping old index: ${name}`);
+    await collection.dropIndex(name);
+    console.log('✅ Old index dropped');
+  } catch (error) {
+    if (error.code === 27 || error.codeName === 'IndexNotFound') {
+      console.log('ℹ️  Old index not found (already dropped or doesn\'t exist)');
+    } else {
+      throw error;
+    }
+  }
+};
+
+const fixParentIndexes = async () => {
+  try {
+    console.log('🔄 Connecting to MongoDB...');
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log('✅ Connected to MongoDB');
+
+    const Parent = mongoose.connection.collection('parents');
+
+    // One login may now be linked to several children, so userId is no longer unique
+    await dropIfExists(Parent, 'userId_1');
+    await dropIfExists(Parent, 'institutionId_1_userId_1');
+
+    console.log('\n🔨 Creating index: institutionId_1_userId_1');
+    await Parent.createIndex({ institutionId: 1, userId: 1 }, { name: 'institutionId_1_userId_1' });
+    console.log('\n🔨 Creating index: userId_1_studentId_1');
+    await Parent.createIndex({ userId: 1, studentId: 1 }, { unique: true, name: 'userId_1_studentId_1' });
+    console.log('✅ New indexes created');
+
+    console.log('\n✅ Parent index migration complete!');
+    console.log('\nℹ️  Parents can now be linked to more than one student.');
+
+    await mongoose.disconnect();
+    process.exit(0);
+  } catch (error) {
+    console.error('\n❌ Error fixing indexes:', error.message);
+    await mongoose.disconnect();
+    process.exit(1);
+  }
+};
+
+fixParentIndexes();
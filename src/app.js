@@ -17,6 +17,13 @@ import menuRoutes from './routes/menu.routes.js';
 import pollRoutes from './routes/poll.routes.js';
 import notificationRoutes from './routes/notification.routes.js';
 import usersRoutes from './routes/users.routes.js';
+import roomRoutes from './routes/room.routes.js';
+import institutionRoutes from './routes/institution.routes.js';
+import auditRoutes from './routes/audit.routes.js';
+import reportRoutes from './routes/report.routes.js';
+import feeStructureRoutes from './routes/feeStructure.routes.js';
+import refundRoutes from './routes/refund.routes.js';
+import attachmentRoutes from './routes/attachment.routes.js';
 
 // Import error middleware
 import { errorHandler, notFound } from './middleware/error.middleware.js';
@@ -24,6 +31,12 @@ import { errorHandler, notFound } from './middleware/error.middleware.js';
 // Initialize Express app
 const app = express();
 
+// Behind a reverse proxy (Render, Nginx) req.ip must come from X-Forwarded-For
+// for rate limiting to key on the real client. TRUST_PROXY is the number of proxy hops.
+if (Number(process.env.TRUST_PROXY) > 0) {
+  app.set('trust proxy', Number(process.env.TRUST_PROXY));
+}
+
 // Middleware
 // CORS configuration - allow frontend URL from environment or all origins in development
 const corsOptions = {
@@ -59,7 +72,14 @@ const corsOptions = {
 };
 
 app.use(cors(corsOptions));
-app.use(express.json());
+// Keep the raw body for webhooks, whose signatures are computed over the exact bytes sent
+app.use(
+  express.json({
+    verify: (req, res, buf) => {
+      if (req.originalUrl.startsWith('/api/payments/webhook')) req.rawBody = buf;
+    },
+  })
+);
 app.use(express.urlencoded({ extended: true }));
 
 // Root route
@@ -85,7 +105,9 @@ app.use('/api/auth', authRoutes);
 app.use('/api/students', studentRoutes);
 app.use('/api/entry-exit', entryExitRoutes);
 app.use('/api/fees', feeRoutes);
+app.use('/api/fee-structures', feeStructureRoutes);
 app.use('/api/payments', paymentRoutes);
+app.use('/api/refunds', refundRoutes);
 app.use('/api/complaints', complaintRoutes);
 app.use('/api/leaves', leaveRoutes);
 app.use('/api/parent', parentRoutes);
@@ -97,6 +119,11 @@ app.use('/api/menu', menuRoutes);
 app.use('/api/poll', pollRoutes);
 app.use('/api/notifications', notificationRoutes);
 app.use('/api/users', usersRoutes);
+app.use('/api/rooms', roomRoutes);
+app.use('/api/institution', institutionRoutes);
+app.use('/api/audit', auditRoutes);
+app.use('/api/reports', reportRoutes);
+app.use('/api/attachments', attachmentRoutes);
 
 // Error handling middleware (must be last)
 app.use(notFound);
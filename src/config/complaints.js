@@ -0,0 +1,34 @@
+/**
+ * Complaint categories, priorities and workflow defaults.
+ * Institutions override the SLA hours and reopen window in
+ * Institution.complaintWorkflow.
+ */
+
+export const COMPLAINT_CATEGORIES = [
+  'Maintenance',
+  'Electrical',
+  'Carpentry',
+  'Cleaning',
+  'Food / Mess',
+  'IT Support',
+  'Plumbing',
+  'Other',
+];
+
+export const COMPLAINT_PRIORITIES = ['Low', 'Medium', 'High', 'Urgent'];
+
+// Complaints still waiting on staff
+export const OPEN_COMPLAINT_STATUSES = ['Pending', 'In Progress', 'Reopened'];
+
+// Events recorded on a complaint's activity timeline
+export const COMPLAINT_ACTIVITY_TYPES = ['created', 'assigned', 'status_changed', 'reopened', 'sla_breached', 'rated'];
+
+// Hours to resolve a complaint, by priority
+export const DEFAULT_SLA_HOURS = {
+  Low: 168,
+  Medium: 72,
+  High: 24,
+  Urgent: 4,
+};
+
+export const DEFAULT_REOPEN_WINDOW_DAYS = 7;
@@ -0,0 +1,27 @@
+/**
+ * Notification types, delivery channels and the defaults used until a user
+ * changes their preferences (User.notificationPreferences).
+ */
+
+export const NOTIFICATION_TYPES = ['complaint', 'leave', 'fee', 'chat', 'menu', 'feedback', 'general'];
+
+// inApp: the notification list and live socket updates
+export const NOTIFICATION_CHANNELS = ['inApp', 'push', 'email', 'sms'];
+
+// Channels held back during quiet hours and sent when they end
+export const DEFERRABLE_CHANNELS = ['push', 'email', 'sms'];
+
+export const DEFAULT_CHANNELS = {
+  inApp: true,
+  push: true,
+  email: false,
+  sms: false,
+};
+
+export const DEFAULT_QUIET_HOURS = {
+  enabled: false,
+  start: '22:00',
+  end: '07:00',
+};
+
+export const DEFAULT_TIMEZONE = 'Asia/Kolkata';
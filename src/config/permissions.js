@@ -0,0 +1,88 @@
+/**
+ * Staff roles and permissions.
+ * Every staff account has User.role 'warden'; what it may do is decided by
+ * User.staffRole. The institution admin always has every permission.
+ */
+
+export const PERMISSIONS = [
+  'students:read',
+  'students:write',
+  'students:delete',
+  'rooms:read',
+  'rooms:write',
+  'fees:read',
+  'fees:write',
+  'payments:read',
+  'payments:write',
+  'gate:scan',
+  'gate:read',
+  'leaves:read',
+  'leaves:approve',
+  'complaints:read',
+  'complaints:write',
+  'chats:read',
+  'chats:write',
+  'location:read',
+  'location:write',
+  'menus:write',
+  'polls:write',
+  'staff:manage',
+  'audit:read',
+];
+
+export const STAFF_ROLES = [
+  'chief_warden',
+  'warden',
+  'mess_manager',
+  'accountant',
+  'security_guard',
+  'maintenance_staff',
+];
+
+export const ROLE_PERMISSIONS = {
+  chief_warden: PERMISSIONS,
+  warden: [
+    'students:read',
+    'students:write',
+    'rooms:read',
+    'rooms:write',
+    'fees:read',
+    'payments:read',
+    'gate:scan',
+    'gate:read',
+    'leaves:read',
+    'leaves:approve',
+    'complaints:read',
+    'complaints:write',
+    'chats:read',
+    'chats:write',
+    'location:read',
+    'location:write',
+    'menus:write',
+    'polls:write',
+  ],
+  mess_manager: ['menus:write', 'polls:write'],
+  accountant: ['students:read', 'fees:read', 'fees:write', 'payments:read', 'payments:write', 'audit:read'],
+  security_guard: ['students:read', 'gate:scan', 'gate:read'],
+  maintenance_staff: ['complaints:read', 'complaints:write'],
+};
+
+/**
+ * Resolve the permissions of a user
+ * Staff accounts created before staff roles existed keep full access (chief warden).
+ * @param {object} user - User document
+ * @returns {string[]} Permission list (empty for students and parents)
+ */
+export const getUserPermissions = (user) => {
+  if (!user || user.role !== 'warden') return [];
+  if (user.isInstitutionAdmin) return PERMISSIONS;
+  return ROLE_PERMISSIONS[user.staffRole || 'chief_warden'] || [];
+};
+
+/**
+ * Check whether a user holds a permission
+ * @param {object} user - User document
+ * @param {string} permission - e.g. 'fees:write'
+ * @returns {boolean}
+ */
+export const hasPermission = (user, permission) => getUserPermissions(user).includes(permission);
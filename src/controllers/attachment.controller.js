@@ -0,0 +1,148 @@
+import mongoose from 'mongoose';
+import Attachment from '../models/Attachment.model.js';
+import {
+  storeAttachment,
+  canAccessAttachment,
+  verifyContentSignature,
+  readAttachment,
+  getDirectDownloadUrl,
+  formatAttachments,
+  deleteAttachment,
+} from '../services/attachment.service.js';
+
+/**
+ * @desc    Upload a photo or PDF. The request body is the file itself; pass its
+ *          name as ?fileName=. Returns an ID to send as attachmentIds when creating
+ *          a complaint, leave request or chat message.
+ * @route   POST /api/attachments
+ * @access  Private
+ */
+export const uploadAttachment = async (req, res) => {
+  try {
+    const buffer = Buffer.isBuffer(req.body) ? req.body : null;
+    const result = await storeAttachment({ buffer, fileName: req.query.fileName, user: req.user });
+    if (!result.attachment) {
+      return res.status(result.status).json({ success: false, message: result.message });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'File uploaded successfully',
+      data: formatAttachments([result.attachment], req)[0],
+    });
+  } catch (error) {
+    console.error('Upload attachment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error uploading file',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Attachment details with short-lived download URLs
+ * @route   GET /api/attachments/:id
+ * @access  Private (uploader, or anyone who can see the linked record)
+ */
+export const getAttachment = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid attachment ID' });
+    }
+
+    const attachment = await Attachment.findOne({ _id: req.params.id, institutionId: req.user.institutionId });
+    if (!attachment || !(await canAccessAttachment(req.user, attachment))) {
+      return res.status(404).json({ success: false, message: 'Attachment not found' });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: formatAttachments([attachment], req)[0],
+    });
+  } catch (error) {
+    console.error('Get attachment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching attachment',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Download a file through a signed URL from getAttachment (S3 files redirect to the bucket)
+ * @route   GET /api/attachments/:id/content?variant=&expires=&signature=
+ * @access  Public (signed URL)
+ */
+export const getAttachmentContent = async (req, res) => {
+  try {
+    const variant = req.query.variant === 'thumbnail' ? 'thumbnail' : 'original';
+    const attachment = mongoose.Types.ObjectId.isValid(req.params.id) ? await Attachment.findById(req.params.id) : null;
+
+    if (!attachment || !verifyContentSignature(attachment, { ...req.query, variant })) {
+      return res.status(403).json({ success: false, message: 'This link is invalid or has expired' });
+    }
+    if (variant === 'thumbnail' && !attachment.thumbnailKey) {
+      return res.status(404).json({ success: false, message: 'This file has no thumbnail' });
+    }
+
+    const directUrl = await getDirectDownloadUrl(attachment, variant);
+    if (directUrl) {
+      return res.redirect(302, directUrl);
+    }
+
+    const { buffer, contentType } = await readAttachment(attachment, variant);
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `inline; filename="${attachment.fileName.replace(/"/g, '')}"`);
+    res.setHeader('Cache-Control', 'private, max-age=900');
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+    res.send(buffer);
+  } catch (error) {
+    console.error('Get attachment content error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error downloading file',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Delete an upload that has not been attached to anything yet
+ * @route   DELETE /api/attachments/:id
+ * @access  Private (uploader)
+ */
+export const deleteUnlinkedAttachment = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid attachment ID' });
+    }
+
+    const attachment = await Attachment.findOne({
+      _id: req.params.id,
+      institutionId: req.user.institutionId,
+      uploadedBy: req.user._id,
+    });
+    if (!attachment) {
+      return res.status(404).json({ success: false, message: 'Attachment not found' });
+    }
+    if (attachment.linkedTo?.id) {
+      return res.status(400).json({ success: false, message: 'Attached files cannot be deleted' });
+    }
+
+    await deleteAttachment(attachment);
+
+    res.status(200).json({
+      success: true,
+      message: 'Attachment deleted successfully',
+    });
+  } catch (error) {
+    console.error('Delete attachment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting attachment',
+      error: error.message,
+    });
+  }
+};
@@ -0,0 +1,123 @@
+import mongoose from 'mongoose';
+import AuditLog from '../models/AuditLog.model.js';
+import { toCsv, sendCsv } from '../utils/csv.js';
+
+const MAX_PAGE_SIZE = 200;
+const MAX_EXPORT_ROWS = 50000;
+const FILTER_FIELDS = ['actorId', 'action', 'targetType', 'targetId', 'from', 'to'];
+const TARGET_TYPES = AuditLog.schema.path('targetType').enumValues;
+
+const CSV_COLUMNS = [
+  { key: 'createdAt', label: 'Timestamp' },
+  { key: 'actorName', label: 'Actor' },
+  { key: 'actorRole', label: 'Actor Role' },
+  { key: 'action', label: 'Action' },
+  { key: 'targetType', label: 'Target Type' },
+  { key: 'targetId', label: 'Target ID' },
+  { key: 'targetLabel', label: 'Target' },
+  { key: 'changes', label: 'Changes' },
+  { key: 'metadata', label: 'Details' },
+  { key: 'ip', label: 'IP Address' },
+];
+
+const formatChanges = (changes = []) =>
+  changes.map((change) => `${change.field}: ${JSON.stringify(change.before)} -> ${JSON.stringify(change.after)}`).join('; ');
+
+/**
+ * Build the audit query from request filters.
+ * Returns { filter } or { error }.
+ */
+const buildAuditFilter = (req) => {
+  const { actorId, action, targetType, targetId, from, to } = req.query;
+  const filter = { institutionId: req.user.institutionId };
+
+  // Repeated or bracketed query params arrive as arrays or objects
+  const invalidField = FILTER_FIELDS.find((field) => req.query[field] !== undefined && typeof req.query[field] !== 'string');
+  if (invalidField) return { error: `Invalid ${invalidField}` };
+
+  if (actorId) {
+    if (!mongoose.Types.ObjectId.isValid(actorId)) return { error: 'Invalid actorId' };
+    filter.actorId = actorId;
+  }
+  if (targetId) {
+    if (!mongoose.Types.ObjectId.isValid(targetId)) return { error: 'Invalid targetId' };
+    filter.targetId = targetId;
+  }
+  if (targetType) {
+    if (!TARGET_TYPES.includes(targetType)) return { error: `targetType must be one of: ${TARGET_TYPES.join(', ')}` };
+    filter.targetType = targetType;
+  }
+  // Allow a prefix such as 'fee' to match every fee action
+  if (action) filter.action = action.includes('.') ? action : new RegExp(`^${action.replace(/[^a-z_]/gi, '')}\\.`);
+
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) {
+      const fromDate = new Date(from);
+      if (Number.isNaN(fromDate.getTime())) return { error: 'Invalid from date' };
+      filter.createdAt.$gte = fromDate;
+    }
+    if (to) {
+      const toDate = new Date(to);
+      if (Number.isNaN(toDate.getTime())) return { error: 'Invalid to date' };
+      // A bare date includes the whole day
+      if (/^\d{4}-\d{2}-\d{2}$/.test(to)) toDate.setHours(23, 59, 59, 999);
+      filter.createdAt.$lte = toDate;
+    }
+  }
+
+  return { filter };
+};
+
+/**
+ * @desc    Get audit log entries (JSON or CSV)
+ * @route   GET /api/audit?actorId=&action=&targetType=&targetId=&from=&to=&page=&limit=&format=csv
+ * @access  Private (Staff with audit:read)
+ */
+export const getAuditLogs = async (req, res) => {
+  try {
+    const { filter, error } = buildAuditFilter(req);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error,
+      });
+    }
+
+    if (req.query.format === 'csv') {
+      const logs = await AuditLog.find(filter).sort({ createdAt: -1 }).limit(MAX_EXPORT_ROWS).lean();
+      const rows = logs.map((log) => ({
+        ...log,
+        targetId: String(log.targetId),
+        changes: formatChanges(log.changes),
+      }));
+      return sendCsv(res, `audit-log-${new Date().toISOString().slice(0, 10)}.csv`, toCsv(CSV_COLUMNS, rows));
+    }
+
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), MAX_PAGE_SIZE);
+
+    const [logs, total] = await Promise.all([
+      AuditLog.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      AuditLog.countDocuments(filter),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: logs.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      data: logs,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
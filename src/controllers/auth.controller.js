@@ -1,25 +1,21 @@
+import crypto from 'crypto';
+import bcrypt from 'bcryptjs';
 import User from '../models/User.model.js';
 import Institution from '../models/Institution.model.js';
-import jwt from 'jsonwebtoken';
+import PasswordReset from '../models/PasswordReset.model.js';
+import WardenInvite from '../models/WardenInvite.model.js';
+import { sendPasswordResetEmail } from '../utils/emailService.js';
+import {
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeUserSessions,
+} from '../services/session.service.js';
+import { recordLoginFailure, clearLoginFailures } from '../services/loginThrottle.service.js';
+import { claimInvite, releaseInvite } from '../services/invite.service.js';
+import { getUserPermissions } from '../config/permissions.js';
 // Note: dotenv is loaded in server.js, process.env is available globally
 
-/**
- * Generate JWT Token
- * @param {string} userId - User ID
- * @param {string} role - User role
- * @param {string} name - User name
- * @returns {string} JWT token
- */
-const generateToken = (userId, role, name, isTempPassword = false, institutionId) => {
-  return jwt.sign(
-    { userId, role, name, isTempPassword, institutionId },
-    process.env.JWT_SECRET,
-    {
-      expiresIn: process.env.JWT_EXPIRE || '7d',
-    }
-  );
-};
-
 /**
  * Validate email format
  * @param {string} email - Email to validate
@@ -31,23 +27,118 @@ const isValidEmail = (email) => {
 };
 
 /**
- * @desc    Register warden (warden only)
- * @route   POST /api/auth/warden-signup
+ * Find an active institution by case-insensitive exact name
+ * @param {string} institutionName - Institution name as typed by the user
+ * @returns {Promise<object|null>} Institution document
+ */
+const findActiveInstitution = async (institutionName) => {
+  const normalizedInstitutionName = String(institutionName).trim();
+  const institutionRegex = new RegExp(`^${normalizedInstitutionName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i');
+  return Institution.findOne({ name: institutionRegex, isActive: true });
+};
+
+const RESET_CODE_TTL_MINUTES = Number(process.env.PASSWORD_RESET_CODE_TTL_MINUTES || 15);
+const RESET_CODE_MAX_ATTEMPTS = Number(process.env.PASSWORD_RESET_MAX_ATTEMPTS || 5);
+const RESET_CODE_COOLDOWN_SECONDS = 60;
+
+/**
+ * Validate the fields shared by institution and warden signup
+ * @returns {string|null} Error message, or null when valid
+ */
+const validateSignupFields = ({ name, email, password }) => {
+  if (!name || !email || !password) {
+    return 'Please provide name, email, and password';
+  }
+  if (!isValidEmail(email)) {
+    return 'Please provide a valid email address';
+  }
+  if (password.length < 6) {
+    return 'Password must be at least 6 characters long';
+  }
+  if (name.trim().length < 2) {
+    return 'Name must be at least 2 characters long';
+  }
+  return null;
+};
+
+/**
+ * Map signup errors to a response
+ */
+const handleSignupError = (res, error) => {
+  // Handle duplicate key error
+  if (error.code === 11000) {
+    return res.status(400).json({
+      success: false,
+      message: error.keyPattern?.name
+        ? 'An institution with this name already exists'
+        : 'User with this email already exists',
+    });
+  }
+
+  // Handle validation errors
+  if (error.name === 'ValidationError') {
+    const messages = Object.values(error.errors).map((err) => err.message);
+    return res.status(400).json({
+      success: false,
+      message: messages.join(', '),
+    });
+  }
+
+  return res.status(500).json({
+    success: false,
+    message: 'Server error during registration',
+  });
+};
+
+/**
+ * Start a session for a newly registered warden and send the signup response
+ */
+const sendSignupResponse = async (req, res, { user, institution, message }) => {
+  // Start a session (access + refresh token)
+  const { token, refreshToken, refreshTokenExpiresAt } = await createSession(user, req);
+
+  return res.status(201).json({
+    success: true,
+    message,
+    token,
+    refreshToken,
+    refreshTokenExpiresAt,
+    user: {
+      id: user._id,
+      name: user.name,
+      email: user.email,
+      role: user.role,
+      isInstitutionAdmin: user.isInstitutionAdmin,
+      staffRole: user.staffRole || null,
+      permissions: getUserPermissions(user),
+      institutionId: user.institutionId,
+    },
+    institution: {
+      id: institution._id,
+      name: institution.name,
+    },
+  });
+};
+
+/**
+ * @desc    Register a new institution and its admin warden
+ * @route   POST /api/auth/institution-signup
  * @access  Public
  */
-export const wardenSignup = async (req, res) => {
+export const institutionSignup = async (req, res) => {
+  let institution = null;
   try {
     const { name, email, password, institutionName } = req.body;
 
-    // Validate required fields
-    if (!name || !email || !password) {
+    const validationError = validateSignupFields({ name, email, password });
+    if (validationError) {
       return res.status(400).json({
         success: false,
-        message: 'Please provide name, email, and password',
+        message: validationError,
       });
     }
 
-    if (!institutionName) {
+    if (!institutionName || !String(institutionName).trim()) {
       return res.status(400).json({
         success: false,
         message: 'Please provide institution name',
@@ -56,45 +147,97 @@ export const wardenSignup = async (req, res) => {
 
     const normalizedName = institutionName.trim();
     const nameRegex = new RegExp(`^${normalizedName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i');
-    let institution = await Institution.findOne({ name: nameRegex });
-    if (!institution) {
-      institution = await Institution.create({
-        name: normalizedName,
-        isActive: true,
+    const existingInstitution = await Institution.findOne({ name: nameRegex });
+    if (existingInstitution) {
+      return res.status(400).json({
+        success: false,
+        message: 'An institution with this name already exists. Ask its admin for a warden invite code.',
       });
     }
 
-    // Validate email format
-    if (!isValidEmail(email)) {
+    institution = await Institution.create({
+      name: normalizedName,
+      isActive: true,
+    });
+
+    const user = await User.create({
+      name: name.trim(),
+      email: email.toLowerCase().trim(),
+      password,
+      role: 'warden',
+      staffRole: 'chief_warden',
+      isInstitutionAdmin: true,
+      institutionId: institution._id,
+    });
+
+    institution.ownerId = user._id;
+    await institution.save();
+
+    return await sendSignupResponse(req, res, {
+      user,
+      institution,
+      message: 'Institution and admin account created successfully',
+    });
+  } catch (error) {
+    // Don't leave an institution without an owner behind
+    if (institution && !institution.ownerId) {
+      await Institution.deleteOne({ _id: institution._id }).catch(() => {});
+    }
+    return handleSignupError(res, error);
+  }
+};
+
+/**
+ * @desc    Register warden using an invite code from the institution admin
+ * @route   POST /api/auth/warden-signup
+ * @access  Public (requires invite code)
+ */
+export const wardenSignup = async (req, res) => {
+  let invite = null;
+  try {
+    const { name, email, password, inviteCode } = req.body;
+
+    const validationError = validateSignupFields({ name, email, password });
+    if (validationError) {
       return res.status(400).json({
         success: false,
-        message: 'Please provide a valid email address',
+        message: validationError,
+      });
+    }
+
+    if (!inviteCode) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide the invite code from your institution admin',
       });
     }
 
-    // Validate password length
-    if (password.length < 6) {
+    const normalizedEmail = email.toLowerCase().trim();
+    const claim = await claimInvite(inviteCode, normalizedEmail);
+    if (claim.error) {
       return res.status(400).json({
         success: false,
-        message: 'Password must be at least 6 characters long',
+        message: claim.error,
       });
     }
+    invite = claim.invite;
 
-    // Validate name
-    if (name.trim().length < 2) {
+    const institution = await Institution.findOne({ _id: invite.institutionId, isActive: true });
+    if (!institution) {
+      await releaseInvite(invite._id);
       return res.status(400).json({
         success: false,
-        message: 'Name must be at least 2 characters long',
+        message: 'Institution is no longer active',
       });
     }
 
     // Check if user already exists
-    const normalizedEmail = email.toLowerCase().trim();
     const existingUser = await User.findOne({
       email: normalizedEmail,
       institutionId: institution._id,
     });
     if (existingUser) {
+      await releaseInvite(invite._id);
       return res.status(400).json({
         success: false,
         message: 'User with this email already exists',
@@ -107,50 +250,22 @@ export const wardenSignup = async (req, res) => {
       email: normalizedEmail,
       password,
       role: 'warden',
+      staffRole: invite.staffRole,
       institutionId: institution._id,
     });
 
-    // Generate token
-    const token = generateToken(user._id, user.role, user.name, false, user.institutionId);
+    await WardenInvite.updateOne({ _id: invite._id }, { $set: { acceptedBy: user._id } });
 
-    res.status(201).json({
-      success: true,
+    return await sendSignupResponse(req, res, {
+      user,
+      institution,
       message: 'Warden account created successfully',
-      token,
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        role: user.role,
-        institutionId: user.institutionId,
-      },
-      institution: {
-        id: institution._id,
-        name: institution.name,
-      },
     });
   } catch (error) {
-    // Handle duplicate key error
-    if (error.code === 11000) {
-      return res.status(400).json({
-        success: false,
-        message: 'User with this email already exists',
-      });
+    if (invite) {
+      await releaseInvite(invite._id).catch(() => {});
     }
-
-    // Handle validation errors
-    if (error.name === 'ValidationError') {
-      const messages = Object.values(error.errors).map((err) => err.message);
-      return res.status(400).json({
-        success: false,
-        message: messages.join(', '),
-      });
-    }
-
-    res.status(500).json({
-      success: false,
-      message: 'Server error during registration',
-    });
+    return handleSignupError(res, error);
   }
 };
 
@@ -179,11 +294,13 @@ export const login = async (req, res) => {
       });
     }
 
+    // Failed attempts count towards the account and IP lockouts
+    const attempt = { ip: req.ip, email, institutionName };
+
     // Check if user exists and get password
-    const normalizedInstitutionName = institutionName.trim();
-    const institutionRegex = new RegExp(`^${normalizedInstitutionName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i');
-    const institution = await Institution.findOne({ name: institutionRegex, isActive: true });
+    const institution = await findActiveInstitution(institutionName);
     if (!institution) {
+      await recordLoginFailure(attempt);
       return res.status(404).json({
         success: false,
         message: 'Institution not found',
@@ -197,6 +314,7 @@ export const login = async (req, res) => {
     }).select('+password');
 
     if (!user) {
+      await recordLoginFailure(attempt);
       return res.status(404).json({
         success: false,
         message: 'User not found',
@@ -207,19 +325,26 @@ export const login = async (req, res) => {
     const isMatch = await user.matchPassword(password);
 
     if (!isMatch) {
+      await recordLoginFailure(attempt);
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials',
       });
     }
 
+    await clearLoginFailures(attempt);
+
+    // Start a session (access + refresh token)
+    const { token, refreshToken, refreshTokenExpiresAt } = await createSession(user, req);
+
     // Check if user is using temporary password
     if (user.isTempPassword) {
       // Return token but flag that password change is required
-      const token = generateToken(user._id, user.role, user.name, true, user.institutionId);
       return res.status(200).json({
         success: true,
         token,
+        refreshToken,
+        refreshTokenExpiresAt,
         requiresPasswordChange: true,
         forcePasswordChange: true, // Explicit flag for mandatory change
         message: 'Please change your temporary password',
@@ -228,6 +353,9 @@ export const login = async (req, res) => {
           name: user.name,
           email: user.email,
           role: user.role,
+          isInstitutionAdmin: user.isInstitutionAdmin,
+          staffRole: user.staffRole || null,
+          permissions: getUserPermissions(user),
           institutionId: user.institutionId,
         },
         institution: {
@@ -237,18 +365,20 @@ export const login = async (req, res) => {
       });
     }
 
-    // Generate token with userId, role, and name (isTempPassword = false)
-    const token = generateToken(user._id, user.role, user.name, false, user.institutionId);
-
     res.status(200).json({
       success: true,
       token,
+      refreshToken,
+      refreshTokenExpiresAt,
       requiresPasswordChange: false,
       user: {
         id: user._id,
         name: user.name,
         email: user.email,
         role: user.role,
+        isInstitutionAdmin: user.isInstitutionAdmin,
+        staffRole: user.staffRole || null,
+        permissions: getUserPermissions(user),
         institutionId: user.institutionId,
       },
       institution: {
@@ -379,13 +509,16 @@ export const changePassword = async (req, res) => {
     user.isTempPassword = false;
     await user.save();
 
-    // Generate new token without isTempPassword flag
-    const newToken = generateToken(user._id, user.role, user.name, false);
+    // Sign out every device, then start a fresh session for this one
+    await revokeUserSessions(user._id, 'Password changed');
+    const { token, refreshToken, refreshTokenExpiresAt } = await createSession(user, req);
 
     res.status(200).json({
       success: true,
       message: 'Password changed successfully',
-      token: newToken, // Return new token with updated isTempPassword flag
+      token, // Return new token with updated isTempPassword flag
+      refreshToken,
+      refreshTokenExpiresAt,
     });
   } catch (error) {
     res.status(500).json({
@@ -394,3 +527,278 @@ export const changePassword = async (req, res) => {
     });
   }
 };
+
+/**
+ * @desc    Exchange a refresh token for a new access/refresh token pair
+ * @route   POST /api/auth/refresh
+ * @access  Public (requires valid refresh token)
+ */
+export const refreshSession = async (req, res) => {
+  try {
+    const { refreshToken } = req.body || {};
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide refreshToken',
+      });
+    }
+
+    const result = await rotateSession(refreshToken, req);
+    if (result.error) {
+      return res.status(401).json({
+        success: false,
+        message: result.error,
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      token: result.token,
+      refreshToken: result.refreshToken,
+      refreshTokenExpiresAt: result.refreshTokenExpiresAt,
+      requiresPasswordChange: Boolean(result.user.isTempPassword),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error during token refresh',
+    });
+  }
+};
+
+/**
+ * @desc    Log out the current device
+ * @route   POST /api/auth/logout
+ * @access  Private
+ */
+export const logout = async (req, res) => {
+  try {
+    await revokeSession(req.sessionId, 'Logged out');
+
+    res.status(200).json({
+      success: true,
+      message: 'Logged out successfully',
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error during logout',
+    });
+  }
+};
+
+/**
+ * @desc    Log out all devices for the current user
+ * @route   POST /api/auth/logout-all
+ * @access  Private
+ */
+export const logoutAll = async (req, res) => {
+  try {
+    await revokeUserSessions(req.user._id, 'Logged out of all devices');
+
+    res.status(200).json({
+      success: true,
+      message: 'Logged out of all devices',
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error during logout',
+    });
+  }
+};
+
+/**
+ * @desc    Email a one-time password reset code
+ * @route   POST /api/auth/forgot-password
+ * @access  Public
+ */
+export const forgotPassword = async (req, res) => {
+  // Same response whether or not the account exists, so emails cannot be probed
+  const genericResponse = {
+    success: true,
+    message: 'If an account exists for this email, a reset code has been sent.',
+    expiresInMinutes: RESET_CODE_TTL_MINUTES,
+  };
+
+  try {
+    const { email, institutionName } = req.body || {};
+
+    if (!email || !institutionName) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide institution name and email',
+      });
+    }
+
+    if (!isValidEmail(email)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a valid email address',
+      });
+    }
+
+    const institution = await findActiveInstitution(institutionName);
+    if (!institution) {
+      return res.status(200).json(genericResponse);
+    }
+
+    const user = await User.findOne({
+      email: email.toLowerCase().trim(),
+      institutionId: institution._id,
+    });
+    if (!user) {
+      return res.status(200).json(genericResponse);
+    }
+
+    // Throttle repeated requests for the same account
+    const recent = await PasswordReset.findOne({
+      userId: user._id,
+      createdAt: { $gt: new Date(Date.now() - RESET_CODE_COOLDOWN_SECONDS * 1000) },
+    });
+    if (recent) {
+      return res.status(200).json(genericResponse);
+    }
+
+    // Only the newest code is valid
+    await PasswordReset.updateMany(
+      { userId: user._id, usedAt: null, invalidatedAt: null },
+      { invalidatedAt: new Date() }
+    );
+
+    const code = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+    await PasswordReset.create({
+      userId: user._id,
+      institutionId: user.institutionId,
+      codeHash: await bcrypt.hash(code, 10),
+      expiresAt: new Date(Date.now() + RESET_CODE_TTL_MINUTES * 60 * 1000),
+      requestedIp: req.ip,
+    });
+
+    sendPasswordResetEmail(user.email, user.name, code, RESET_CODE_TTL_MINUTES)
+      .then((result) => {
+        if (!result.success) {
+          console.error('❌ Password reset email error:', result.message);
+        }
+      })
+      .catch((err) => {
+        console.error('❌ Password reset email error:', err.message || err);
+      });
+
+    res.status(200).json(genericResponse);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error during password reset request',
+    });
+  }
+};
+
+/**
+ * @desc    Reset password with an emailed code
+ * @route   POST /api/auth/reset-password
+ * @access  Public
+ */
+export const resetPassword = async (req, res) => {
+  try {
+    const { email, institutionName, code, newPassword } = req.body || {};
+
+    if (!email || !institutionName || !code || !newPassword) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide institution name, email, code, and new password',
+      });
+    }
+
+    if (newPassword.length < 6) {
+      return res.status(400).json({
+        success: false,
+        message: 'New password must be at least 6 characters long',
+      });
+    }
+
+    const invalidCodeResponse = {
+      success: false,
+      message: 'Invalid or expired reset code',
+    };
+
+    const institution = await findActiveInstitution(institutionName);
+    if (!institution) {
+      return res.status(400).json(invalidCodeResponse);
+    }
+
+    const user = await User.findOne({
+      email: email.toLowerCase().trim(),
+      institutionId: institution._id,
+    }).select('+password');
+    if (!user) {
+      return res.status(400).json(invalidCodeResponse);
+    }
+
+    const reset = await PasswordReset.findOne({
+      userId: user._id,
+      usedAt: null,
+      invalidatedAt: null,
+      expiresAt: { $gt: new Date() },
+    })
+      .select('+codeHash')
+      .sort({ createdAt: -1 });
+
+    if (!reset) {
+      return res.status(400).json(invalidCodeResponse);
+    }
+
+    // Count the attempt atomically before checking the code, so parallel guesses
+    // cannot get past the attempt limit
+    const attempt = await PasswordReset.findOneAndUpdate(
+      { _id: reset._id, usedAt: null, invalidatedAt: null, attempts: { $lt: RESET_CODE_MAX_ATTEMPTS } },
+      { $inc: { attempts: 1 } },
+      { new: true }
+    );
+    if (!attempt) {
+      return res.status(400).json(invalidCodeResponse);
+    }
+
+    const isMatch = await bcrypt.compare(String(code).trim(), reset.codeHash);
+    if (!isMatch) {
+      if (attempt.attempts >= RESET_CODE_MAX_ATTEMPTS) {
+        await PasswordReset.updateOne({ _id: reset._id, invalidatedAt: null }, { invalidatedAt: new Date() });
+      }
+
+      const attemptsLeft = Math.max(RESET_CODE_MAX_ATTEMPTS - attempt.attempts, 0);
+      return res.status(400).json({
+        success: false,
+        message: attemptsLeft > 0
+          ? `Invalid reset code. ${attemptsLeft} attempt(s) remaining.`
+          : 'Too many incorrect attempts. Please request a new code.',
+      });
+    }
+
+    // Mark the code used before changing the password so it cannot be replayed
+    const claimed = await PasswordReset.findOneAndUpdate(
+      { _id: reset._id, usedAt: null },
+      { usedAt: new Date() }
+    );
+    if (!claimed) {
+      return res.status(400).json(invalidCodeResponse);
+    }
+
+    // The user chose this password themselves, so it is no longer temporary
+    user.password = newPassword;
+    user.isTempPassword = false;
+    await user.save();
+
+    await revokeUserSessions(user._id, 'Password reset');
+
+    res.status(200).json({
+      success: true,
+      message: 'Password reset successfully. Please log in with your new password.',
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error during password reset',
+    });
+  }
+};
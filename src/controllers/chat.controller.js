@@ -3,6 +3,8 @@ import Parent from '../models/Parent.model.js';
 import User from '../models/User.model.js';
 import { getIO } from '../utils/socket.js';
 import { notifyUser } from '../services/notification.service.js';
+import { resolveParentChild, resolveParentLink } from '../services/parent.service.js';
+import { findLinkableAttachments, linkAttachments, unlinkAttachments, formatAttachments } from '../services/attachment.service.js';
 
 /**
  * Get or create chat between parent and warden for a student
@@ -74,23 +76,24 @@ const getOrCreateChat = async (parentUserId, wardenUserId, studentId, institutio
   return chat;
 };
 
-const formatMessage = (message) => ({
+const formatMessage = (message, req) => ({
   id: message._id,
   senderId: message.senderId?._id,
   senderName: message.senderId?.name,
   senderRole: message.senderId?.role,
   text: message.text,
+  attachments: formatAttachments(message.attachments, req),
   createdAt: message.createdAt,
 });
 
-const formatParentChat = (chat) => ({
+const formatParentChat = (chat, req) => ({
   id: chat._id,
   studentId: chat.studentId,
   warden: chat.wardenId ? { id: chat.wardenId._id, name: chat.wardenId.name } : null,
-  messages: (chat.messages || []).map(formatMessage),
+  messages: (chat.messages || []).map((message) => formatMessage(message, req)),
 });
 
-const formatWardenChat = (chat, parentProfile = null) => ({
+const formatWardenChat = (chat, req, parentProfile = null) => ({
   id: chat._id,
   parent: chat.parentId
     ? {
@@ -102,11 +105,14 @@ const formatWardenChat = (chat, parentProfile = null) => ({
       }
     : null,
   student: chat.studentId,
-  messages: (chat.messages || []).map(formatMessage),
+  messages: (chat.messages || []).map((message) => formatMessage(message, req)),
 });
 
-const getParentProfilesMap = async (parentUserIds, institutionId) => {
-  const uniqueIds = [...new Set(parentUserIds.map((id) => String(id)).filter(Boolean))];
+// Parent profiles keyed by parent user and child, since one parent may chat about several children
+const parentProfileKey = (parentUserId, studentId) => `${parentUserId}:${studentId}`;
+
+const getParentProfilesMap = async (chats, institutionId) => {
+  const uniqueIds = [...new Set(chats.map((chat) => String(chat.parentId?._id || chat.parentId || '')).filter(Boolean))];
   if (uniqueIds.length === 0) {
     return new Map();
   }
@@ -114,15 +120,59 @@ const getParentProfilesMap = async (parentUserIds, institutionId) => {
   const parentProfiles = await Parent.find({
     userId: { $in: uniqueIds },
     institutionId,
-  }).select('userId phone relationship');
+  }).select('userId studentId phone relationship');
 
-  return new Map(parentProfiles.map((profile) => [String(profile.userId), profile]));
+  return new Map(parentProfiles.map((profile) => [parentProfileKey(profile.userId, profile.studentId), profile]));
 };
 
-const getParentProfile = async (userId, institutionId) => {
-  return Parent.findOne({ userId, institutionId });
+const sendChildNotResolved = (res, child) =>
+  res.status(child.status).json({ success: false, message: child.message, children: child.children });
+
+/**
+ * Text and attachments for a new message; at least one is required.
+ * Returns { text, attachments } or { status, message }.
+ */
+const readMessageBody = async (req) => {
+  const { text, attachmentIds } = req.body;
+  const trimmed = typeof text === 'string' ? text.trim() : '';
+
+  const linkable = await findLinkableAttachments(attachmentIds, req.user);
+  if (!linkable.attachments) return linkable;
+  if (!trimmed && !linkable.attachments.length) {
+    return { status: 400, message: 'Please provide message text or an attachment' };
+  }
+
+  return { text: trimmed || undefined, attachments: linkable.attachments };
 };
 
+// Add a message to a chat. Returns { lastMessage } populated for the response,
+// or { status, message } when an upload was attached elsewhere in the meantime.
+const appendMessage = async (chat, senderId, { text, attachments }) => {
+  const linked = await linkAttachments(attachments, 'Chat', chat._id);
+  if (!linked.linked) return linked;
+
+  chat.messages = chat.messages || [];
+  chat.messages.push({
+    senderId,
+    text,
+    attachments: attachments.map((attachment) => attachment._id),
+  });
+  try {
+    await chat.save();
+  } catch (error) {
+    await unlinkAttachments(attachments, chat._id);
+    throw error;
+  }
+
+  await chat.populate([
+    { path: 'messages.senderId', select: 'name role' },
+    { path: 'messages.attachments' },
+  ]);
+  return { lastMessage: chat.messages[chat.messages.length - 1] };
+};
+
+const messagePreview = (message) => message.text || 'Sent an attachment';
+
 const getInstitutionWarden = async (institutionId, preferredWardenId = null) => {
   if (preferredWardenId) {
     const preferredWarden = await User.findOne({
@@ -142,7 +192,8 @@ const getInstitutionWarden = async (institutionId, preferredWardenId = null) =>
 const getParentChatById = async (chatId, parentUserId, institutionId) => {
   return Chat.findOne({ _id: chatId, parentId: parentUserId, institutionId })
     .populate('wardenId', 'name')
-    .populate('messages.senderId', 'name role');
+    .populate('messages.senderId', 'name role')
+    .populate('messages.attachments');
 };
 
 const getWardenChatRecord = async (chatId, institutionId) => {
@@ -151,7 +202,8 @@ const getWardenChatRecord = async (chatId, institutionId) => {
     .populate('wardenId', 'name')
     .populate('studentId')
     .populate('studentId.userId', 'name')
-    .populate('messages.senderId', 'name role');
+    .populate('messages.senderId', 'name role')
+    .populate('messages.attachments');
 };
 
 /**
@@ -161,7 +213,7 @@ const getWardenChatRecord = async (chatId, institutionId) => {
  */
 export const initiateChat = async (req, res) => {
   try {
-    const { receiverId } = req.body;
+    const { receiverId, studentId } = req.body;
 
     if (!receiverId) {
       return res.status(400).json({
@@ -171,46 +223,35 @@ export const initiateChat = async (req, res) => {
     }
 
     if (req.user.role === 'warden') {
-      const parentRecord = await Parent.findOne({
-        userId: receiverId,
+      // A parent with several children has one chat per child
+      const link = await resolveParentLink({
+        parentUserId: receiverId,
         institutionId: req.user.institutionId,
+        studentId,
       });
 
-      if (!parentRecord) {
-        return res.status(404).json({
-          success: false,
-          message: 'Parent not found',
-        });
+      if (!link.parent) {
+        return sendChildNotResolved(res, link.status === 404 ? { ...link, message: 'Parent not found' } : link);
       }
 
       const chat = await getOrCreateChat(
         receiverId,
         req.user._id,
-        parentRecord.studentId,
+        link.studentId,
         req.user.institutionId
       );
 
       const populatedChat = await getWardenChatRecord(chat._id, req.user.institutionId);
 
-      const parentProfile = await Parent.findOne({
-        userId: receiverId,
-        institutionId: req.user.institutionId,
-      }).select('phone relationship');
-
       return res.status(200).json({
         success: true,
-        data: formatWardenChat(populatedChat, parentProfile),
+        data: formatWardenChat(populatedChat, link.parent),
       });
     }
 
     if (req.user.role === 'parent') {
-      const parent = await getParentProfile(req.user._id, req.user.institutionId);
-      if (!parent) {
-        return res.status(404).json({
-          success: false,
-          message: 'Parent profile not found',
-        });
-      }
+      const child = await resolveParentChild(req.user, studentId);
+      if (!child.studentId) return sendChildNotResolved(res, child);
 
       const warden = await User.findOne({
         _id: receiverId,
@@ -228,7 +269,7 @@ export const initiateChat = async (req, res) => {
       const chat = await getOrCreateChat(
         req.user._id,
         warden._id,
-        parent.studentId,
+        child.studentId,
         req.user.institutionId
       );
 
@@ -260,64 +301,63 @@ export const initiateChat = async (req, res) => {
  */
 export const getMyChat = async (req, res) => {
   try {
-    const { receiverId, chatId } = req.query;
-
-    const parent = await getParentProfile(req.user._id, req.user.institutionId);
-    if (!parent) {
-      return res.status(404).json({
-        success: false,
-        message: 'Parent profile not found',
-      });
-    }
+    const { receiverId, chatId, studentId } = req.query;
 
     let chat = null;
 
     if (chatId) {
       chat = await getParentChatById(chatId, req.user._id, req.user.institutionId);
-    } else if (receiverId) {
-      const warden = await User.findOne({
-        _id: receiverId,
-        role: 'warden',
-        institutionId: req.user.institutionId,
-      });
-
-      if (!warden) {
-        return res.status(404).json({
-          success: false,
-          message: 'Warden not found',
-        });
-      }
-
-      const currentChat = await getOrCreateChat(req.user._id, warden._id, parent.studentId, req.user.institutionId);
-      chat = await getParentChatById(currentChat._id, req.user._id, req.user.institutionId);
     } else {
-      chat = await Chat.findOne({
-        parentId: req.user._id,
-        studentId: parent.studentId,
-        institutionId: req.user.institutionId,
-      })
-        .sort({ updatedAt: -1 })
-        .populate('wardenId', 'name')
-        .populate('messages.senderId', 'name role');
-
-      if (!chat) {
-        const warden = await getInstitutionWarden(req.user.institutionId);
+      // Chats are per child; ?studentId= picks one when several are linked
+      const child = await resolveParentChild(req.user, studentId);
+      if (!child.studentId) return sendChildNotResolved(res, child);
+
+      if (receiverId) {
+        const warden = await User.findOne({
+          _id: receiverId,
+          role: 'warden',
+          institutionId: req.user.institutionId,
+        });
 
         if (!warden) {
           return res.status(404).json({
             success: false,
-            message: 'No warden found for this institution',
+            message: 'Warden not found',
           });
         }
 
-        const currentChat = await getOrCreateChat(req.user._id, warden._id, parent.studentId, req.user.institutionId);
+        const currentChat = await getOrCreateChat(req.user._id, warden._id, child.studentId, req.user.institutionId);
         chat = await getParentChatById(currentChat._id, req.user._id, req.user.institutionId);
+      } else {
+        chat = await Chat.findOne({
+          parentId: req.user._id,
+          studentId: child.studentId,
+          institutionId: req.user.institutionId,
+        })
+          .sort({ updatedAt: -1 })
+          .populate('wardenId', 'name')
+          .populate('messages.senderId', 'name role')
+          .populate('messages.attachments');
+
+        if (!chat) {
+          const warden = await getInstitutionWarden(req.user.institutionId);
+
+          if (!warden) {
+            return res.status(404).json({
+              success: false,
+              message: 'No warden found for this institution',
+            });
+          }
+
+          const currentChat = await getOrCreateChat(req.user._id, warden._id, child.studentId, req.user.institutionId);
+          chat = await getParentChatById(currentChat._id, req.user._id, req.user.institutionId);
+        }
       }
     }
 
     res.status(200).json({
       success: true,
-      data: chat ? formatParentChat(chat) : null,
+      data: chat ? formatParentChat(chat, req) : null,
     });
   } catch (error) {
     console.error('getMyChat error:', error);
@@ -335,12 +375,13 @@ export const getMyChat = async (req, res) => {
  */
 export const sendMessage = async (req, res) => {
   try {
-    const { text, chatId, receiverId } = req.body;
+    const { chatId, receiverId, studentId } = req.body;
 
-    if (!text || typeof text !== 'string' || !text.trim()) {
-      return res.status(400).json({
+    const body = await readMessageBody(req);
+    if (!body.attachments) {
+      return res.status(body.status).json({
         success: false,
-        message: 'Please provide message text',
+        message: body.message,
       });
     }
 
@@ -353,13 +394,8 @@ export const sendMessage = async (req, res) => {
         institutionId: req.user.institutionId,
       });
     } else if (receiverId) {
-      const parent = await getParentProfile(req.user._id, req.user.institutionId);
-      if (!parent) {
-        return res.status(404).json({
-          success: false,
-          message: 'Parent profile not found',
-        });
-      }
+      const child = await resolveParentChild(req.user, studentId);
+      if (!child.studentId) return sendChildNotResolved(res, child);
 
       const warden = await User.findOne({
         _id: receiverId,
@@ -374,19 +410,14 @@ export const sendMessage = async (req, res) => {
         });
       }
 
-      chat = await getOrCreateChat(req.user._id, warden._id, parent.studentId, req.user.institutionId);
+      chat = await getOrCreateChat(req.user._id, warden._id, child.studentId, req.user.institutionId);
     } else {
-      const parent = await getParentProfile(req.user._id, req.user.institutionId);
-      if (!parent) {
-        return res.status(404).json({
-          success: false,
-          message: 'Parent profile not found',
-        });
-      }
+      const child = await resolveParentChild(req.user, studentId);
+      if (!child.studentId) return sendChildNotResolved(res, child);
 
       const existingChat = await Chat.findOne({
         parentId: req.user._id,
-        studentId: parent.studentId,
+        studentId: child.studentId,
         institutionId: req.user.institutionId,
       }).sort({ updatedAt: -1 });
 
@@ -398,7 +429,7 @@ export const sendMessage = async (req, res) => {
         });
       }
 
-      chat = await getOrCreateChat(req.user._id, warden._id, parent.studentId, req.user.institutionId);
+      chat = await getOrCreateChat(req.user._id, warden._id, child.studentId, req.user.institutionId);
     }
 
     if (!chat) {
@@ -408,26 +439,16 @@ export const sendMessage = async (req, res) => {
       });
     }
 
-    chat.messages = chat.messages || [];
-    chat.messages.push({
-      senderId: req.user._id,
-      text: text.trim(),
-    });
-    await chat.save();
-
-    // Reload and populate the message
-    await chat.populate('messages.senderId', 'name role');
-    const lastMsg = chat.messages[chat.messages.length - 1];
+    const appended = await appendMessage(chat, req.user._id, body);
+    if (!appended.lastMessage) {
+      return res.status(appended.status).json({
+        success: false,
+        message: appended.message,
+      });
+    }
+    const lastMsg = appended.lastMessage;
 
-    const messageData = {
-      id: lastMsg._id,
-      senderId: lastMsg.senderId._id,
-      senderName: lastMsg.senderId.name,
-      senderRole: lastMsg.senderId.role,
-      text: lastMsg.text,
-      createdAt: lastMsg.createdAt,
-      chatId: chat._id,
-    };
+    const messageData = { ...formatMessage(lastMsg, req), chatId: chat._id };
 
     // Emit socket event to warden for real-time update.
     try {
@@ -441,7 +462,7 @@ export const sendMessage = async (req, res) => {
         userId: chat.wardenId,
         type: 'chat',
         title: 'New Message from Parent',
-        message: `${messageData.senderName}: ${lastMsg.text}`,
+        message: `${messageData.senderName}: ${messagePreview(lastMsg)}`,
         referenceId: chat._id,
         socketEvent: 'notification:new',
         pushData: { type: 'chat', chatId: String(chat._id) },
@@ -476,34 +497,34 @@ export const getWardenChats = async (req, res) => {
       .populate('studentId.userId', 'name')
       .sort({ updatedAt: -1 });
 
-    const parentProfilesMap = await getParentProfilesMap(
-      chats.map((chat) => chat.parentId?._id || chat.parentId),
-      req.user.institutionId
-    );
-
-    const result = chats.map((c) => ({
-      id: c._id,
-      parent: c.parentId
-        ? {
-            id: c.parentId._id,
-            name: c.parentId.name,
-            email: c.parentId.email,
-            phone: parentProfilesMap.get(String(c.parentId._id || c.parentId))?.phone || null,
-            relationship: parentProfilesMap.get(String(c.parentId._id || c.parentId))?.relationship || 'Guardian',
-          }
-        : null,
-      student: c.studentId
-        ? {
-            id: c.studentId._id,
-            name: c.studentId.userId?.name,
-            room: c.studentId.room,
-          }
-        : null,
-      lastMessage: c.messages?.length
-        ? c.messages[c.messages.length - 1]
-        : null,
-      messageCount: c.messages?.length || 0,
-    }));
+    const parentProfilesMap = await getParentProfilesMap(chats, req.user.institutionId);
+
+    const result = chats.map((c) => {
+      const profile = parentProfilesMap.get(parentProfileKey(c.parentId?._id || c.parentId, c.studentId?._id || c.studentId));
+      return {
+        id: c._id,
+        parent: c.parentId
+          ? {
+              id: c.parentId._id,
+              name: c.parentId.name,
+              email: c.parentId.email,
+              phone: profile?.phone || null,
+              relationship: profile?.relationship || 'Guardian',
+            }
+          : null,
+        student: c.studentId
+          ? {
+              id: c.studentId._id,
+              name: c.studentId.userId?.name,
+              room: c.studentId.room,
+            }
+          : null,
+        lastMessage: c.messages?.length
+          ? c.messages[c.messages.length - 1]
+          : null,
+        messageCount: c.messages?.length || 0,
+      };
+    });
 
     res.status(200).json({
       success: true,
@@ -543,12 +564,13 @@ export const getWardenChatById = async (req, res) => {
 
     const parentProfile = await Parent.findOne({
       userId: chat.parentId?._id,
+      studentId: chat.studentId?._id,
       institutionId: req.user.institutionId,
     }).select('phone relationship');
 
     res.status(200).json({
       success: true,
-      data: formatWardenChat(chat, parentProfile),
+      data: formatWardenChat(chat, req, parentProfile),
     });
   } catch (error) {
     console.error('getWardenChatById error:', error);
@@ -566,13 +588,13 @@ export const getWardenChatById = async (req, res) => {
  */
 export const wardenSendMessage = async (req, res) => {
   try {
-    const { text } = req.body;
     const { chatId } = req.params;
 
-    if (!text || typeof text !== 'string' || !text.trim()) {
-      return res.status(400).json({
+    const body = await readMessageBody(req);
+    if (!body.attachments) {
+      return res.status(body.status).json({
         success: false,
-        message: 'Please provide message text',
+        message: body.message,
       });
     }
 
@@ -591,25 +613,16 @@ export const wardenSendMessage = async (req, res) => {
       });
     }
 
-    chat.messages = chat.messages || [];
-    chat.messages.push({
-      senderId: req.user._id,
-      text: text.trim(),
-    });
-    await chat.save();
-
-    await chat.populate('messages.senderId', 'name role');
-    const lastMsg = chat.messages[chat.messages.length - 1];
+    const appended = await appendMessage(chat, req.user._id, body);
+    if (!appended.lastMessage) {
+      return res.status(appended.status).json({
+        success: false,
+        message: appended.message,
+      });
+    }
+    const lastMsg = appended.lastMessage;
 
-    const messageData = {
-      id: lastMsg._id,
-      senderId: lastMsg.senderId._id,
-      senderName: lastMsg.senderId.name,
-      senderRole: lastMsg.senderId.role,
-      text: lastMsg.text,
-      createdAt: lastMsg.createdAt,
-      chatId: chat._id,
-    };
+    const messageData = { ...formatMessage(lastMsg, req), chatId: chat._id };
 
     // Emit socket event to parent for real-time update.
     try {
@@ -623,10 +636,10 @@ export const wardenSendMessage = async (req, res) => {
         userId: chat.parentId,
         type: 'chat',
         title: 'New Message from Warden',
-        message: `${messageData.senderName}: ${lastMsg.text}`,
+        message: `${messageData.senderName}: ${messagePreview(lastMsg)}`,
         referenceId: chat._id,
         socketEvent: 'notification:new',
-        pushData: { type: 'chat', chatId: String(chat._id) },
+        pushData: { type: 'chat', chatId: String(chat._id), studentId: String(chat.studentId) },
       });
     } catch (socketError) {
       console.error('Socket emit error:', socketError);
@@ -1,8 +1,102 @@
+import mongoose from 'mongoose';
 import Complaint from '../models/Complaint.model.js';
+import ComplaintComment from '../models/ComplaintComment.model.js';
 import Student from '../models/Student.model.js';
 import User from '../models/User.model.js';
 import { getIO } from '../utils/socket.js';
 import { notifyUser, notifyUsers } from '../services/notification.service.js';
+import { recordAudit, snapshot } from '../services/audit.service.js';
+import {
+  findCategoryAssignee,
+  findComplaintStaff,
+  getComplaintDueAt,
+  getComplaintWorkflow,
+  getReopenDeadline,
+  canRateComplaint,
+  markFirstResponse,
+} from '../services/complaint.service.js';
+import { findLinkableAttachments, linkAttachments, unlinkAttachments, formatAttachments } from '../services/attachment.service.js';
+import { COMPLAINT_CATEGORIES, COMPLAINT_PRIORITIES, OPEN_COMPLAINT_STATUSES } from '../config/complaints.js';
+
+const COMPLAINT_AUDIT_FIELDS = ['status', 'assignedTo', 'resolution', 'resolvedAt', 'dueAt', 'reopenCount'];
+
+/**
+ * Assignment, SLA and reopen details shared by every complaint response
+ */
+const workflowFields = (complaint, now = new Date()) => ({
+  assignedToId: complaint.assignedTo?._id || complaint.assignedTo || null,
+  dueAt: complaint.dueAt || null,
+  isOverdue: Boolean(
+    complaint.dueAt && OPEN_COMPLAINT_STATUSES.includes(complaint.status) && complaint.dueAt <= now
+  ),
+  escalatedAt: complaint.escalatedAt || null,
+  reopenCount: complaint.reopenCount || 0,
+  reopenedAt: complaint.reopenedAt || null,
+  reopenReason: complaint.reopenReason || null,
+});
+
+const satisfactionFields = (complaint) => ({
+  satisfaction: complaint.satisfaction?.rating
+    ? {
+        rating: complaint.satisfaction.rating,
+        comment: complaint.satisfaction.comment || null,
+        ratedAt: complaint.satisfaction.ratedAt,
+      }
+    : null,
+});
+
+const COMMENT_PREVIEW_LENGTH = 100;
+
+/**
+ * Complaint the user may see: any complaint for staff (routes check complaints:read),
+ * only their own for a student
+ */
+const findAccessibleComplaint = async (req, id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) return null;
+
+  const query = { _id: id, institutionId: req.user.institutionId };
+  if (req.user.role === 'student') {
+    const student = await Student.findOne({ userId: req.user._id, institutionId: req.user.institutionId }).select('_id');
+    if (!student) return null;
+    query.studentId = student._id;
+  }
+  return Complaint.findOne(query);
+};
+
+const formatPerson = (user) => (user ? { id: user._id, name: user.name } : null);
+
+const formatActivity = (entry) => ({
+  type: entry.type,
+  actor: formatPerson(entry.actorId),
+  fromStatus: entry.fromStatus || null,
+  toStatus: entry.toStatus || null,
+  assignee: formatPerson(entry.assigneeId),
+  note: entry.note || null,
+  at: entry.at,
+});
+
+const formatComment = (comment) => ({
+  id: comment._id,
+  text: comment.text,
+  internal: comment.internal,
+  author: comment.authorId
+    ? { id: comment.authorId._id, name: comment.authorId.name, role: comment.authorId.role }
+    : null,
+  replyTo: comment.replyTo || null,
+  createdAt: comment.createdAt,
+});
+
+// Top-level comments, oldest first, each with its replies
+const buildCommentThreads = (comments) => {
+  const threads = new Map();
+  for (const comment of comments) {
+    if (!comment.replyTo) threads.set(String(comment._id), { ...formatComment(comment), replies: [] });
+  }
+  for (const comment of comments) {
+    if (comment.replyTo) threads.get(String(comment.replyTo))?.replies.push(formatComment(comment));
+  }
+  return [...threads.values()];
+};
 
 /**
  * @desc    Create a new complaint
@@ -11,7 +105,7 @@ import { notifyUser, notifyUsers } from '../services/notification.service.js';
  */
 export const createComplaint = async (req, res) => {
   try {
-    const { title, description, category, priority = 'Medium' } = req.body;
+    const { title, description, category, priority = 'Medium', attachmentIds } = req.body;
 
     // Validate required fields
     if (!title || !description || !category) {
@@ -21,6 +115,20 @@ export const createComplaint = async (req, res) => {
       });
     }
 
+    if (!COMPLAINT_CATEGORIES.includes(category)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid category. Must be one of: ${COMPLAINT_CATEGORIES.join(', ')}`,
+      });
+    }
+
+    if (!COMPLAINT_PRIORITIES.includes(priority)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid priority. Must be one of: ${COMPLAINT_PRIORITIES.join(', ')}`,
+      });
+    }
+
     // Get student details
     const student = await Student.findOne({ userId: req.user._id, institutionId: req.user.institutionId });
     if (!student) {
@@ -30,8 +138,32 @@ export const createComplaint = async (req, res) => {
       });
     }
 
+    // Photos uploaded beforehand through POST /api/attachments
+    const linkable = await findLinkableAttachments(attachmentIds, req.user);
+    if (!linkable.attachments) {
+      return res.status(linkable.status).json({
+        success: false,
+        message: linkable.message,
+      });
+    }
+
+    // Route to the staff member responsible for this category and start the SLA clock
+    const workflow = await getComplaintWorkflow(req.user.institutionId);
+    const assignee = await findCategoryAssignee(req.user.institutionId, category, workflow);
+
+    // Claim the uploads first so a concurrent request cannot attach them too
+    const complaintId = new mongoose.Types.ObjectId();
+    const linked = await linkAttachments(linkable.attachments, 'Complaint', complaintId);
+    if (!linked.linked) {
+      return res.status(linked.status).json({
+        success: false,
+        message: linked.message,
+      });
+    }
+
     // Create complaint
     const complaint = await Complaint.create({
+      _id: complaintId,
       studentId: student._id,
       institutionId: req.user.institutionId,
       title: title.trim(),
@@ -39,6 +171,16 @@ export const createComplaint = async (req, res) => {
       category,
       priority,
       status: 'Pending',
+      assignedTo: assignee?._id,
+      dueAt: getComplaintDueAt(new Date(), priority, workflow),
+      attachments: linkable.attachments.map((attachment) => attachment._id),
+      activity: [
+        { type: 'created', actorId: req.user._id, toStatus: 'Pending' },
+        ...(assignee ? [{ type: 'assigned', assigneeId: assignee._id, note: `Routed by category (${category})` }] : []),
+      ],
+    }).catch(async (error) => {
+      await unlinkAttachments(linkable.attachments, complaintId);
+      throw error;
     });
 
     // Populate student details
@@ -51,15 +193,17 @@ export const createComplaint = async (req, res) => {
       },
     });
 
-    // NOTIFICATION: Notify all wardens about new complaint
+    // NOTIFICATION: Notify the assigned staff member, or all wardens when nobody is routed
     try {
-      const wardens = await User.find({ role: 'warden', institutionId: req.user.institutionId });
+      const wardens = assignee
+        ? [assignee]
+        : await User.find({ role: 'warden', institutionId: req.user.institutionId });
 
       await notifyUsers(wardens.map((warden) => ({
         institutionId: req.user.institutionId,
         userId: warden._id,
         type: 'complaint',
-        title: 'New Complaint Received',
+        title: assignee ? `New ${category} Complaint Assigned to You` : 'New Complaint Received',
         message: `${complaint.studentId.userId.name} raised a complaint: "${title.trim()}"`,
         referenceId: complaint._id,
         socketEvent: 'notification:new',
@@ -100,6 +244,9 @@ export const createComplaint = async (req, res) => {
           name: complaint.studentId.userId.name,
           room: complaint.studentId.room,
         },
+        assignedTo: assignee?.name || null,
+        ...workflowFields(complaint),
+        attachments: formatAttachments(linkable.attachments, req),
       },
     });
   } catch (error) {
@@ -113,12 +260,35 @@ export const createComplaint = async (req, res) => {
 
 /**
  * @desc    Get all complaints (for warden)
- * @route   GET /api/complaints
+ * @route   GET /api/complaints?status=&category=&assignedTo=me|unassigned|<userId>&overdue=true
  * @access  Private (Warden only)
  */
 export const getAllComplaints = async (req, res) => {
   try {
-    const complaints = await Complaint.find({ institutionId: req.user.institutionId })
+    const { status, category, assignedTo, overdue } = req.query;
+    const query = { institutionId: req.user.institutionId };
+
+    if (status) query.status = status;
+    if (category) query.category = category;
+    if (assignedTo === 'me') {
+      query.assignedTo = req.user._id;
+    } else if (assignedTo === 'unassigned') {
+      query.assignedTo = null;
+    } else if (assignedTo) {
+      if (!mongoose.Types.ObjectId.isValid(assignedTo)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid assignedTo',
+        });
+      }
+      query.assignedTo = assignedTo;
+    }
+    if (overdue === 'true') {
+      if (!status) query.status = { $in: OPEN_COMPLAINT_STATUSES };
+      query.dueAt = { $lte: new Date() };
+    }
+
+    const complaints = await Complaint.find(query)
       .populate({
         path: 'studentId',
         select: 'userId room',
@@ -128,6 +298,7 @@ export const getAllComplaints = async (req, res) => {
         },
       })
       .populate('assignedTo', 'name')
+      .populate('attachments')
       .sort({ createdAt: -1 });
 
     const formattedComplaints = complaints.map(complaint => {
@@ -152,6 +323,9 @@ export const getAllComplaints = async (req, res) => {
           room: studentRoom,
         },
         assignedTo: complaint.assignedTo ? complaint.assignedTo.name : null,
+        ...workflowFields(complaint),
+        ...satisfactionFields(complaint),
+        attachments: formatAttachments(complaint.attachments, req),
       };
     });
 
@@ -186,20 +360,33 @@ export const getMyComplaints = async (req, res) => {
 
     const complaints = await Complaint.find({ studentId: student._id, institutionId: req.user.institutionId })
       .populate('assignedTo', 'name')
+      .populate('attachments')
       .sort({ createdAt: -1 });
 
-    const formattedComplaints = complaints.map(complaint => ({
-      id: complaint._id,
-      title: complaint.title,
-      description: complaint.description,
-      category: complaint.category,
-      status: complaint.status,
-      priority: complaint.priority,
-      createdAt: complaint.createdAt,
-      resolvedAt: complaint.resolvedAt,
-      resolution: complaint.resolution,
-      assignedTo: complaint.assignedTo ? complaint.assignedTo.name : null,
-    }));
+    const workflow = await getComplaintWorkflow(req.user.institutionId);
+    const now = new Date();
+
+    const formattedComplaints = complaints.map(complaint => {
+      const reopenUntil = getReopenDeadline(complaint, workflow);
+      return {
+        id: complaint._id,
+        title: complaint.title,
+        description: complaint.description,
+        category: complaint.category,
+        status: complaint.status,
+        priority: complaint.priority,
+        createdAt: complaint.createdAt,
+        resolvedAt: complaint.resolvedAt,
+        resolution: complaint.resolution,
+        assignedTo: complaint.assignedTo ? complaint.assignedTo.name : null,
+        ...workflowFields(complaint, now),
+        ...satisfactionFields(complaint),
+        attachments: formatAttachments(complaint.attachments, req),
+        canReopen: Boolean(reopenUntil && reopenUntil > now),
+        reopenUntil,
+        canRate: canRateComplaint(complaint),
+      };
+    });
 
     res.status(200).json({
       success: true,
@@ -231,19 +418,43 @@ export const updateComplaintStatus = async (req, res) => {
       });
     }
 
-    const updateData = {
-      status,
-      assignedTo: req.user._id,
-    };
+    const previous = await Complaint.findOne({ _id: id, institutionId: req.user.institutionId })
+      .select(COMPLAINT_AUDIT_FIELDS.join(' '));
+
+    if (!previous) {
+      return res.status(404).json({
+        success: false,
+        message: 'Complaint not found',
+      });
+    }
+
+    const updateData = { status };
+    const activity = [];
+
+    // Keep the routed assignee; an unassigned complaint goes to whoever picks it up
+    if (!previous.assignedTo) {
+      updateData.assignedTo = req.user._id;
+      activity.push({ type: 'assigned', actorId: req.user._id, assigneeId: req.user._id });
+    }
 
     if (status === 'Resolved') {
       updateData.resolvedAt = new Date();
       updateData.resolution = resolution;
     }
 
+    if (previous.status !== status) {
+      activity.push({
+        type: 'status_changed',
+        actorId: req.user._id,
+        fromStatus: previous.status,
+        toStatus: status,
+        note: status === 'Resolved' ? resolution : undefined,
+      });
+    }
+
     const complaint = await Complaint.findOneAndUpdate(
       { _id: id, institutionId: req.user.institutionId },
-      updateData,
+      { $set: updateData, $push: { activity: { $each: activity } } },
       { new: true }
     )
       .populate({
@@ -263,6 +474,16 @@ export const updateComplaintStatus = async (req, res) => {
       });
     }
 
+    await recordAudit(req, {
+      action: 'complaint.status_change',
+      targetType: 'Complaint',
+      targetId: complaint._id,
+      targetLabel: complaint.title,
+      before: snapshot(previous, COMPLAINT_AUDIT_FIELDS),
+      after: snapshot(complaint, COMPLAINT_AUDIT_FIELDS),
+    });
+    await markFirstResponse(complaint._id);
+
     // Notify the student via socket that their complaint status changed
     try {
       const io = getIO();
@@ -315,6 +536,7 @@ export const updateComplaintStatus = async (req, res) => {
           room: complaint.studentId?.room || 'N/A',
         },
         assignedTo: complaint.assignedTo?.name || null,
+        ...workflowFields(complaint),
       },
     });
   } catch (error) {
@@ -324,4 +546,516 @@ export const updateComplaintStatus = async (req, res) => {
       message: 'Server error while updating complaint',
     });
   }
-};
\ No newline at end of file
+};
+
+/**
+ * @desc    Assign a complaint to a staff member
+ * @route   PUT /api/complaints/:id/assign
+ * @access  Private (Staff with complaints:write)
+ */
+export const assignComplaint = async (req, res) => {
+  try {
+    const { assignedTo } = req.body;
+
+    if (!assignedTo || !mongoose.Types.ObjectId.isValid(assignedTo)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a valid assignedTo staff ID',
+      });
+    }
+
+    const assignee = await findComplaintStaff(assignedTo, req.user.institutionId);
+    if (!assignee) {
+      return res.status(400).json({
+        success: false,
+        message: 'Complaints can only be assigned to staff who can work on them',
+      });
+    }
+
+    const previous = await Complaint.findOne({ _id: req.params.id, institutionId: req.user.institutionId })
+      .select(COMPLAINT_AUDIT_FIELDS.join(' '));
+    if (!previous) {
+      return res.status(404).json({
+        success: false,
+        message: 'Complaint not found',
+      });
+    }
+
+    const complaint = await Complaint.findOneAndUpdate(
+      { _id: req.params.id, institutionId: req.user.institutionId },
+      {
+        $set: { assignedTo: assignee._id },
+        $push: { activity: { type: 'assigned', actorId: req.user._id, assigneeId: assignee._id } },
+      },
+      { new: true }
+    );
+
+    await recordAudit(req, {
+      action: 'complaint.assign',
+      targetType: 'Complaint',
+      targetId: complaint._id,
+      targetLabel: complaint.title,
+      before: snapshot(previous, COMPLAINT_AUDIT_FIELDS),
+      after: snapshot(complaint, COMPLAINT_AUDIT_FIELDS),
+    });
+
+    if (String(assignee._id) !== String(req.user._id)) {
+      try {
+        await notifyUser({
+          institutionId: req.user.institutionId,
+          userId: assignee._id,
+          type: 'complaint',
+          title: 'Complaint Assigned to You',
+          message: `${req.user.name} assigned you the ${complaint.priority.toLowerCase()} priority complaint "${complaint.title}".`,
+          referenceId: complaint._id,
+          socketEvent: 'notification:new',
+          pushData: { type: 'complaint', complaintId: String(complaint._id) },
+        });
+      } catch (notifError) {
+        console.error('Notification error (complaint assign):', notifError);
+      }
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `Complaint assigned to ${assignee.name}`,
+      complaint: {
+        id: complaint._id,
+        title: complaint.title,
+        status: complaint.status,
+        priority: complaint.priority,
+        assignedTo: assignee.name,
+        ...workflowFields(complaint),
+      },
+    });
+  } catch (error) {
+    console.error('Assign complaint error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while assigning complaint',
+    });
+  }
+};
+
+/**
+ * @desc    Reopen a resolved complaint when the fix did not hold.
+ *          Allowed within the institution's reopen window after resolution.
+ * @route   PUT /api/complaints/:id/reopen
+ * @access  Private (Student only)
+ */
+export const reopenComplaint = async (req, res) => {
+  try {
+    const reason = String(req.body.reason || '').trim();
+    if (!reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please tell us why the complaint is being reopened',
+      });
+    }
+
+    const student = await Student.findOne({ userId: req.user._id, institutionId: req.user.institutionId });
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student profile not found',
+      });
+    }
+
+    const previous = await Complaint.findOne({
+      _id: req.params.id,
+      studentId: student._id,
+      institutionId: req.user.institutionId,
+    });
+    if (!previous) {
+      return res.status(404).json({
+        success: false,
+        message: 'Complaint not found',
+      });
+    }
+
+    const workflow = await getComplaintWorkflow(req.user.institutionId);
+    const reopenUntil = getReopenDeadline(previous, workflow);
+    const now = new Date();
+    if (!reopenUntil) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only resolved complaints can be reopened',
+      });
+    }
+    if (reopenUntil <= now) {
+      return res.status(400).json({
+        success: false,
+        message: `Complaints can only be reopened within ${workflow.reopenWindowDays} days of being resolved. Please raise a new complaint.`,
+      });
+    }
+
+    // Conditional on Resolved so a double tap reopens once
+    const complaint = await Complaint.findOneAndUpdate(
+      { _id: previous._id, status: 'Resolved' },
+      {
+        $set: {
+          status: 'Reopened',
+          reopenedAt: now,
+          reopenReason: reason,
+          dueAt: getComplaintDueAt(now, previous.priority, workflow),
+          escalatedAt: null,
+        },
+        $unset: { resolvedAt: 1 },
+        $inc: { reopenCount: 1 },
+        $push: {
+          activity: { type: 'reopened', actorId: req.user._id, fromStatus: 'Resolved', toStatus: 'Reopened', note: reason },
+        },
+      },
+      { new: true }
+    ).populate('assignedTo', 'name');
+    if (!complaint) {
+      return res.status(409).json({
+        success: false,
+        message: 'Complaint was already reopened',
+      });
+    }
+
+    await recordAudit(req, {
+      action: 'complaint.reopen',
+      targetType: 'Complaint',
+      targetId: complaint._id,
+      targetLabel: complaint.title,
+      before: snapshot(previous, COMPLAINT_AUDIT_FIELDS),
+      after: snapshot(complaint, COMPLAINT_AUDIT_FIELDS),
+      metadata: { reason },
+    });
+
+    // Back to the assignee, or every warden if nobody owns it
+    try {
+      const recipients = complaint.assignedTo
+        ? [complaint.assignedTo]
+        : await User.find({ role: 'warden', institutionId: req.user.institutionId });
+
+      await notifyUsers(recipients.map((recipient) => ({
+        institutionId: req.user.institutionId,
+        userId: recipient._id,
+        type: 'complaint',
+        title: 'Complaint Reopened',
+        message: `${req.user.name} reopened "${complaint.title}": ${reason}`,
+        referenceId: complaint._id,
+        socketEvent: 'notification:new',
+        pushData: { type: 'complaint', complaintId: String(complaint._id), status: complaint.status },
+      })));
+    } catch (notifError) {
+      console.error('Notification error (complaint reopen):', notifError);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Complaint reopened',
+      complaint: {
+        id: complaint._id,
+        title: complaint.title,
+        description: complaint.description,
+        category: complaint.category,
+        status: complaint.status,
+        priority: complaint.priority,
+        createdAt: complaint.createdAt,
+        resolution: complaint.resolution,
+        assignedTo: complaint.assignedTo?.name || null,
+        ...workflowFields(complaint, now),
+      },
+    });
+  } catch (error) {
+    console.error('Reopen complaint error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while reopening complaint',
+    });
+  }
+};
+
+/**
+ * @desc    Complaint details with its activity timeline and comment threads.
+ *          Students do not see internal staff notes.
+ * @route   GET /api/complaints/:id
+ * @access  Private (Student who raised it, or staff with complaints:read)
+ */
+export const getComplaint = async (req, res) => {
+  try {
+    const complaint = await findAccessibleComplaint(req, req.params.id);
+    if (!complaint) {
+      return res.status(404).json({
+        success: false,
+        message: 'Complaint not found',
+      });
+    }
+
+    const isStudent = req.user.role === 'student';
+    await complaint.populate([
+      { path: 'studentId', select: 'userId room', populate: { path: 'userId', select: 'name' } },
+      { path: 'assignedTo', select: 'name' },
+      { path: 'attachments' },
+      { path: 'activity.actorId', select: 'name' },
+      { path: 'activity.assigneeId', select: 'name' },
+    ]);
+
+    const comments = await ComplaintComment.find({
+      complaintId: complaint._id,
+      ...(isStudent ? { internal: false } : {}),
+    })
+      .populate('authorId', 'name role')
+      .sort({ createdAt: 1 });
+
+    const now = new Date();
+    const reopenUntil = isStudent ? getReopenDeadline(complaint, await getComplaintWorkflow(req.user.institutionId)) : null;
+
+    res.status(200).json({
+      success: true,
+      complaint: {
+        id: complaint._id,
+        title: complaint.title,
+        description: complaint.description,
+        category: complaint.category,
+        status: complaint.status,
+        priority: complaint.priority,
+        createdAt: complaint.createdAt,
+        resolvedAt: complaint.resolvedAt,
+        resolution: complaint.resolution,
+        student: {
+          name: complaint.studentId?.userId?.name || 'Unknown',
+          room: complaint.studentId?.room || 'N/A',
+        },
+        assignedTo: complaint.assignedTo?.name || null,
+        ...workflowFields(complaint, now),
+        ...satisfactionFields(complaint),
+        ...(isStudent
+          ? { canReopen: Boolean(reopenUntil && reopenUntil > now), reopenUntil, canRate: canRateComplaint(complaint) }
+          : {}),
+        attachments: formatAttachments(complaint.attachments, req),
+        timeline: (complaint.activity || []).map(formatActivity),
+        comments: buildCommentThreads(comments),
+      },
+    });
+  } catch (error) {
+    console.error('Get complaint error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching complaint',
+    });
+  }
+};
+
+/**
+ * @desc    Comment on a complaint, or reply to a comment with replyTo.
+ *          Staff can mark a comment internal to keep it from the student.
+ * @route   POST /api/complaints/:id/comments
+ * @access  Private (Student who raised it, or staff with complaints:write)
+ */
+export const addComplaintComment = async (req, res) => {
+  try {
+    const text = typeof req.body.text === 'string' ? req.body.text.trim() : '';
+    const isStudent = req.user.role === 'student';
+    let internal = req.body.internal === true;
+
+    if (!text) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide comment text',
+      });
+    }
+    if (text.length > 2000) {
+      return res.status(400).json({
+        success: false,
+        message: 'Comments can be at most 2000 characters',
+      });
+    }
+    if (internal && isStudent) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only staff can add internal notes',
+      });
+    }
+
+    const complaint = await findAccessibleComplaint(req, req.params.id);
+    if (!complaint) {
+      return res.status(404).json({
+        success: false,
+        message: 'Complaint not found',
+      });
+    }
+
+    // Replies join the thread of the comment they answer
+    let threadId;
+    if (req.body.replyTo) {
+      const parent = mongoose.Types.ObjectId.isValid(req.body.replyTo)
+        ? await ComplaintComment.findOne({ _id: req.body.replyTo, complaintId: complaint._id })
+        : null;
+      if (!parent || (isStudent && parent.internal)) {
+        return res.status(404).json({
+          success: false,
+          message: 'Comment to reply to not found',
+        });
+      }
+      if (parent.internal && req.body.internal === false) {
+        return res.status(400).json({
+          success: false,
+          message: 'Replies to an internal note are internal too',
+        });
+      }
+      internal = internal || parent.internal;
+      threadId = parent.replyTo || parent._id;
+    }
+
+    const comment = await ComplaintComment.create({
+      complaintId: complaint._id,
+      institutionId: req.user.institutionId,
+      authorId: req.user._id,
+      text,
+      internal,
+      replyTo: threadId,
+    });
+    await comment.populate('authorId', 'name role');
+    if (!isStudent && !internal) {
+      await markFirstResponse(complaint._id);
+    }
+
+    // Notify everyone else on the complaint: the assignee, staff who joined the
+    // discussion and, unless the note is internal, the student
+    try {
+      const student = await Student.findById(complaint.studentId).select('userId');
+      const studentUserId = student?.userId ? String(student.userId) : null;
+      const commenters = await ComplaintComment.distinct('authorId', { complaintId: complaint._id });
+
+      const recipients = new Set([complaint.assignedTo, ...commenters].filter(Boolean).map(String));
+      recipients.delete(studentUserId);
+      if (recipients.size === 0 && isStudent) {
+        // Nobody owns it yet, so every warden hears about it as with a new complaint
+        const wardens = await User.find({ role: 'warden', institutionId: req.user.institutionId }).select('_id');
+        wardens.forEach((warden) => recipients.add(String(warden._id)));
+      }
+      if (!internal && studentUserId) recipients.add(studentUserId);
+      recipients.delete(String(req.user._id));
+
+      const preview = text.length > COMMENT_PREVIEW_LENGTH ? `${text.slice(0, COMMENT_PREVIEW_LENGTH)}…` : text;
+      await notifyUsers([...recipients].map((userId) => ({
+        institutionId: req.user.institutionId,
+        userId,
+        type: 'complaint',
+        title: internal ? 'Internal Note on Complaint' : 'New Comment on Complaint',
+        message: `${req.user.name} on "${complaint.title}": ${preview}`,
+        referenceId: complaint._id,
+        socketEvent: 'notification:new',
+        pushData: { type: 'complaint', complaintId: String(complaint._id), commentId: String(comment._id) },
+      })));
+    } catch (notifError) {
+      console.error('Notification error (complaint comment):', notifError);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: internal ? 'Internal note added' : 'Comment added',
+      comment: formatComment(comment),
+    });
+  } catch (error) {
+    console.error('Add complaint comment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while adding comment',
+    });
+  }
+};
+
+/**
+ * @desc    Rate how a resolved complaint was handled (1-5, optional comment).
+ *          Each resolution can be rated once; a complaint resolved again after
+ *          being reopened can be rated again.
+ * @route   PUT /api/complaints/:id/rating
+ * @access  Private (Student only)
+ */
+export const rateComplaint = async (req, res) => {
+  try {
+    const rating = Number(req.body.rating);
+    const comment = typeof req.body.comment === 'string' ? req.body.comment.trim() : '';
+
+    if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+      return res.status(400).json({
+        success: false,
+        message: 'Rating must be a whole number between 1 and 5',
+      });
+    }
+    if (comment.length > 1000) {
+      return res.status(400).json({
+        success: false,
+        message: 'Comment can be at most 1000 characters',
+      });
+    }
+
+    const previous = await findAccessibleComplaint(req, req.params.id);
+    if (!previous) {
+      return res.status(404).json({
+        success: false,
+        message: 'Complaint not found',
+      });
+    }
+    if (!canRateComplaint(previous)) {
+      return res.status(400).json({
+        success: false,
+        message: previous.status === 'Resolved'
+          ? 'You have already rated this resolution'
+          : 'Only resolved complaints can be rated',
+      });
+    }
+
+    const now = new Date();
+    // Conditional on the rating we checked so a double tap rates once
+    const complaint = await Complaint.findOneAndUpdate(
+      {
+        _id: previous._id,
+        status: 'Resolved',
+        'satisfaction.ratedAt': previous.satisfaction?.ratedAt || null,
+      },
+      {
+        $set: { satisfaction: { rating, comment: comment || undefined, ratedAt: now } },
+        $push: { activity: { type: 'rated', actorId: req.user._id, note: `${rating}/5`, at: now } },
+      },
+      { new: true }
+    );
+    if (!complaint) {
+      return res.status(409).json({
+        success: false,
+        message: 'Complaint was already rated',
+      });
+    }
+
+    if (complaint.assignedTo) {
+      try {
+        await notifyUser({
+          institutionId: req.user.institutionId,
+          userId: complaint.assignedTo,
+          type: 'complaint',
+          title: 'Complaint Rated',
+          message: `${req.user.name} rated the resolution of "${complaint.title}" ${rating}/5${comment ? `: ${comment}` : ''}`,
+          referenceId: complaint._id,
+          socketEvent: 'notification:new',
+          pushData: { type: 'complaint', complaintId: String(complaint._id), rating },
+        });
+      } catch (notifError) {
+        console.error('Notification error (complaint rating):', notifError);
+      }
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Thank you for your feedback',
+      complaint: {
+        id: complaint._id,
+        title: complaint.title,
+        status: complaint.status,
+        ...satisfactionFields(complaint),
+        canRate: false,
+      },
+    });
+  } catch (error) {
+    console.error('Rate complaint error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while rating complaint',
+    });
+  }
+};
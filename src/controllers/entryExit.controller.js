@@ -1,6 +1,47 @@
 import EntryExit from '../models/EntryExit.model.js';
 import Student from '../models/Student.model.js';
+import Leave from '../models/Leave.model.js';
 import mongoose from 'mongoose';
+import { getDayBounds, getLeaveReturnDeadline } from '../utils/leaveWindow.js';
+import { issueGatePass, verifyGatePass, redeemGatePass } from '../utils/gatePass.js';
+import { getInstitutionTimezone } from '../services/notificationPreference.service.js';
+
+const LEAVE_FIELDS = 'type reason outDate inDate outTime inTime status actualOutTime actualInTime';
+
+/**
+ * Find the approved leave a student is going out on.
+ * Matches a leave whose out/in dates cover the exit day and that has not been closed yet.
+ */
+const findLeaveForExit = async (studentId, institutionId, at) => {
+  const { start, end } = getDayBounds(at, await getInstitutionTimezone(institutionId));
+  return Leave.findOne({
+    studentId,
+    institutionId,
+    status: 'Approved',
+    outDate: { $lte: end },
+    inDate: { $gte: start },
+    actualInTime: null,
+  }).sort({ outDate: 1 });
+};
+
+/**
+ * Find the approved leave a student is returning from.
+ * Prefers the leave recorded on the exit log, then any leave still open.
+ */
+const findLeaveForEntry = async (studentId, institutionId, lastLog) => {
+  if (lastLog?.leaveId) {
+    const linkedLeave = await Leave.findOne({ _id: lastLog.leaveId, institutionId, actualInTime: null });
+    if (linkedLeave) return linkedLeave;
+  }
+
+  return Leave.findOne({
+    studentId,
+    institutionId,
+    status: 'Approved',
+    actualOutTime: { $ne: null },
+    actualInTime: null,
+  }).sort({ actualOutTime: -1 });
+};
 
 /**
  * @desc    Mark entry
@@ -9,10 +50,11 @@ import mongoose from 'mongoose';
  */
 export const markEntry = async (req, res) => {
   try {
-    const { studentId, method = 'Manual' } = req.body;
+    const { studentId, passToken, method = 'Manual' } = req.body;
 
     // If student, use their own studentId
     let targetStudentId;
+    let gatePass = null;
     if (req.user.role === 'student') {
       const student = await Student.findOne({ userId: req.user._id, institutionId: req.user.institutionId });
       if (!student) {
@@ -22,6 +64,25 @@ export const markEntry = async (req, res) => {
         });
       }
       targetStudentId = student._id;
+    } else if (method === 'QR' || passToken) {
+      // QR scans must carry a signed, unexpired, unused gate pass
+      const { pass, error } = await verifyGatePass(passToken, req.user.institutionId);
+      if (error) {
+        return res.status(401).json({
+          success: false,
+          message: error,
+        });
+      }
+
+      const student = await Student.findOne({ _id: pass.studentId, institutionId: req.user.institutionId });
+      if (!student) {
+        return res.status(404).json({
+          success: false,
+          message: 'Student not found',
+        });
+      }
+      targetStudentId = student._id;
+      gatePass = pass;
     } else {
       // Warden can mark entry for any student
       if (!studentId) {
@@ -31,7 +92,7 @@ export const markEntry = async (req, res) => {
         });
       }
 
-      // Accept either Mongo ObjectId or rollNumber (for QR scans)
+      // Accept either Mongo ObjectId or rollNumber (manual lookup)
       const isObjectId = mongoose.Types.ObjectId.isValid(studentId);
       const student = isObjectId
         ? await Student.findOne({ _id: studentId, institutionId: req.user.institutionId })
@@ -57,13 +118,34 @@ export const markEntry = async (req, res) => {
       });
     }
 
+    // Consume the QR pass only once the scan has been accepted
+    if (gatePass) {
+      const { error: redeemError } = await redeemGatePass(gatePass, req.user._id);
+      if (redeemError) {
+        return res.status(409).json({
+          success: false,
+          message: redeemError,
+        });
+      }
+    }
+
+    const inTime = new Date();
+
+    // Close the approved leave the student is returning from, if any
+    const leave = await findLeaveForEntry(targetStudentId, req.user.institutionId, lastLog);
+    if (leave) {
+      leave.actualInTime = inTime;
+      await leave.save();
+    }
+
     // Create entry log
     const entryLog = await EntryExit.create({
       studentId: targetStudentId,
       institutionId: req.user.institutionId,
-      inTime: new Date(),
+      inTime,
       status: 'IN',
       method,
+      leaveId: leave?._id,
     });
 
     const populatedLog = await EntryExit.findById(entryLog._id)
@@ -71,12 +153,16 @@ export const markEntry = async (req, res) => {
         path: 'studentId',
         select: 'rollNumber class section',
         populate: { path: 'userId', select: 'name email' },
-      });
+      })
+      .populate('leaveId', LEAVE_FIELDS);
+
+    const returnDeadline = leave && getLeaveReturnDeadline(leave, await getInstitutionTimezone(req.user.institutionId));
 
     res.status(201).json({
       success: true,
       message: 'Entry marked successfully',
       data: populatedLog,
+      lateReturn: Boolean(returnDeadline && inTime > returnDeadline),
     });
   } catch (error) {
     res.status(500).json({
@@ -93,10 +179,11 @@ export const markEntry = async (req, res) => {
  */
 export const markExit = async (req, res) => {
   try {
-    const { studentId, method = 'Manual' } = req.body;
+    const { studentId, passToken, method = 'Manual' } = req.body;
 
     // If student, use their own studentId
     let targetStudentId;
+    let gatePass = null;
     if (req.user.role === 'student') {
       const student = await Student.findOne({ userId: req.user._id, institutionId: req.user.institutionId });
       if (!student) {
@@ -106,6 +193,25 @@ export const markExit = async (req, res) => {
         });
       }
       targetStudentId = student._id;
+    } else if (method === 'QR' || passToken) {
+      // QR scans must carry a signed, unexpired, unused gate pass
+      const { pass, error } = await verifyGatePass(passToken, req.user.institutionId);
+      if (error) {
+        return res.status(401).json({
+          success: false,
+          message: error,
+        });
+      }
+
+      const student = await Student.findOne({ _id: pass.studentId, institutionId: req.user.institutionId });
+      if (!student) {
+        return res.status(404).json({
+          success: false,
+          message: 'Student not found',
+        });
+      }
+      targetStudentId = student._id;
+      gatePass = pass;
     } else {
       // Warden can mark exit for any student
       if (!studentId) {
@@ -115,7 +221,7 @@ export const markExit = async (req, res) => {
         });
       }
 
-      // Accept either Mongo ObjectId or rollNumber (for QR scans)
+      // Accept either Mongo ObjectId or rollNumber (manual lookup)
       const isObjectId = mongoose.Types.ObjectId.isValid(studentId);
       const student = isObjectId
         ? await Student.findOne({ _id: studentId, institutionId: req.user.institutionId })
@@ -141,10 +247,31 @@ export const markExit = async (req, res) => {
       });
     }
 
+    // Consume the QR pass only once the scan has been accepted
+    if (gatePass) {
+      const { error: redeemError } = await redeemGatePass(gatePass, req.user._id);
+      if (redeemError) {
+        return res.status(409).json({
+          success: false,
+          message: redeemError,
+        });
+      }
+    }
+
+    const outTime = new Date();
+
+    // Stamp the approved leave covering today, if any
+    const leave = await findLeaveForExit(targetStudentId, req.user.institutionId, outTime);
+    if (leave && !leave.actualOutTime) {
+      leave.actualOutTime = outTime;
+      await leave.save();
+    }
+
     // Update the last entry log with exit time
-    lastLog.outTime = new Date();
+    lastLog.outTime = outTime;
     lastLog.status = 'OUT';
     lastLog.method = method;
+    lastLog.leaveId = leave?._id;
     await lastLog.save();
 
     const populatedLog = await EntryExit.findById(lastLog._id)
@@ -152,12 +279,14 @@ export const markExit = async (req, res) => {
         path: 'studentId',
         select: 'rollNumber class section',
         populate: { path: 'userId', select: 'name email' },
-      });
+      })
+      .populate('leaveId', LEAVE_FIELDS);
 
     res.status(200).json({
       success: true,
-      message: 'Exit marked successfully',
+      message: leave ? 'Exit marked successfully' : 'Exit marked without an approved leave',
       data: populatedLog,
+      withoutLeave: !leave,
     });
   } catch (error) {
     res.status(500).json({
@@ -204,6 +333,7 @@ export const getAllLogs = async (req, res) => {
         select: 'rollNumber class section',
         populate: { path: 'userId', select: 'name email' },
       })
+      .populate('leaveId', LEAVE_FIELDS)
       .sort({ createdAt: -1 });
 
     res.status(200).json({
@@ -250,3 +380,120 @@ export const getMyLogs = async (req, res) => {
     });
   }
 };
+
+/**
+ * @desc    Get students currently outside, flagging exits without an approved
+ *          leave and students overdue to return
+ * @route   GET /api/entry-exit/outside?filter=overdue|withoutLeave
+ * @access  Private (Warden only)
+ */
+export const getStudentsOutside = async (req, res) => {
+  try {
+    const { filter } = req.query;
+
+    // Latest log per student tells us who is currently out
+    const latestLogs = await EntryExit.aggregate([
+      { $match: { institutionId: req.user.institutionId } },
+      { $sort: { createdAt: -1 } },
+      { $group: { _id: '$studentId', logId: { $first: '$_id' }, status: { $first: '$status' } } },
+      { $match: { status: 'OUT' } },
+    ]);
+
+    const logs = await EntryExit.find({
+      _id: { $in: latestLogs.map((log) => log.logId) },
+      institutionId: req.user.institutionId,
+    })
+      .populate({
+        path: 'studentId',
+        select: 'rollNumber class section room',
+        populate: { path: 'userId', select: 'name email' },
+      })
+      .populate('leaveId', LEAVE_FIELDS)
+      .sort({ outTime: 1 });
+
+    const now = new Date();
+    const timeZone = await getInstitutionTimezone(req.user.institutionId);
+    const outside = logs.map((log) => {
+      const leave = log.leaveId;
+      const expectedReturnAt = getLeaveReturnDeadline(leave, timeZone);
+      const overdue = Boolean(expectedReturnAt && expectedReturnAt < now);
+
+      return {
+        logId: log._id,
+        student: {
+          id: log.studentId?._id,
+          name: log.studentId?.userId?.name || 'Unknown',
+          rollNumber: log.studentId?.rollNumber || 'N/A',
+          room: log.studentId?.room || 'N/A',
+        },
+        outTime: log.outTime,
+        withoutLeave: !leave,
+        overdue,
+        expectedReturnAt,
+        overdueMinutes: overdue ? Math.floor((now - expectedReturnAt) / 60000) : 0,
+        leave: leave
+          ? {
+              id: leave._id,
+              type: leave.type,
+              outDate: leave.outDate,
+              inDate: leave.inDate,
+              inTime: leave.inTime,
+            }
+          : null,
+      };
+    });
+
+    let data = outside;
+    if (filter === 'overdue') data = outside.filter((item) => item.overdue);
+    if (filter === 'withoutLeave') data = outside.filter((item) => item.withoutLeave);
+
+    res.status(200).json({
+      success: true,
+      count: data.length,
+      summary: {
+        outside: outside.length,
+        withoutLeave: outside.filter((item) => item.withoutLeave).length,
+        overdue: outside.filter((item) => item.overdue).length,
+      },
+      data,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
+
+/**
+ * @desc    Get a short-lived signed gate pass to render as a QR code
+ * @route   GET /api/entry-exit/my-pass
+ * @access  Private (Student only)
+ */
+export const getMyGatePass = async (req, res) => {
+  try {
+    const student = await Student.findOne({ userId: req.user._id, institutionId: req.user.institutionId });
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student profile not found',
+      });
+    }
+
+    const { token, expiresAt, ttlSeconds } = issueGatePass(student);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        token,
+        expiresAt,
+        ttlSeconds,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
@@ -1,8 +1,100 @@
+import mongoose from 'mongoose';
 import Fee from '../models/Fee.model.js';
 import Student from '../models/Student.model.js';
+import Parent from '../models/Parent.model.js';
+import Payment from '../models/Payment.model.js';
+import { recordAudit, snapshot } from '../services/audit.service.js';
+import { buildStudentLedger } from '../services/feeLedger.service.js';
+import { completeVerifiedPayment } from '../services/payment.service.js';
+import {
+  assignInvoiceNumber,
+  buildFeeStatement,
+  buildInvoice,
+  getBillingProfile,
+  resolveStatementPeriod,
+} from '../services/invoice.service.js';
+import { buildFeeStatementPdfBuffer, buildInvoicePdfBuffer } from '../utils/receiptPdf.js';
+import { sendFeeStatementEmail } from '../utils/emailService.js';
+import { getParentStudentIds, resolveParentChild } from '../services/parent.service.js';
+
+const FEE_AUDIT_FIELDS = ['amount', 'amountPaid', 'status', 'term', 'dueDate', 'receiptNumber', 'paidAt', 'paidBy', 'paidByUserId'];
+const OFFLINE_PAYMENT_METHODS = ['Cash', 'Cheque', 'UPI', 'Card', 'Netbanking'];
+const STATEMENT_RECIPIENTS = ['student', 'parent'];
+
+// Fee saves fail on a concurrent change (a payment landing meanwhile) instead of overwriting it
+const sendFeeConflict = (res) =>
+  res.status(409).json({
+    success: false,
+    message: 'This fee was just updated by someone else. Reload it and try again.',
+  });
+
+/**
+ * The student whose fees are being viewed: the student themself, the parent's child
+ * (chosen with ?studentId= when several are linked), or ?studentId= for staff.
+ * Returns { student } or { status, message }.
+ */
+const resolveFeeStudent = async (req, studentId) => {
+  let student = null;
+
+  if (req.user.role === 'student') {
+    student = await Student.findOne({ userId: req.user._id, institutionId: req.user.institutionId });
+  } else if (req.user.role === 'parent') {
+    const child = await resolveParentChild(req.user, studentId);
+    if (!child.studentId) return { status: child.status, message: child.message };
+    student = await Student.findOne({ _id: child.studentId, institutionId: req.user.institutionId });
+  } else {
+    if (!studentId || !mongoose.Types.ObjectId.isValid(studentId)) {
+      return { status: 400, message: 'Please provide a valid studentId' };
+    }
+    student = await Student.findOne({ _id: studentId, institutionId: req.user.institutionId });
+  }
+
+  if (!student) {
+    return { status: 404, message: 'Student profile not found' };
+  }
+
+  await student.populate('userId', 'name email');
+  return { student };
+};
+
+/**
+ * Statement for the requested period, with everything the PDF and email need
+ */
+const prepareStatement = async (req, student, params) => {
+  const billing = await getBillingProfile(req.user.institutionId);
+  const period = resolveStatementPeriod(params, billing.financialYearStartMonth, billing.timezone);
+  if (period.error) return { error: period.error };
+
+  const statement = await buildFeeStatement({
+    studentId: student._id,
+    institutionId: req.user.institutionId,
+    from: period.from,
+    to: period.to,
+    billing,
+  });
+
+  return {
+    billing,
+    period,
+    statement,
+    pdfData: {
+      institution: billing,
+      student: {
+        name: student.userId?.name || 'Student',
+        email: student.userId?.email || '',
+        rollNumber: student.rollNumber,
+      },
+      periodLabel: period.label,
+      from: period.from,
+      to: period.to,
+      ...statement,
+    },
+    fileName: `Statement-${student.rollNumber || student._id}-${period.label.replace(/[^A-Za-z0-9-]+/g, '_')}.pdf`,
+  };
+};
 
 /**
- * @desc    Get all fees (warden) or own fees (student)
+ * @desc    Get all fees (warden), own fees (student) or a linked child's fees (parent)
  * @route   GET /api/fees
  * @access  Private
  */
@@ -41,12 +133,12 @@ export const getFees = async (req, res) => {
         data: fees,
       });
     } else {
-      // Student can only see own fees
-      const student = await Student.findOne({ userId: req.user._id, institutionId: req.user.institutionId });
+      // Students see their own fees, parents a linked child's (?studentId= with several)
+      const { student, status, message } = await resolveFeeStudent(req, req.query.studentId);
       if (!student) {
-        return res.status(404).json({
+        return res.status(status).json({
           success: false,
-          message: 'Student profile not found',
+          message,
         });
       }
 
@@ -74,7 +166,23 @@ export const getFees = async (req, res) => {
  */
 export const getFeeById = async (req, res) => {
   try {
-    const fee = await Fee.findOne({ _id: req.params.id, institutionId: req.user.institutionId })
+    // Students only reach their own fees, parents their linked children's
+    const query = { _id: req.params.id, institutionId: req.user.institutionId };
+    if (req.user.role === 'student') {
+      const { student, status, message } = await resolveFeeStudent(req);
+      if (!student) {
+        return res.status(status).json({
+          success: false,
+          message,
+        });
+      }
+      query.studentId = student._id;
+    }
+    if (req.user.role === 'parent') {
+      query.studentId = { $in: await getParentStudentIds(req.user._id, req.user.institutionId) };
+    }
+
+    const fee = await Fee.findOne(query)
       .populate({
         path: 'studentId',
         select: 'rollNumber class section',
@@ -88,17 +196,6 @@ export const getFeeById = async (req, res) => {
       });
     }
 
-    // Check if student is accessing their own fee or if user is warden
-    if (req.user.role === 'student') {
-      const student = await Student.findOne({ userId: req.user._id, institutionId: req.user.institutionId });
-      if (!student || fee.studentId._id.toString() !== student._id.toString()) {
-        return res.status(403).json({
-          success: false,
-          message: 'Not authorized to access this fee record',
-        });
-      }
-    }
-
     res.status(200).json({
       success: true,
       data: fee,
@@ -143,6 +240,7 @@ export const createFee = async (req, res) => {
       status,
       dueDate: dueDate ? new Date(dueDate) : undefined,
     });
+    await assignInvoiceNumber(fee);
 
     const populatedFee = await Fee.findById(fee._id)
       .populate({
@@ -171,7 +269,14 @@ export const createFee = async (req, res) => {
  */
 export const updateFee = async (req, res) => {
   try {
-    const { amount, status, term, receiptNumber, dueDate } = req.body;
+    const { amount, amountPaid, status, term, dueDate } = req.body;
+
+    if (req.body.receiptNumber !== undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'Receipt numbers are issued automatically and cannot be set',
+      });
+    }
 
     const fee = await Fee.findOne({ _id: req.params.id, institutionId: req.user.institutionId });
     if (!fee) {
@@ -181,19 +286,38 @@ export const updateFee = async (req, res) => {
       });
     }
 
+    const before = snapshot(fee, FEE_AUDIT_FIELDS);
+
+    if (amount !== undefined && Number(amount) !== fee.amount && fee.installments.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'This fee has an installment plan. Update the plan before changing the amount.',
+      });
+    }
+
     if (amount !== undefined) fee.amount = amount;
-    if (status !== undefined) {
-      fee.status = status;
-      if (status === 'Paid' && !fee.paidAt) {
-        fee.paidAt = new Date();
-      }
+    // Status follows amountPaid; Paid/Pending are shortcuts for fully settled / nothing paid
+    if (amountPaid !== undefined) {
+      fee.amountPaid = amountPaid;
+    } else if (status === 'Paid') {
+      fee.amountPaid = fee.amount;
+    } else if (status === 'Pending') {
+      fee.amountPaid = 0;
     }
     if (term !== undefined) fee.term = term;
-    if (receiptNumber !== undefined) fee.receiptNumber = receiptNumber;
     if (dueDate !== undefined) fee.dueDate = dueDate ? new Date(dueDate) : undefined;
 
     await fee.save();
 
+    await recordAudit(req, {
+      action: 'fee.update',
+      targetType: 'Fee',
+      targetId: fee._id,
+      targetLabel: fee.term,
+      before,
+      after: snapshot(fee, FEE_AUDIT_FIELDS),
+    });
+
     const populatedFee = await Fee.findById(fee._id)
       .populate({
         path: 'studentId',
@@ -207,6 +331,7 @@ export const updateFee = async (req, res) => {
       data: populatedFee,
     });
   } catch (error) {
+    if (error instanceof mongoose.Error.VersionError) return sendFeeConflict(res);
     res.status(500).json({
       success: false,
       message: error.message || 'Server error',
@@ -215,13 +340,20 @@ export const updateFee = async (req, res) => {
 };
 
 /**
- * @desc    Mark fee as paid
+ * @desc    Record an offline payment on a fee (settles the remaining balance by default)
  * @route   PUT /api/fees/:id/mark-paid
  * @access  Private (Warden only)
  */
 export const markFeePaid = async (req, res) => {
   try {
-    const { receiptNumber } = req.body;
+    const { amount, method = 'Cash', reference } = req.body;
+
+    if (req.body.receiptNumber !== undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'Receipt numbers are issued automatically and cannot be set',
+      });
+    }
 
     const fee = await Fee.findOne({ _id: req.params.id, institutionId: req.user.institutionId });
     if (!fee) {
@@ -231,15 +363,60 @@ export const markFeePaid = async (req, res) => {
       });
     }
 
-    fee.status = 'Paid';
-    fee.paidAt = new Date();
-    fee.paidBy = 'warden';
-    fee.paidByUserId = req.user._id;
-    if (receiptNumber) {
-      fee.receiptNumber = receiptNumber;
+    if (fee.balance <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Fee is already fully paid',
+      });
     }
 
-    await fee.save();
+    if (!OFFLINE_PAYMENT_METHODS.includes(method)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid method. Must be one of: ${OFFLINE_PAYMENT_METHODS.join(', ')}`,
+      });
+    }
+
+    if (method !== 'Cash' && !String(reference || '').trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide the cheque number or transaction reference',
+      });
+    }
+
+    // Without an amount the remaining balance is settled
+    const payAmount = amount === undefined ? fee.balance : Number(amount);
+    if (Number.isNaN(payAmount) || payAmount <= 0 || payAmount > fee.balance) {
+      return res.status(400).json({
+        success: false,
+        message: `Amount must be between 0 and the outstanding balance of ₹${fee.balance}`,
+      });
+    }
+
+    const before = snapshot(fee, FEE_AUDIT_FIELDS);
+    const trimmedReference = reference ? String(reference).trim() : undefined;
+
+    // Same settlement path as gateway payments and approved claims
+    const payment = new Payment({
+      studentId: fee.studentId,
+      institutionId: req.user.institutionId,
+      payerType: 'warden',
+      payerUserId: req.user._id,
+      amount: payAmount,
+      method,
+      gateway: 'Manual',
+      status: 'Pending',
+      reference: trimmedReference,
+      transactionId: trimmedReference,
+      feeIds: [fee._id],
+    });
+
+    await completeVerifiedPayment(payment, {
+      source: 'Staff',
+      paidBy: 'warden',
+      paidByUserId: req.user._id,
+      verifiedBy: req.user._id,
+    });
 
     const populatedFee = await Fee.findById(fee._id)
       .populate({
@@ -248,10 +425,369 @@ export const markFeePaid = async (req, res) => {
         populate: { path: 'userId', select: 'name email' },
       });
 
+    await recordAudit(req, {
+      action: 'fee.mark_paid',
+      targetType: 'Fee',
+      targetId: fee._id,
+      targetLabel: fee.term,
+      before,
+      after: snapshot(populatedFee, FEE_AUDIT_FIELDS),
+      metadata: { paymentId: String(payment._id), receiptNumber: payment.receiptNumber, amount: payAmount, method, reference: payment.reference },
+    });
+
     res.status(200).json({
       success: true,
-      message: 'Fee marked as paid successfully',
+      message: populatedFee.status === 'Paid' ? 'Fee marked as paid successfully' : 'Partial payment recorded successfully',
       data: populatedFee,
+      receiptNumber: payment.receiptNumber,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
+
+/**
+ * @desc    Waive the unpaid part of a late fee
+ * @route   PUT /api/fees/:id/waive
+ * @access  Private (Staff with fees:write)
+ */
+export const waivePenalty = async (req, res) => {
+  try {
+    const reason = String(req.body?.reason || '').trim();
+    if (!reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a reason for the waiver',
+      });
+    }
+
+    const fee = await Fee.findOne({ _id: req.params.id, institutionId: req.user.institutionId });
+    if (!fee) {
+      return res.status(404).json({
+        success: false,
+        message: 'Fee record not found',
+      });
+    }
+
+    if (fee.category !== 'Penalty') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only late fee penalties can be waived',
+      });
+    }
+
+    if (fee.balance <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Nothing left to waive on this penalty',
+      });
+    }
+
+    const before = snapshot(fee, [...FEE_AUDIT_FIELDS, 'waivedAmount']);
+
+    fee.waivedAmount = (fee.waivedAmount || 0) + fee.balance;
+    fee.waivedAt = new Date();
+    fee.waivedBy = req.user._id;
+    fee.waiverReason = reason;
+    await fee.save();
+
+    await recordAudit(req, {
+      action: 'fee.penalty_waive',
+      targetType: 'Fee',
+      targetId: fee._id,
+      targetLabel: fee.term,
+      before,
+      after: snapshot(fee, [...FEE_AUDIT_FIELDS, 'waivedAmount']),
+      metadata: { reason },
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Penalty waived successfully',
+      data: fee,
+    });
+  } catch (error) {
+    if (error instanceof mongoose.Error.VersionError) return sendFeeConflict(res);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
+
+/**
+ * @desc    Set or replace a fee's installment plan (empty list removes it)
+ * @route   PUT /api/fees/:id/installments
+ * @access  Private (Staff with fees:write)
+ */
+export const setInstallmentPlan = async (req, res) => {
+  try {
+    const { installments } = req.body;
+
+    if (!Array.isArray(installments)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide installments as a list of { amount, dueDate }',
+      });
+    }
+
+    const fee = await Fee.findOne({ _id: req.params.id, institutionId: req.user.institutionId });
+    if (!fee) {
+      return res.status(404).json({
+        success: false,
+        message: 'Fee record not found',
+      });
+    }
+
+    const plan = [];
+    for (const [index, item] of installments.entries()) {
+      const amount = Number(item?.amount);
+      const dueDate = new Date(item?.dueDate);
+      if (Number.isNaN(amount) || amount <= 0 || Number.isNaN(dueDate.getTime())) {
+        return res.status(400).json({
+          success: false,
+          message: `Installment ${index + 1} needs a positive amount and a valid due date`,
+        });
+      }
+      plan.push({
+        label: item.label ? String(item.label).trim() : `Installment ${index + 1}`,
+        amount,
+        dueDate,
+      });
+    }
+
+    const planTotal = plan.reduce((sum, item) => sum + item.amount, 0);
+    if (plan.length > 0 && Math.abs(planTotal - fee.amount) > 0.01) {
+      return res.status(400).json({
+        success: false,
+        message: `Installments add up to ₹${planTotal} but the fee is ₹${fee.amount}`,
+      });
+    }
+
+    const before = { installments: fee.installments.map((item) => ({ amount: item.amount, dueDate: item.dueDate })) };
+
+    plan.sort((a, b) => a.dueDate - b.dueDate);
+    fee.installments = plan;
+    if (plan.length > 0) {
+      fee.dueDate = plan[plan.length - 1].dueDate;
+    }
+    // Installment progress is recalculated from amountPaid on save
+    await fee.save();
+
+    await recordAudit(req, {
+      action: 'fee.installments_update',
+      targetType: 'Fee',
+      targetId: fee._id,
+      targetLabel: fee.term,
+      before,
+      after: { installments: plan.map((item) => ({ amount: item.amount, dueDate: item.dueDate })) },
+    });
+
+    res.status(200).json({
+      success: true,
+      message: plan.length ? 'Installment plan saved' : 'Installment plan removed',
+      data: fee,
+    });
+  } catch (error) {
+    if (error instanceof mongoose.Error.VersionError) return sendFeeConflict(res);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
+
+/**
+ * @desc    Get a student's fee ledger (debits, credits, running balance)
+ * @route   GET /api/fees/ledger?studentId=
+ * @access  Private (Student, Parent, staff with fees:read)
+ */
+export const getStudentLedger = async (req, res) => {
+  try {
+    const { student, status, message } = await resolveFeeStudent(req, req.query.studentId);
+    if (!student) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    const ledger = await buildStudentLedger({ studentId: student._id, institutionId: req.user.institutionId });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        student: {
+          id: student._id,
+          name: student.userId?.name || 'Unknown',
+          rollNumber: student.rollNumber,
+          class: student.class,
+        },
+        ...ledger,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
+
+/**
+ * @desc    Download the invoice PDF for a fee
+ * @route   GET /api/fees/:id/invoice
+ * @access  Private (Student, Parent, staff with fees:read)
+ */
+export const getInvoicePdf = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid fee ID' });
+    }
+
+    const query = { _id: req.params.id, institutionId: req.user.institutionId };
+    if (req.user.role === 'student') {
+      const { student, status, message } = await resolveFeeStudent(req);
+      if (!student) return res.status(status).json({ success: false, message });
+      query.studentId = student._id;
+    }
+    if (req.user.role === 'parent') {
+      query.studentId = { $in: await getParentStudentIds(req.user._id, req.user.institutionId) };
+    }
+
+    const fee = await Fee.findOne(query).populate({
+      path: 'studentId',
+      select: 'rollNumber class room',
+      populate: { path: 'userId', select: 'name email' },
+    });
+    if (!fee) {
+      return res.status(404).json({ success: false, message: 'Fee record not found' });
+    }
+
+    await assignInvoiceNumber(fee);
+    const billing = await getBillingProfile(req.user.institutionId);
+    const pdfBuffer = await buildInvoicePdfBuffer(buildInvoice(fee, billing));
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename=Invoice-${fee.invoiceNumber.replace(/\//g, '-')}.pdf`);
+    res.send(pdfBuffer);
+  } catch (error) {
+    console.error('❌ Error generating invoice PDF:', error);
+    res.status(500).json({ success: false, message: error.message || 'Server error' });
+  }
+};
+
+/**
+ * @desc    Fee statement for a period (defaults to the current financial year).
+ *          PDF by default; ?format=json returns the data.
+ * @route   GET /api/fees/statement?studentId=&financialYear=2026-27 | &from=YYYY-MM-DD&to=YYYY-MM-DD
+ * @access  Private (Student, Parent, staff with fees:read)
+ */
+export const getFeeStatement = async (req, res) => {
+  try {
+    const { student, status, message } = await resolveFeeStudent(req, req.query.studentId);
+    if (!student) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    const prepared = await prepareStatement(req, student, req.query);
+    if (prepared.error) {
+      return res.status(400).json({ success: false, message: prepared.error });
+    }
+
+    if (req.query.format === 'json') {
+      return res.status(200).json({
+        success: true,
+        data: {
+          student: prepared.pdfData.student,
+          period: { from: prepared.period.from, to: prepared.period.to, label: prepared.period.label },
+          ...prepared.statement,
+        },
+      });
+    }
+
+    const pdfBuffer = await buildFeeStatementPdfBuffer(prepared.pdfData);
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename=${prepared.fileName}`);
+    res.send(pdfBuffer);
+  } catch (error) {
+    console.error('❌ Error generating fee statement:', error);
+    res.status(500).json({ success: false, message: error.message || 'Server error' });
+  }
+};
+
+/**
+ * @desc    Email a fee statement PDF. Students and parents receive it at their own
+ *          address; staff choose recipients (student and/or parents, default both).
+ * @route   POST /api/fees/statement/email
+ * @access  Private (Student, Parent, staff with fees:read)
+ */
+export const emailFeeStatement = async (req, res) => {
+  try {
+    const { studentId, from, to, financialYear, recipients = STATEMENT_RECIPIENTS } = req.body || {};
+
+    const { student, status, message } = await resolveFeeStudent(req, studentId);
+    if (!student) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    let targets = [];
+    if (req.user.role === 'student' || req.user.role === 'parent') {
+      targets = [{ email: req.user.email, name: req.user.name }];
+    } else {
+      if (!Array.isArray(recipients) || !recipients.length || recipients.some((item) => !STATEMENT_RECIPIENTS.includes(item))) {
+        return res.status(400).json({
+          success: false,
+          message: `recipients must be a list of: ${STATEMENT_RECIPIENTS.join(', ')}`,
+        });
+      }
+      if (recipients.includes('student') && student.userId?.email) {
+        targets.push({ email: student.userId.email, name: student.userId.name });
+      }
+      if (recipients.includes('parent')) {
+        const parents = await Parent.find({ studentId: student._id, institutionId: req.user.institutionId })
+          .populate('userId', 'name email');
+        parents.forEach((parent) => {
+          if (parent.userId?.email) targets.push({ email: parent.userId.email, name: parent.userId.name });
+        });
+        if (!parents.length && student.guardianEmail) {
+          targets.push({ email: student.guardianEmail, name: student.guardianName });
+        }
+      }
+    }
+
+    targets = targets.filter((target, index) => targets.findIndex((item) => item.email === target.email) === index);
+    if (!targets.length) {
+      return res.status(400).json({ success: false, message: 'No email address on file for the selected recipients' });
+    }
+
+    const prepared = await prepareStatement(req, student, { from, to, financialYear });
+    if (prepared.error) {
+      return res.status(400).json({ success: false, message: prepared.error });
+    }
+    const pdfBuffer = await buildFeeStatementPdfBuffer(prepared.pdfData);
+
+    const results = await Promise.all(
+      targets.map(async (target) => ({
+        email: target.email,
+        ...(await sendFeeStatementEmail({
+          to: target.email,
+          recipientName: target.name,
+          studentName: prepared.pdfData.student.name,
+          institutionName: prepared.billing.name,
+          periodLabel: prepared.period.label,
+          closingBalance: prepared.statement.closingBalance,
+          pdfBuffer,
+          fileName: prepared.fileName,
+        })),
+      }))
+    );
+
+    const sent = results.filter((result) => result.success).length;
+    res.status(sent ? 200 : 502).json({
+      success: sent > 0,
+      message: sent ? `Statement emailed to ${sent} recipient(s)` : 'Statement could not be emailed',
+      data: results.map(({ email, success, message: detail }) => ({ email, success, message: detail })),
     });
   } catch (error) {
     res.status(500).json({
@@ -268,7 +804,7 @@ export const markFeePaid = async (req, res) => {
  */
 export const deleteFee = async (req, res) => {
   try {
-    const fee = await Fee.findById(req.params.id);
+    const fee = await Fee.findOne({ _id: req.params.id, institutionId: req.user.institutionId });
     if (!fee) {
       return res.status(404).json({
         success: false,
@@ -276,7 +812,15 @@ export const deleteFee = async (req, res) => {
       });
     }
 
-    await Fee.findByIdAndDelete(req.params.id);
+    await Fee.findByIdAndDelete(fee._id);
+
+    await recordAudit(req, {
+      action: 'fee.delete',
+      targetType: 'Fee',
+      targetId: fee._id,
+      targetLabel: fee.term,
+      before: snapshot(fee, FEE_AUDIT_FIELDS),
+    });
 
     res.status(200).json({
       success: true,
@@ -0,0 +1,375 @@
+import mongoose from 'mongoose';
+import FeeStructure from '../models/FeeStructure.model.js';
+import Fee from '../models/Fee.model.js';
+import { recordAudit, snapshot } from '../services/audit.service.js';
+import { planFeeGeneration, issueStructureFees } from '../services/feeStructure.service.js';
+
+const ROOM_TYPES = ['Single', 'Double', 'Triple', 'Dormitory'];
+const STRUCTURE_AUDIT_FIELDS = ['name', 'description', 'components', 'classes', 'roomTypes', 'isActive'];
+
+const toStringList = (value) =>
+  (Array.isArray(value) ? value : [value]).map((item) => String(item || '').trim()).filter(Boolean);
+
+/**
+ * Validate and normalise structure fields from a request body.
+ * Returns { values } or { error }. Only fields present in the body are returned.
+ */
+const parseStructureBody = (body) => {
+  const values = {};
+
+  if (body.name !== undefined) {
+    values.name = String(body.name || '').trim();
+    if (!values.name) return { error: 'Please provide structure name' };
+  }
+  if (body.description !== undefined) values.description = body.description;
+
+  if (body.components !== undefined) {
+    if (!Array.isArray(body.components) || !body.components.length) {
+      return { error: 'Please provide at least one fee component' };
+    }
+    for (const component of body.components) {
+      if (!String(component?.name || '').trim()) return { error: 'Every component needs a name' };
+      const amount = Number(component.amount);
+      if (!Number.isFinite(amount) || amount < 0) {
+        return { error: `Invalid amount for component ${component.name}` };
+      }
+      for (const override of component.overrides || []) {
+        if (!override.class && !override.roomType) {
+          return { error: `Overrides for ${component.name} need a class or room type` };
+        }
+        if (override.roomType && !ROOM_TYPES.includes(override.roomType)) {
+          return { error: `Invalid room type. Must be one of: ${ROOM_TYPES.join(', ')}` };
+        }
+        const overrideAmount = Number(override.amount);
+        if (!Number.isFinite(overrideAmount) || overrideAmount < 0) {
+          return { error: `Invalid override amount for component ${component.name}` };
+        }
+      }
+    }
+    values.components = body.components;
+  }
+
+  if (body.classes !== undefined) values.classes = toStringList(body.classes);
+
+  if (body.roomTypes !== undefined) {
+    values.roomTypes = toStringList(body.roomTypes);
+    const invalid = values.roomTypes.find((roomType) => !ROOM_TYPES.includes(roomType));
+    if (invalid) return { error: `Invalid room type. Must be one of: ${ROOM_TYPES.join(', ')}` };
+  }
+
+  if (body.isActive !== undefined) values.isActive = Boolean(body.isActive);
+
+  return { values };
+};
+
+const handleStructureError = (res, error) => {
+  if (error.code === 11000) {
+    return res.status(400).json({
+      success: false,
+      message: 'A fee structure with this name already exists',
+    });
+  }
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: Object.values(error.errors).map((item) => item.message).join(', '),
+    });
+  }
+  return res.status(500).json({
+    success: false,
+    message: error.message || 'Server error',
+  });
+};
+
+/**
+ * @desc    Get fee structures
+ * @route   GET /api/fee-structures
+ * @access  Private (Staff with fees:read)
+ */
+export const getFeeStructures = async (req, res) => {
+  try {
+    const query = { institutionId: req.user.institutionId };
+    if (req.query.isActive !== undefined) query.isActive = req.query.isActive === 'true';
+
+    const structures = await FeeStructure.find(query).sort({ name: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: structures.length,
+      data: structures,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
+
+/**
+ * @desc    Get a fee structure with the terms it has been issued for
+ * @route   GET /api/fee-structures/:id
+ * @access  Private (Staff with fees:read)
+ */
+export const getFeeStructureById = async (req, res) => {
+  try {
+    const structure = await FeeStructure.findOne({ _id: req.params.id, institutionId: req.user.institutionId });
+    if (!structure) {
+      return res.status(404).json({
+        success: false,
+        message: 'Fee structure not found',
+      });
+    }
+
+    const issuedTerms = await Fee.aggregate([
+      { $match: { institutionId: structure.institutionId, structureId: structure._id } },
+      { $group: { _id: '$term', fees: { $sum: 1 }, totalAmount: { $sum: '$amount' }, issuedAt: { $min: '$createdAt' } } },
+      { $sort: { issuedAt: -1 } },
+      { $project: { _id: 0, term: '$_id', fees: 1, totalAmount: 1, issuedAt: 1 } },
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: { ...structure.toObject(), issuedTerms },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
+
+/**
+ * @desc    Create a fee structure
+ * @route   POST /api/fee-structures
+ * @access  Private (Staff with fees:write)
+ */
+export const createFeeStructure = async (req, res) => {
+  try {
+    const { values, error } = parseStructureBody(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+    if (!values.name || !values.components) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide name and components',
+      });
+    }
+
+    const structure = await FeeStructure.create({
+      ...values,
+      institutionId: req.user.institutionId,
+      createdBy: req.user._id,
+    });
+
+    await recordAudit(req, {
+      action: 'fee_structure.create',
+      targetType: 'FeeStructure',
+      targetId: structure._id,
+      targetLabel: structure.name,
+      after: snapshot(structure, STRUCTURE_AUDIT_FIELDS),
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Fee structure created successfully',
+      data: structure,
+    });
+  } catch (error) {
+    handleStructureError(res, error);
+  }
+};
+
+/**
+ * @desc    Update a fee structure (fees already issued keep their amounts)
+ * @route   PUT /api/fee-structures/:id
+ * @access  Private (Staff with fees:write)
+ */
+export const updateFeeStructure = async (req, res) => {
+  try {
+    const { values, error } = parseStructureBody(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    const structure = await FeeStructure.findOne({ _id: req.params.id, institutionId: req.user.institutionId });
+    if (!structure) {
+      return res.status(404).json({
+        success: false,
+        message: 'Fee structure not found',
+      });
+    }
+
+    const before = snapshot(structure, STRUCTURE_AUDIT_FIELDS);
+    structure.set(values);
+    await structure.save();
+
+    await recordAudit(req, {
+      action: 'fee_structure.update',
+      targetType: 'FeeStructure',
+      targetId: structure._id,
+      targetLabel: structure.name,
+      before,
+      after: snapshot(structure, STRUCTURE_AUDIT_FIELDS),
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Fee structure updated successfully',
+      data: structure,
+    });
+  } catch (error) {
+    handleStructureError(res, error);
+  }
+};
+
+/**
+ * @desc    Delete a fee structure, or deactivate it if fees were issued from it
+ * @route   DELETE /api/fee-structures/:id
+ * @access  Private (Staff with fees:write)
+ */
+export const deleteFeeStructure = async (req, res) => {
+  try {
+    const structure = await FeeStructure.findOne({ _id: req.params.id, institutionId: req.user.institutionId });
+    if (!structure) {
+      return res.status(404).json({
+        success: false,
+        message: 'Fee structure not found',
+      });
+    }
+
+    const issued = await Fee.exists({ institutionId: req.user.institutionId, structureId: structure._id });
+    const before = snapshot(structure, STRUCTURE_AUDIT_FIELDS);
+
+    if (issued) {
+      structure.isActive = false;
+      await structure.save();
+    } else {
+      await structure.deleteOne();
+    }
+
+    await recordAudit(req, {
+      action: issued ? 'fee_structure.deactivate' : 'fee_structure.delete',
+      targetType: 'FeeStructure',
+      targetId: structure._id,
+      targetLabel: structure.name,
+      before,
+      after: issued ? snapshot(structure, STRUCTURE_AUDIT_FIELDS) : undefined,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: issued
+        ? 'Fees were issued from this structure, so it was deactivated instead'
+        : 'Fee structure deleted successfully',
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
+
+/**
+ * @desc    Issue a term's fees to every matching student (dryRun=true previews only)
+ * @route   POST /api/fee-structures/:id/generate
+ * @access  Private (Staff with fees:write)
+ */
+export const generateFees = async (req, res) => {
+  try {
+    const { term, dueDate, dryRun, classes, studentIds } = req.body;
+    const trimmedTerm = String(term || '').trim();
+
+    if (!trimmedTerm) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide term',
+      });
+    }
+
+    const parsedDueDate = dueDate ? new Date(dueDate) : undefined;
+    if (parsedDueDate && Number.isNaN(parsedDueDate.getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid due date',
+      });
+    }
+
+    const studentIdList = studentIds !== undefined ? toStringList(studentIds) : [];
+    if (studentIdList.some((id) => !mongoose.Types.ObjectId.isValid(id))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid studentIds',
+      });
+    }
+
+    const structure = await FeeStructure.findOne({ _id: req.params.id, institutionId: req.user.institutionId });
+    if (!structure) {
+      return res.status(404).json({
+        success: false,
+        message: 'Fee structure not found',
+      });
+    }
+    if (!structure.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'Fee structure is inactive',
+      });
+    }
+
+    const { toCreate, skipped } = await planFeeGeneration(structure, {
+      term: trimmedTerm,
+      classes: classes !== undefined ? toStringList(classes) : undefined,
+      studentIds: studentIdList,
+    });
+
+    const summary = {
+      term: trimmedTerm,
+      dueDate: parsedDueDate || null,
+      students: toCreate.length,
+      skipped: skipped.length,
+      totalAmount: toCreate.reduce((sum, item) => sum + item.amount, 0),
+    };
+
+    const isDryRun = dryRun === true || dryRun === 'true';
+    if (isDryRun) {
+      return res.status(200).json({
+        success: true,
+        message: 'Preview only, no fees were created',
+        data: { dryRun: true, summary, fees: toCreate, skipped },
+      });
+    }
+
+    const { created, duplicates } = await issueStructureFees(
+      structure,
+      { term: trimmedTerm, dueDate: parsedDueDate },
+      toCreate
+    );
+
+    await recordAudit(req, {
+      action: 'fee_structure.generate',
+      targetType: 'FeeStructure',
+      targetId: structure._id,
+      targetLabel: structure.name,
+      metadata: { term: trimmedTerm, created, skipped: skipped.length + duplicates, totalAmount: summary.totalAmount },
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `${created} fee record(s) created`,
+      data: {
+        dryRun: false,
+        summary: { ...summary, created, skipped: skipped.length + duplicates },
+        skipped,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
@@ -0,0 +1,855 @@
+import mongoose from 'mongoose';
+import Institution from '../models/Institution.model.js';
+import User from '../models/User.model.js';
+import WardenInvite from '../models/WardenInvite.model.js';
+import DocumentSequence from '../models/DocumentSequence.model.js';
+import { generateInviteCode, deliverInvite, getInviteTtlMs } from '../services/invite.service.js';
+import { STAFF_ROLES, getUserPermissions } from '../config/permissions.js';
+import { DEFAULT_NUMBERING, DOCUMENT_SERIES, getFinancialYear } from '../utils/receiptNumber.js';
+import { COMPLAINT_CATEGORIES, COMPLAINT_PRIORITIES } from '../config/complaints.js';
+import { findComplaintStaff, getComplaintWorkflow } from '../services/complaint.service.js';
+import { isValidTimezone, resolveTimezone } from '../utils/timezone.js';
+import { DEFAULT_TIMEZONE } from '../config/notifications.js';
+
+const PENALTY_TYPES = ['flat', 'percentage', 'perDay'];
+const NUMBERING_PREFIX_PATTERN = /^[A-Z0-9-]{1,12}$/;
+const GSTIN_PATTERN = /^[0-9]{2}[A-Z0-9]{13}$/;
+const BILLING_TEXT_FIELDS = ['legalName', 'address', 'phone', 'email', 'sacCode'];
+
+/**
+ * Numbering settings plus the number each series will issue next this financial year
+ */
+const formatNumbering = async (institution) => {
+  const numbering = { ...DEFAULT_NUMBERING, ...(institution.toObject().numbering || {}) };
+  const financialYear = getFinancialYear(new Date(), numbering.financialYearStartMonth, resolveTimezone(institution));
+  const sequences = await DocumentSequence.find({ institutionId: institution._id, financialYear });
+
+  const next = {};
+  DOCUMENT_SERIES.forEach((series) => {
+    const current = sequences.find((sequence) => sequence.series === series)?.seq || 0;
+    next[series] = `${numbering[`${series}Prefix`]}/${financialYear}/${String(current + 1).padStart(numbering.padding, '0')}`;
+  });
+
+  return { ...numbering, financialYear, next };
+};
+
+const isValidEmail = (email) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
+
+const getInviteStatus = (invite) => {
+  if (invite.status === 'Pending' && invite.expiresAt <= new Date()) return 'Expired';
+  return invite.status;
+};
+
+const formatInvite = (invite) => ({
+  id: invite._id,
+  email: invite.email || null,
+  name: invite.name || null,
+  staffRole: invite.staffRole,
+  status: getInviteStatus(invite),
+  expiresAt: invite.expiresAt,
+  createdBy: invite.createdBy?.name || null,
+  acceptedBy: invite.acceptedBy?._id
+    ? { id: invite.acceptedBy._id, name: invite.acceptedBy.name, email: invite.acceptedBy.email }
+    : null,
+  acceptedAt: invite.acceptedAt || null,
+  revokedAt: invite.revokedAt || null,
+  lastSentAt: invite.lastSentAt || null,
+  sendCount: invite.sendCount || 0,
+  createdAt: invite.createdAt,
+});
+
+/**
+ * @desc    Get current institution with its admin and wardens
+ * @route   GET /api/institution
+ * @access  Private (Warden only)
+ */
+export const getInstitution = async (req, res) => {
+  try {
+    const institution = await Institution.findById(req.user.institutionId).populate('ownerId', 'name email');
+    if (!institution) {
+      return res.status(404).json({
+        success: false,
+        message: 'Institution not found',
+      });
+    }
+
+    const wardens = await User.find({ institutionId: institution._id, role: 'warden' })
+      .select('name email isInstitutionAdmin staffRole createdAt')
+      .sort({ createdAt: 1 });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        id: institution._id,
+        name: institution.name,
+        isActive: institution.isActive,
+        timezone: institution.timezone || DEFAULT_TIMEZONE,
+        admin: institution.ownerId
+          ? { id: institution.ownerId._id, name: institution.ownerId.name, email: institution.ownerId.email }
+          : null,
+        wardens: wardens.map((warden) => ({
+          id: warden._id,
+          name: warden.name,
+          email: warden.email,
+          isInstitutionAdmin: warden.isInstitutionAdmin,
+          staffRole: warden.staffRole || null,
+          permissions: getUserPermissions(warden),
+          joinedAt: warden.createdAt,
+        })),
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
+
+/**
+ * @desc    List warden invites
+ * @route   GET /api/institution/invites?status=Pending|Accepted|Revoked|Expired
+ * @access  Private (Institution admin only)
+ */
+export const getInvites = async (req, res) => {
+  try {
+    const { status } = req.query;
+    const filter = { institutionId: req.user.institutionId };
+
+    if (status === 'Expired') {
+      filter.status = 'Pending';
+      filter.expiresAt = { $lte: new Date() };
+    } else if (status === 'Pending') {
+      filter.status = 'Pending';
+      filter.expiresAt = { $gt: new Date() };
+    } else if (status) {
+      filter.status = status;
+    }
+
+    const invites = await WardenInvite.find(filter)
+      .populate('createdBy', 'name')
+      .populate('acceptedBy', 'name email')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: invites.length,
+      data: invites.map(formatInvite),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
+
+/**
+ * @desc    Create a warden invite (emailed when an email is given)
+ * @route   POST /api/institution/invites
+ * @access  Private (Institution admin only)
+ */
+export const createInvite = async (req, res) => {
+  try {
+    const { email, name, staffRole = 'warden' } = req.body;
+    const normalizedEmail = email ? String(email).toLowerCase().trim() : undefined;
+
+    if (!STAFF_ROLES.includes(staffRole)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid staff role. Must be one of: ${STAFF_ROLES.join(', ')}`,
+      });
+    }
+
+    if (normalizedEmail && !isValidEmail(normalizedEmail)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a valid email address',
+      });
+    }
+
+    if (normalizedEmail) {
+      const existingUser = await User.findOne({ email: normalizedEmail, institutionId: req.user.institutionId });
+      if (existingUser) {
+        return res.status(400).json({
+          success: false,
+          message: 'A user with this email already exists in your institution',
+        });
+      }
+    }
+
+    const institution = await Institution.findById(req.user.institutionId);
+    const { code, codeHash } = generateInviteCode();
+
+    const invite = await WardenInvite.create({
+      institutionId: req.user.institutionId,
+      codeHash,
+      email: normalizedEmail,
+      name: name ? String(name).trim() : undefined,
+      staffRole,
+      expiresAt: new Date(Date.now() + getInviteTtlMs()),
+      createdBy: req.user._id,
+    });
+
+    const emailResult = await deliverInvite({ invite, code, institution, inviter: req.user });
+
+    res.status(201).json({
+      success: true,
+      message: emailResult?.success ? 'Invite created and emailed' : 'Invite created',
+      // The code is only ever shown here and on resend
+      data: {
+        ...formatInvite(invite),
+        code,
+        emailSent: Boolean(emailResult?.success),
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
+
+/**
+ * @desc    Revoke a pending warden invite
+ * @route   PUT /api/institution/invites/:id/revoke
+ * @access  Private (Institution admin only)
+ */
+export const revokeInvite = async (req, res) => {
+  try {
+    const invite = await WardenInvite.findOneAndUpdate(
+      { _id: req.params.id, institutionId: req.user.institutionId, status: 'Pending' },
+      { $set: { status: 'Revoked', revokedAt: new Date(), revokedBy: req.user._id } },
+      { new: true }
+    );
+
+    if (!invite) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pending invite not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Invite revoked',
+      data: formatInvite(invite),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
+
+/**
+ * @desc    Resend a warden invite with a fresh code and expiry
+ * @route   POST /api/institution/invites/:id/resend
+ * @access  Private (Institution admin only)
+ */
+export const resendInvite = async (req, res) => {
+  try {
+    const { code, codeHash } = generateInviteCode();
+
+    // Rotating the code invalidates the one sent earlier
+    const invite = await WardenInvite.findOneAndUpdate(
+      { _id: req.params.id, institutionId: req.user.institutionId, status: 'Pending' },
+      { $set: { codeHash, expiresAt: new Date(Date.now() + getInviteTtlMs()) } },
+      { new: true }
+    );
+
+    if (!invite) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pending invite not found',
+      });
+    }
+
+    const institution = await Institution.findById(req.user.institutionId);
+    const emailResult = await deliverInvite({ invite, code, institution, inviter: req.user });
+
+    if (emailResult && !emailResult.success) {
+      return res.status(502).json({
+        success: false,
+        message: `Invite code was renewed but the email could not be sent: ${emailResult.message}`,
+        data: { ...formatInvite(invite), code, emailSent: false },
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: emailResult ? 'Invite resent' : 'Invite code renewed',
+      data: {
+        ...formatInvite(invite),
+        code,
+        emailSent: Boolean(emailResult?.success),
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
+
+/**
+ * @desc    Change a staff member's role
+ * @route   PUT /api/institution/staff/:userId/role
+ * @access  Private (Institution admin only)
+ */
+export const updateStaffRole = async (req, res) => {
+  try {
+    const { staffRole } = req.body;
+
+    if (!STAFF_ROLES.includes(staffRole)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid staff role. Must be one of: ${STAFF_ROLES.join(', ')}`,
+      });
+    }
+
+    const staff = await User.findOne({
+      _id: req.params.userId,
+      institutionId: req.user.institutionId,
+      role: 'warden',
+    });
+
+    if (!staff) {
+      return res.status(404).json({
+        success: false,
+        message: 'Staff member not found',
+      });
+    }
+
+    if (staff.isInstitutionAdmin) {
+      return res.status(400).json({
+        success: false,
+        message: 'The institution admin always has full access',
+      });
+    }
+
+    // updateOne avoids re-running the password hashing hook
+    await User.updateOne({ _id: staff._id }, { $set: { staffRole } });
+    staff.staffRole = staffRole;
+
+    res.status(200).json({
+      success: true,
+      message: 'Staff role updated',
+      data: {
+        id: staff._id,
+        name: staff.name,
+        email: staff.email,
+        staffRole,
+        permissions: getUserPermissions(staff),
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
+
+/**
+ * @desc    Get the institution's late fee penalty rule
+ * @route   GET /api/institution/penalty-rule
+ * @access  Private (Staff with fees:read)
+ */
+export const getPenaltyRule = async (req, res) => {
+  try {
+    const institution = await Institution.findById(req.user.institutionId).select('latePenalty');
+    if (!institution) {
+      return res.status(404).json({
+        success: false,
+        message: 'Institution not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: institution.latePenalty,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
+
+/**
+ * @desc    Update the institution's late fee penalty rule
+ * @route   PUT /api/institution/penalty-rule
+ * @access  Private (Staff with fees:write)
+ */
+export const updatePenaltyRule = async (req, res) => {
+  try {
+    const { enabled, type, amount, graceDays, cap } = req.body;
+    const updates = {};
+
+    if (enabled !== undefined) updates['latePenalty.enabled'] = Boolean(enabled);
+
+    if (type !== undefined) {
+      if (!PENALTY_TYPES.includes(type)) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid penalty type. Must be one of: ${PENALTY_TYPES.join(', ')}`,
+        });
+      }
+      updates['latePenalty.type'] = type;
+    }
+
+    const numericFields = { amount, graceDays, cap };
+    for (const [field, value] of Object.entries(numericFields)) {
+      if (value === undefined) continue;
+      if (field === 'cap' && value === null) {
+        updates['latePenalty.cap'] = null;
+        continue;
+      }
+      const number = Number(value);
+      if (!Number.isFinite(number) || number < 0) {
+        return res.status(400).json({
+          success: false,
+          message: `${field} must be a non-negative number`,
+        });
+      }
+      updates[`latePenalty.${field}`] = field === 'graceDays' ? Math.floor(number) : number;
+    }
+
+    if (type === 'percentage' && amount !== undefined && Number(amount) > 100) {
+      return res.status(400).json({
+        success: false,
+        message: 'Percentage penalty cannot exceed 100',
+      });
+    }
+
+    const institution = await Institution.findByIdAndUpdate(
+      req.user.institutionId,
+      { $set: updates },
+      { new: true, runValidators: true }
+    ).select('latePenalty');
+
+    if (!institution) {
+      return res.status(404).json({
+        success: false,
+        message: 'Institution not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Late fee rule updated',
+      data: institution.latePenalty,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
+
+/**
+ * @desc    Get receipt, invoice and refund numbering settings with the next number in each series
+ * @route   GET /api/institution/numbering
+ * @access  Private (Staff with fees:read)
+ */
+export const getNumbering = async (req, res) => {
+  try {
+    const institution = await Institution.findById(req.user.institutionId).select('numbering timezone');
+    if (!institution) {
+      return res.status(404).json({
+        success: false,
+        message: 'Institution not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: await formatNumbering(institution),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
+
+/**
+ * @desc    Update numbering prefixes, padding or financial year start.
+ *          Changes apply to numbers issued from now on.
+ * @route   PUT /api/institution/numbering
+ * @access  Private (Staff with fees:write)
+ */
+export const updateNumbering = async (req, res) => {
+  try {
+    const updates = {};
+
+    for (const series of DOCUMENT_SERIES) {
+      const value = req.body[`${series}Prefix`];
+      if (value === undefined) continue;
+      const prefix = String(value).trim().toUpperCase();
+      if (!NUMBERING_PREFIX_PATTERN.test(prefix)) {
+        return res.status(400).json({
+          success: false,
+          message: `${series}Prefix must be 1-12 letters, digits or dashes`,
+        });
+      }
+      updates[`numbering.${series}Prefix`] = prefix;
+    }
+
+    const prefixes = DOCUMENT_SERIES.map((series) => updates[`numbering.${series}Prefix`]).filter(Boolean);
+    if (new Set(prefixes).size !== prefixes.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'Each series needs its own prefix',
+      });
+    }
+
+    if (req.body.padding !== undefined) {
+      const padding = Number(req.body.padding);
+      if (!Number.isInteger(padding) || padding < 1 || padding > 12) {
+        return res.status(400).json({
+          success: false,
+          message: 'padding must be a whole number between 1 and 12',
+        });
+      }
+      updates['numbering.padding'] = padding;
+    }
+
+    if (req.body.financialYearStartMonth !== undefined) {
+      const month = Number(req.body.financialYearStartMonth);
+      if (!Number.isInteger(month) || month < 1 || month > 12) {
+        return res.status(400).json({
+          success: false,
+          message: 'financialYearStartMonth must be between 1 and 12',
+        });
+      }
+      updates['numbering.financialYearStartMonth'] = month;
+    }
+
+    const institution = await Institution.findByIdAndUpdate(
+      req.user.institutionId,
+      { $set: updates },
+      { new: true, runValidators: true }
+    ).select('numbering timezone');
+
+    if (!institution) {
+      return res.status(404).json({
+        success: false,
+        message: 'Institution not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Numbering updated',
+      data: await formatNumbering(institution),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
+
+/**
+ * @desc    Get institution details printed on invoices and statements (GST settings included)
+ * @route   GET /api/institution/billing
+ * @access  Private (Staff with fees:read)
+ */
+export const getBilling = async (req, res) => {
+  try {
+    const institution = await Institution.findById(req.user.institutionId).select('name billing');
+    if (!institution) {
+      return res.status(404).json({
+        success: false,
+        message: 'Institution not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { name: institution.name, ...(institution.toObject().billing || {}) },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
+
+/**
+ * @desc    Update invoice details and GST settings. Applies to invoices generated from now on.
+ * @route   PUT /api/institution/billing
+ * @access  Private (Staff with fees:write)
+ */
+export const updateBilling = async (req, res) => {
+  try {
+    const updates = {};
+
+    BILLING_TEXT_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) updates[`billing.${field}`] = String(req.body[field]).trim();
+    });
+
+    if (updates['billing.email'] && !isValidEmail(updates['billing.email'])) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a valid billing email',
+      });
+    }
+
+    if (req.body.gstin !== undefined) {
+      const gstin = String(req.body.gstin).trim().toUpperCase();
+      if (gstin && !GSTIN_PATTERN.test(gstin)) {
+        return res.status(400).json({
+          success: false,
+          message: 'GSTIN must be 15 characters starting with the 2-digit state code',
+        });
+      }
+      updates['billing.gstin'] = gstin;
+    }
+
+    if (req.body.gstRate !== undefined) {
+      const rate = Number(req.body.gstRate);
+      if (!Number.isFinite(rate) || rate < 0 || rate > 28) {
+        return res.status(400).json({
+          success: false,
+          message: 'gstRate must be between 0 and 28',
+        });
+      }
+      updates['billing.gstRate'] = rate;
+    }
+
+    if (req.body.gstEnabled !== undefined) {
+      updates['billing.gstEnabled'] = Boolean(req.body.gstEnabled);
+    }
+
+    const current = await Institution.findById(req.user.institutionId).select('billing');
+    if (!current) {
+      return res.status(404).json({
+        success: false,
+        message: 'Institution not found',
+      });
+    }
+    const gstin = updates['billing.gstin'] ?? current.billing?.gstin;
+    const gstEnabled = updates['billing.gstEnabled'] ?? current.billing?.gstEnabled;
+    if (gstEnabled && !gstin) {
+      return res.status(400).json({
+        success: false,
+        message: 'Add the GSTIN before enabling GST on invoices',
+      });
+    }
+
+    const institution = await Institution.findByIdAndUpdate(
+      req.user.institutionId,
+      { $set: updates },
+      { new: true, runValidators: true }
+    ).select('name billing');
+
+    res.status(200).json({
+      success: true,
+      message: 'Billing details updated',
+      data: { name: institution.name, ...(institution.toObject().billing || {}) },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
+
+/**
+ * Complaint workflow with assignee names, as returned by the settings endpoints
+ */
+const formatComplaintWorkflow = async (institutionId) => {
+  const workflow = await getComplaintWorkflow(institutionId);
+  const assignees = await User.find({
+    _id: { $in: workflow.routing.map((route) => route.assignee) },
+    institutionId,
+  }).select('name staffRole');
+  const byId = new Map(assignees.map((user) => [String(user._id), user]));
+
+  return {
+    ...workflow,
+    routing: workflow.routing.map((route) => ({
+      category: route.category,
+      assignee: route.assignee,
+      assigneeName: byId.get(String(route.assignee))?.name || null,
+      assigneeRole: byId.get(String(route.assignee))?.staffRole || null,
+    })),
+  };
+};
+
+/**
+ * @desc    Get complaint routing by category, SLA hours by priority and the reopen window
+ * @route   GET /api/institution/complaint-workflow
+ * @access  Private (Staff with complaints:read)
+ */
+export const getComplaintWorkflowSettings = async (req, res) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: await formatComplaintWorkflow(req.user.institutionId),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
+
+/**
+ * @desc    Update complaint routing, SLA hours or reopen window.
+ *          `routing` replaces the whole list; SLA changes apply to new and reopened complaints.
+ * @route   PUT /api/institution/complaint-workflow
+ * @access  Private (Staff with staff:manage)
+ */
+export const updateComplaintWorkflowSettings = async (req, res) => {
+  try {
+    const { routing, slaHours, reopenWindowDays } = req.body;
+    const updates = {};
+
+    if (routing !== undefined) {
+      if (!Array.isArray(routing)) {
+        return res.status(400).json({
+          success: false,
+          message: 'routing must be a list of { category, assignee }',
+        });
+      }
+
+      const categories = new Set();
+      for (const route of routing) {
+        if (!COMPLAINT_CATEGORIES.includes(route?.category)) {
+          return res.status(400).json({
+            success: false,
+            message: `Invalid category. Must be one of: ${COMPLAINT_CATEGORIES.join(', ')}`,
+          });
+        }
+        if (categories.has(route.category)) {
+          return res.status(400).json({
+            success: false,
+            message: `${route.category} is routed more than once`,
+          });
+        }
+        categories.add(route.category);
+
+        const staff = mongoose.Types.ObjectId.isValid(route.assignee)
+          ? await findComplaintStaff(route.assignee, req.user.institutionId)
+          : null;
+        if (!staff) {
+          return res.status(400).json({
+            success: false,
+            message: `${route.category} must be routed to a staff member who can work on complaints`,
+          });
+        }
+      }
+      updates['complaintWorkflow.routing'] = routing.map((route) => ({ category: route.category, assignee: route.assignee }));
+    }
+
+    if (slaHours !== undefined) {
+      for (const [priority, value] of Object.entries(slaHours || {})) {
+        const hours = Number(value);
+        if (!COMPLAINT_PRIORITIES.includes(priority)) {
+          return res.status(400).json({
+            success: false,
+            message: `Invalid priority. Must be one of: ${COMPLAINT_PRIORITIES.join(', ')}`,
+          });
+        }
+        if (!Number.isFinite(hours) || hours < 1) {
+          return res.status(400).json({
+            success: false,
+            message: `SLA for ${priority} must be at least 1 hour`,
+          });
+        }
+        updates[`complaintWorkflow.slaHours.${priority}`] = hours;
+      }
+    }
+
+    if (reopenWindowDays !== undefined) {
+      const days = Number(reopenWindowDays);
+      if (!Number.isInteger(days) || days < 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'reopenWindowDays must be a whole number of days',
+        });
+      }
+      updates['complaintWorkflow.reopenWindowDays'] = days;
+    }
+
+    const institution = await Institution.findByIdAndUpdate(
+      req.user.institutionId,
+      { $set: updates },
+      { new: true, runValidators: true }
+    ).select('_id');
+
+    if (!institution) {
+      return res.status(404).json({
+        success: false,
+        message: 'Institution not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Complaint workflow updated',
+      data: await formatComplaintWorkflow(req.user.institutionId),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
+
+/**
+ * @desc    Set the institution's timezone (IANA name such as Asia/Kolkata).
+ *          Users' notification quiet hours are read on this clock.
+ * @route   PUT /api/institution/timezone
+ * @access  Private (Staff with staff:manage)
+ */
+export const updateTimezone = async (req, res) => {
+  try {
+    const { timezone } = req.body;
+    if (!isValidTimezone(timezone)) {
+      return res.status(400).json({
+        success: false,
+        message: 'timezone must be an IANA timezone such as Asia/Kolkata',
+      });
+    }
+
+    const institution = await Institution.findByIdAndUpdate(
+      req.user.institutionId,
+      { $set: { timezone } },
+      { new: true }
+    ).select('timezone');
+
+    if (!institution) {
+      return res.status(404).json({
+        success: false,
+        message: 'Institution not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Timezone updated',
+      data: { timezone: institution.timezone },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
@@ -1,9 +1,12 @@
+import mongoose from 'mongoose';
 import Leave from '../models/Leave.model.js';
 import Student from '../models/Student.model.js';
 import Parent from '../models/Parent.model.js';
 import User from '../models/User.model.js';
 import { getIO } from '../utils/socket.js';
 import { notifyUser, notifyUsers } from '../services/notification.service.js';
+import { recordAudit } from '../services/audit.service.js';
+import { findLinkableAttachments, linkAttachments, unlinkAttachments, formatAttachments } from '../services/attachment.service.js';
 
 /**
  * @desc    Create a new leave request
@@ -12,7 +15,7 @@ import { notifyUser, notifyUsers } from '../services/notification.service.js';
  */
 export const createLeaveRequest = async (req, res) => {
   try {
-    const { reason, type, outDate, inDate, outTime, inTime } = req.body;
+    const { reason, type, outDate, inDate, outTime, inTime, attachmentIds } = req.body;
 
     // Validate required fields
     if (!reason || !type || !outDate || !inDate) {
@@ -50,8 +53,28 @@ export const createLeaveRequest = async (req, res) => {
       });
     }
 
+    // Supporting documents uploaded beforehand through POST /api/attachments
+    const linkable = await findLinkableAttachments(attachmentIds, req.user);
+    if (!linkable.attachments) {
+      return res.status(linkable.status).json({
+        success: false,
+        message: linkable.message,
+      });
+    }
+
+    // Claim the uploads first so a concurrent request cannot attach them too
+    const leaveId = new mongoose.Types.ObjectId();
+    const linked = await linkAttachments(linkable.attachments, 'Leave', leaveId);
+    if (!linked.linked) {
+      return res.status(linked.status).json({
+        success: false,
+        message: linked.message,
+      });
+    }
+
     // Create leave request - 3-step: Student -> Parent -> Warden
     const leave = await Leave.create({
+      _id: leaveId,
       studentId: student._id,
       institutionId: req.user.institutionId,
       reason: reason.trim(),
@@ -67,6 +90,10 @@ export const createLeaveRequest = async (req, res) => {
         role: 'student',
         timestamp: new Date(),
       }],
+      attachments: linkable.attachments.map((attachment) => attachment._id),
+    }).catch(async (error) => {
+      await unlinkAttachments(linkable.attachments, leaveId);
+      throw error;
     });
 
     // Populate student details
@@ -95,7 +122,7 @@ export const createLeaveRequest = async (req, res) => {
         message: `${studentName} has submitted a ${leave.type.toLowerCase()} request that needs your approval.`,
         referenceId: leave._id,
         socketEvent: 'notification:new',
-        pushData: { type: 'leave', leaveId: String(leave._id) },
+        pushData: { type: 'leave', leaveId: String(leave._id), studentId: String(student._id) },
       })));
     } catch (socketError) {
       console.error('Socket emit error (leave):', socketError);
@@ -119,6 +146,7 @@ export const createLeaveRequest = async (req, res) => {
           rollNumber: leave.studentId.rollNumber || 'N/A',
           room: leave.studentId.room,
         },
+        attachments: formatAttachments(linkable.attachments, req),
       },
     });
   } catch (error) {
@@ -157,6 +185,7 @@ export const getAllLeaveRequests = async (req, res) => {
         }
       })
       .populate('approvedBy', 'name')
+      .populate('attachments')
       .sort({ createdAt: -1 });
 
     const formattedLeaves = leaves.map(leave => ({
@@ -171,12 +200,15 @@ export const getAllLeaveRequests = async (req, res) => {
       createdAt: leave.createdAt,
       approvedAt: leave.approvedAt,
       rejectionReason: leave.rejectionReason,
+      actualOutTime: leave.actualOutTime,
+      actualInTime: leave.actualInTime,
       student: {
         name: leave.studentId?.userId?.name || 'Unknown Student',
         rollNumber: leave.studentId?.rollNumber || 'N/A',
         room: leave.studentId?.room || 'N/A',
       },
       approvedBy: leave.approvedBy ? leave.approvedBy.name : null,
+      attachments: formatAttachments(leave.attachments, req),
     }));
 
     res.status(200).json({
@@ -210,6 +242,7 @@ export const getMyLeaveRequests = async (req, res) => {
 
     const leaves = await Leave.find({ studentId: student._id, institutionId: req.user.institutionId })
       .populate('approvedBy', 'name')
+      .populate('attachments')
       .sort({ createdAt: -1 });
 
     const formattedLeaves = leaves.map(leave => ({
@@ -225,6 +258,7 @@ export const getMyLeaveRequests = async (req, res) => {
       approvedAt: leave.approvedAt,
       rejectionReason: leave.rejectionReason,
       approvedBy: leave.approvedBy ? leave.approvedBy.name : null,
+      attachments: formatAttachments(leave.attachments, req),
     }));
 
     res.status(200).json({
@@ -257,14 +291,6 @@ export const parentApproveOrReject = async (req, res) => {
       });
     }
 
-    const parent = await Parent.findOne({ userId: req.user._id, institutionId: req.user.institutionId });
-    if (!parent) {
-      return res.status(403).json({
-        success: false,
-        message: 'Parent profile not found',
-      });
-    }
-
     const leave = await Leave.findOne({ _id: id, institutionId: req.user.institutionId })
       .populate('studentId', 'userId room')
       .populate('studentId.userId', 'name');
@@ -276,7 +302,13 @@ export const parentApproveOrReject = async (req, res) => {
       });
     }
 
-    if (leave.studentId._id.toString() !== parent.studentId.toString()) {
+    // The parent may have several children; this leave must be for one of them
+    const parent = await Parent.findOne({
+      userId: req.user._id,
+      studentId: leave.studentId._id,
+      institutionId: req.user.institutionId,
+    });
+    if (!parent) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to approve this leave request',
@@ -473,6 +505,16 @@ export const updateLeaveStatus = async (req, res) => {
       });
     }
 
+    await recordAudit(req, {
+      action: 'leave.status_change',
+      targetType: 'Leave',
+      targetId: updated._id,
+      targetLabel: updated.studentId?.rollNumber,
+      before: { status: leave.status },
+      after: { status: updated.status, rejectionReason: updated.rejectionReason || null },
+      metadata: { type: updated.type },
+    });
+
     // Notify student and parent about warden's decision.
     try {
       const io = getIO();
@@ -527,7 +569,7 @@ export const updateLeaveStatus = async (req, res) => {
           message: parentBody,
           referenceId: updated._id,
           socketEvent: 'notification:new',
-          pushData: { type: 'leave', leaveId: String(updated._id), status },
+          pushData: { type: 'leave', leaveId: String(updated._id), studentId: String(updated.studentId?._id), status },
         })));
 
         if (io) {
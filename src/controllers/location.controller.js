@@ -1,7 +1,7 @@
 import StudentLocation from '../models/StudentLocation.model.js';
 import StudentLocationHistory from '../models/StudentLocationHistory.model.js';
 import Student from '../models/Student.model.js';
-import Parent from '../models/Parent.model.js';
+import { getParentStudentIds } from '../services/parent.service.js';
 
 /**
  * @desc    Student: Toggle location sharing on/off
@@ -224,8 +224,8 @@ export const getStudentLocation = async (req, res) => {
     const { studentId } = req.params;
 
     if (req.user.role === 'parent') {
-      const parent = await Parent.findOne({ userId: req.user._id, institutionId: req.user.institutionId });
-      if (!parent || parent.studentId.toString() !== studentId) {
+      const childIds = await getParentStudentIds(req.user._id, req.user.institutionId);
+      if (!childIds.some((id) => id.toString() === studentId)) {
         return res.status(403).json({
           success: false,
           message: 'Not authorized to view this student location',
@@ -292,8 +292,8 @@ export const getStudentLocationHistory = async (req, res) => {
     const { studentId } = req.params;
 
     if (req.user.role === 'parent') {
-      const parent = await Parent.findOne({ userId: req.user._id, institutionId: req.user.institutionId });
-      if (!parent || parent.studentId.toString() !== studentId) {
+      const childIds = await getParentStudentIds(req.user._id, req.user.institutionId);
+      if (!childIds.some((id) => id.toString() === studentId)) {
         return res.status(403).json({ success: false, message: 'Not authorized to view this student location history' });
       }
     }
@@ -1,4 +1,19 @@
 import Notification from '../models/Notification.model.js';
+import User from '../models/User.model.js';
+import {
+  getInstitutionTimezone,
+  getNotificationPreferences,
+  parsePreferenceUpdate,
+} from '../services/notificationPreference.service.js';
+import { NOTIFICATION_CHANNELS, NOTIFICATION_TYPES } from '../config/notifications.js';
+
+const formatPreferences = async (user) => ({
+  ...getNotificationPreferences(user),
+  // Quiet hours are read on this clock
+  timezone: await getInstitutionTimezone(user.institutionId),
+  types: NOTIFICATION_TYPES,
+  availableChannels: NOTIFICATION_CHANNELS,
+});
 
 /**
  * @desc    Get user's notifications
@@ -102,3 +117,62 @@ export const markAllAsRead = async (req, res) => {
     });
   }
 };
+
+/**
+ * @desc    Get my notification channels per type and quiet hours
+ * @route   GET /api/notifications/preferences
+ * @access  Private
+ */
+export const getMyPreferences = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('institutionId notificationPreferences');
+
+    res.status(200).json({
+      success: true,
+      data: await formatPreferences(user),
+    });
+  } catch (error) {
+    console.error('Get notification preferences error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching notification preferences',
+    });
+  }
+};
+
+/**
+ * @desc    Update notification channels or quiet hours. Only the fields sent change,
+ *          e.g. { channels: { menu: { push: false } }, quietHours: { enabled: true, start: '22:00', end: '07:00' } }.
+ *          Critical alerts such as overdue returns are always delivered.
+ * @route   PUT /api/notifications/preferences
+ * @access  Private
+ */
+export const updateMyPreferences = async (req, res) => {
+  try {
+    const parsed = parsePreferenceUpdate(req.body);
+    if (parsed.error) {
+      return res.status(400).json({
+        success: false,
+        message: parsed.error,
+      });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.user._id,
+      { $set: parsed.updates },
+      { new: true, runValidators: true }
+    ).select('institutionId notificationPreferences');
+
+    res.status(200).json({
+      success: true,
+      message: 'Notification preferences updated',
+      data: await formatPreferences(user),
+    });
+  } catch (error) {
+    console.error('Update notification preferences error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating notification preferences',
+    });
+  }
+};
@@ -7,19 +7,107 @@ import Leave from '../models/Leave.model.js';
 import Fee from '../models/Fee.model.js';
 import EntryExit from '../models/EntryExit.model.js';
 import StudentLocation from '../models/StudentLocation.model.js';
+import RoomAllocation from '../models/RoomAllocation.model.js';
 import { generateTempPassword } from '../utils/generateTempPassword.js';
 import { sendParentTempPasswordEmail } from '../utils/emailService.js';
+import { revokeUserSessions } from '../services/session.service.js';
+import { recordAudit } from '../services/audit.service.js';
+import { getParentLinks, resolveParentChild } from '../services/parent.service.js';
+import { formatAttachments } from '../services/attachment.service.js';
+
+const populateLinkedStudent = {
+  path: 'studentId',
+  select: 'guardianPhone userId rollNumber class',
+  populate: {
+    path: 'userId',
+    select: 'name',
+  },
+};
 
 /**
- * Get the student ID that this parent is linked to.
- * Throws if parent has no linked student.
+ * One entry per parent login, listing every linked child.
+ * `studentName` and `relationship` describe the first child for older clients.
  */
-const getParentStudentId = async (userId, institutionId) => {
-  const parent = await Parent.findOne({ userId, institutionId }).populate('studentId');
-  if (!parent || !parent.studentId) {
-    return null;
-  }
-  return parent.studentId._id;
+const formatParent = (links) => {
+  const [first] = links;
+  return {
+    parentId: first.userId?._id,
+    parentName: first.userId?.name || 'Unknown Parent',
+    parentEmail: first.userId?.email || '',
+    studentName: links.map((link) => link.studentId?.userId?.name || 'Unknown Student').join(', '),
+    phone: first.phone || first.studentId?.guardianPhone || 'N/A',
+    relationship: first.relationship || 'Guardian',
+    children: links.map((link) => ({
+      studentId: link.studentId?._id || link.studentId,
+      studentName: link.studentId?.userId?.name || 'Unknown Student',
+      rollNumber: link.studentId?.rollNumber,
+      class: link.studentId?.class,
+      relationship: link.relationship || 'Guardian',
+    })),
+  };
+};
+
+/**
+ * Fees with each late fee nested under the fee it was charged for, plus totals due
+ */
+const groupFeesWithPenalties = (fees) => {
+  const penaltiesByFee = new Map();
+  fees
+    .filter((fee) => fee.category === 'Penalty' && fee.penaltyForFeeId)
+    .forEach((penalty) => {
+      const key = penalty.penaltyForFeeId.toString();
+      penaltiesByFee.set(key, [...(penaltiesByFee.get(key) || []), penalty.toJSON()]);
+    });
+
+  const feeIds = new Set(fees.map((fee) => fee._id.toString()));
+  const data = fees
+    .filter((fee) => fee.category !== 'Penalty' || !feeIds.has(fee.penaltyForFeeId?.toString()))
+    .map((fee) => ({ ...fee.toJSON(), penalties: penaltiesByFee.get(fee._id.toString()) || [] }));
+
+  const summary = fees.reduce(
+    (totals, fee) => {
+      totals.totalDue += fee.balance;
+      if (fee.category === 'Penalty') totals.penaltyDue += fee.balance;
+      return totals;
+    },
+    { totalDue: 0, penaltyDue: 0 }
+  );
+
+  return { data, summary };
+};
+
+/**
+ * Error response when ?studentId= is missing, invalid or not linked. Lists the
+ * linked children so the app can show a selector.
+ */
+const sendChildNotResolved = (res, child) =>
+  res.status(child.status).json({ success: false, message: child.message, children: child.children });
+
+/**
+ * Add a student to an existing parent login. Phone defaults to the parent's
+ * existing number. Throws a duplicate key error when already linked.
+ */
+const linkParentToStudent = async (req, parentUser, student, { relationship, phone } = {}) => {
+  const [existingLink] = await getParentLinks(parentUser._id, req.user.institutionId);
+
+  const parentRecord = await Parent.create({
+    userId: parentUser._id,
+    studentId: student._id,
+    relationship: String(relationship || '').trim() || 'Guardian',
+    phone: String(phone || '').trim() || existingLink?.phone || undefined,
+    institutionId: req.user.institutionId,
+  });
+
+  await recordAudit(req, {
+    action: 'parent.link_child',
+    targetType: 'Parent',
+    targetId: parentUser._id,
+    targetLabel: parentUser.email,
+    after: { studentId: String(student._id), relationship: parentRecord.relationship },
+    metadata: { rollNumber: student.rollNumber },
+  });
+
+  return parentRecord;
 };
 
 /**
@@ -29,28 +117,21 @@ const getParentStudentId = async (userId, institutionId) => {
  */
 export const getAllParents = async (req, res) => {
   try {
-    const parents = await Parent.find({ institutionId: req.user.institutionId })
+    const links = await Parent.find({ institutionId: req.user.institutionId })
       .populate('userId', 'name email')
-      .populate({
-        path: 'studentId',
-        select: 'guardianPhone userId',
-        populate: {
-          path: 'userId',
-          select: 'name',
-        },
-      })
+      .populate(populateLinkedStudent)
       .sort({ createdAt: -1 });
 
+    // Group the per-child records by parent login
+    const byParent = new Map();
+    links.forEach((link) => {
+      const key = String(link.userId?._id || link.userId);
+      byParent.set(key, [...(byParent.get(key) || []), link]);
+    });
+
     res.status(200).json({
       success: true,
-      data: parents.map((parent) => ({
-        parentId: parent.userId?._id,
-        parentName: parent.userId?.name || 'Unknown Parent',
-        parentEmail: parent.userId?.email || '',
-        studentName: parent.studentId?.userId?.name || 'Unknown Student',
-        phone: parent.phone || parent.studentId?.guardianPhone || 'N/A',
-        relationship: parent.relationship || 'Guardian',
-      })),
+      data: [...byParent.values()].map((parentLinks) => formatParent(parentLinks.reverse())),
     });
   } catch (error) {
     res.status(500).json({
@@ -68,14 +149,14 @@ export const getAllParents = async (req, res) => {
 export const updateParent = async (req, res) => {
   try {
     const { parentId } = req.params;
-    const { parentName, parentEmail, phone, relationship } = req.body;
+    const { parentName, parentEmail, phone, relationship, studentId } = req.body;
 
-    const parent = await Parent.findOne({
+    const links = await Parent.find({
       userId: parentId,
       institutionId: req.user.institutionId,
-    }).populate('studentId', 'guardianPhone userId');
+    });
 
-    if (!parent) {
+    if (!links.length) {
       return res.status(404).json({
         success: false,
         message: 'Parent not found',
@@ -95,6 +176,22 @@ export const updateParent = async (req, res) => {
       });
     }
 
+    // Relationship can differ per child; without studentId it applies to every link
+    const relationshipLinks = studentId ? links.filter((link) => String(link.studentId) === String(studentId)) : links;
+    if (studentId && !relationshipLinks.length) {
+      return res.status(404).json({
+        success: false,
+        message: 'This student is not linked to the parent',
+      });
+    }
+
+    const before = {
+      name: parentUser.name,
+      email: parentUser.email,
+      phone: links[0].phone || null,
+      relationship: relationshipLinks[0].relationship || null,
+    };
+
     if (parentName !== undefined) {
       const nextName = String(parentName || '').trim();
       if (!nextName) {
@@ -112,47 +209,52 @@ export const updateParent = async (req, res) => {
     }
 
     if (relationship !== undefined) {
-      parent.relationship = String(relationship || '').trim() || 'Guardian';
+      relationshipLinks.forEach((link) => {
+        link.relationship = String(relationship || '').trim() || 'Guardian';
+      });
     }
 
     if (phone !== undefined) {
-      parent.phone = String(phone || '').trim() || undefined;
-    }
-
-    if (phone !== undefined && parent.studentId?._id) {
-      await Student.findByIdAndUpdate(parent.studentId._id, {
-        guardianPhone: String(phone || '').trim() || undefined,
+      const nextPhone = String(phone || '').trim() || undefined;
+      links.forEach((link) => {
+        link.phone = nextPhone;
       });
+      await Student.updateMany(
+        { _id: { $in: links.map((link) => link.studentId) }, institutionId: req.user.institutionId },
+        { guardianPhone: nextPhone }
+      );
     }
 
     await parentUser.save();
-    await parent.save();
+    await Promise.all(links.map((link) => link.save()));
+
+    await recordAudit(req, {
+      action: 'parent.update',
+      targetType: 'Parent',
+      targetId: parentUser._id,
+      targetLabel: parentUser.email,
+      before,
+      after: {
+        name: parentUser.name,
+        email: parentUser.email,
+        phone: links[0].phone || null,
+        relationship: relationshipLinks[0].relationship || null,
+      },
+      metadata: studentId ? { studentId: String(studentId) } : undefined,
+    });
 
-    const refreshed = await Parent.findOne({
+    const refreshed = await Parent.find({
       userId: parentId,
       institutionId: req.user.institutionId,
     })
       .populate('userId', 'name email')
-      .populate({
-        path: 'studentId',
-        select: 'guardianPhone userId',
-        populate: {
-          path: 'userId',
-          select: 'name',
-        },
-      });
+      .populate(populateLinkedStudent)
+      .sort({ createdAt: 1 });
 
     return res.status(200).json({
       success: true,
       message: 'Parent details updated successfully',
-      data: {
-        parentId: refreshed.userId?._id,
-        parentName: refreshed.userId?.name || 'Unknown Parent',
-        parentEmail: refreshed.userId?.email || '',
-        studentName: refreshed.studentId?.userId?.name || 'Unknown Student',
-        phone: refreshed.phone || refreshed.studentId?.guardianPhone || 'N/A',
-        relationship: refreshed.relationship || 'Guardian',
-      },
+      data: formatParent(refreshed),
     });
   } catch (error) {
     if (error?.code === 11000) {
@@ -219,22 +321,30 @@ export const registerParent = async (req, res) => {
 
     const existingUser = await User.findOne({ email: normalizedEmail, institutionId });
     if (existingUser) {
-      const existingParent = await Parent.findOne({ userId: existingUser._id, institutionId });
-      if (existingParent) {
-        if (existingParent.studentId.toString() === studentId) {
-          return res.status(400).json({
-            success: false,
-            message: 'This parent is already linked to this student',
-          });
-        }
+      if (existingUser.role !== 'parent') {
         return res.status(400).json({
           success: false,
-          message: 'This email is already registered as a parent for another student',
+          message: 'User with this email already exists',
         });
       }
-      return res.status(400).json({
-        success: false,
-        message: 'User with this email already exists',
+
+      // Brother or sister of a child already linked: add this student to the same login
+      const parentRecord = await linkParentToStudent(req, existingUser, student, { relationship, phone });
+      return res.status(201).json({
+        success: true,
+        message: 'Existing parent account linked to this student. They can switch between children after logging in.',
+        data: {
+          parent: {
+            id: parentRecord._id,
+            userId: existingUser._id,
+            name: existingUser.name,
+            email: existingUser.email,
+            relationship: parentRecord.relationship,
+            phone: parentRecord.phone || student.guardianPhone || null,
+            studentId: student._id,
+            studentName: student.userId?.name,
+          },
+        },
       });
     }
 
@@ -304,7 +414,7 @@ export const registerParent = async (req, res) => {
       }
       return res.status(400).json({
         success: false,
-        message: 'This parent is already linked to a student',
+        message: 'This parent is already linked to this student',
       });
     }
     res.status(500).json({
@@ -324,25 +434,40 @@ export const deleteParent = async (req, res) => {
     const { parentId } = req.params;
     const institutionId = req.user.institutionId;
 
-    const parent = await Parent.findOne({
-      userId: parentId,
-      institutionId,
-    });
+    const links = await Parent.find({ userId: parentId, institutionId });
 
-    if (!parent) {
+    if (!links.length) {
       return res.status(404).json({
         success: false,
         message: 'Parent not found',
       });
     }
 
+    const parentUser = await User.findOne({ _id: parentId, institutionId, role: 'parent' }).select('name email');
+
     await Promise.all([
       Chat.deleteMany({ parentId, institutionId }),
       Notification.deleteMany({ userId: parentId, institutionId }),
-      Parent.deleteOne({ _id: parent._id }),
+      Parent.deleteMany({ userId: parentId, institutionId }),
       User.deleteOne({ _id: parentId, institutionId, role: 'parent' }),
     ]);
 
+    await revokeUserSessions(parentId, 'Account deleted');
+
+    await recordAudit(req, {
+      action: 'parent.delete',
+      targetType: 'Parent',
+      targetId: parentId,
+      targetLabel: parentUser?.email,
+      before: {
+        name: parentUser?.name || null,
+        email: parentUser?.email || null,
+        studentIds: links.map((link) => String(link.studentId)),
+        relationship: links[0].relationship || null,
+        phone: links[0].phone || null,
+      },
+    });
+
     return res.status(200).json({
       success: true,
       message: 'Parent deleted successfully',
@@ -356,29 +481,159 @@ export const deleteParent = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Link another student (e.g. a sibling) to an existing parent login
+ * @route   POST /api/parents/:parentId/children
+ * @access  Private (Warden only)
+ */
+export const linkChild = async (req, res) => {
+  try {
+    const { parentId } = req.params;
+    const { studentId, relationship, phone } = req.body;
+    const institutionId = req.user.institutionId;
+
+    if (!studentId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide studentId',
+      });
+    }
+
+    const parentUser = await User.findOne({ _id: parentId, institutionId, role: 'parent' }).select('name email');
+    if (!parentUser) {
+      return res.status(404).json({
+        success: false,
+        message: 'Parent not found',
+      });
+    }
+
+    const student = await Student.findOne({ _id: studentId, institutionId }).populate('userId', 'name');
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student not found',
+      });
+    }
+
+    const existingGuardian = await Parent.findOne({ studentId, institutionId });
+    if (existingGuardian) {
+      return res.status(400).json({
+        success: false,
+        message:
+          String(existingGuardian.userId) === String(parentId)
+            ? 'This parent is already linked to this student'
+            : 'Guardian already created for this student',
+      });
+    }
+
+    await linkParentToStudent(req, parentUser, student, { relationship, phone });
+
+    const links = await Parent.find({ userId: parentId, institutionId })
+      .populate(populateLinkedStudent)
+      .populate('userId', 'name email')
+      .sort({ createdAt: 1 });
+
+    return res.status(201).json({
+      success: true,
+      message: `${student.userId?.name || 'Student'} linked to ${parentUser.name}`,
+      data: formatParent(links),
+    });
+  } catch (error) {
+    console.error('❌ linkChild error:', error);
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'Guardian already created for this student',
+      });
+    }
+    return res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
+
+/**
+ * @desc    Remove one child from a parent login. The last child cannot be
+ *          unlinked; delete the parent instead.
+ * @route   DELETE /api/parents/:parentId/children/:studentId
+ * @access  Private (Warden only)
+ */
+export const unlinkChild = async (req, res) => {
+  try {
+    const { parentId, studentId } = req.params;
+    const institutionId = req.user.institutionId;
+
+    const links = await Parent.find({ userId: parentId, institutionId });
+    const link = links.find((item) => String(item.studentId) === String(studentId));
+    if (!link) {
+      return res.status(404).json({
+        success: false,
+        message: 'This student is not linked to this parent',
+      });
+    }
+
+    if (links.length === 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'This is the only child linked to this parent. Delete the parent account instead.',
+      });
+    }
+
+    const parentUser = await User.findOne({ _id: parentId, institutionId, role: 'parent' }).select('email');
+
+    await Promise.all([
+      Chat.deleteMany({ parentId, studentId, institutionId }),
+      Parent.deleteOne({ _id: link._id }),
+    ]);
+
+    await recordAudit(req, {
+      action: 'parent.unlink_child',
+      targetType: 'Parent',
+      targetId: parentId,
+      targetLabel: parentUser?.email,
+      before: { studentId: String(link.studentId), relationship: link.relationship || null },
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Child unlinked from parent',
+    });
+  } catch (error) {
+    console.error('❌ unlinkChild error:', error);
+    return res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
+
 /**
  * @desc    Get parent's linked child (student) info
- * @route   GET /api/parent/child
+ * @route   GET /api/parent/child?studentId=
  * @access  Private (Parent only)
  */
 export const getMyChild = async (req, res) => {
   try {
-    const parent = await Parent.findOne({ userId: req.user._id, institutionId: req.user.institutionId })
-      .populate('studentId')
-      .populate('studentId.userId', 'name email');
+    const child = await resolveParentChild(req.user, req.query.studentId);
+    if (!child.studentId) return sendChildNotResolved(res, child);
 
-    if (!parent || !parent.studentId) {
+    const student = await Student.findOne({ _id: child.studentId, institutionId: req.user.institutionId }).populate(
+      'userId',
+      'name email'
+    );
+    if (!student) {
       return res.status(404).json({
         success: false,
         message: 'No child linked to your account',
       });
     }
 
-    const student = parent.studentId;
     res.status(200).json({
       success: true,
       data: {
         id: student._id,
+        relationship: child.parent.relationship || 'Guardian',
         name: student.userId?.name,
         email: student.userId?.email,
         class: student.class,
@@ -396,27 +651,158 @@ export const getMyChild = async (req, res) => {
   }
 };
 
+/**
+ * @desc    List every child linked to the parent, for the child selector
+ * @route   GET /api/parent/children
+ * @access  Private (Parent only)
+ */
+export const getMyChildren = async (req, res) => {
+  try {
+    const institutionId = req.user.institutionId;
+    const links = await Parent.find({ userId: req.user._id, institutionId })
+      .populate({
+        path: 'studentId',
+        select: 'userId class section rollNumber room',
+        populate: { path: 'userId', select: 'name' },
+      })
+      .sort({ createdAt: 1 });
+
+    const studentIds = links.filter((link) => link.studentId).map((link) => link.studentId._id);
+    const pendingApprovals = await Leave.aggregate([
+      { $match: { institutionId, studentId: { $in: studentIds }, parentApprovalStatus: 'Pending' } },
+      { $group: { _id: '$studentId', count: { $sum: 1 } } },
+    ]);
+    const pendingByStudent = new Map(pendingApprovals.map((item) => [String(item._id), item.count]));
+
+    const data = links
+      .filter((link) => link.studentId)
+      .map((link) => ({
+        id: link.studentId._id,
+        name: link.studentId.userId?.name,
+        class: link.studentId.class,
+        section: link.studentId.section,
+        rollNumber: link.studentId.rollNumber,
+        room: link.studentId.room,
+        relationship: link.relationship || 'Guardian',
+        pendingLeaveApprovals: pendingByStudent.get(String(link.studentId._id)) || 0,
+      }));
+
+    res.status(200).json({
+      success: true,
+      count: data.length,
+      data,
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message || 'Server error' });
+  }
+};
+
+/**
+ * @desc    Fees for every linked child with a combined amount due
+ * @route   GET /api/parent/children/fees
+ * @access  Private (Parent only)
+ */
+export const getChildrenFees = async (req, res) => {
+  try {
+    const institutionId = req.user.institutionId;
+    const links = await Parent.find({ userId: req.user._id, institutionId })
+      .populate(populateLinkedStudent)
+      .sort({ createdAt: 1 });
+
+    const studentIds = links.filter((link) => link.studentId).map((link) => link.studentId._id);
+    const fees = await Fee.find({ studentId: { $in: studentIds }, institutionId }).sort({ createdAt: -1 });
+
+    const children = links
+      .filter((link) => link.studentId)
+      .map((link) => {
+        const childFees = fees.filter((fee) => String(fee.studentId) === String(link.studentId._id));
+        const { data, summary } = groupFeesWithPenalties(childFees);
+        return {
+          studentId: link.studentId._id,
+          studentName: link.studentId.userId?.name || 'Unknown Student',
+          rollNumber: link.studentId.rollNumber,
+          class: link.studentId.class,
+          summary,
+          fees: data,
+        };
+      });
+
+    const summary = children.reduce(
+      (totals, child) => ({
+        totalDue: totals.totalDue + child.summary.totalDue,
+        penaltyDue: totals.penaltyDue + child.summary.penaltyDue,
+      }),
+      { totalDue: 0, penaltyDue: 0 }
+    );
+
+    res.status(200).json({
+      success: true,
+      count: children.length,
+      summary,
+      data: children,
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message || 'Server error' });
+  }
+};
+
 /**
  * @desc    Get child's room details
- * @route   GET /api/parent/child/room
+ * @route   GET /api/parent/child/room?studentId=
  * @access  Private (Parent only)
  */
 export const getChildRoom = async (req, res) => {
   try {
-    const studentId = await getParentStudentId(req.user._id, req.user.institutionId);
-    if (!studentId) {
-      return res.status(404).json({ success: false, message: 'No child linked' });
-    }
+    const child = await resolveParentChild(req.user, req.query.studentId);
+    if (!child.studentId) return sendChildNotResolved(res, child);
+    const { studentId } = child;
 
     const student = await Student.findById(studentId).populate('userId', 'name');
     if (!student) {
       return res.status(404).json({ success: false, message: 'Student not found' });
     }
 
+    const allocation = await RoomAllocation.findOne({
+      studentId,
+      institutionId: req.user.institutionId,
+      isActive: true,
+    }).populate('roomId', 'block floor number type capacity');
+
+    let roommates = [];
+    if (allocation?.roomId) {
+      const roommateAllocations = await RoomAllocation.find({
+        roomId: allocation.roomId._id,
+        isActive: true,
+        studentId: { $ne: studentId },
+      }).populate({
+        path: 'studentId',
+        select: 'userId class section',
+        populate: { path: 'userId', select: 'name' },
+      });
+
+      roommates = roommateAllocations
+        .filter((item) => item.studentId)
+        .map((item) => ({
+          name: item.studentId.userId?.name || 'Unknown',
+          class: item.studentId.class,
+          section: item.studentId.section || 'N/A',
+          bed: item.bedLabel,
+        }));
+    }
+
+    const room = allocation?.roomId;
+
     res.status(200).json({
       success: true,
       data: {
-        room: student.room || 'N/A',
+        room: room ? `${room.block}-${room.number}` : student.room || 'N/A',
+        block: room?.block || 'N/A',
+        floor: room?.floor ?? null,
+        roomType: room?.type || null,
+        capacity: room?.capacity ?? null,
+        bed: allocation?.bedLabel || null,
+        allocatedAt: allocation?.allocatedAt || null,
+        roommates,
         class: student.class,
         section: student.section || 'N/A',
         rollNumber: student.rollNumber,
@@ -429,22 +815,25 @@ export const getChildRoom = async (req, res) => {
 
 /**
  * @desc    Get child's fee and payment history
- * @route   GET /api/parent/child/fees
+ * @route   GET /api/parent/child/fees?studentId=
  * @access  Private (Parent only)
  */
 export const getChildFees = async (req, res) => {
   try {
-    const studentId = await getParentStudentId(req.user._id, req.user.institutionId);
-    if (!studentId) {
-      return res.status(404).json({ success: false, message: 'No child linked' });
-    }
+    const child = await resolveParentChild(req.user, req.query.studentId);
+    if (!child.studentId) return sendChildNotResolved(res, child);
+    const { studentId } = child;
 
     const fees = await Fee.find({ studentId, institutionId: req.user.institutionId }).sort({ createdAt: -1 });
 
+    // Show each late fee under the fee it was charged for
+    const { data, summary } = groupFeesWithPenalties(fees);
+
     res.status(200).json({
       success: true,
-      count: fees.length,
-      data: fees,
+      count: data.length,
+      summary,
+      data,
     });
   } catch (error) {
     res.status(500).json({ success: false, message: error.message || 'Server error' });
@@ -453,15 +842,14 @@ export const getChildFees = async (req, res) => {
 
 /**
  * @desc    Get child's entry/exit logs (last 30 days, with monthly filter)
- * @route   GET /api/parent/child/entry-exit
+ * @route   GET /api/parent/child/entry-exit?studentId=
  * @access  Private (Parent only)
  */
 export const getChildEntryExit = async (req, res) => {
   try {
-    const studentId = await getParentStudentId(req.user._id, req.user.institutionId);
-    if (!studentId) {
-      return res.status(404).json({ success: false, message: 'No child linked' });
-    }
+    const child = await resolveParentChild(req.user, req.query.studentId);
+    if (!child.studentId) return sendChildNotResolved(res, child);
+    const { studentId } = child;
 
     const { month, year } = req.query;
     const query = { studentId };
@@ -490,19 +878,19 @@ export const getChildEntryExit = async (req, res) => {
 
 /**
  * @desc    Get child's outing requests
- * @route   GET /api/parent/child/leaves
+ * @route   GET /api/parent/child/leaves?studentId=
  * @access  Private (Parent only)
  */
 export const getChildLeaves = async (req, res) => {
   try {
-    const studentId = await getParentStudentId(req.user._id, req.user.institutionId);
-    if (!studentId) {
-      return res.status(404).json({ success: false, message: 'No child linked' });
-    }
+    const child = await resolveParentChild(req.user, req.query.studentId);
+    if (!child.studentId) return sendChildNotResolved(res, child);
+    const { studentId } = child;
 
     const leaves = await Leave.find({ studentId, institutionId: req.user.institutionId })
       .populate('approvedBy', 'name')
       .populate('parentApprovedBy', 'name')
+      .populate('attachments')
       .sort({ createdAt: -1 });
 
     res.status(200).json({
@@ -520,6 +908,7 @@ export const getChildLeaves = async (req, res) => {
         parentRejectionReason: l.parentRejectionReason,
         createdAt: l.createdAt,
         statusHistory: l.statusHistory || [],
+        attachments: formatAttachments(l.attachments, req),
       })),
     });
   } catch (error) {
@@ -529,15 +918,14 @@ export const getChildLeaves = async (req, res) => {
 
 /**
  * @desc    Get child's location (if sharing enabled)
- * @route   GET /api/parent/child/location
+ * @route   GET /api/parent/child/location?studentId=
  * @access  Private (Parent only)
  */
 export const getChildLocation = async (req, res) => {
   try {
-    const studentId = await getParentStudentId(req.user._id, req.user.institutionId);
-    if (!studentId) {
-      return res.status(404).json({ success: false, message: 'No child linked' });
-    }
+    const child = await resolveParentChild(req.user, req.query.studentId);
+    if (!child.studentId) return sendChildNotResolved(res, child);
+    const { studentId } = child;
 
     const loc = await StudentLocation.findOne({ studentId, institutionId: req.user.institutionId });
     if (!loc || !loc.isSharingEnabled) {
@@ -566,15 +954,14 @@ export const getChildLocation = async (req, res) => {
 
 /**
  * @desc    Get child's current status (in/out)
- * @route   GET /api/parent/child/status
+ * @route   GET /api/parent/child/status?studentId=
  * @access  Private (Parent only)
  */
 export const getChildStatus = async (req, res) => {
   try {
-    const studentId = await getParentStudentId(req.user._id, req.user.institutionId);
-    if (!studentId) {
-      return res.status(404).json({ success: false, message: 'No child linked' });
-    }
+    const child = await resolveParentChild(req.user, req.query.studentId);
+    if (!child.studentId) return sendChildNotResolved(res, child);
+    const { studentId } = child;
 
     const lastLog = await EntryExit.findOne({ studentId, institutionId: req.user.institutionId }).sort({ createdAt: -1 });
     const status = lastLog ? lastLog.status : 'OUT';
@@ -1,98 +1,96 @@
-import crypto from 'crypto';
-import Razorpay from 'razorpay';
+import mongoose from 'mongoose';
 import Fee from '../models/Fee.model.js';
 import Student from '../models/Student.model.js';
-import Parent from '../models/Parent.model.js';
 import Payment from '../models/Payment.model.js';
-import { generateReceiptNumber } from '../utils/receiptNumber.js';
-import { sendPaymentReceiptEmail } from '../utils/emailService.js';
 import { buildReceiptPdfBuffer } from '../utils/receiptPdf.js';
+import { getOutstandingSummary, SETTLED_PAYMENT_STATUSES } from '../services/feeLedger.service.js';
+import {
+  completeVerifiedPayment,
+  getRazorpayClient,
+  settleRazorpayPayment,
+  takeClaimForReview,
+  toReceiptItems,
+} from '../services/payment.service.js';
+import { isValidSignature, processRazorpayWebhook } from '../services/razorpayWebhook.service.js';
+import { getStudentPaymentSummary } from '../services/financeReport.service.js';
+import { recordAudit, snapshot } from '../services/audit.service.js';
+import { getParentLinks, getParentStudentIds, resolveParentChild } from '../services/parent.service.js';
+
+const CLAIM_METHODS = ['Cash', 'Cheque', 'UPI', 'Card', 'Netbanking'];
+const OFFLINE_METHODS = ['Cash', 'Cheque'];
+const PAYMENT_SUMMARY_STATUSES = ['Paid', 'Partial', 'Pending'];
+const PAYMENT_AUDIT_FIELDS = ['amount', 'method', 'status', 'verificationStatus', 'reference', 'receiptNumber', 'rejectionReason'];
 
 /**
- * @desc    Get payment summary for all students (warden only)
- * @route   GET /api/payments
- * @access  Private (Warden only)
+ * Validate an optional payment amount and fee selection from a request body.
+ * Returns { amount, feeIds } or { error }.
  */
-export const getPaymentSummary = async (req, res) => {
-  try {
-    // Get all students with their fees
-    const students = await Student.find({ institutionId: req.user.institutionId })
-      .populate('userId', 'name email')
-      .sort({ rollNumber: 1 });
-
-    // Get all fees
-    const allFees = await Fee.find({ institutionId: req.user.institutionId }).populate({
-      path: 'studentId',
-      select: 'rollNumber userId',
-      populate: { path: 'userId', select: 'name' },
-    });
-
-    // Get completed payments to recover paid totals if fees are missing/out of sync
-    const completedPayments = await Payment.find({ status: 'Completed', institutionId: req.user.institutionId }).select('studentId amount createdAt');
-    const paymentTotals = new Map();
-    completedPayments.forEach((payment) => {
-      const studentKey = payment.studentId?.toString();
-      if (!studentKey) return;
-      const existing = paymentTotals.get(studentKey) || { totalPaid: 0, lastPaidAt: null };
-      existing.totalPaid += payment.amount || 0;
-      if (!existing.lastPaidAt || payment.createdAt > existing.lastPaidAt) {
-        existing.lastPaidAt = payment.createdAt;
-      }
-      paymentTotals.set(studentKey, existing);
-    });
+const parsePaymentSelection = ({ amount, feeIds } = {}) => {
+  if (amount !== undefined && (typeof amount !== 'number' || Number.isNaN(amount) || amount <= 0)) {
+    return { error: 'Please provide a valid amount' };
+  }
+  if (feeIds !== undefined && (!Array.isArray(feeIds) || feeIds.some((id) => !mongoose.Types.ObjectId.isValid(id)))) {
+    return { error: 'feeIds must be a list of fee IDs' };
+  }
+  return { amount, feeIds: feeIds?.length ? [...new Set(feeIds.map(String))] : undefined };
+};
 
-    // Group fees by student and calculate totals
-    const paymentSummary = students.map((student) => {
-      const studentFees = allFees.filter(
-        (fee) => fee.studentId._id.toString() === student._id.toString()
-      );
+/**
+ * Work out how much is being paid against which fees.
+ * Returns { amount, fees, totalDue } or { error } / { nothingDue: true }.
+ */
+const resolvePaymentTarget = async ({ student, institutionId, amount, feeIds }) => {
+  const { totalDue, fees } = await getOutstandingSummary({ studentId: student._id, institutionId, feeIds });
 
-      let totalFees = studentFees.reduce((sum, fee) => sum + fee.amount, 0);
-      const paidFromFees = studentFees
-        .filter((fee) => fee.status === 'Paid')
-        .reduce((sum, fee) => sum + fee.amount, 0);
+  if (feeIds && fees.length !== feeIds.length) {
+    return { error: 'Some selected fees were not found or are already paid' };
+  }
+  if (fees.length === 0) {
+    return { nothingDue: true };
+  }
 
-      const paymentAggregate = paymentTotals.get(student._id.toString()) || { totalPaid: 0, lastPaidAt: null };
-      const paidFromPayments = paymentAggregate.totalPaid || 0;
+  const payAmount = amount === undefined ? totalDue : Math.round(amount * 100) / 100;
+  if (payAmount > totalDue) {
+    return {
+      error: `Payment amount exceeds the outstanding balance of ₹${totalDue}${feeIds ? ' for the selected fees' : ''}.`,
+    };
+  }
 
-      const paidAmount = paidFromPayments > paidFromFees ? paidFromPayments : paidFromFees;
-      if (totalFees === 0 && paidFromPayments > 0) {
-        totalFees = paidFromPayments;
-      }
+  return { amount: payAmount, fees, totalDue };
+};
 
-      const dueAmount = Math.max(totalFees - paidAmount, 0);
-      const paymentStatus = dueAmount === 0 ? 'Paid' : dueAmount === totalFees ? 'Pending' : 'Partial';
+/**
+ * @desc    Per-student fee and payment totals, computed in the database and paginated
+ * @route   GET /api/payments?search=&paymentStatus=Paid|Partial|Pending&page=&limit=
+ * @access  Private (Staff with payments:read)
+ */
+export const getPaymentSummary = async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), 500);
+    const { search, paymentStatus } = req.query;
+    if (paymentStatus !== undefined && !PAYMENT_SUMMARY_STATUSES.includes(paymentStatus)) {
+      return res.status(400).json({
+        success: false,
+        message: `paymentStatus must be one of: ${PAYMENT_SUMMARY_STATUSES.join(', ')}`,
+      });
+    }
 
-      return {
-        studentId: student._id,
-        studentName: student.userId?.name || 'Unknown',
-        rollNumber: student.rollNumber,
-        email: student.userId?.email || 'N/A',
-        class: student.class,
-        section: student.section || 'N/A',
-        room: student.room || 'N/A',
-        totalFees,
-        paidAmount,
-        dueAmount,
-        paymentStatus,
-        feeCount: studentFees.length,
-        fees: studentFees.map((fee) => ({
-          id: fee._id,
-          amount: fee.amount,
-          term: fee.term,
-          status: fee.status,
-          receiptNumber: fee.receiptNumber || 'N/A',
-          paidAt: fee.paidAt || null,
-          dueDate: fee.dueDate || null,
-          createdAt: fee.createdAt,
-        })),
-      };
+    const summary = await getStudentPaymentSummary({
+      institutionId: req.user.institutionId,
+      search: search ? String(search).trim() : undefined,
+      paymentStatus,
+      page,
+      limit,
     });
 
     res.status(200).json({
       success: true,
-      count: paymentSummary.length,
-      data: paymentSummary,
+      count: summary.rows.length,
+      total: summary.total,
+      page: summary.page,
+      pages: summary.pages,
+      data: summary.rows,
     });
   } catch (error) {
     console.error('❌ Error fetching payment summary:', error);
@@ -118,9 +116,9 @@ export const createRazorpayOrder = async (req, res) => {
       });
     }
 
-    const { student, payerType, payerUserId, error } = await resolvePayer(req, req.body?.studentId);
+    const { student, payerType, payerUserId, error, status } = await resolvePayer(req, req.body?.studentId);
     if (error) {
-      return res.status(400).json({
+      return res.status(status || 400).json({
         success: false,
         message: error,
       });
@@ -132,8 +130,22 @@ export const createRazorpayOrder = async (req, res) => {
       });
     }
 
-    const pendingFees = await Fee.find({ studentId: student._id, status: 'Pending', institutionId: req.user.institutionId }).sort({ createdAt: 1 });
-    if (pendingFees.length === 0) {
+    const selection = parsePaymentSelection(req.body);
+    if (selection.error) {
+      return res.status(400).json({
+        success: false,
+        message: selection.error,
+      });
+    }
+
+    const target = await resolvePaymentTarget({ student, institutionId: req.user.institutionId, ...selection });
+    if (target.error) {
+      return res.status(400).json({
+        success: false,
+        message: target.error,
+      });
+    }
+    if (target.nothingDue) {
       return res.status(200).json({
         success: true,
         message: 'No pending fees to pay',
@@ -141,27 +153,29 @@ export const createRazorpayOrder = async (req, res) => {
       });
     }
 
-    const totalDue = pendingFees.reduce((sum, fee) => sum + (fee.amount || 0), 0);
-    const receiptNumber = generateReceiptNumber();
+    // The receipt number is only issued once the payment is captured, so abandoned
+    // checkouts leave no gaps in the receipt series
+    const paymentId = new mongoose.Types.ObjectId();
 
     const order = await razorpay.orders.create({
-      amount: Math.round(totalDue * 100),
+      amount: Math.round(target.amount * 100),
       currency: 'INR',
-      receipt: receiptNumber,
+      receipt: String(paymentId),
       payment_capture: 1,
     });
 
     await Payment.create({
+      _id: paymentId,
       studentId: student._id,
       institutionId: req.user.institutionId,
       payerType,
       payerUserId,
-      amount: totalDue,
+      amount: target.amount,
       method: 'Razorpay',
       gateway: 'Razorpay',
       status: 'Pending',
-      receiptNumber,
-      feeIds: pendingFees.map((fee) => fee._id),
+      // Only pin fees when the payer chose them; otherwise allocate oldest first on capture
+      feeIds: selection.feeIds ? target.fees.map((fee) => fee._id) : [],
       currency: order.currency,
       razorpayOrderId: order.id,
     });
@@ -172,7 +186,8 @@ export const createRazorpayOrder = async (req, res) => {
         orderId: order.id,
         amount: order.amount,
         currency: order.currency,
-        receiptNumber,
+        paymentId,
+        outstandingBalance: target.totalDue,
         keyId: process.env.RAZORPAY_KEY_ID,
         studentName: student.userId?.name || 'Student',
         studentEmail: student.userId?.email || '',
@@ -187,6 +202,147 @@ export const createRazorpayOrder = async (req, res) => {
   }
 };
 
+/**
+ * @desc    One Razorpay order covering several linked children. Each child gets
+ *          its own payment (and receipt) on the shared order.
+ * @route   POST /api/payments/create-family-order
+ *          body: { children?: [{ studentId, amount?, feeIds? }] } (default: every child, full balance)
+ * @access  Private (Parent only)
+ */
+export const createFamilyRazorpayOrder = async (req, res) => {
+  try {
+    const razorpay = getRazorpayClient();
+    if (!razorpay) {
+      return res.status(500).json({
+        success: false,
+        message: 'Razorpay is not configured',
+      });
+    }
+
+    const institutionId = req.user.institutionId;
+    const links = await getParentLinks(req.user._id, institutionId);
+    if (!links.length) {
+      return res.status(404).json({
+        success: false,
+        message: 'No child linked to this parent account',
+      });
+    }
+
+    const requested = req.body?.children ?? links.map((link) => ({ studentId: String(link.studentId) }));
+    if (!Array.isArray(requested) || !requested.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'children must be a list of { studentId, amount }',
+      });
+    }
+
+    const linkedIds = new Set(links.map((link) => String(link.studentId)));
+    const seen = new Set();
+    const parts = [];
+    for (const item of requested) {
+      const studentId = String(item?.studentId || '');
+      if (!linkedIds.has(studentId)) {
+        return res.status(403).json({
+          success: false,
+          message: `Student ${studentId || '(missing)'} is not linked to this parent account`,
+        });
+      }
+      if (seen.has(studentId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Each child can be listed only once',
+        });
+      }
+      seen.add(studentId);
+
+      const selection = parsePaymentSelection(item);
+      if (selection.error) {
+        return res.status(400).json({
+          success: false,
+          message: selection.error,
+        });
+      }
+
+      const student = await Student.findOne({ _id: studentId, institutionId }).populate('userId', 'name email');
+      if (!student) {
+        return res.status(404).json({
+          success: false,
+          message: 'Student profile not found',
+        });
+      }
+
+      const target = await resolvePaymentTarget({ student, institutionId, ...selection });
+      if (target.error) {
+        return res.status(400).json({
+          success: false,
+          message: `${student.userId?.name || 'Student'}: ${target.error}`,
+        });
+      }
+      // Children with nothing due are left out of the order
+      if (!target.nothingDue) parts.push({ student, selection, target, paymentId: new mongoose.Types.ObjectId() });
+    }
+
+    if (!parts.length) {
+      return res.status(200).json({
+        success: true,
+        message: 'No pending fees to pay',
+        data: null,
+      });
+    }
+
+    // Summed in paise per child so the webhook amount check matches exactly
+    const orderAmount = parts.reduce((sum, part) => sum + Math.round(part.target.amount * 100), 0);
+    const order = await razorpay.orders.create({
+      amount: orderAmount,
+      currency: 'INR',
+      receipt: String(parts[0].paymentId),
+      payment_capture: 1,
+    });
+
+    await Payment.insertMany(
+      parts.map(({ student, selection, target, paymentId }) => ({
+        _id: paymentId,
+        studentId: student._id,
+        institutionId,
+        payerType: 'parent',
+        payerUserId: req.user._id,
+        amount: target.amount,
+        method: 'Razorpay',
+        gateway: 'Razorpay',
+        status: 'Pending',
+        feeIds: selection.feeIds ? target.fees.map((fee) => fee._id) : [],
+        currency: order.currency,
+        razorpayOrderId: order.id,
+      }))
+    );
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        orderId: order.id,
+        amount: order.amount,
+        currency: order.currency,
+        keyId: process.env.RAZORPAY_KEY_ID,
+        payerName: req.user.name,
+        payerEmail: req.user.email,
+        children: parts.map(({ student, target, paymentId }) => ({
+          studentId: student._id,
+          studentName: student.userId?.name || 'Student',
+          paymentId,
+          amount: target.amount,
+          outstandingBalance: target.totalDue,
+        })),
+      },
+    });
+  } catch (error) {
+    console.error('❌ Error creating family Razorpay order:', error);
+    return res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
+
 /**
  * @desc    Verify Razorpay payment and mark fees as paid
  * @route   POST /api/payments/verify
@@ -204,8 +360,7 @@ export const verifyRazorpayPayment = async (req, res) => {
 
     const secret = process.env.RAZORPAY_KEY_SECRET || '';
     const payload = `${razorpayOrderId}|${razorpayPaymentId}`;
-    const expected = crypto.createHmac('sha256', secret).update(payload).digest('hex');
-    if (expected !== razorpaySignature) {
+    if (!isValidSignature(payload, razorpaySignature, secret)) {
       return res.status(400).json({
         success: false,
         message: 'Payment signature verification failed',
@@ -227,7 +382,7 @@ export const verifyRazorpayPayment = async (req, res) => {
     if (req.user.role === 'warden') {
       student = await Student.findOne({ _id: paymentRecord.studentId, institutionId: req.user.institutionId }).populate('userId', 'name email');
     } else {
-      const resolved = await resolvePayer(req);
+      const resolved = await resolvePayer(req, paymentRecord.studentId);
       student = resolved.student;
       payerType = resolved.payerType;
       payerUserId = resolved.payerUserId;
@@ -240,74 +395,34 @@ export const verifyRazorpayPayment = async (req, res) => {
       });
     }
 
-    const feeQuery = (paymentRecord.feeIds && paymentRecord.feeIds.length > 0)
-      ? { _id: { $in: paymentRecord.feeIds }, status: 'Pending', institutionId: req.user.institutionId }
-      : { studentId: student._id, status: 'Pending', institutionId: req.user.institutionId };
-
-    const pendingFees = await Fee.find(feeQuery).sort({ createdAt: 1 });
-
-    if (pendingFees.length === 0) {
-      return res.status(200).json({
-        success: true,
-        message: 'No pending fees to pay',
-        data: [],
-      });
-    }
-
-    const paidAt = new Date();
-    await Promise.all(
-      pendingFees.map(async (fee) => {
-        fee.status = 'Paid';
-        fee.paidAt = paidAt;
-        fee.receiptNumber = fee.receiptNumber || paymentRecord.receiptNumber;
-        fee.paidBy = payerType;
-        fee.paidByUserId = payerUserId;
-        await fee.save();
-      })
-    );
-
-    paymentRecord.status = 'Completed';
-    paymentRecord.transactionId = razorpayPaymentId;
-    paymentRecord.razorpayPaymentId = razorpayPaymentId;
-    paymentRecord.razorpaySignature = razorpaySignature;
-    await paymentRecord.save();
-
-    const parent = await Parent.findOne({ studentId: student._id, institutionId: req.user.institutionId }).populate('userId', 'email name');
-    const receiptPayload = {
-      receiptNumber: paymentRecord.receiptNumber,
-      studentName: student.userId?.name,
-      studentEmail: student.userId?.email,
-      amount: paymentRecord.amount,
-      paidAt,
-      method: paymentRecord.method,
-      items: pendingFees.map((fee) => ({ term: fee.term, amount: fee.amount })),
-    };
-
-    if (student.userId?.email) {
-      sendPaymentReceiptEmail({
-        to: student.userId.email,
-        ...receiptPayload,
-      }).catch((err) => {
-        console.error('❌ Failed to send receipt to student:', err.message || err);
-      });
-    }
+    // The webhook may have settled it already; verifying twice never credits twice
+    const { payment, payments, alreadyProcessed } = await settleRazorpayPayment({
+      razorpayOrderId,
+      razorpayPaymentId,
+      razorpaySignature,
+      institutionId: req.user.institutionId,
+      payer: { paidBy: payerType, paidByUserId: payerUserId },
+    });
 
-    if (parent?.userId?.email) {
-      sendPaymentReceiptEmail({
-        to: parent.userId.email,
-        ...receiptPayload,
-      }).catch((err) => {
-        console.error('❌ Failed to send receipt to parent:', err.message || err);
+    if (!payments.length || payments.some((item) => !SETTLED_PAYMENT_STATUSES.includes(item.status))) {
+      return res.status(409).json({
+        success: false,
+        message: 'Payment is still being processed, please refresh shortly',
       });
     }
 
-    const updatedFees = await Fee.find({ studentId: student._id, institutionId: req.user.institutionId }).sort({ createdAt: -1 });
+    const updatedFees = await Fee.find({
+      studentId: { $in: payments.map((item) => item.studentId) },
+      institutionId: req.user.institutionId,
+    }).sort({ createdAt: -1 });
 
     return res.status(200).json({
       success: true,
-      message: 'Payment verified successfully',
+      message: alreadyProcessed ? 'Payment already verified' : 'Payment verified successfully',
       data: updatedFees,
-      receiptNumber: paymentRecord.receiptNumber,
+      receiptNumber: payment.receiptNumber,
+      // One receipt per child for a family payment
+      receipts: payments.map((item) => ({ studentId: item.studentId, amount: item.amount, receiptNumber: item.receiptNumber })),
     });
   } catch (error) {
     console.error('❌ Error verifying Razorpay payment:', error);
@@ -340,40 +455,58 @@ export const getReceiptPdf = async (req, res) => {
     }
 
     if (req.user.role === 'parent') {
-      const parent = await Parent.findOne({ userId: req.user._id, institutionId: req.user.institutionId });
-      if (!parent) {
+      const childIds = await getParentStudentIds(req.user._id, req.user.institutionId);
+      if (!childIds.length) {
         return res.status(404).json({ success: false, message: 'Parent profile not found' });
       }
-      studentId = parent.studentId;
+      studentId = { $in: childIds };
     }
 
-    const feeQuery = studentId
+    const scope = studentId
       ? { studentId, receiptNumber, institutionId: req.user.institutionId }
       : { receiptNumber, institutionId: req.user.institutionId };
-    const fees = await Fee.find(feeQuery).populate({
+    const populateStudent = {
       path: 'studentId',
       populate: { path: 'userId', select: 'name email' },
-    });
+    };
 
-    if (!fees.length) {
-      return res.status(404).json({ success: false, message: 'Receipt not found' });
+    let receipt = null;
+    const paymentRecord = await Payment.findOne({ ...scope, status: { $in: SETTLED_PAYMENT_STATUSES } }).populate(populateStudent);
+
+    if (paymentRecord?.allocations?.length) {
+      receipt = {
+        student: paymentRecord.studentId,
+        amount: paymentRecord.amount,
+        paidAt: paymentRecord.updatedAt,
+        method: paymentRecord.method,
+        items: toReceiptItems(paymentRecord),
+      };
+    } else {
+      // Receipts from before payment allocations were recorded live on the fees
+      const fees = await Fee.find(scope).populate(populateStudent);
+      if (fees.length) {
+        receipt = {
+          student: fees[0].studentId,
+          amount: fees.reduce((sum, fee) => sum + (fee.amount || 0), 0),
+          paidAt: fees[0].paidAt || fees[0].updatedAt,
+          method: paymentRecord?.method || 'Manual',
+          items: fees.map((fee) => ({ term: fee.term, amount: fee.amount })),
+        };
+      }
     }
 
-    const studentName = fees[0].studentId?.userId?.name || 'Student';
-    const studentEmail = fees[0].studentId?.userId?.email || '';
-    const amount = fees.reduce((sum, fee) => sum + (fee.amount || 0), 0);
-    const paidAt = fees[0].paidAt || fees[0].updatedAt;
-    const paymentRecord = await Payment.findOne({ receiptNumber, institutionId: req.user.institutionId });
-    const method = paymentRecord?.method || 'Manual';
+    if (!receipt) {
+      return res.status(404).json({ success: false, message: 'Receipt not found' });
+    }
 
     const pdfBuffer = await buildReceiptPdfBuffer({
       receiptNumber,
-      studentName,
-      studentEmail,
-      amount,
-      paidAt,
-      method,
-      items: fees.map((fee) => ({ term: fee.term, amount: fee.amount })),
+      studentName: receipt.student?.userId?.name || 'Student',
+      studentEmail: receipt.student?.userId?.email || '',
+      amount: receipt.amount,
+      paidAt: receipt.paidAt,
+      method: receipt.method,
+      items: receipt.items,
     });
 
     res.setHeader('Content-Type', 'application/pdf');
@@ -385,16 +518,6 @@ export const getReceiptPdf = async (req, res) => {
   }
 };
 
-const getRazorpayClient = () => {
-  if (!process.env.RAZORPAY_KEY_ID || !process.env.RAZORPAY_KEY_SECRET) {
-    return null;
-  }
-  return new Razorpay({
-    key_id: process.env.RAZORPAY_KEY_ID,
-    key_secret: process.env.RAZORPAY_KEY_SECRET,
-  });
-};
-
 const resolvePayer = async (req, studentId) => {
   if (req.user.role === 'warden') {
     if (!studentId) {
@@ -405,9 +528,11 @@ const resolvePayer = async (req, studentId) => {
   }
 
   if (req.user.role === 'parent') {
-    const parent = await Parent.findOne({ userId: req.user._id, institutionId: req.user.institutionId });
-    if (!parent) return { student: null, payerType: 'parent', payerUserId: req.user._id };
-    const student = await Student.findOne({ _id: parent.studentId, institutionId: req.user.institutionId }).populate('userId', 'name email');
+    const child = await resolveParentChild(req.user, studentId);
+    if (!child.studentId) {
+      return { student: null, payerType: 'parent', payerUserId: req.user._id, error: child.message, status: child.status };
+    }
+    const student = await Student.findOne({ _id: child.studentId, institutionId: req.user.institutionId }).populate('userId', 'name email');
     return { student, payerType: 'parent', payerUserId: req.user._id };
   }
 
@@ -416,14 +541,16 @@ const resolvePayer = async (req, studentId) => {
 };
 
 /**
- * @desc    Record a student payment against their pending fees
- *          (Student or Parent - tracks who paid)
+ * @desc    Report a payment made outside the app (bank transfer, UPI to the hostel
+ *          account, cash at the office). Nothing is credited until staff approve
+ *          the claim from the reconciliation queue; pay online for instant credit.
  * @route   POST /api/payments/pay
  * @access  Private (Student or Parent only)
  */
 export const payMyFees = async (req, res) => {
   try {
-    const { amount, method = 'UPI', transactionId } = req.body || {};
+    const { amount, method = 'UPI', transactionId, note } = req.body || {};
+    const reference = String(transactionId || '').trim();
 
     if (typeof amount !== 'number' || Number.isNaN(amount) || amount <= 0) {
       return res.status(400).json({
@@ -432,20 +559,35 @@ export const payMyFees = async (req, res) => {
       });
     }
 
-    let student;
-    if (req.user.role === 'parent') {
-      const parent = await Parent.findOne({ userId: req.user._id, institutionId: req.user.institutionId });
-      if (!parent) {
-        return res.status(404).json({
-          success: false,
-          message: 'Parent profile not found',
-        });
-      }
-      student = await Student.findOne({ _id: parent.studentId, institutionId: req.user.institutionId }).populate('userId', 'name email');
-    } else {
-      student = await Student.findOne({ userId: req.user._id, institutionId: req.user.institutionId }).populate('userId', 'name email');
+    if (!CLAIM_METHODS.includes(method)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid method. Must be one of: ${CLAIM_METHODS.join(', ')}`,
+      });
+    }
+
+    if (!reference) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide the transaction ID or reference so staff can verify the payment',
+      });
+    }
+
+    const selection = parsePaymentSelection(req.body);
+    if (selection.error) {
+      return res.status(400).json({
+        success: false,
+        message: selection.error,
+      });
     }
 
+    const { student, payerType, payerUserId, error, status } = await resolvePayer(req, req.body.studentId);
+    if (error) {
+      return res.status(status || 400).json({
+        success: false,
+        message: error,
+      });
+    }
     if (!student) {
       return res.status(404).json({
         success: false,
@@ -453,94 +595,393 @@ export const payMyFees = async (req, res) => {
       });
     }
 
-    const pendingFees = await Fee.find({ studentId: student._id, status: 'Pending', institutionId: req.user.institutionId }).sort({ createdAt: 1 });
-    if (pendingFees.length === 0) {
+    const target = await resolvePaymentTarget({ student, institutionId: req.user.institutionId, amount, feeIds: selection.feeIds });
+    if (target.error) {
+      return res.status(400).json({
+        success: false,
+        message: target.error,
+      });
+    }
+    if (target.nothingDue) {
       return res.status(200).json({
         success: true,
         message: 'No pending fees to pay',
-        data: [],
+        data: null,
+      });
+    }
+
+    const duplicate = await Payment.findOne({
+      institutionId: req.user.institutionId,
+      transactionId: reference,
+      verificationStatus: { $ne: 'Rejected' },
+    });
+    if (duplicate) {
+      return res.status(400).json({
+        success: false,
+        message: 'A payment with this reference has already been submitted',
       });
     }
 
-    const totalDue = pendingFees.reduce((sum, fee) => sum + (fee.amount || 0), 0);
-    if (amount !== totalDue) {
+    const payment = await Payment.create({
+      studentId: student._id,
+      institutionId: req.user.institutionId,
+      payerType,
+      payerUserId,
+      amount: target.amount,
+      method,
+      gateway: 'Manual',
+      status: 'Pending',
+      verificationStatus: 'Unverified',
+      transactionId: reference,
+      reference,
+      claimNote: note,
+      feeIds: selection.feeIds ? target.fees.map((fee) => fee._id) : [],
+    });
+
+    return res.status(202).json({
+      success: true,
+      message: 'Payment submitted for verification. Your fees will be updated once staff confirm it.',
+      data: payment,
+    });
+  } catch (error) {
+    console.error('❌ Error recording payment claim:', error);
+    return res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
+
+/**
+ * @desc    Record a cash or cheque payment received at the office
+ * @route   POST /api/payments/offline
+ * @access  Private (Staff with payments:write)
+ */
+export const recordOfflinePayment = async (req, res) => {
+  try {
+    const { studentId, amount, method = 'Cash', reference } = req.body || {};
+    const trimmedReference = String(reference || '').trim();
+
+    if (!OFFLINE_METHODS.includes(method)) {
       return res.status(400).json({
         success: false,
-        message: `Payment amount mismatch. Expected ₹${totalDue}, received ₹${amount}.`,
+        message: `Invalid method. Must be one of: ${OFFLINE_METHODS.join(', ')}`,
       });
     }
 
-    const paidAt = new Date();
-    const transactionReceipt = generateReceiptNumber();
-    const paidBy = req.user.role === 'parent' ? 'parent' : 'student';
-    const paidByUserId = req.user._id;
+    if (!trimmedReference) {
+      return res.status(400).json({
+        success: false,
+        message: method === 'Cheque' ? 'Please provide the cheque number' : 'Please provide the cash slip or register reference',
+      });
+    }
 
-    // Mark all pending fees as paid
-    await Promise.all(
-      pendingFees.map(async (fee) => {
-        fee.status = 'Paid';
-        fee.paidAt = paidAt;
-        fee.receiptNumber = fee.receiptNumber || transactionReceipt;
-        fee.paidBy = paidBy;
-        fee.paidByUserId = paidByUserId;
-        await fee.save();
-      })
-    );
+    const selection = parsePaymentSelection(req.body);
+    if (selection.error) {
+      return res.status(400).json({
+        success: false,
+        message: selection.error,
+      });
+    }
 
-    // Create Payment record
-    try {
-      await Payment.create({
-        studentId: student._id,
-        institutionId: req.user.institutionId,
-        payerType: paidBy === 'parent' ? 'parent' : 'student',
-        payerUserId: paidByUserId,
-        amount,
-        method,
-        gateway: method === 'Cash' ? 'Manual' : 'Razorpay',
-        status: 'Completed',
-        transactionId: transactionId || transactionReceipt,
-        receiptNumber: transactionReceipt,
-        feeIds: pendingFees.map((fee) => fee._id),
-      });
-    } catch (payErr) {
-      console.error('❌ Failed to create Payment record:', payErr);
-      // Not critical - fees are already marked paid, but log for investigation
-    }
-
-    const parent = await Parent.findOne({ studentId: student._id, institutionId: req.user.institutionId }).populate('userId', 'email name');
-    const receiptPayload = {
-      receiptNumber: transactionReceipt,
-      studentName: student.userId?.name,
-      studentEmail: student.userId?.email,
-      amount,
-      paidAt,
+    const { student, error } = await resolvePayer(req, studentId);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error,
+      });
+    }
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student not found',
+      });
+    }
+
+    const target = await resolvePaymentTarget({ student, institutionId: req.user.institutionId, amount, feeIds: selection.feeIds });
+    if (target.error) {
+      return res.status(400).json({
+        success: false,
+        message: target.error,
+      });
+    }
+    if (target.nothingDue) {
+      return res.status(400).json({
+        success: false,
+        message: 'Student has no outstanding fees',
+      });
+    }
+
+    const payment = new Payment({
+      studentId: student._id,
+      institutionId: req.user.institutionId,
+      payerType: 'warden',
+      payerUserId: req.user._id,
+      amount: target.amount,
       method,
-      items: pendingFees.map((fee) => ({ term: fee.term, amount: fee.amount })),
+      gateway: 'Manual',
+      status: 'Pending',
+      transactionId: trimmedReference,
+      reference: trimmedReference,
+      feeIds: selection.feeIds ? target.fees.map((fee) => fee._id) : [],
+    });
+
+    await completeVerifiedPayment(payment, {
+      source: 'Staff',
+      paidBy: 'warden',
+      paidByUserId: req.user._id,
+      verifiedBy: req.user._id,
+    });
+
+    await recordAudit(req, {
+      action: 'payment.record_offline',
+      targetType: 'Payment',
+      targetId: payment._id,
+      targetLabel: payment.receiptNumber,
+      after: snapshot(payment, PAYMENT_AUDIT_FIELDS),
+      metadata: { studentId: String(student._id), rollNumber: student.rollNumber },
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: 'Payment recorded successfully',
+      data: payment,
+      receiptNumber: payment.receiptNumber,
+      outstandingBalance: Math.max(target.totalDue - target.amount, 0),
+    });
+  } catch (error) {
+    console.error('❌ Error recording offline payment:', error);
+    return res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
+
+/**
+ * @desc    Payment claims waiting for staff verification
+ * @route   GET /api/payments/reconciliation
+ * @access  Private (Staff with payments:read)
+ */
+export const getReconciliationQueue = async (req, res) => {
+  try {
+    const { status = 'Unverified' } = req.query;
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+    if (!['Unverified', 'Verified', 'Rejected'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid status. Must be one of: Unverified, Verified, Rejected',
+      });
+    }
+
+    // Claims are manual payments submitted by students or parents
+    const query = {
+      institutionId: req.user.institutionId,
+      gateway: 'Manual',
+      payerType: { $in: ['student', 'parent'] },
+      verificationStatus: status,
     };
 
-    if (student.userId?.email) {
-      sendPaymentReceiptEmail({ to: student.userId.email, ...receiptPayload }).catch((err) => {
-        console.error('❌ Failed to send receipt to student:', err.message || err);
+    const [total, claims] = await Promise.all([
+      Payment.countDocuments(query),
+      Payment.find(query)
+        .populate({
+          path: 'studentId',
+          select: 'rollNumber class section room',
+          populate: { path: 'userId', select: 'name email' },
+        })
+        .populate('payerUserId', 'name email')
+        .populate('verifiedBy', 'name')
+        .sort({ createdAt: status === 'Unverified' ? 1 : -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: claims.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      data: claims,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
+
+/**
+ * @desc    Approve a payment claim after checking it against the bank statement
+ * @route   PUT /api/payments/:id/approve
+ * @access  Private (Staff with payments:write)
+ */
+export const approvePaymentClaim = async (req, res) => {
+  try {
+    const { amount, reference } = req.body || {};
+    if (amount !== undefined && (typeof amount !== 'number' || Number.isNaN(amount) || amount <= 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a valid amount',
       });
     }
 
-    if (parent?.userId?.email) {
-      sendPaymentReceiptEmail({ to: parent.userId.email, ...receiptPayload }).catch((err) => {
-        console.error('❌ Failed to send receipt to parent:', err.message || err);
+    const claim = await takeClaimForReview(req.params.id, req.user.institutionId, {
+      verificationStatus: 'Verified',
+      verifiedBy: req.user._id,
+      verifiedAt: new Date(),
+    });
+    if (!claim) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pending payment claim not found',
       });
     }
 
-    const updatedFees = await Fee.find({ studentId: student._id, institutionId: req.user.institutionId }).sort({ createdAt: -1 });
+    const before = { ...snapshot(claim, PAYMENT_AUDIT_FIELDS), verificationStatus: 'Unverified' };
+    const release = () =>
+      Payment.updateOne(
+        { _id: claim._id },
+        { $set: { verificationStatus: 'Unverified' }, $unset: { verifiedBy: '', verifiedAt: '' } }
+      );
 
-    return res.status(200).json({
+    // The amount actually received can differ from what was claimed
+    if (amount !== undefined) claim.amount = Math.round(amount * 100) / 100;
+    if (reference) claim.reference = String(reference).trim();
+
+    const { totalDue } = await getOutstandingSummary({ studentId: claim.studentId, institutionId: claim.institutionId });
+    if (claim.amount > totalDue) {
+      await release();
+      return res.status(400).json({
+        success: false,
+        message: `Claim amount exceeds the outstanding balance of ₹${totalDue}. Approve a smaller amount or reject the claim.`,
+      });
+    }
+
+    try {
+      await completeVerifiedPayment(claim, {
+        source: 'Staff',
+        paidBy: claim.payerType,
+        paidByUserId: claim.payerUserId,
+        verifiedBy: req.user._id,
+      });
+    } catch (error) {
+      await release();
+      throw error;
+    }
+
+    await recordAudit(req, {
+      action: 'payment.approve',
+      targetType: 'Payment',
+      targetId: claim._id,
+      targetLabel: claim.receiptNumber,
+      before,
+      after: snapshot(claim, PAYMENT_AUDIT_FIELDS),
+    });
+
+    res.status(200).json({
       success: true,
-      message: 'Payment recorded successfully',
-      data: updatedFees,
-      receiptNumber: transactionReceipt,
+      message: 'Payment approved and credited',
+      data: claim,
+      receiptNumber: claim.receiptNumber,
     });
   } catch (error) {
-    console.error('❌ Error recording payment:', error);
-    return res.status(500).json({
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
+
+/**
+ * @desc    Reject a payment claim that could not be matched
+ * @route   PUT /api/payments/:id/reject
+ * @access  Private (Staff with payments:write)
+ */
+export const rejectPaymentClaim = async (req, res) => {
+  try {
+    const reason = String(req.body?.reason || '').trim();
+    if (!reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a reason for rejecting the claim',
+      });
+    }
+
+    const claim = await takeClaimForReview(req.params.id, req.user.institutionId, {
+      status: 'Failed',
+      verificationStatus: 'Rejected',
+      verifiedBy: req.user._id,
+      verifiedAt: new Date(),
+      rejectionReason: reason,
+    });
+    if (!claim) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pending payment claim not found',
+      });
+    }
+
+    await recordAudit(req, {
+      action: 'payment.reject',
+      targetType: 'Payment',
+      targetId: claim._id,
+      targetLabel: claim.reference,
+      before: { ...snapshot(claim, PAYMENT_AUDIT_FIELDS), status: 'Pending', verificationStatus: 'Unverified', rejectionReason: null },
+      after: snapshot(claim, PAYMENT_AUDIT_FIELDS),
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Payment claim rejected',
+      data: claim,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
+
+/**
+ * @desc    Razorpay webhook (payment.captured, payment.failed, refund.processed).
+ *          Settles payments even when the client never calls verify.
+ * @route   POST /api/payments/webhook
+ * @access  Public (signed with RAZORPAY_WEBHOOK_SECRET)
+ */
+export const handleRazorpayWebhook = async (req, res) => {
+  try {
+    const secret = process.env.RAZORPAY_WEBHOOK_SECRET;
+    if (!secret) {
+      return res.status(500).json({
+        success: false,
+        message: 'Razorpay webhook is not configured',
+      });
+    }
+
+    if (!req.rawBody || !isValidSignature(req.rawBody, req.get('x-razorpay-signature'), secret)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid webhook signature',
+      });
+    }
+
+    const result = await processRazorpayWebhook(req.body, req.get('x-razorpay-event-id'));
+
+    // A non-2xx response makes Razorpay retry the delivery later
+    res.status(result.status === 'Failed' ? 500 : 200).json({
+      success: result.status !== 'Failed',
+      message: result.message,
+      data: { status: result.status },
+    });
+  } catch (error) {
+    console.error('❌ Error handling Razorpay webhook:', error);
+    res.status(500).json({
       success: false,
       message: error.message || 'Server error',
     });
@@ -0,0 +1,317 @@
+import mongoose from 'mongoose';
+import Refund from '../models/Refund.model.js';
+import Payment from '../models/Payment.model.js';
+import Student from '../models/Student.model.js';
+import { recordAudit, snapshot } from '../services/audit.service.js';
+import { planSettlement, refundPayment, settleDeposit, REFUND_METHODS } from '../services/refund.service.js';
+import { buildSettlementPdfBuffer } from '../utils/receiptPdf.js';
+import { getParentStudentIds } from '../services/parent.service.js';
+
+const REFUND_AUDIT_FIELDS = ['type', 'amount', 'method', 'status', 'reference', 'depositAmount', 'deductions', 'balanceDue'];
+
+/**
+ * Validate the settlement body. Returns { studentId, damages, depositAmount } or { error }.
+ */
+const parseSettlementBody = ({ studentId, damages = [], depositAmount } = {}) => {
+  if (!studentId || !mongoose.Types.ObjectId.isValid(studentId)) {
+    return { error: 'Please provide a valid studentId' };
+  }
+  if (!Array.isArray(damages)) {
+    return { error: 'damages must be a list of { reason, amount }' };
+  }
+  for (const damage of damages) {
+    const amount = Number(damage?.amount);
+    if (!String(damage?.reason || '').trim() || !Number.isFinite(amount) || amount <= 0) {
+      return { error: 'Every damage needs a reason and an amount greater than zero' };
+    }
+  }
+  if (depositAmount !== undefined && (!Number.isFinite(Number(depositAmount)) || Number(depositAmount) < 0)) {
+    return { error: 'depositAmount must be a non-negative number' };
+  }
+
+  return {
+    studentId,
+    damages: damages.map((damage) => ({ reason: String(damage.reason).trim(), amount: Number(damage.amount) })),
+    depositAmount: depositAmount === undefined ? undefined : Number(depositAmount),
+  };
+};
+
+const formatPlan = (plan) => ({
+  depositAmount: plan.depositAmount,
+  depositFees: plan.depositFees,
+  deductions: plan.deductions,
+  totalDeductions: plan.totalDeductions,
+  refundAmount: plan.refundAmount,
+  balanceDue: plan.balanceDue,
+});
+
+/**
+ * @desc    List refunds and deposit settlements
+ * @route   GET /api/refunds
+ * @access  Private (Staff with payments:read)
+ */
+export const getRefunds = async (req, res) => {
+  try {
+    const { studentId, status, type } = req.query;
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+    const query = { institutionId: req.user.institutionId };
+    if (studentId) {
+      if (!mongoose.Types.ObjectId.isValid(studentId)) {
+        return res.status(400).json({ success: false, message: 'Invalid studentId' });
+      }
+      query.studentId = studentId;
+    }
+    if (status) query.status = status;
+    if (type) query.type = type;
+
+    const [total, refunds] = await Promise.all([
+      Refund.countDocuments(query),
+      Refund.find(query)
+        .populate({
+          path: 'studentId',
+          select: 'rollNumber class section',
+          populate: { path: 'userId', select: 'name email' },
+        })
+        .populate('paymentId', 'receiptNumber amount method status')
+        .populate('createdBy', 'name')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: refunds.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      data: refunds,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
+
+/**
+ * @desc    Refund (part of) a payment
+ * @route   POST /api/refunds
+ * @access  Private (Staff with payments:write)
+ */
+export const createRefund = async (req, res) => {
+  try {
+    const { paymentId, amount, method, reason, reference } = req.body || {};
+
+    if (!paymentId || !mongoose.Types.ObjectId.isValid(paymentId)) {
+      return res.status(400).json({ success: false, message: 'Please provide a valid paymentId' });
+    }
+    if (!REFUND_METHODS.includes(method)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid method. Must be one of: ${REFUND_METHODS.join(', ')}`,
+      });
+    }
+    if (!String(reason || '').trim()) {
+      return res.status(400).json({ success: false, message: 'Please provide a reason for the refund' });
+    }
+    if (['Cheque', 'BankTransfer'].includes(method) && !String(reference || '').trim()) {
+      return res.status(400).json({ success: false, message: 'Please provide the cheque number or transfer reference' });
+    }
+
+    const payment = await Payment.findOne({ _id: paymentId, institutionId: req.user.institutionId });
+    if (!payment) {
+      return res.status(404).json({ success: false, message: 'Payment not found' });
+    }
+
+    const refundAmount = amount === undefined ? payment.amount - (payment.refundedAmount || 0) : Number(amount);
+    const result = await refundPayment(payment, {
+      amount: refundAmount,
+      method,
+      reason: String(reason).trim(),
+      reference: reference ? String(reference).trim() : undefined,
+      createdBy: req.user._id,
+    });
+    if (result.error) {
+      return res.status(400).json({ success: false, message: result.error });
+    }
+
+    await recordAudit(req, {
+      action: 'payment.refund',
+      targetType: 'Refund',
+      targetId: result.refund._id,
+      targetLabel: result.refund.refundNumber,
+      after: snapshot(result.refund, REFUND_AUDIT_FIELDS),
+      metadata: { paymentId: String(payment._id), receiptNumber: payment.receiptNumber, reason },
+    });
+
+    res.status(201).json({
+      success: true,
+      message: result.refund.status === 'Processed' ? 'Refund recorded successfully' : 'Refund initiated with Razorpay',
+      data: result.refund,
+      paymentStatus: result.payment.status,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
+
+/**
+ * @desc    Preview a student's deposit settlement without saving anything
+ * @route   POST /api/refunds/settlement/preview
+ * @access  Private (Staff with payments:read)
+ */
+export const previewSettlement = async (req, res) => {
+  try {
+    const parsed = parseSettlementBody(req.body);
+    if (parsed.error) {
+      return res.status(400).json({ success: false, message: parsed.error });
+    }
+
+    const student = await Student.findOne({ _id: parsed.studentId, institutionId: req.user.institutionId });
+    if (!student) {
+      return res.status(404).json({ success: false, message: 'Student not found' });
+    }
+
+    const plan = await planSettlement({
+      studentId: student._id,
+      institutionId: req.user.institutionId,
+      damages: parsed.damages,
+      depositAmount: parsed.depositAmount,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: formatPlan(plan),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
+
+/**
+ * @desc    Settle a leaving student's security deposit (dues and damages deducted)
+ * @route   POST /api/refunds/settlement
+ * @access  Private (Staff with payments:write)
+ */
+export const createSettlement = async (req, res) => {
+  try {
+    const parsed = parseSettlementBody(req.body);
+    if (parsed.error) {
+      return res.status(400).json({ success: false, message: parsed.error });
+    }
+
+    const { method, reference, notes } = req.body;
+    if (['Cheque', 'BankTransfer'].includes(method) && !String(reference || '').trim()) {
+      return res.status(400).json({ success: false, message: 'Please provide the cheque number or transfer reference' });
+    }
+
+    const student = await Student.findOne({ _id: parsed.studentId, institutionId: req.user.institutionId });
+    if (!student) {
+      return res.status(404).json({ success: false, message: 'Student not found' });
+    }
+
+    const result = await settleDeposit({
+      student,
+      institutionId: req.user.institutionId,
+      damages: parsed.damages,
+      depositAmount: parsed.depositAmount,
+      method,
+      reference: reference ? String(reference).trim() : undefined,
+      notes,
+      user: req.user,
+    });
+    if (result.error) {
+      return res.status(400).json({ success: false, message: result.error });
+    }
+
+    await recordAudit(req, {
+      action: 'payment.deposit_settlement',
+      targetType: 'Refund',
+      targetId: result.refund._id,
+      targetLabel: result.refund.refundNumber,
+      after: snapshot(result.refund, REFUND_AUDIT_FIELDS),
+      metadata: { studentId: String(student._id), rollNumber: student.rollNumber },
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Deposit settled successfully',
+      data: result.refund,
+      summary: formatPlan(result.plan),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
+
+/**
+ * @desc    Download a refund or final settlement statement PDF
+ * @route   GET /api/refunds/:id/statement
+ * @access  Private (Student, Parent, Staff with payments:read)
+ */
+export const getRefundStatementPdf = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid refund ID' });
+    }
+
+    const query = { _id: req.params.id, institutionId: req.user.institutionId };
+    if (req.user.role === 'student') {
+      const student = await Student.findOne({ userId: req.user._id, institutionId: req.user.institutionId });
+      if (!student) return res.status(404).json({ success: false, message: 'Student profile not found' });
+      query.studentId = student._id;
+    }
+    if (req.user.role === 'parent') {
+      const childIds = await getParentStudentIds(req.user._id, req.user.institutionId);
+      if (!childIds.length) return res.status(404).json({ success: false, message: 'Parent profile not found' });
+      query.studentId = { $in: childIds };
+    }
+
+    const refund = await Refund.findOne(query)
+      .populate({ path: 'studentId', select: 'rollNumber', populate: { path: 'userId', select: 'name email' } })
+      .populate('paymentId', 'receiptNumber');
+    if (!refund) {
+      return res.status(404).json({ success: false, message: 'Refund not found' });
+    }
+
+    const pdfBuffer = await buildSettlementPdfBuffer({
+      refundNumber: refund.refundNumber,
+      studentName: refund.studentId?.userId?.name || 'Student',
+      studentEmail: refund.studentId?.userId?.email || '',
+      rollNumber: refund.studentId?.rollNumber,
+      type: refund.type,
+      depositAmount: refund.depositAmount,
+      deductions: refund.deductions,
+      amount: refund.amount,
+      balanceDue: refund.balanceDue,
+      method: refund.method,
+      reference: refund.reference,
+      status: refund.status,
+      originalReceiptNumber: refund.paymentId?.receiptNumber,
+      reversals: refund.reversals,
+      reason: refund.reason,
+      settledAt: refund.processedAt || refund.createdAt,
+    });
+
+    const prefix = refund.type === 'DepositSettlement' ? 'Settlement' : 'Refund';
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename=${prefix}-${refund.refundNumber}.pdf`);
+    res.send(pdfBuffer);
+  } catch (error) {
+    console.error('❌ Error generating refund statement PDF:', error);
+    res.status(500).json({ success: false, message: error.message || 'Server error' });
+  }
+};
@@ -0,0 +1,366 @@
+import Institution from '../models/Institution.model.js';
+import Payment from '../models/Payment.model.js';
+import {
+  COLLECTION_GROUPS,
+  OUTSTANDING_GROUPS,
+  getAgeingReport,
+  getCollectionsReport,
+  getDefaultersReport,
+  getOutstandingReport,
+} from '../services/financeReport.service.js';
+import { COMPLAINT_REPORT_GROUPS, getComplaintPerformanceReport } from '../services/complaintReport.service.js';
+import { resolveStatementPeriod } from '../services/invoice.service.js';
+import { COMPLAINT_CATEGORIES } from '../config/complaints.js';
+import { DEFAULT_NUMBERING } from '../utils/receiptNumber.js';
+import { resolveTimezone } from '../utils/timezone.js';
+import { toCsv, sendCsv } from '../utils/csv.js';
+import { toXlsx, sendXlsx } from '../utils/xlsx.js';
+
+const MAX_PAGE_SIZE = 200;
+const EXPORT_FORMATS = ['csv', 'xlsx'];
+
+const COLLECTION_COLUMNS = (groupBy) => [
+  { key: groupBy, label: { day: 'Date', month: 'Month', method: 'Method' }[groupBy] },
+  { key: 'payments', label: 'Payments' },
+  { key: 'collected', label: 'Collected' },
+  { key: 'refunded', label: 'Refunded' },
+  { key: 'net', label: 'Net' },
+];
+
+const OUTSTANDING_COLUMNS = (groupBy) => [
+  { key: groupBy, label: { class: 'Class', room: 'Room', term: 'Term' }[groupBy] },
+  { key: 'students', label: 'Students' },
+  { key: 'fees', label: 'Fees' },
+  { key: 'outstanding', label: 'Outstanding' },
+  { key: 'overdue', label: 'Overdue' },
+];
+
+const AGEING_COLUMNS = [
+  { key: 'bucket', label: 'Days Overdue' },
+  { key: 'students', label: 'Students' },
+  { key: 'fees', label: 'Fees' },
+  { key: 'amount', label: 'Amount' },
+];
+
+const DEFAULTER_COLUMNS = [
+  { key: 'rollNumber', label: 'Roll Number' },
+  { key: 'studentName', label: 'Student' },
+  { key: 'class', label: 'Class' },
+  { key: 'room', label: 'Room' },
+  { key: 'phone', label: 'Phone' },
+  { key: 'email', label: 'Email' },
+  { key: 'guardianName', label: 'Guardian' },
+  { key: 'guardianPhone', label: 'Guardian Phone' },
+  { key: 'overdue', label: 'Overdue' },
+  { key: 'outstanding', label: 'Total Outstanding' },
+  { key: 'overdueFees', label: 'Overdue Fees' },
+  { key: 'oldestDueDate', label: 'Oldest Due Date' },
+  { key: 'daysOverdue', label: 'Days Overdue' },
+];
+
+const COMPLAINT_PERFORMANCE_COLUMNS = (groupBy) => [
+  { key: groupBy, label: { category: 'Category', assignee: 'Assignee' }[groupBy] },
+  { key: 'complaints', label: 'Complaints' },
+  { key: 'open', label: 'Open' },
+  { key: 'resolved', label: 'Resolved' },
+  { key: 'avgFirstResponseHours', label: 'Avg First Response (h)' },
+  { key: 'avgResolutionHours', label: 'Avg Resolution (h)' },
+  { key: 'reopened', label: 'Reopened' },
+  { key: 'reopenRate', label: 'Reopen Rate (%)' },
+  { key: 'slaBreaches', label: 'SLA Breaches' },
+  { key: 'ratings', label: 'Ratings' },
+  { key: 'avgRating', label: 'Avg Rating' },
+];
+
+/**
+ * Page and page size from the query; exports (format=csv|xlsx) take every row
+ */
+const parsePaging = (query) => {
+  if (EXPORT_FORMATS.includes(query.format)) return { page: 1, limit: undefined };
+  return {
+    page: Math.max(parseInt(query.page, 10) || 1, 1),
+    limit: Math.min(Math.max(parseInt(query.limit, 10) || 50, 1), MAX_PAGE_SIZE),
+  };
+};
+
+/**
+ * Send report rows as CSV or XLSX when ?format= asks for it. Resolves true if sent.
+ */
+const sendExport = async (req, res, name, columns, rows) => {
+  const { format } = req.query;
+  if (!EXPORT_FORMATS.includes(format)) return false;
+
+  const filename = `${name}-${new Date().toISOString().slice(0, 10)}.${format}`;
+  if (format === 'xlsx') {
+    sendXlsx(res, filename, await toXlsx(columns, rows, name));
+  } else {
+    sendCsv(res, filename, toCsv(columns, rows));
+  }
+  return true;
+};
+
+/**
+ * Report period from ?from=&to= or ?financialYear=, defaulting to the current financial year
+ */
+const getReportPeriod = async (req) => {
+  const institution = await Institution.findById(req.user.institutionId).select('numbering timezone');
+  const startMonth =
+    institution?.toObject().numbering?.financialYearStartMonth || DEFAULT_NUMBERING.financialYearStartMonth;
+  return resolveStatementPeriod(req.query, startMonth, resolveTimezone(institution));
+};
+
+/**
+ * @desc    Finance dashboard: collections this financial year, ageing and defaulter count
+ * @route   GET /api/reports/finance
+ * @access  Private (Staff with payments:read)
+ */
+export const getFinanceOverview = async (req, res) => {
+  try {
+    const period = await getReportPeriod(req);
+    if (period.error) {
+      return res.status(400).json({ success: false, message: period.error });
+    }
+
+    const institutionId = req.user.institutionId;
+    const [collections, byMethod, ageing, defaulters] = await Promise.all([
+      getCollectionsReport({ institutionId, from: period.from, to: period.to, groupBy: 'month' }),
+      getCollectionsReport({ institutionId, from: period.from, to: period.to, groupBy: 'method' }),
+      getAgeingReport({ institutionId }),
+      getDefaultersReport({ institutionId, page: 1, limit: 5 }),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        period: { from: period.from, to: period.to, label: period.label },
+        collections: { totals: collections.totals, byMonth: collections.rows, byMethod: byMethod.rows },
+        ageing,
+        defaulters: { total: defaulters.total, top: defaulters.rows },
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
+
+/**
+ * @desc    Collections by day, month or payment method (JSON, CSV or XLSX)
+ * @route   GET /api/reports/finance/collections?groupBy=day|month|method&from=&to=&method=&format=csv|xlsx
+ * @access  Private (Staff with payments:read)
+ */
+export const getCollections = async (req, res) => {
+  try {
+    const groupBy = req.query.groupBy || 'day';
+    if (!COLLECTION_GROUPS.includes(groupBy)) {
+      return res.status(400).json({
+        success: false,
+        message: `groupBy must be one of: ${COLLECTION_GROUPS.join(', ')}`,
+      });
+    }
+
+    const { method } = req.query;
+    const paymentMethods = Payment.schema.path('method').enumValues;
+    if (method !== undefined && !paymentMethods.includes(method)) {
+      return res.status(400).json({
+        success: false,
+        message: `method must be one of: ${paymentMethods.join(', ')}`,
+      });
+    }
+
+    const period = await getReportPeriod(req);
+    if (period.error) {
+      return res.status(400).json({ success: false, message: period.error });
+    }
+
+    const report = await getCollectionsReport({
+      institutionId: req.user.institutionId,
+      from: period.from,
+      to: period.to,
+      groupBy,
+      method,
+      ...parsePaging(req.query),
+    });
+
+    if (await sendExport(req, res, `collections-by-${groupBy}`, COLLECTION_COLUMNS(groupBy), report.rows)) return;
+
+    res.status(200).json({
+      success: true,
+      count: report.rows.length,
+      total: report.total,
+      page: report.page,
+      pages: report.pages,
+      period: { from: period.from, to: period.to, label: period.label },
+      totals: report.totals,
+      data: report.rows,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
+
+/**
+ * @desc    Outstanding balances by class, room or term (JSON, CSV or XLSX)
+ * @route   GET /api/reports/finance/outstanding?groupBy=class|room|term&format=csv|xlsx
+ * @access  Private (Staff with payments:read)
+ */
+export const getOutstanding = async (req, res) => {
+  try {
+    const groupBy = req.query.groupBy || 'class';
+    if (!OUTSTANDING_GROUPS.includes(groupBy)) {
+      return res.status(400).json({
+        success: false,
+        message: `groupBy must be one of: ${OUTSTANDING_GROUPS.join(', ')}`,
+      });
+    }
+
+    const report = await getOutstandingReport({
+      institutionId: req.user.institutionId,
+      groupBy,
+      ...parsePaging(req.query),
+    });
+
+    if (await sendExport(req, res, `outstanding-by-${groupBy}`, OUTSTANDING_COLUMNS(groupBy), report.rows)) return;
+
+    res.status(200).json({
+      success: true,
+      count: report.rows.length,
+      total: report.total,
+      page: report.page,
+      pages: report.pages,
+      data: report.rows,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
+
+/**
+ * @desc    Outstanding balances in ageing buckets: not yet due, 0-30, 31-60, 60+ days overdue
+ * @route   GET /api/reports/finance/ageing?format=csv|xlsx
+ * @access  Private (Staff with payments:read)
+ */
+export const getAgeing = async (req, res) => {
+  try {
+    const report = await getAgeingReport({ institutionId: req.user.institutionId });
+
+    if (await sendExport(req, res, 'fee-ageing', AGEING_COLUMNS, report.rows)) return;
+
+    res.status(200).json({
+      success: true,
+      totals: report.totals,
+      data: report.rows,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
+
+/**
+ * @desc    Students with overdue fees, largest overdue first
+ * @route   GET /api/reports/finance/defaulters?minDays=&minAmount=&class=&page=&limit=&format=csv|xlsx
+ * @access  Private (Staff with payments:read)
+ */
+export const getDefaulters = async (req, res) => {
+  try {
+    const minDays = req.query.minDays === undefined ? 1 : Number(req.query.minDays);
+    const minAmount = req.query.minAmount === undefined ? 0 : Number(req.query.minAmount);
+    if (!Number.isInteger(minDays) || minDays < 0) {
+      return res.status(400).json({ success: false, message: 'minDays must be a whole number of days' });
+    }
+    if (!Number.isFinite(minAmount) || minAmount < 0) {
+      return res.status(400).json({ success: false, message: 'minAmount must be a non-negative number' });
+    }
+    if (req.query.class !== undefined && typeof req.query.class !== 'string') {
+      return res.status(400).json({ success: false, message: 'class must be a single class name' });
+    }
+
+    const report = await getDefaultersReport({
+      institutionId: req.user.institutionId,
+      minDays,
+      minAmount,
+      className: req.query.class,
+      ...parsePaging(req.query),
+    });
+
+    const rows = report.rows.map((row) => ({ ...row, studentId: String(row.studentId) }));
+    if (await sendExport(req, res, 'fee-defaulters', DEFAULTER_COLUMNS, rows)) return;
+
+    res.status(200).json({
+      success: true,
+      count: rows.length,
+      total: report.total,
+      page: report.page,
+      pages: report.pages,
+      data: rows,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
+
+/**
+ * @desc    Complaint handling per category or assignee: first-response and resolution
+ *          times, reopen rate, SLA breaches and satisfaction, for complaints raised in the period
+ * @route   GET /api/reports/complaints?groupBy=category|assignee&from=&to=&category=&format=csv|xlsx
+ * @access  Private (Staff with complaints:read)
+ */
+export const getComplaintPerformance = async (req, res) => {
+  try {
+    const groupBy = req.query.groupBy || 'category';
+    if (!COMPLAINT_REPORT_GROUPS.includes(groupBy)) {
+      return res.status(400).json({
+        success: false,
+        message: `groupBy must be one of: ${COMPLAINT_REPORT_GROUPS.join(', ')}`,
+      });
+    }
+    if (req.query.category && !COMPLAINT_CATEGORIES.includes(req.query.category)) {
+      return res.status(400).json({
+        success: false,
+        message: `category must be one of: ${COMPLAINT_CATEGORIES.join(', ')}`,
+      });
+    }
+
+    const period = await getReportPeriod(req);
+    if (period.error) {
+      return res.status(400).json({ success: false, message: period.error });
+    }
+
+    const report = await getComplaintPerformanceReport({
+      institutionId: req.user.institutionId,
+      from: period.from,
+      to: period.to,
+      groupBy,
+      category: req.query.category,
+    });
+
+    if (await sendExport(req, res, `complaints-by-${groupBy}`, COMPLAINT_PERFORMANCE_COLUMNS(groupBy), report.rows)) return;
+
+    res.status(200).json({
+      success: true,
+      count: report.rows.length,
+      period: { from: period.from, to: period.to, label: period.label },
+      totals: report.totals,
+      data: report.rows,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
@@ -0,0 +1,694 @@
+import Room from '../models/Room.model.js';
+import RoomAllocation from '../models/RoomAllocation.model.js';
+import Student from '../models/Student.model.js';
+
+const ROOM_TYPES = ['Single', 'Double', 'Triple', 'Dormitory'];
+
+// Capacity and floor arrive as numbers or form strings; anything else, or a fraction, is rejected
+const toWholeNumber = (value, min) => {
+  if (!['number', 'string'].includes(typeof value) || String(value).trim() === '') return null;
+  const number = Number(value);
+  return Number.isInteger(number) && number >= min ? number : null;
+};
+
+const CAPACITY_MESSAGE = 'Capacity must be a whole number of at least 1';
+const FLOOR_MESSAGE = 'Floor must be a whole number of 0 or more';
+
+const formatRoom = (room, allocations = []) => {
+  const occupied = allocations.filter((allocation) => String(allocation.roomId) === String(room._id));
+  const activeBeds = (room.beds || []).filter((bed) => bed.isActive);
+
+  return {
+    id: room._id,
+    label: `${room.block}-${room.number}`,
+    block: room.block,
+    floor: room.floor,
+    number: room.number,
+    type: room.type,
+    capacity: room.capacity,
+    occupied: occupied.length,
+    vacancies: Math.max(room.capacity - occupied.length, 0),
+    isActive: room.isActive,
+    beds: activeBeds.map((bed) => {
+      const allocation = occupied.find((item) => item.bedLabel === bed.label);
+      return {
+        label: bed.label,
+        student: allocation?.studentId?._id
+          ? {
+              id: allocation.studentId._id,
+              name: allocation.studentId.userId?.name || 'Unknown',
+              rollNumber: allocation.studentId.rollNumber,
+              class: allocation.studentId.class,
+            }
+          : null,
+      };
+    }),
+  };
+};
+
+const populateAllocationStudent = {
+  path: 'studentId',
+  select: 'userId rollNumber class section',
+  populate: { path: 'userId', select: 'name' },
+};
+
+/**
+ * Pick a free bed in a room, or validate the requested one.
+ * Returns { bedLabel } or { error }.
+ */
+const pickBed = async (room, requestedLabel) => {
+  const activeAllocations = await RoomAllocation.find({ roomId: room._id, isActive: true }).select('bedLabel');
+  const takenLabels = new Set(activeAllocations.map((allocation) => allocation.bedLabel));
+  const activeBeds = room.beds.filter((bed) => bed.isActive);
+
+  if (requestedLabel) {
+    const bed = activeBeds.find((item) => item.label === String(requestedLabel).trim().toUpperCase());
+    if (!bed) return { error: 'Bed not found in this room' };
+    if (takenLabels.has(bed.label)) return { error: 'Bed is already occupied' };
+    return { bedLabel: bed.label };
+  }
+
+  const freeBed = activeBeds.find((bed) => !takenLabels.has(bed.label));
+  if (!freeBed) return { error: 'Room is full' };
+  return { bedLabel: freeBed.label };
+};
+
+/**
+ * Close a student's active allocation, keeping it as history
+ */
+const endActiveAllocation = async (allocation, userId, endReason, notes) => {
+  allocation.isActive = false;
+  allocation.vacatedAt = new Date();
+  allocation.vacatedBy = userId;
+  allocation.endReason = endReason;
+  if (notes) allocation.notes = notes;
+  await allocation.save();
+};
+
+const assignStudentToRoom = async (student, room, bedLabel, userId, notes) => {
+  const allocation = await RoomAllocation.create({
+    institutionId: student.institutionId,
+    studentId: student._id,
+    roomId: room._id,
+    bedLabel,
+    allocatedBy: userId,
+    notes,
+  });
+
+  student.roomId = room._id;
+  student.room = `${room.block}-${room.number}`;
+  await student.save();
+
+  return allocation;
+};
+
+const handleAllocationError = (res, error) => {
+  // Unique partial indexes catch two wardens grabbing the same bed at once
+  if (error?.code === 11000) {
+    return res.status(409).json({
+      success: false,
+      message: error?.keyPattern?.bedLabel
+        ? 'Bed is already occupied'
+        : 'Student already has a bed allocated',
+    });
+  }
+  return res.status(500).json({
+    success: false,
+    message: error.message || 'Server error',
+  });
+};
+
+/**
+ * @desc    Get rooms with occupancy
+ * @route   GET /api/rooms?block=&floor=&type=&vacant=true
+ * @access  Private (Warden only)
+ */
+export const getRooms = async (req, res) => {
+  try {
+    const { block, floor, type, vacant } = req.query;
+
+    const filter = { institutionId: req.user.institutionId };
+    if (block) filter.block = block;
+    if (floor !== undefined && floor !== '') filter.floor = Number(floor);
+    if (type) filter.type = type;
+
+    const rooms = await Room.find(filter).sort({ block: 1, floor: 1, number: 1 });
+    const allocations = await RoomAllocation.find({
+      institutionId: req.user.institutionId,
+      roomId: { $in: rooms.map((room) => room._id) },
+      isActive: true,
+    }).populate(populateAllocationStudent);
+
+    let data = rooms.map((room) => formatRoom(room, allocations));
+    if (vacant === 'true') {
+      data = data.filter((room) => room.isActive && room.vacancies > 0);
+    }
+
+    res.status(200).json({
+      success: true,
+      count: data.length,
+      data,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
+
+/**
+ * @desc    Get a room with its occupants
+ * @route   GET /api/rooms/:id
+ * @access  Private (Warden only)
+ */
+export const getRoomById = async (req, res) => {
+  try {
+    const room = await Room.findOne({ _id: req.params.id, institutionId: req.user.institutionId });
+    if (!room) {
+      return res.status(404).json({
+        success: false,
+        message: 'Room not found',
+      });
+    }
+
+    const allocations = await RoomAllocation.find({ roomId: room._id, isActive: true })
+      .populate(populateAllocationStudent);
+
+    res.status(200).json({
+      success: true,
+      data: formatRoom(room, allocations),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
+
+/**
+ * @desc    Create room
+ * @route   POST /api/rooms
+ * @access  Private (Warden only)
+ */
+export const createRoom = async (req, res) => {
+  try {
+    const { block, floor, number, type = 'Double', capacity } = req.body;
+
+    if (!block || floor === undefined || !number || !capacity) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide block, floor, number, and capacity',
+      });
+    }
+
+    if (!ROOM_TYPES.includes(type)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid room type. Must be one of: ${ROOM_TYPES.join(', ')}`,
+      });
+    }
+
+    const roomCapacity = toWholeNumber(capacity, 1);
+    if (roomCapacity === null) {
+      return res.status(400).json({ success: false, message: CAPACITY_MESSAGE });
+    }
+    const roomFloor = toWholeNumber(floor, 0);
+    if (roomFloor === null) {
+      return res.status(400).json({ success: false, message: FLOOR_MESSAGE });
+    }
+
+    const room = await Room.create({
+      institutionId: req.user.institutionId,
+      block: String(block).trim(),
+      floor: roomFloor,
+      number: String(number).trim(),
+      type,
+      capacity: roomCapacity,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Room created successfully',
+      data: formatRoom(room),
+    });
+  } catch (error) {
+    if (error?.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'A room with this number already exists in this block',
+      });
+    }
+    if (error?.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map((err) => err.message).join(', '),
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
+
+/**
+ * @desc    Update room
+ * @route   PUT /api/rooms/:id
+ * @access  Private (Warden only)
+ */
+export const updateRoom = async (req, res) => {
+  try {
+    const { block, floor, number, type, capacity, isActive } = req.body;
+
+    const room = await Room.findOne({ _id: req.params.id, institutionId: req.user.institutionId });
+    if (!room) {
+      return res.status(404).json({
+        success: false,
+        message: 'Room not found',
+      });
+    }
+
+    const nextCapacity = capacity === undefined ? undefined : toWholeNumber(capacity, 1);
+    if (nextCapacity === null) {
+      return res.status(400).json({ success: false, message: CAPACITY_MESSAGE });
+    }
+    const nextFloor = floor === undefined ? undefined : toWholeNumber(floor, 0);
+    if (nextFloor === null) {
+      return res.status(400).json({ success: false, message: FLOOR_MESSAGE });
+    }
+
+    const activeAllocations = await RoomAllocation.find({ roomId: room._id, isActive: true });
+
+    if (nextCapacity !== undefined) {
+      // Beds beyond the new capacity are switched off, so they must be empty
+      const blockedBed = activeAllocations.find(
+        (allocation) => room.beds.findIndex((bed) => bed.label === allocation.bedLabel) >= nextCapacity
+      );
+      if (blockedBed) {
+        return res.status(400).json({
+          success: false,
+          message: `Bed ${blockedBed.bedLabel} is occupied. Vacate or transfer the student before reducing capacity.`,
+        });
+      }
+      room.capacity = nextCapacity;
+    }
+
+    if (isActive === false && activeAllocations.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot deactivate an occupied room',
+      });
+    }
+
+    if (type !== undefined) {
+      if (!ROOM_TYPES.includes(type)) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid room type. Must be one of: ${ROOM_TYPES.join(', ')}`,
+        });
+      }
+      room.type = type;
+    }
+    if (block !== undefined) room.block = String(block).trim();
+    if (nextFloor !== undefined) room.floor = nextFloor;
+    if (number !== undefined) room.number = String(number).trim();
+    if (isActive !== undefined) room.isActive = Boolean(isActive);
+
+    await room.save();
+
+    // Keep the display label on occupants in sync with renamed rooms
+    if (activeAllocations.length > 0 && (block !== undefined || number !== undefined)) {
+      await Student.updateMany(
+        { _id: { $in: activeAllocations.map((allocation) => allocation.studentId) } },
+        { room: `${room.block}-${room.number}` }
+      );
+    }
+
+    const allocations = await RoomAllocation.find({ roomId: room._id, isActive: true })
+      .populate(populateAllocationStudent);
+
+    res.status(200).json({
+      success: true,
+      message: 'Room updated successfully',
+      data: formatRoom(room, allocations),
+    });
+  } catch (error) {
+    if (error?.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'A room with this number already exists in this block',
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
+
+/**
+ * @desc    Delete an empty room
+ * @route   DELETE /api/rooms/:id
+ * @access  Private (Warden only)
+ */
+export const deleteRoom = async (req, res) => {
+  try {
+    const room = await Room.findOne({ _id: req.params.id, institutionId: req.user.institutionId });
+    if (!room) {
+      return res.status(404).json({
+        success: false,
+        message: 'Room not found',
+      });
+    }
+
+    const occupied = await RoomAllocation.exists({ roomId: room._id, isActive: true });
+    if (occupied) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot delete an occupied room',
+      });
+    }
+
+    const hasHistory = await RoomAllocation.exists({ roomId: room._id });
+    if (hasHistory) {
+      // Keep rooms referenced by allocation history; just retire them
+      room.isActive = false;
+      await room.save();
+    } else {
+      await Room.deleteOne({ _id: room._id });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: hasHistory ? 'Room deactivated successfully' : 'Room deleted successfully',
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
+
+/**
+ * @desc    Allocate a bed to a student
+ * @route   POST /api/rooms/allocate
+ * @access  Private (Warden only)
+ */
+export const allocateRoom = async (req, res) => {
+  try {
+    const { studentId, roomId, bedLabel, notes } = req.body;
+
+    if (!studentId || !roomId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide studentId and roomId',
+      });
+    }
+
+    const student = await Student.findOne({ _id: studentId, institutionId: req.user.institutionId });
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student not found',
+      });
+    }
+
+    const existing = await RoomAllocation.findOne({ studentId: student._id, institutionId: req.user.institutionId, isActive: true });
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message: 'Student already has a bed allocated. Use transfer instead.',
+      });
+    }
+
+    const room = await Room.findOne({ _id: roomId, institutionId: req.user.institutionId, isActive: true });
+    if (!room) {
+      return res.status(404).json({
+        success: false,
+        message: 'Room not found',
+      });
+    }
+
+    const { bedLabel: freeBed, error } = await pickBed(room, bedLabel);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error,
+      });
+    }
+
+    const allocation = await assignStudentToRoom(student, room, freeBed, req.user._id, notes);
+
+    res.status(201).json({
+      success: true,
+      message: `Bed ${freeBed} in room ${room.block}-${room.number} allocated successfully`,
+      data: allocation,
+    });
+  } catch (error) {
+    return handleAllocationError(res, error);
+  }
+};
+
+/**
+ * @desc    Vacate a student's bed
+ * @route   POST /api/rooms/vacate
+ * @access  Private (Warden only)
+ */
+export const vacateRoom = async (req, res) => {
+  try {
+    const { studentId, notes } = req.body;
+
+    if (!studentId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide studentId',
+      });
+    }
+
+    const student = await Student.findOne({ _id: studentId, institutionId: req.user.institutionId });
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student not found',
+      });
+    }
+
+    const allocation = await RoomAllocation.findOne({ studentId: student._id, institutionId: req.user.institutionId, isActive: true });
+    if (!allocation) {
+      return res.status(400).json({
+        success: false,
+        message: 'Student does not have a bed allocated',
+      });
+    }
+
+    await endActiveAllocation(allocation, req.user._id, 'Vacated', notes);
+
+    student.roomId = undefined;
+    student.room = undefined;
+    await student.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Bed vacated successfully',
+      data: allocation,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
+
+/**
+ * @desc    Transfer a student to another room/bed
+ * @route   POST /api/rooms/transfer
+ * @access  Private (Warden only)
+ */
+export const transferRoom = async (req, res) => {
+  try {
+    const { studentId, roomId, bedLabel, notes } = req.body;
+
+    if (!studentId || !roomId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide studentId and roomId',
+      });
+    }
+
+    const student = await Student.findOne({ _id: studentId, institutionId: req.user.institutionId });
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student not found',
+      });
+    }
+
+    const current = await RoomAllocation.findOne({ studentId: student._id, institutionId: req.user.institutionId, isActive: true });
+    if (!current) {
+      return res.status(400).json({
+        success: false,
+        message: 'Student does not have a bed allocated. Use allocate instead.',
+      });
+    }
+
+    const room = await Room.findOne({ _id: roomId, institutionId: req.user.institutionId, isActive: true });
+    if (!room) {
+      return res.status(404).json({
+        success: false,
+        message: 'Room not found',
+      });
+    }
+
+    const { bedLabel: freeBed, error } = await pickBed(room, bedLabel);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error,
+      });
+    }
+
+    await endActiveAllocation(current, req.user._id, 'Transferred', notes);
+
+    let allocation;
+    try {
+      allocation = await assignStudentToRoom(student, room, freeBed, req.user._id, notes);
+    } catch (assignError) {
+      // Put the student back in their old bed if the new one was taken meanwhile
+      current.isActive = true;
+      current.vacatedAt = undefined;
+      current.vacatedBy = undefined;
+      current.endReason = undefined;
+      await current.save();
+      throw assignError;
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `Student transferred to bed ${freeBed} in room ${room.block}-${room.number}`,
+      data: allocation,
+    });
+  } catch (error) {
+    return handleAllocationError(res, error);
+  }
+};
+
+/**
+ * @desc    Get a student's allocation history
+ * @route   GET /api/rooms/history/:studentId
+ * @access  Private (Warden only)
+ */
+export const getAllocationHistory = async (req, res) => {
+  try {
+    const history = await RoomAllocation.find({
+      studentId: req.params.studentId,
+      institutionId: req.user.institutionId,
+    })
+      .populate('roomId', 'block floor number type')
+      .populate('allocatedBy', 'name')
+      .populate('vacatedBy', 'name')
+      .sort({ allocatedAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: history.length,
+      data: history.map((allocation) => ({
+        id: allocation._id,
+        room: allocation.roomId
+          ? {
+              id: allocation.roomId._id,
+              label: `${allocation.roomId.block}-${allocation.roomId.number}`,
+              block: allocation.roomId.block,
+              floor: allocation.roomId.floor,
+              type: allocation.roomId.type,
+            }
+          : null,
+        bedLabel: allocation.bedLabel,
+        isActive: allocation.isActive,
+        allocatedAt: allocation.allocatedAt,
+        allocatedBy: allocation.allocatedBy?.name || null,
+        vacatedAt: allocation.vacatedAt || null,
+        vacatedBy: allocation.vacatedBy?.name || null,
+        endReason: allocation.endReason || null,
+        notes: allocation.notes || null,
+      })),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
+
+/**
+ * @desc    Occupancy report by block and floor
+ * @route   GET /api/rooms/occupancy
+ * @access  Private (Warden only)
+ */
+export const getOccupancyReport = async (req, res) => {
+  try {
+    const rooms = await Room.find({ institutionId: req.user.institutionId, isActive: true });
+    const occupancy = await RoomAllocation.aggregate([
+      { $match: { institutionId: req.user.institutionId, isActive: true } },
+      { $group: { _id: '$roomId', occupied: { $sum: 1 } } },
+    ]);
+    const occupiedByRoom = new Map(occupancy.map((item) => [String(item._id), item.occupied]));
+
+    const totals = { rooms: 0, capacity: 0, occupied: 0, vacancies: 0, fullRooms: 0, emptyRooms: 0 };
+    const blocks = new Map();
+
+    rooms.forEach((room) => {
+      const occupied = occupiedByRoom.get(String(room._id)) || 0;
+      const vacancies = Math.max(room.capacity - occupied, 0);
+
+      if (!blocks.has(room.block)) {
+        blocks.set(room.block, { block: room.block, capacity: 0, occupied: 0, vacancies: 0, floors: new Map() });
+      }
+      const blockEntry = blocks.get(room.block);
+      if (!blockEntry.floors.has(room.floor)) {
+        blockEntry.floors.set(room.floor, { floor: room.floor, rooms: 0, capacity: 0, occupied: 0, vacancies: 0 });
+      }
+      const floorEntry = blockEntry.floors.get(room.floor);
+
+      [totals, blockEntry, floorEntry].forEach((entry) => {
+        entry.capacity += room.capacity;
+        entry.occupied += occupied;
+        entry.vacancies += vacancies;
+      });
+      floorEntry.rooms += 1;
+      totals.rooms += 1;
+      if (vacancies === 0) totals.fullRooms += 1;
+      if (occupied === 0) totals.emptyRooms += 1;
+    });
+
+    const occupancyRate = (entry) => (entry.capacity > 0 ? Math.round((entry.occupied / entry.capacity) * 100) : 0);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        totals: { ...totals, occupancyRate: occupancyRate(totals) },
+        blocks: [...blocks.values()]
+          .sort((a, b) => a.block.localeCompare(b.block))
+          .map((blockEntry) => ({
+            block: blockEntry.block,
+            capacity: blockEntry.capacity,
+            occupied: blockEntry.occupied,
+            vacancies: blockEntry.vacancies,
+            occupancyRate: occupancyRate(blockEntry),
+            floors: [...blockEntry.floors.values()]
+              .sort((a, b) => a.floor - b.floor)
+              .map((floorEntry) => ({ ...floorEntry, occupancyRate: occupancyRate(floorEntry) })),
+          })),
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error',
+    });
+  }
+};
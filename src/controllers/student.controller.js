@@ -10,9 +10,24 @@ import EntryExit from '../models/EntryExit.model.js';
 import Chat from '../models/Chat.model.js';
 import StudentLocation from '../models/StudentLocation.model.js';
 import StudentLocationHistory from '../models/StudentLocationHistory.model.js';
+import RoomAllocation from '../models/RoomAllocation.model.js';
 import { generateTempPassword } from '../utils/generateTempPassword.js';
 import { sendPaymentReceiptEmail, sendTempPasswordEmail } from '../utils/emailService.js';
 import { generateReceiptNumber } from '../utils/receiptNumber.js';
+import { revokeUserSessions } from '../services/session.service.js';
+import { recordAudit, snapshot } from '../services/audit.service.js';
+import { assignInvoiceNumber } from '../services/invoice.service.js';
+
+const STUDENT_AUDIT_FIELDS = [
+  'rollNumber',
+  'class',
+  'section',
+  'phone',
+  'room',
+  'guardianName',
+  'guardianEmail',
+  'guardianPhone',
+];
 
 /**
  * @desc    Get student's own profile
@@ -379,7 +394,7 @@ export const createStudent = async (req, res) => {
 
     if (!Number.isNaN(admissionAmount) && admissionAmount > 0) {
       const paidAt = isAdmissionPaid ? new Date() : undefined;
-      const receiptNumber = isAdmissionPaid ? generateReceiptNumber() : undefined;
+      const receiptNumber = isAdmissionPaid ? await generateReceiptNumber(institutionId) : undefined;
 
       const admissionFee = await Fee.create({
         studentId: student._id,
@@ -392,6 +407,7 @@ export const createStudent = async (req, res) => {
         paidByUserId: isAdmissionPaid ? req.user._id : undefined,
         receiptNumber,
       });
+      await assignInvoiceNumber(admissionFee);
 
       if (isAdmissionPaid) {
         await Payment.create({
@@ -403,9 +419,14 @@ export const createStudent = async (req, res) => {
           method: admissionMethod,
           gateway: 'Manual',
           status: 'Completed',
+          verificationStatus: 'Verified',
+          verificationSource: 'Staff',
+          verifiedBy: req.user._id,
+          verifiedAt: new Date(),
           transactionId: receiptNumber,
           receiptNumber,
           feeIds: [admissionFee._id],
+          allocations: [{ feeId: admissionFee._id, term: admissionTerm, amount: admissionAmount }],
         });
 
         sendPaymentReceiptEmail({
@@ -443,7 +464,7 @@ export const createStudent = async (req, res) => {
     if (nextPaymentDateRaw) {
       const nextDueDate = new Date(nextPaymentDateRaw);
       if (!Number.isNaN(nextDueDate.getTime()) && !Number.isNaN(nextAmount) && nextAmount > 0) {
-        await Fee.create({
+        const nextFee = await Fee.create({
           studentId: student._id,
           institutionId,
           amount: nextAmount,
@@ -451,6 +472,7 @@ export const createStudent = async (req, res) => {
           status: 'Pending',
           dueDate: nextDueDate,
         });
+        await assignInvoiceNumber(nextFee);
       }
     }
 
@@ -505,16 +527,11 @@ export const createStudent = async (req, res) => {
             });
         }
 
-        // Ensure Parent document exists linking guardianUser to student
-        const existingParent = await Parent.findOne({ userId: guardianUser._id, institutionId });
+        // Ensure Parent document exists linking guardianUser to student.
+        // A guardian who already has a child here gets this student added to the same login.
+        const existingParent = await Parent.findOne({ userId: guardianUser._id, studentId: student._id, institutionId });
         if (!existingParent) {
           await Parent.create({ userId: guardianUser._id, studentId: student._id, relationship: 'Guardian', institutionId });
-        } else {
-          // Update student link if different
-          if (existingParent.studentId.toString() !== student._id.toString()) {
-            existingParent.studentId = student._id;
-            await existingParent.save();
-          }
         }
       } catch (gErr) {
         console.error('❌ Error creating/linking guardian:', gErr);
@@ -595,6 +612,9 @@ export const updateStudent = async (req, res) => {
       });
     }
 
+    const before = snapshot(student, STUDENT_AUDIT_FIELDS);
+    const after = {};
+
     // Update student profile
     if (studentClass !== undefined && studentClass.trim()) {
       student.class = studentClass.trim();
@@ -620,7 +640,14 @@ export const updateStudent = async (req, res) => {
     if (phone !== undefined) {
       student.phone = phone.trim() || undefined;
     }
-    if (room !== undefined) {
+    if (room !== undefined && (room.trim() || undefined) !== student.room) {
+      // Allocated students move rooms through /api/rooms/transfer so history stays intact
+      if (student.roomId) {
+        return res.status(400).json({
+          success: false,
+          message: 'Student has a bed allocated. Use room transfer or vacate instead.',
+        });
+      }
       student.room = room.trim() || undefined;
     }
 
@@ -640,6 +667,8 @@ export const updateStudent = async (req, res) => {
           message: 'User account not found for this student',
         });
       }
+      before.name = user.name;
+      before.email = user.email;
       if (name) user.name = name.trim();
       if (email) {
         const normalizedEmail = email.toLowerCase().trim();
@@ -658,6 +687,8 @@ export const updateStudent = async (req, res) => {
         user.email = normalizedEmail;
       }
       await user.save();
+      after.name = user.name;
+      after.email = user.email;
     }
 
     // If guardianEmail provided, ensure guardian user exists and Parent link is created/updated
@@ -686,11 +717,12 @@ export const updateStudent = async (req, res) => {
             .catch((err) => console.error('❌ Failed to send guardian email:', err.message || err));
         }
 
-        let parentLink = await Parent.findOne({ userId: guardianUser._id, institutionId: req.user.institutionId });
+        // The student's guardian link moves to this guardian; their other children stay linked
+        const parentLink = await Parent.findOne({ studentId: student._id, institutionId: req.user.institutionId });
         if (!parentLink) {
           await Parent.create({ userId: guardianUser._id, studentId: student._id, relationship: 'Guardian', institutionId: req.user.institutionId });
-        } else if (parentLink.studentId.toString() !== student._id.toString()) {
-          parentLink.studentId = student._id;
+        } else if (parentLink.userId.toString() !== guardianUser._id.toString()) {
+          parentLink.userId = guardianUser._id;
           await parentLink.save();
         }
       } catch (err) {
@@ -698,6 +730,15 @@ export const updateStudent = async (req, res) => {
       }
     }
 
+    await recordAudit(req, {
+      action: 'student.update',
+      targetType: 'Student',
+      targetId: student._id,
+      targetLabel: student.rollNumber,
+      before,
+      after: { ...snapshot(student, STUDENT_AUDIT_FIELDS), ...after },
+    });
+
     const updatedStudent = await Student.findById(student._id)
       .populate('userId', 'name email role');
 
@@ -730,14 +771,29 @@ export const deleteStudent = async (req, res) => {
       });
     }
 
+    // Free the student's bed, keeping allocation history
+    await RoomAllocation.updateMany(
+      { studentId: student._id, institutionId: req.user.institutionId, isActive: true },
+      { isActive: false, vacatedAt: new Date(), vacatedBy: req.user._id, endReason: 'Vacated' }
+    );
+
     // Delete the user account associated with this student
     if (student.userId) {
       await User.findByIdAndDelete(student.userId);
+      await revokeUserSessions(student.userId, 'Account deleted');
     }
 
     // Delete the student profile
     await Student.findByIdAndDelete(req.params.id);
 
+    await recordAudit(req, {
+      action: 'student.delete',
+      targetType: 'Student',
+      targetId: student._id,
+      targetLabel: student.rollNumber,
+      before: snapshot(student, STUDENT_AUDIT_FIELDS),
+    });
+
     res.status(200).json({
       success: true,
       message: 'Student account deleted successfully',
@@ -769,7 +825,14 @@ export const deleteStudentEverywhere = async (req, res) => {
     const parentRecords = await Parent.find({ studentId: student._id, institutionId: req.user.institutionId });
     const parentUserIds = parentRecords.map((p) => p.userId).filter(Boolean);
 
-    await Promise.all([
+    const studentUser = await User.findById(student.userId).select('name email');
+    const before = {
+      ...snapshot(student, STUDENT_AUDIT_FIELDS),
+      name: studentUser?.name || null,
+      email: studentUser?.email || null,
+    };
+
+    const results = await Promise.all([
       Parent.deleteMany({ studentId: student._id, institutionId: req.user.institutionId }),
       Fee.deleteMany({ studentId: student._id, institutionId: req.user.institutionId }),
       Payment.deleteMany({ studentId: student._id, institutionId: req.user.institutionId }),
@@ -779,18 +842,48 @@ export const deleteStudentEverywhere = async (req, res) => {
       Chat.deleteMany({ studentId: student._id, institutionId: req.user.institutionId }),
       StudentLocation.deleteMany({ studentId: student._id, institutionId: req.user.institutionId }),
       StudentLocationHistory.deleteMany({ studentId: student._id, institutionId: req.user.institutionId }),
+      RoomAllocation.deleteMany({ studentId: student._id, institutionId: req.user.institutionId }),
     ]);
 
-    if (parentUserIds.length > 0) {
-      await User.deleteMany({ _id: { $in: parentUserIds } });
+    // Parents who still have another child in the hostel keep their login
+    const stillLinked = new Set(
+      (await Parent.distinct('userId', { userId: { $in: parentUserIds }, institutionId: req.user.institutionId })).map(String)
+    );
+    const removedParentUserIds = parentUserIds.filter((id) => !stillLinked.has(String(id)));
+
+    if (removedParentUserIds.length > 0) {
+      await User.deleteMany({ _id: { $in: removedParentUserIds } });
     }
 
     if (student.userId) {
       await User.findByIdAndDelete(student.userId);
     }
 
+    await revokeUserSessions([student.userId, ...removedParentUserIds], 'Account deleted');
+
     await Student.findByIdAndDelete(student._id);
 
+    const [, fees, payments, complaints, leaves, entryExitLogs] = results;
+    await recordAudit(req, {
+      action: 'student.delete_everywhere',
+      targetType: 'Student',
+      targetId: student._id,
+      targetLabel: student.rollNumber,
+      before,
+      metadata: {
+        parentUserIds: parentUserIds.map(String),
+        deletedParentUserIds: removedParentUserIds.map(String),
+        deleted: {
+          parents: parentRecords.length,
+          fees: fees.deletedCount,
+          payments: payments.deletedCount,
+          complaints: complaints.deletedCount,
+          leaves: leaves.deletedCount,
+          entryExitLogs: entryExitLogs.deletedCount,
+        },
+      },
+    });
+
     res.status(200).json({
       success: true,
       message: 'Student and related data deleted successfully',
@@ -1,5 +1,6 @@
 import jwt from 'jsonwebtoken';
 import User from '../models/User.model.js';
+import { isSessionActive } from '../services/session.service.js';
 // Note: dotenv is loaded in server.js, process.env is available globally
 
 /**
@@ -29,6 +30,15 @@ export const protect = async (req, res, next) => {
       // Verify token
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+      // Access tokens are bound to a server-side session that can be revoked
+      const sessionActive = await isSessionActive(decoded.sid, decoded.userId);
+      if (!sessionActive) {
+        return res.status(401).json({
+          success: false,
+          message: 'Session has expired or been revoked',
+        });
+      }
+
       // Get user from token (without password)
       req.user = await User.findById(decoded.userId).select('-password');
 
@@ -47,6 +57,7 @@ export const protect = async (req, res, next) => {
       }
 
       req.institutionId = req.user.institutionId;
+      req.sessionId = decoded.sid;
 
       next();
     } catch (error) {
@@ -12,9 +12,14 @@ export const notFound = (req, res, next) => {
 
 // Error handler middleware
 export const errorHandler = (err, req, res, next) => {
-  let statusCode = res.statusCode === 200 ? 500 : res.statusCode;
+  let statusCode = err.statusCode || (res.statusCode === 200 ? 500 : res.statusCode);
   let message = err.message;
 
+  // Rate limited / locked out - tell the client when to retry
+  if (statusCode === 429 && err.retryAfter) {
+    res.setHeader('Retry-After', err.retryAfter);
+  }
+
   // Mongoose bad ObjectId
   if (err.name === 'CastError') {
     message = 'Resource not found';
@@ -37,6 +42,7 @@ export const errorHandler = (err, req, res, next) => {
   res.status(statusCode).json({
     success: false,
     message,
+    ...(err.retryAfter && { retryAfter: err.retryAfter }),
     stack: process.env.NODE_ENV === 'production' ? null : err.stack,
   });
 };
@@ -0,0 +1,75 @@
+import { getRateLimitStore } from '../utils/rateLimitStore.js';
+import { getLoginLock } from '../services/loginThrottle.service.js';
+
+/**
+ * Build a 429 error the error middleware knows how to render
+ * @param {string} message - Error message
+ * @param {number} retryAfterSeconds - Seconds until the client may retry
+ * @returns {Error}
+ */
+export const tooManyRequests = (message, retryAfterSeconds) => {
+  const error = new Error(message);
+  error.statusCode = 429;
+  error.retryAfter = Math.max(Math.ceil(retryAfterSeconds), 1);
+  return error;
+};
+
+/**
+ * Fixed-window rate limiting middleware
+ * @param {object} options
+ * @param {string} options.name - Prefix for store keys (one per limiter)
+ * @param {number} options.windowMs - Window length in ms
+ * @param {number} options.max - Requests allowed per window
+ * @param {Function} [options.keyGenerator] - (req) => key, defaults to client IP
+ * @param {string} [options.message] - Message sent with the 429
+ */
+export const rateLimit = ({
+  name,
+  windowMs,
+  max,
+  keyGenerator = (req) => req.ip,
+  message = 'Too many requests, please try again later',
+}) => {
+  return async (req, res, next) => {
+    try {
+      const key = `rate:${name}:${keyGenerator(req)}`;
+      const { count, resetAt } = await getRateLimitStore().increment(key, windowMs);
+
+      res.setHeader('RateLimit-Limit', max);
+      res.setHeader('RateLimit-Remaining', Math.max(max - count, 0));
+      res.setHeader('RateLimit-Reset', Math.ceil((resetAt - Date.now()) / 1000));
+
+      if (count > max) {
+        return next(tooManyRequests(message, (resetAt - Date.now()) / 1000));
+      }
+
+      next();
+    } catch (error) {
+      // Never lock users out because the limiter store is unavailable
+      console.error('Rate limiter error:', error.message || error);
+      next();
+    }
+  };
+};
+
+/**
+ * Reject login attempts while the account or client IP is locked out
+ */
+export const loginLockGuard = async (req, res, next) => {
+  try {
+    const { email, institutionName } = req.body || {};
+    const lock = await getLoginLock({ ip: req.ip, email, institutionName });
+
+    if (lock) {
+      return next(tooManyRequests(
+        `Too many failed login attempts. Try again in ${Math.ceil(lock.retryAfter / 60)} minute(s).`,
+        lock.retryAfter
+      ));
+    }
+
+    next();
+  } catch (error) {
+    console.error('Login lock check error:', error.message || error);
+    next();
+  }
+};
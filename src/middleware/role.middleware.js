@@ -1,9 +1,18 @@
+import Institution from '../models/Institution.model.js';
+import User from '../models/User.model.js';
+import { hasPermission } from '../config/permissions.js';
+
 /**
- * Role-based authorization middleware
- * Restricts routes based on user roles
- * @param {...string} roles - Allowed roles
+ * Role and permission based authorization middleware
+ * Restricts routes based on user roles or staff permissions.
+ * Arguments containing ':' are permissions (e.g. 'fees:write') and are granted
+ * to staff whose staff role includes them; other arguments are plain roles.
+ * @param {...string} rolesOrPermissions - Allowed roles and/or permissions
  */
-export const authorize = (...roles) => {
+export const authorize = (...rolesOrPermissions) => {
+  const permissions = rolesOrPermissions.filter((item) => item.includes(':'));
+  const roles = rolesOrPermissions.filter((item) => !item.includes(':'));
+
   return (req, res, next) => {
     if (!req.user) {
       return res.status(401).json({
@@ -12,13 +21,69 @@ export const authorize = (...roles) => {
       });
     }
 
-    if (!roles.includes(req.user.role)) {
+    if (roles.includes(req.user.role)) {
+      return next();
+    }
+
+    if (permissions.some((permission) => hasPermission(req.user, permission))) {
+      return next();
+    }
+
+    const required = [...roles, ...permissions].join(', ');
+    return res.status(403).json({
+      success: false,
+      message: permissions.length
+        ? `You do not have permission to access this route. Required: ${required}`
+        : `User role '${req.user.role}' is not authorized to access this route. Required roles: ${required}`,
+    });
+  };
+};
+
+/**
+ * Restrict a route to the institution admin.
+ * Institutions created before admins existed have no owner; their earliest
+ * warden becomes the admin the first time they use an admin route.
+ */
+export const requireInstitutionAdmin = async (req, res, next) => {
+  try {
+    if (!req.user || req.user.role !== 'warden') {
       return res.status(403).json({
         success: false,
-        message: `User role '${req.user.role}' is not authorized to access this route. Required roles: ${roles.join(', ')}`,
+        message: 'Only the institution admin can access this route',
       });
     }
 
-    next();
-  };
+    if (req.user.isInstitutionAdmin) {
+      return next();
+    }
+
+    const institution = await Institution.findById(req.user.institutionId).select('ownerId');
+    if (institution && !institution.ownerId) {
+      const founder = await User.findOne({ role: 'warden', institutionId: req.user.institutionId })
+        .sort({ createdAt: 1 })
+        .select('_id');
+
+      if (founder && String(founder._id) === String(req.user._id)) {
+        const claimed = await Institution.updateOne(
+          { _id: institution._id, ownerId: null },
+          { $set: { ownerId: req.user._id } }
+        );
+        if (claimed.modifiedCount === 1) {
+          await User.updateOne({ _id: req.user._id }, { $set: { isInstitutionAdmin: true } });
+          req.user.isInstitutionAdmin = true;
+          return next();
+        }
+      }
+    }
+
+    return res.status(403).json({
+      success: false,
+      message: 'Only the institution admin can access this route',
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: 'Error checking institution admin access',
+    });
+  }
 };
@@ -0,0 +1,74 @@
+import mongoose from 'mongoose';
+
+/**
+ * Attachment - a photo or document uploaded by a user. It is uploaded first,
+ * then linked to the complaint, leave or chat message it belongs to; who may
+ * download it follows from that record. Unlinked uploads are purged after a day.
+ */
+const attachmentSchema = new mongoose.Schema(
+  {
+    institutionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Institution',
+      required: true,
+      index: true,
+    },
+    uploadedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    // Storage driver the file was written with (local | s3)
+    storage: {
+      type: String,
+      required: true,
+    },
+    key: {
+      type: String,
+      required: true,
+    },
+    thumbnailKey: {
+      type: String,
+    },
+    fileName: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    // Detected from the file contents, not the client's Content-Type
+    mimeType: {
+      type: String,
+      required: true,
+    },
+    size: {
+      type: Number,
+      required: true,
+    },
+    width: {
+      type: Number,
+    },
+    height: {
+      type: Number,
+    },
+    linkedTo: {
+      type: {
+        type: String,
+        enum: ['Complaint', 'Leave', 'Chat'],
+      },
+      id: {
+        type: mongoose.Schema.Types.ObjectId,
+      },
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+attachmentSchema.index({ 'linkedTo.type': 1, 'linkedTo.id': 1 });
+// Orphan cleanup
+attachmentSchema.index({ 'linkedTo.id': 1, createdAt: 1 });
+
+const Attachment = mongoose.model('Attachment', attachmentSchema);
+
+export default Attachment;
@@ -0,0 +1,79 @@
+import mongoose from 'mongoose';
+
+/**
+ * AuditLog - append-only record of a staff mutation.
+ * Written by controllers through services/audit.service.js; never updated.
+ */
+const auditLogSchema = new mongoose.Schema(
+  {
+    institutionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Institution',
+      required: true,
+    },
+    actorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    // Copied so the log stays readable after the actor is deleted
+    actorName: {
+      type: String,
+      trim: true,
+    },
+    actorRole: {
+      type: String,
+      trim: true,
+    },
+    // e.g. 'fee.mark_paid', 'student.update'
+    action: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    targetType: {
+      type: String,
+      enum: ['Student', 'Fee', 'FeeStructure', 'Payment', 'Refund', 'Parent', 'Leave', 'Complaint'],
+      required: true,
+    },
+    targetId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    targetLabel: {
+      type: String,
+      trim: true,
+    },
+    changes: [
+      {
+        _id: false,
+        field: { type: String, required: true },
+        before: { type: mongoose.Schema.Types.Mixed },
+        after: { type: mongoose.Schema.Types.Mixed },
+      },
+    ],
+    metadata: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    ip: {
+      type: String,
+      trim: true,
+    },
+    userAgent: {
+      type: String,
+      trim: true,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+auditLogSchema.index({ institutionId: 1, createdAt: -1 });
+auditLogSchema.index({ institutionId: 1, targetType: 1, targetId: 1, createdAt: -1 });
+auditLogSchema.index({ institutionId: 1, actorId: 1, createdAt: -1 });
+auditLogSchema.index({ institutionId: 1, action: 1, createdAt: -1 });
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+
+export default AuditLog;
@@ -11,11 +11,20 @@ const messageSchema = new mongoose.Schema(
       ref: 'User',
       required: true,
     },
+    // Optional when the message carries attachments
     text: {
       type: String,
-      required: true,
       trim: true,
+      required: function () {
+        return !this.attachments?.length;
+      },
     },
+    attachments: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Attachment',
+      },
+    ],
   },
   { timestamps: true }
 );
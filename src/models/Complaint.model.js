@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { COMPLAINT_ACTIVITY_TYPES, COMPLAINT_CATEGORIES, COMPLAINT_PRIORITIES } from '../config/complaints.js';
 
 const complaintSchema = new mongoose.Schema(
   {
@@ -26,22 +27,45 @@ const complaintSchema = new mongoose.Schema(
     category: {
       type: String,
       required: true,
-      enum: ['Maintenance', 'Electrical', 'Carpentry', 'Cleaning', 'Food / Mess', 'IT Support', 'Plumbing', 'Other'],
+      enum: COMPLAINT_CATEGORIES,
       default: 'Maintenance',
     },
     status: {
       type: String,
-      enum: ['Pending', 'In Progress', 'Resolved', 'Rejected'],
+      enum: ['Pending', 'In Progress', 'Resolved', 'Rejected', 'Reopened'],
       default: 'Pending',
     },
     priority: {
       type: String,
-      enum: ['Low', 'Medium', 'High', 'Urgent'],
+      enum: COMPLAINT_PRIORITIES,
       default: 'Medium',
     },
     assignedTo: {
       type: mongoose.Schema.Types.ObjectId,
-      ref: 'User', // Warden who handles it
+      ref: 'User', // Staff member who handles it (routed by category)
+    },
+    // Resolution deadline from the institution's SLA for this priority
+    dueAt: {
+      type: Date,
+    },
+    // Set when the SLA was breached and the chief wardens were alerted
+    escalatedAt: {
+      type: Date,
+    },
+    reopenCount: {
+      type: Number,
+      default: 0,
+    },
+    reopenedAt: {
+      type: Date,
+    },
+    reopenReason: {
+      type: String,
+      trim: true,
+    },
+    // First status change or public comment from staff
+    firstResponseAt: {
+      type: Date,
     },
     resolvedAt: {
       type: Date,
@@ -50,6 +74,46 @@ const complaintSchema = new mongoose.Schema(
       type: String,
       trim: true,
     },
+    // Student's rating of the latest resolution
+    satisfaction: {
+      rating: {
+        type: Number,
+        min: 1,
+        max: 5,
+      },
+      comment: {
+        type: String,
+        trim: true,
+        maxlength: 1000,
+      },
+      ratedAt: {
+        type: Date,
+      },
+    },
+    // Photos or documents uploaded by the student
+    attachments: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Attachment',
+      },
+    ],
+    // Timeline of what happened to the complaint, oldest first. actorId is
+    // unset for system events (category routing, SLA breach).
+    activity: [
+      {
+        type: {
+          type: String,
+          enum: COMPLAINT_ACTIVITY_TYPES,
+          required: true,
+        },
+        actorId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        fromStatus: String,
+        toStatus: String,
+        assigneeId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        note: String,
+        at: { type: Date, default: Date.now },
+      },
+    ],
   },
   {
     timestamps: true,
@@ -59,6 +123,9 @@ const complaintSchema = new mongoose.Schema(
 // Index for efficient queries
 complaintSchema.index({ studentId: 1, status: 1 });
 complaintSchema.index({ status: 1, createdAt: -1 });
+// SLA escalation job
+complaintSchema.index({ status: 1, escalatedAt: 1, dueAt: 1 });
+complaintSchema.index({ institutionId: 1, assignedTo: 1, status: 1 });
 
 const Complaint = mongoose.model('Complaint', complaintSchema);
 
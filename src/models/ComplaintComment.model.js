@@ -0,0 +1,51 @@
+import mongoose from 'mongoose';
+
+/**
+ * ComplaintComment - one message in a complaint's discussion. Replies point at
+ * the first comment of their thread. Internal notes are between staff and are
+ * never shown to the student.
+ */
+const complaintCommentSchema = new mongoose.Schema(
+  {
+    complaintId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Complaint',
+      required: true,
+    },
+    institutionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Institution',
+      required: true,
+      index: true,
+    },
+    authorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    text: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 2000,
+    },
+    internal: {
+      type: Boolean,
+      default: false,
+    },
+    // Top-level comment this replies to; unset for a new thread
+    replyTo: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ComplaintComment',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+complaintCommentSchema.index({ complaintId: 1, createdAt: 1 });
+
+const ComplaintComment = mongoose.model('ComplaintComment', complaintCommentSchema);
+
+export default ComplaintComment;
@@ -0,0 +1,59 @@
+import mongoose from 'mongoose';
+import { NOTIFICATION_TYPES } from '../config/notifications.js';
+
+/**
+ * DeferredNotification - push, email or SMS held back during a user's quiet
+ * hours. The delivery job sends it at deliverAt and removes it.
+ */
+const deferredNotificationSchema = new mongoose.Schema(
+  {
+    institutionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Institution',
+      required: true,
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: NOTIFICATION_TYPES,
+      required: true,
+    },
+    title: {
+      type: String,
+      required: true,
+    },
+    message: {
+      type: String,
+      required: true,
+    },
+    referenceId: {
+      type: mongoose.Schema.Types.ObjectId,
+    },
+    // Channels still to send (push | email | sms)
+    channels: [String],
+    pushData: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    navigation: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    deliverAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+deferredNotificationSchema.index({ deliverAt: 1 });
+deferredNotificationSchema.index({ userId: 1 });
+
+const DeferredNotification = mongoose.model('DeferredNotification', deferredNotificationSchema);
+
+export default DeferredNotification;
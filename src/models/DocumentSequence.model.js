@@ -0,0 +1,39 @@
+import mongoose from 'mongoose';
+
+/**
+ * DocumentSequence - last number issued in a numbering series
+ * (receipts, invoices, refunds) for one institution and financial year.
+ * Incremented atomically by src/utils/receiptNumber.js.
+ */
+const documentSequenceSchema = new mongoose.Schema(
+  {
+    institutionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Institution',
+      required: true,
+    },
+    series: {
+      type: String,
+      enum: ['receipt', 'invoice', 'refund'],
+      required: true,
+    },
+    // e.g. '2026-27'
+    financialYear: {
+      type: String,
+      required: true,
+    },
+    seq: {
+      type: Number,
+      default: 0,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+documentSequenceSchema.index({ institutionId: 1, series: 1, financialYear: 1 }, { unique: true });
+
+const DocumentSequence = mongoose.model('DocumentSequence', documentSequenceSchema);
+
+export default DocumentSequence;
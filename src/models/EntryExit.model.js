@@ -30,12 +30,19 @@ const entryExitSchema = new mongoose.Schema(
       required: true,
       default: 'Manual',
     },
+    // Approved leave this movement belongs to (set automatically at the gate)
+    leaveId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Leave',
+    },
   },
   {
     timestamps: true,
   }
 );
 
+entryExitSchema.index({ institutionId: 1, studentId: 1, createdAt: -1 });
+
 const EntryExit = mongoose.model('EntryExit', entryExitSchema);
 
 export default EntryExit;
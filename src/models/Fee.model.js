@@ -1,5 +1,31 @@
 import mongoose from 'mongoose';
 
+const installmentSchema = new mongoose.Schema({
+  label: {
+    type: String,
+    trim: true,
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Please provide installment amount'],
+    min: [0, 'Amount cannot be negative'],
+  },
+  dueDate: {
+    type: Date,
+    required: [true, 'Please provide installment due date'],
+  },
+  amountPaid: {
+    type: Number,
+    default: 0,
+  },
+  paidAt: {
+    type: Date,
+  },
+  reminderSentAt: {
+    type: Date,
+  },
+});
+
 const feeSchema = new mongoose.Schema(
   {
     studentId: {
@@ -23,19 +49,72 @@ const feeSchema = new mongoose.Schema(
       required: [true, 'Please provide term'],
       trim: true,
     },
+    // Set when the fee was issued in bulk from a fee structure
+    structureId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'FeeStructure',
+    },
+    components: [
+      {
+        _id: false,
+        name: { type: String, trim: true },
+        amount: { type: Number, min: [0, 'Amount cannot be negative'] },
+        refundable: { type: Boolean, default: false },
+      },
+    ],
+    // Penalty lines are created by the late fee job for an overdue fee
+    category: {
+      type: String,
+      enum: ['Fee', 'Penalty'],
+      default: 'Fee',
+    },
+    penaltyForFeeId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Fee',
+    },
+    penaltyDays: {
+      type: Number,
+    },
     dueDate: {
       type: Date,
     },
+    // Kept in sync with amountPaid by the pre-validate hook below
     status: {
       type: String,
-      enum: ['Paid', 'Pending'],
+      enum: ['Paid', 'PartiallyPaid', 'Pending', 'Waived'],
       required: true,
       default: 'Pending',
     },
+    // Total credited to this fee. Unset on fees created before partial payments.
+    amountPaid: {
+      type: Number,
+      min: [0, 'Amount paid cannot be negative'],
+    },
+    // Optional installment plan; amounts add up to the fee amount
+    installments: [installmentSchema],
+    // Unpaid part written off by a warden (penalties only)
+    waivedAmount: {
+      type: Number,
+      default: 0,
+    },
+    waivedAt: {
+      type: Date,
+    },
+    waivedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    waiverReason: {
+      type: String,
+      trim: true,
+    },
+    // Issued when the fee is created (src/services/invoice.service.js)
+    invoiceNumber: {
+      type: String,
+      trim: true,
+    },
     receiptNumber: {
       type: String,
-      unique: true,
-      sparse: true, // Allow multiple null values
       trim: true,
     },
     paidAt: {
@@ -49,15 +128,114 @@ const feeSchema = new mongoose.Schema(
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User',
     },
+    // Credit per payment, saved with amountPaid so a retried settlement can tell what it already credited
+    paymentCredits: [
+      {
+        _id: false,
+        paymentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Payment' },
+        amount: { type: Number, min: [0, 'Amount cannot be negative'] },
+      },
+    ],
     reminderSentAt: {
       type: Date,
     },
   },
   {
     timestamps: true,
+    // Payments credit fees concurrently (verify, webhook, office); a stale save fails instead of losing a credit
+    optimisticConcurrency: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
   }
 );
 
+feeSchema.index({ institutionId: 1, studentId: 1, status: 1 });
+// Outstanding, ageing and defaulter reports
+feeSchema.index({ institutionId: 1, status: 1, dueDate: 1 });
+feeSchema.index({ studentId: 1, createdAt: 1 });
+feeSchema.index({ 'paymentCredits.paymentId': 1 });
+// Receipt numbers restart per institution, so they are only unique within one
+feeSchema.index(
+  { institutionId: 1, receiptNumber: 1 },
+  { unique: true, partialFilterExpression: { receiptNumber: { $type: 'string' } } }
+);
+feeSchema.index(
+  { institutionId: 1, invoiceNumber: 1 },
+  { unique: true, partialFilterExpression: { invoiceNumber: { $type: 'string' } } }
+);
+// One fee per student, structure and term so bulk generation can be re-run safely
+feeSchema.index(
+  { institutionId: 1, structureId: 1, term: 1, studentId: 1 },
+  { unique: true, partialFilterExpression: { structureId: { $exists: true } } }
+);
+// One penalty line per overdue fee
+feeSchema.index(
+  { penaltyForFeeId: 1 },
+  { unique: true, partialFilterExpression: { category: 'Penalty' } }
+);
+
+/**
+ * Amount paid, treating legacy fees (no amountPaid) as fully paid or unpaid by status
+ */
+feeSchema.methods.getAmountPaid = function () {
+  if (this.amountPaid === undefined || this.amountPaid === null) {
+    return this.status === 'Paid' ? this.amount : 0;
+  }
+  return this.amountPaid;
+};
+
+feeSchema.virtual('balance').get(function () {
+  return Math.max((this.amount || 0) - this.getAmountPaid() - (this.waivedAmount || 0), 0);
+});
+
+// Next installment (or the fee itself) still waiting for money
+feeSchema.virtual('nextDueDate').get(function () {
+  if (this.installments?.length) {
+    const next = this.installments.find((installment) => installment.amountPaid < installment.amount);
+    return next ? next.dueDate : null;
+  }
+  return ['Paid', 'Waived'].includes(this.status) ? null : this.dueDate || null;
+});
+
+// Derive status and installment progress from amountPaid
+feeSchema.pre('validate', function (next) {
+  const amountPaid = Math.min(this.getAmountPaid(), this.amount || 0);
+  this.amountPaid = amountPaid;
+
+  if (this.waivedAmount > 0 && amountPaid + this.waivedAmount >= this.amount) {
+    this.status = 'Waived';
+  } else if (this.amount > 0 && amountPaid >= this.amount) {
+    this.status = 'Paid';
+  } else if (amountPaid > 0) {
+    this.status = 'PartiallyPaid';
+  } else {
+    this.status = this.amount === 0 ? 'Paid' : 'Pending';
+  }
+
+  if (this.status === 'Paid' && !this.paidAt) {
+    this.paidAt = new Date();
+  } else if (this.status !== 'Paid') {
+    this.paidAt = undefined;
+  }
+
+  if (this.installments?.length) {
+    let remaining = amountPaid;
+    const ordered = [...this.installments].sort((a, b) => new Date(a.dueDate) - new Date(b.dueDate));
+    ordered.forEach((installment) => {
+      const paid = Math.min(remaining, installment.amount);
+      remaining -= paid;
+      installment.amountPaid = paid;
+      if (paid >= installment.amount && !installment.paidAt) {
+        installment.paidAt = new Date();
+      } else if (paid < installment.amount) {
+        installment.paidAt = undefined;
+      }
+    });
+  }
+
+  next();
+});
+
 const Fee = mongoose.model('Fee', feeSchema);
 
 export default Fee;
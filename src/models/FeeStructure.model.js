@@ -0,0 +1,104 @@
+import mongoose from 'mongoose';
+
+/**
+ * FeeStructure - a reusable set of fee components (hostel rent, mess, deposit ...)
+ * used to issue a term's fees in bulk. Component amounts can vary by class and room type.
+ */
+const amountOverrideSchema = new mongoose.Schema(
+  {
+    class: {
+      type: String,
+      trim: true,
+    },
+    roomType: {
+      type: String,
+      enum: ['Single', 'Double', 'Triple', 'Dormitory'],
+    },
+    amount: {
+      type: Number,
+      required: [true, 'Please provide override amount'],
+      min: [0, 'Amount cannot be negative'],
+    },
+  },
+  { _id: false }
+);
+
+const componentSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Please provide component name'],
+      trim: true,
+    },
+    // Default amount when no override matches the student
+    amount: {
+      type: Number,
+      required: [true, 'Please provide component amount'],
+      min: [0, 'Amount cannot be negative'],
+    },
+    overrides: [amountOverrideSchema],
+    // Refundable at check-out (e.g. security deposit)
+    refundable: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  { _id: false }
+);
+
+const feeStructureSchema = new mongoose.Schema(
+  {
+    institutionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Institution',
+      required: true,
+      index: true,
+    },
+    name: {
+      type: String,
+      required: [true, 'Please provide structure name'],
+      trim: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+    },
+    components: {
+      type: [componentSchema],
+      validate: {
+        validator: (components) => components.length > 0,
+        message: 'A fee structure needs at least one component',
+      },
+    },
+    // Empty means every class / room type
+    classes: [
+      {
+        type: String,
+        trim: true,
+      },
+    ],
+    roomTypes: [
+      {
+        type: String,
+        enum: ['Single', 'Double', 'Triple', 'Dormitory'],
+      },
+    ],
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+feeStructureSchema.index({ institutionId: 1, name: 1 }, { unique: true });
+
+const FeeStructure = mongoose.model('FeeStructure', feeStructureSchema);
+
+export default FeeStructure;
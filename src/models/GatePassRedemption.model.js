@@ -0,0 +1,44 @@
+import mongoose from 'mongoose';
+
+/**
+ * GatePassRedemption - records each QR gate pass nonce once it has been scanned.
+ * The unique nonce makes passes single use; documents expire with the pass.
+ */
+const gatePassRedemptionSchema = new mongoose.Schema(
+  {
+    nonce: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    studentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Student',
+      required: true,
+    },
+    institutionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Institution',
+      required: true,
+      index: true,
+    },
+    scannedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Remove redemption records once the pass itself can no longer be used
+gatePassRedemptionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const GatePassRedemption = mongoose.model('GatePassRedemption', gatePassRedemptionSchema);
+
+export default GatePassRedemption;
@@ -1,4 +1,6 @@
 import mongoose from 'mongoose';
+import { DEFAULT_REOPEN_WINDOW_DAYS, DEFAULT_SLA_HOURS } from '../config/complaints.js';
+import { DEFAULT_TIMEZONE } from '../config/notifications.js';
 
 const institutionSchema = new mongoose.Schema(
   {
@@ -11,6 +13,162 @@ const institutionSchema = new mongoose.Schema(
       type: Boolean,
       default: true,
     },
+    // Institution admin who created the institution and manages warden invites
+    ownerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    // IANA timezone for quiet hours and other local-time rules
+    timezone: {
+      type: String,
+      default: DEFAULT_TIMEZONE,
+    },
+    // Details printed on invoices and fee statements
+    billing: {
+      legalName: {
+        type: String,
+        trim: true,
+      },
+      address: {
+        type: String,
+        trim: true,
+      },
+      phone: {
+        type: String,
+        trim: true,
+      },
+      email: {
+        type: String,
+        trim: true,
+        lowercase: true,
+      },
+      // Fee amounts include GST; invoices show the taxable value and CGST/SGST split
+      gstEnabled: {
+        type: Boolean,
+        default: false,
+      },
+      gstin: {
+        type: String,
+        trim: true,
+        uppercase: true,
+      },
+      gstRate: {
+        type: Number,
+        default: 18,
+        min: [0, 'GST rate cannot be negative'],
+        max: [28, 'GST rate cannot exceed 28%'],
+      },
+      sacCode: {
+        type: String,
+        trim: true,
+      },
+    },
+    // Late fee rule applied by the daily penalty job
+    latePenalty: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      // flat: fixed amount once, percentage: % of the overdue balance once, perDay: amount per day late
+      type: {
+        type: String,
+        enum: ['flat', 'percentage', 'perDay'],
+        default: 'flat',
+      },
+      amount: {
+        type: Number,
+        default: 0,
+        min: [0, 'Penalty amount cannot be negative'],
+      },
+      graceDays: {
+        type: Number,
+        default: 0,
+        min: [0, 'Grace period cannot be negative'],
+      },
+      // Maximum penalty per fee (optional)
+      cap: {
+        type: Number,
+        min: [0, 'Penalty cap cannot be negative'],
+      },
+    },
+    // Complaint routing, SLA targets and the student reopen window
+    complaintWorkflow: {
+      // Staff member who gets new complaints of each category
+      routing: [
+        {
+          _id: false,
+          category: {
+            type: String,
+            required: true,
+          },
+          assignee: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true,
+          },
+        },
+      ],
+      // Hours to resolve a complaint, by priority; breaches are escalated to the chief warden
+      slaHours: {
+        Low: {
+          type: Number,
+          default: DEFAULT_SLA_HOURS.Low,
+          min: [1, 'SLA must be at least 1 hour'],
+        },
+        Medium: {
+          type: Number,
+          default: DEFAULT_SLA_HOURS.Medium,
+          min: [1, 'SLA must be at least 1 hour'],
+        },
+        High: {
+          type: Number,
+          default: DEFAULT_SLA_HOURS.High,
+          min: [1, 'SLA must be at least 1 hour'],
+        },
+        Urgent: {
+          type: Number,
+          default: DEFAULT_SLA_HOURS.Urgent,
+          min: [1, 'SLA must be at least 1 hour'],
+        },
+      },
+      // Days after resolution during which the student can reopen the complaint
+      reopenWindowDays: {
+        type: Number,
+        default: DEFAULT_REOPEN_WINDOW_DAYS,
+        min: [0, 'Reopen window cannot be negative'],
+      },
+    },
+    // Receipt, invoice and refund numbers: <prefix>/<financial year>/<sequence>
+    numbering: {
+      receiptPrefix: {
+        type: String,
+        trim: true,
+        default: 'RCPT',
+      },
+      invoicePrefix: {
+        type: String,
+        trim: true,
+        default: 'INV',
+      },
+      refundPrefix: {
+        type: String,
+        trim: true,
+        default: 'RFND',
+      },
+      padding: {
+        type: Number,
+        default: 6,
+        min: [1, 'Padding must be at least 1'],
+        max: [12, 'Padding cannot exceed 12'],
+      },
+      // 4 = April to March
+      financialYearStartMonth: {
+        type: Number,
+        default: 4,
+        min: [1, 'Month must be between 1 and 12'],
+        max: [12, 'Month must be between 1 and 12'],
+      },
+    },
   },
   {
     timestamps: true,
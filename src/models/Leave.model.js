@@ -94,6 +94,21 @@ const leaveSchema = new mongoose.Schema(
     actualInTime: {
       type: Date,
     },
+    // Overdue-return escalation tracking (see scheduleOverdueReturnChecks)
+    overdueEscalationLevel: {
+      type: Number,
+      default: 0,
+    },
+    overdueNotifiedAt: {
+      type: Date,
+    },
+    // Supporting documents (e.g. a medical certificate)
+    attachments: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Attachment',
+      },
+    ],
   },
   {
     timestamps: true,
@@ -111,6 +126,7 @@ leaveSchema.pre('save', function(next) {
 // Index for efficient queries
 leaveSchema.index({ studentId: 1, status: 1 });
 leaveSchema.index({ status: 1, createdAt: -1 });
+leaveSchema.index({ status: 1, actualInTime: 1, inDate: 1 });
 
 const Leave = mongoose.model('Leave', leaveSchema);
 
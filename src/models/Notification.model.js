@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { NOTIFICATION_TYPES } from '../config/notifications.js';
 
 const notificationSchema = new mongoose.Schema(
   {
@@ -16,7 +17,7 @@ const notificationSchema = new mongoose.Schema(
     },
     type: {
       type: String,
-      enum: ['complaint', 'leave', 'fee', 'chat', 'menu', 'feedback', 'general'],
+      enum: NOTIFICATION_TYPES,
       required: true,
     },
     title: {
@@ -1,7 +1,8 @@
 import mongoose from 'mongoose';
 
 /**
- * Parent model - links a parent User to exactly one Student.
+ * Parent model - links a parent User to one Student. A parent with several
+ * children in the hostel has one record per child under the same login.
  * One student can have only one parent/guardian record.
  * Parent accounts are created ONLY by warden - no public signup.
  */
@@ -11,7 +12,6 @@ const parentSchema = new mongoose.Schema(
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User',
       required: true,
-      unique: true, // One user can only be parent of one student
     },
     institutionId: {
       type: mongoose.Schema.Types.ObjectId,
@@ -41,7 +41,8 @@ const parentSchema = new mongoose.Schema(
 
 // Index for efficient lookups
 parentSchema.index({ studentId: 1, institutionId: 1 }, { unique: true });
-parentSchema.index({ institutionId: 1, userId: 1 }, { unique: true });
+parentSchema.index({ institutionId: 1, userId: 1 });
+parentSchema.index({ userId: 1, studentId: 1 }, { unique: true });
 
 const Parent = mongoose.model('Parent', parentSchema);
 
@@ -0,0 +1,57 @@
+import mongoose from 'mongoose';
+
+/**
+ * PasswordReset - a single-use, time-limited code emailed to a user who forgot their password.
+ * Only the bcrypt hash of the code is stored.
+ */
+const passwordResetSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    institutionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Institution',
+      required: true,
+      index: true,
+    },
+    codeHash: {
+      type: String,
+      required: true,
+      select: false,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    usedAt: {
+      type: Date,
+    },
+    // Set when a newer code is requested or the attempt limit is hit
+    invalidatedAt: {
+      type: Date,
+    },
+    requestedIp: {
+      type: String,
+      trim: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+passwordResetSchema.index({ userId: 1, createdAt: -1 });
+// Drop reset records a day after they expire
+passwordResetSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+const PasswordReset = mongoose.model('PasswordReset', passwordResetSchema);
+
+export default PasswordReset;
@@ -28,7 +28,7 @@ const paymentSchema = new mongoose.Schema(
     },
     method: {
       type: String,
-      enum: ['UPI', 'Card', 'Netbanking', 'Cash', 'Razorpay'],
+      enum: ['UPI', 'Card', 'Netbanking', 'Cash', 'Cheque', 'Razorpay', 'Deposit'],
       required: true,
     },
     gateway: {
@@ -36,25 +36,73 @@ const paymentSchema = new mongoose.Schema(
       enum: ['Razorpay', 'Manual'],
       default: 'Manual',
     },
+    // Refunded / PartiallyRefunded follow refundedAmount once a completed payment is refunded
     status: {
       type: String,
-      enum: ['Pending', 'Completed', 'Failed'],
+      enum: ['Pending', 'Completed', 'Failed', 'PartiallyRefunded', 'Refunded'],
       default: 'Pending',
     },
     transactionId: {
       type: String,
       trim: true,
     },
+    // Only Verified payments credit fees: confirmed by the gateway or recorded/approved by staff
+    verificationStatus: {
+      type: String,
+      enum: ['Unverified', 'Verified', 'Rejected'],
+      default: 'Unverified',
+    },
+    verificationSource: {
+      type: String,
+      enum: ['Gateway', 'Staff'],
+    },
+    // Cheque number, bank reference or cash slip for offline payments
+    reference: {
+      type: String,
+      trim: true,
+    },
+    // Staff member who recorded or approved an offline payment
+    verifiedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    verifiedAt: {
+      type: Date,
+    },
+    // What the payer said when claiming an offline payment
+    claimNote: {
+      type: String,
+      trim: true,
+    },
+    rejectionReason: {
+      type: String,
+      trim: true,
+    },
     receiptNumber: {
       type: String,
       trim: true,
     },
+    // Fees the payment was meant for (all outstanding fees when none were chosen)
     feeIds: [
       {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'Fee',
       },
     ],
+    // How the amount was actually split across fees once completed
+    allocations: [
+      {
+        _id: false,
+        feeId: { type: mongoose.Schema.Types.ObjectId, ref: 'Fee', required: true },
+        term: { type: String, trim: true },
+        amount: { type: Number, required: true },
+      },
+    ],
+    // Part of the payment not matched to any fee (held as credit on the ledger)
+    unallocatedAmount: {
+      type: Number,
+      default: 0,
+    },
     currency: {
       type: String,
       default: 'INR',
@@ -71,6 +119,22 @@ const paymentSchema = new mongoose.Schema(
       type: String,
       trim: true,
     },
+    // Gateway error when a checkout attempt failed
+    failureReason: {
+      type: String,
+      trim: true,
+    },
+    // Gateway refund IDs already counted in refundedAmount
+    razorpayRefundIds: [
+      {
+        type: String,
+        trim: true,
+      },
+    ],
+    refundedAmount: {
+      type: Number,
+      default: 0,
+    },
   },
   {
     timestamps: true,
@@ -79,6 +143,12 @@ const paymentSchema = new mongoose.Schema(
 
 paymentSchema.index({ studentId: 1 });
 paymentSchema.index({ transactionId: 1 });
+paymentSchema.index({ razorpayOrderId: 1 });
+paymentSchema.index({ institutionId: 1, receiptNumber: 1 });
+paymentSchema.index({ razorpayPaymentId: 1 });
+paymentSchema.index({ institutionId: 1, verificationStatus: 1, createdAt: -1 });
+// Collection reports
+paymentSchema.index({ institutionId: 1, status: 1, createdAt: -1 });
 
 const Payment = mongoose.model('Payment', paymentSchema);
 
@@ -0,0 +1,143 @@
+import mongoose from 'mongoose';
+
+/**
+ * Refund - money paid back to a student against an earlier payment.
+ * A DepositSettlement is the check-out settlement of the security deposit:
+ * the deposit held, itemized deductions (dues, damages) and what is returned.
+ */
+const deductionSchema = new mongoose.Schema(
+  {
+    reason: {
+      type: String,
+      required: [true, 'Please provide a reason for the deduction'],
+      trim: true,
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: [0, 'Deduction cannot be negative'],
+    },
+    // Outstanding fee settled from the deposit, or the damages fee raised for it
+    feeId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Fee',
+    },
+  },
+  { _id: false }
+);
+
+const refundSchema = new mongoose.Schema(
+  {
+    institutionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Institution',
+      required: true,
+      index: true,
+    },
+    studentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Student',
+      required: true,
+    },
+    // Original payment the money goes back against
+    paymentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Payment',
+    },
+    type: {
+      type: String,
+      enum: ['Refund', 'DepositSettlement'],
+      default: 'Refund',
+    },
+    refundNumber: {
+      type: String,
+      trim: true,
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: [0, 'Refund amount cannot be negative'],
+    },
+    method: {
+      type: String,
+      enum: ['Razorpay', 'Cash', 'Cheque', 'BankTransfer'],
+    },
+    status: {
+      type: String,
+      enum: ['Pending', 'Processed', 'Failed'],
+      default: 'Pending',
+    },
+    reason: {
+      type: String,
+      trim: true,
+    },
+    // Cheque number or bank transfer UTR for manual refunds
+    reference: {
+      type: String,
+      trim: true,
+    },
+    razorpayRefundId: {
+      type: String,
+      trim: true,
+    },
+    failureReason: {
+      type: String,
+      trim: true,
+    },
+    // Fee credit taken back by the refund (fees become due again)
+    reversals: [
+      {
+        _id: false,
+        feeId: { type: mongoose.Schema.Types.ObjectId, ref: 'Fee' },
+        term: { type: String, trim: true },
+        amount: { type: Number },
+      },
+    ],
+    // Deposit settlement only
+    depositAmount: {
+      type: Number,
+    },
+    deductions: [deductionSchema],
+    // Dues the deposit could not cover
+    balanceDue: {
+      type: Number,
+      default: 0,
+    },
+    // Payment that applied the deposit to dues and damages
+    settlementPaymentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Payment',
+    },
+    notes: {
+      type: String,
+      trim: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    processedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+refundSchema.index({ institutionId: 1, studentId: 1, createdAt: -1 });
+refundSchema.index({ paymentId: 1 });
+refundSchema.index({ razorpayRefundId: 1 }, { unique: true, sparse: true });
+refundSchema.index({ institutionId: 1, refundNumber: 1 }, { unique: true, sparse: true });
+// One deposit settlement per student; a failed one can be retried
+refundSchema.index(
+  { institutionId: 1, studentId: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { type: 'DepositSettlement', status: { $in: ['Pending', 'Processed'] } },
+  }
+);
+
+const Refund = mongoose.model('Refund', refundSchema);
+
+export default Refund;
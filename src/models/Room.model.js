@@ -0,0 +1,99 @@
+import mongoose from 'mongoose';
+
+/**
+ * Room - a physical room in a hostel block.
+ * Beds are labelled slots inside the room; who sleeps where lives in RoomAllocation.
+ */
+const bedSchema = new mongoose.Schema(
+  {
+    label: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  { _id: false }
+);
+
+const roomSchema = new mongoose.Schema(
+  {
+    institutionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Institution',
+      required: true,
+      index: true,
+    },
+    block: {
+      type: String,
+      required: [true, 'Please provide block'],
+      trim: true,
+    },
+    floor: {
+      type: Number,
+      required: [true, 'Please provide floor'],
+      min: [0, 'Floor cannot be negative'],
+    },
+    number: {
+      type: String,
+      required: [true, 'Please provide room number'],
+      trim: true,
+    },
+    type: {
+      type: String,
+      enum: ['Single', 'Double', 'Triple', 'Dormitory'],
+      default: 'Double',
+    },
+    capacity: {
+      type: Number,
+      required: [true, 'Please provide capacity'],
+      min: [1, 'Capacity must be at least 1'],
+    },
+    beds: [bedSchema],
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+roomSchema.index({ institutionId: 1, block: 1, number: 1 }, { unique: true });
+roomSchema.index({ institutionId: 1, block: 1, floor: 1 });
+
+/**
+ * Bed label for a slot: A-Z, then AA, AB ... like spreadsheet columns (dormitories run past 26)
+ */
+export const bedLabel = (index) => {
+  let label = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    label = String.fromCharCode(65 + ((n - 1) % 26)) + label;
+  }
+  return label;
+};
+
+// Keep bed slots in step with capacity: A, B, C ...
+roomSchema.pre('save', function (next) {
+  const beds = this.beds || [];
+  for (let i = beds.length; i < this.capacity; i++) {
+    beds.push({ label: bedLabel(i) });
+  }
+  beds.forEach((bed, index) => {
+    bed.isActive = index < this.capacity;
+  });
+  this.beds = beds;
+  next();
+});
+
+roomSchema.virtual('label').get(function () {
+  return `${this.block}-${this.number}`;
+});
+
+const Room = mongoose.model('Room', roomSchema);
+
+export default Room;
@@ -0,0 +1,76 @@
+import mongoose from 'mongoose';
+
+/**
+ * RoomAllocation - one bed assignment for a student.
+ * Records are never deleted on vacate/transfer so they double as allocation history.
+ */
+const roomAllocationSchema = new mongoose.Schema(
+  {
+    institutionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Institution',
+      required: true,
+      index: true,
+    },
+    studentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Student',
+      required: true,
+    },
+    roomId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Room',
+      required: true,
+    },
+    bedLabel: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    allocatedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    allocatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    vacatedAt: {
+      type: Date,
+    },
+    vacatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    endReason: {
+      type: String,
+      enum: ['Vacated', 'Transferred'],
+    },
+    notes: {
+      type: String,
+      trim: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// A student holds at most one bed, and a bed holds at most one student, at a time
+roomAllocationSchema.index(
+  { institutionId: 1, studentId: 1 },
+  { unique: true, partialFilterExpression: { isActive: true } }
+);
+roomAllocationSchema.index(
+  { roomId: 1, bedLabel: 1 },
+  { unique: true, partialFilterExpression: { isActive: true } }
+);
+roomAllocationSchema.index({ studentId: 1, allocatedAt: -1 });
+
+const RoomAllocation = mongoose.model('RoomAllocation', roomAllocationSchema);
+
+export default RoomAllocation;
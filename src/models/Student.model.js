@@ -51,6 +51,11 @@ const studentSchema = new mongoose.Schema(
       type: String,
       trim: true,
     },
+    // Set by room allocation; `room` above keeps the display label in sync
+    roomId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Room',
+    },
     // Controlled by warden: whether location tracking for this student is enabled
     locationTrackingEnabled: {
       type: Boolean,
@@ -1,5 +1,15 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
+import { STAFF_ROLES } from '../config/permissions.js';
+import { NOTIFICATION_CHANNELS } from '../config/notifications.js';
+
+const TIME_OF_DAY = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Channels a user wants for one notification type; unset means the default
+const channelPreferenceSchema = new mongoose.Schema(
+  Object.fromEntries(NOTIFICATION_CHANNELS.map((channel) => [channel, { type: Boolean }])),
+  { _id: false }
+);
 
 const userSchema = new mongoose.Schema(
   {
@@ -30,6 +40,16 @@ const userSchema = new mongoose.Schema(
       enum: ['student', 'warden', 'parent'],
       required: [true, 'Please provide a role'],
     },
+    // Warden who owns the institution (can invite and remove other wardens)
+    isInstitutionAdmin: {
+      type: Boolean,
+      default: false,
+    },
+    // Staff role for 'warden' accounts; decides permissions (see config/permissions.js)
+    staffRole: {
+      type: String,
+      enum: STAFF_ROLES,
+    },
     institutionId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Institution',
@@ -40,6 +60,21 @@ const userSchema = new mongoose.Schema(
       type: String,
       default: null,
     },
+    // Unset values fall back to the defaults in config/notifications.js
+    notificationPreferences: {
+      // Keyed by notification type (complaint, leave, fee, ...)
+      channels: {
+        type: Map,
+        of: channelPreferenceSchema,
+        default: undefined,
+      },
+      // Push, email and SMS wait until the end of quiet hours (institution timezone)
+      quietHours: {
+        enabled: { type: Boolean },
+        start: { type: String, match: [TIME_OF_DAY, 'Quiet hours must be HH:mm'] },
+        end: { type: String, match: [TIME_OF_DAY, 'Quiet hours must be HH:mm'] },
+      },
+    },
   },
   {
     timestamps: true,
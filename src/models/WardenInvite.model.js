@@ -0,0 +1,84 @@
+import mongoose from 'mongoose';
+import { STAFF_ROLES } from '../config/permissions.js';
+
+/**
+ * WardenInvite - a single-use code that lets a new warden join an institution.
+ * Created by the institution admin, optionally emailed to a specific address.
+ * Only the SHA-256 hash of the code is stored.
+ */
+const wardenInviteSchema = new mongoose.Schema(
+  {
+    institutionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Institution',
+      required: true,
+      index: true,
+    },
+    codeHash: {
+      type: String,
+      required: true,
+      unique: true,
+      select: false,
+    },
+    // When set, only this address can accept the invite
+    email: {
+      type: String,
+      lowercase: true,
+      trim: true,
+    },
+    name: {
+      type: String,
+      trim: true,
+    },
+    // Staff role the new account is created with
+    staffRole: {
+      type: String,
+      enum: STAFF_ROLES,
+      default: 'warden',
+    },
+    status: {
+      type: String,
+      enum: ['Pending', 'Accepted', 'Revoked'],
+      default: 'Pending',
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    acceptedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    acceptedAt: {
+      type: Date,
+    },
+    revokedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    revokedAt: {
+      type: Date,
+    },
+    lastSentAt: {
+      type: Date,
+    },
+    sendCount: {
+      type: Number,
+      default: 0,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+wardenInviteSchema.index({ institutionId: 1, status: 1, createdAt: -1 });
+
+const WardenInvite = mongoose.model('WardenInvite', wardenInviteSchema);
+
+export default WardenInvite;
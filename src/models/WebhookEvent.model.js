@@ -0,0 +1,60 @@
+import mongoose from 'mongoose';
+
+/**
+ * WebhookEvent - every signed gateway webhook we received, kept so
+ * redelivered events are recognised and failures can be inspected.
+ */
+const webhookEventSchema = new mongoose.Schema(
+  {
+    provider: {
+      type: String,
+      enum: ['razorpay'],
+      default: 'razorpay',
+    },
+    // x-razorpay-event-id header; the same ID is sent on every redelivery
+    eventId: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    event: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    institutionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Institution',
+    },
+    paymentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Payment',
+    },
+    razorpayPaymentId: {
+      type: String,
+      trim: true,
+    },
+    status: {
+      type: String,
+      enum: ['Processed', 'Duplicate', 'Ignored', 'Failed'],
+      required: true,
+    },
+    message: {
+      type: String,
+      trim: true,
+    },
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+webhookEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+webhookEventSchema.index({ razorpayPaymentId: 1 });
+
+const WebhookEvent = mongoose.model('WebhookEvent', webhookEventSchema);
+
+export default WebhookEvent;
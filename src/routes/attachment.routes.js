@@ -0,0 +1,27 @@
+import express from 'express';
+import {
+  uploadAttachment,
+  getAttachment,
+  getAttachmentContent,
+  deleteUnlinkedAttachment,
+} from '../controllers/attachment.controller.js';
+import { protect } from '../middleware/auth.middleware.js';
+import { getMaxAttachmentBytes } from '../services/attachment.service.js';
+
+const router = express.Router();
+
+// The body is the raw file; its type is checked from the contents. The limit is
+// read per request because .env is loaded after the routes are imported.
+const rawFile = (req, res, next) =>
+  express.raw({ type: () => true, limit: getMaxAttachmentBytes() })(req, res, next);
+
+// Signed download links are opened directly (img tags, browsers), so no token
+router.get('/:id/content', getAttachmentContent);
+
+router.use(protect);
+
+router.post('/', rawFile, uploadAttachment);
+router.get('/:id', getAttachment);
+router.delete('/:id', deleteUnlinkedAttachment);
+
+export default router;
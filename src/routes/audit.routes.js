@@ -0,0 +1,15 @@
+import express from 'express';
+import { getAuditLogs } from '../controllers/audit.controller.js';
+import { protect } from '../middleware/auth.middleware.js';
+import { authorize } from '../middleware/role.middleware.js';
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/audit
+ * @desc    List or export (format=csv) audit log entries
+ * @access  Private (Staff with audit:read)
+ */
+router.get('/', protect, authorize('audit:read'), getAuditLogs);
+
+export default router;
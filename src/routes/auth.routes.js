@@ -1,22 +1,105 @@
 import express from 'express';
-import { login, wardenSignup, changePassword, savePushToken } from '../controllers/auth.controller.js';
+import {
+  login,
+  wardenSignup,
+  institutionSignup,
+  changePassword,
+  savePushToken,
+  refreshSession,
+  logout,
+  logoutAll,
+  forgotPassword,
+  resetPassword,
+} from '../controllers/auth.controller.js';
 import { protect } from '../middleware/auth.middleware.js';
+import { rateLimit, loginLockGuard } from '../middleware/rateLimit.middleware.js';
 
 const router = express.Router();
 
+const MINUTE = 60 * 1000;
+
+const loginLimiter = rateLimit({
+  name: 'login',
+  windowMs: MINUTE,
+  max: Number(process.env.LOGIN_RATE_LIMIT_PER_MINUTE || 20),
+  message: 'Too many login attempts, please try again later',
+});
+
+const signupLimiter = rateLimit({
+  name: 'warden-signup',
+  windowMs: 60 * MINUTE,
+  max: Number(process.env.SIGNUP_RATE_LIMIT_PER_HOUR || 5),
+  message: 'Too many signup attempts, please try again later',
+});
+
+const passwordResetLimiter = rateLimit({
+  name: 'password-reset',
+  windowMs: 15 * MINUTE,
+  max: 10,
+  message: 'Too many password reset attempts, please try again later',
+});
+
+const refreshLimiter = rateLimit({
+  name: 'refresh',
+  windowMs: MINUTE,
+  max: 60,
+});
+
 /**
- * @route   POST /api/auth/warden-signup
- * @desc    Register warden account (warden only)
+ * @route   POST /api/auth/institution-signup
+ * @desc    Register a new institution and its admin warden
  * @access  Public
  */
-router.post('/warden-signup', wardenSignup);
+router.post('/institution-signup', signupLimiter, institutionSignup);
+
+/**
+ * @route   POST /api/auth/warden-signup
+ * @desc    Register warden account with an invite code
+ * @access  Public (requires invite code)
+ */
+router.post('/warden-signup', signupLimiter, wardenSignup);
 
 /**
  * @route   POST /api/auth/login
  * @desc    Login user (student or warden)
  * @access  Public
  */
-router.post('/login', login);
+router.post('/login', loginLimiter, loginLockGuard, login);
+
+/**
+ * @route   POST /api/auth/forgot-password
+ * @desc    Email a one-time password reset code
+ * @access  Public
+ */
+router.post('/forgot-password', passwordResetLimiter, forgotPassword);
+
+/**
+ * @route   POST /api/auth/reset-password
+ * @desc    Reset password using the emailed code
+ * @access  Public
+ */
+router.post('/reset-password', passwordResetLimiter, resetPassword);
+
+/**
+ * @route   POST /api/auth/refresh
+ * @desc    Rotate refresh token and issue a new access token
+ * @access  Public (requires valid refresh token)
+ */
+router.post('/refresh', refreshLimiter, refreshSession);
+
+/**
+ * @route   POST /api/auth/logout
+ * @desc    Revoke the current session
+ * @access  Private
+ */
+router.post('/logout', protect, logout);
+
+/**
+ * @route   POST /api/auth/logout-all
+ * @desc    Revoke every session for the current user
+ * @access  Private
+ */
+router.post('/logout-all', protect, logoutAll);
 
 /**
  * @route   PUT /api/auth/change-password
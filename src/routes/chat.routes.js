@@ -14,15 +14,15 @@ const router = express.Router();
 
 router.use(protect);
 
-router.post('/initiate', authorize('parent', 'warden'), initiateChat);
+router.post('/initiate', authorize('parent', 'chats:write'), initiateChat);
 
 // Parent chat
 router.get('/', authorize('parent'), getMyChat);
 router.post('/message', authorize('parent'), sendMessage);
 
 // Warden chat
-router.get('/warden', authorize('warden'), getWardenChats);
-router.get('/warden/:chatId', authorize('warden'), getWardenChatById);
-router.post('/warden/:chatId/message', authorize('warden'), wardenSendMessage);
+router.get('/warden', authorize('chats:read'), getWardenChats);
+router.get('/warden/:chatId', authorize('chats:read'), getWardenChatById);
+router.post('/warden/:chatId/message', authorize('chats:write'), wardenSendMessage);
 
 export default router;
@@ -4,6 +4,11 @@ import {
   getAllComplaints,
   getMyComplaints,
   updateComplaintStatus,
+  assignComplaint,
+  reopenComplaint,
+  getComplaint,
+  addComplaintComment,
+  rateComplaint,
 } from '../controllers/complaint.controller.js';
 import { protect } from '../middleware/auth.middleware.js';
 import { authorize } from '../middleware/role.middleware.js';
@@ -16,9 +21,16 @@ router.use(protect);
 // Student routes (specific routes before generic ones)
 router.post('/', authorize('student'), createComplaint);
 router.get('/my', authorize('student'), getMyComplaints);
+router.put('/:id/reopen', authorize('student'), reopenComplaint);
+router.put('/:id/rating', authorize('student'), rateComplaint);
 
 // Warden routes
-router.get('/', authorize('warden'), getAllComplaints);
-router.put('/:id/status', authorize('warden'), updateComplaintStatus);
+router.get('/', authorize('complaints:read'), getAllComplaints);
+router.put('/:id/status', authorize('complaints:write'), updateComplaintStatus);
+router.put('/:id/assign', authorize('complaints:write'), assignComplaint);
+
+// Shared: details with timeline, and the comment thread
+router.get('/:id', authorize('student', 'complaints:read'), getComplaint);
+router.post('/:id/comments', authorize('student', 'complaints:write'), addComplaintComment);
 
 export default router;
\ No newline at end of file
@@ -4,6 +4,8 @@ import {
   markExit,
   getAllLogs,
   getMyLogs,
+  getStudentsOutside,
+  getMyGatePass,
 } from '../controllers/entryExit.controller.js';
 import { protect } from '../middleware/auth.middleware.js';
 import { authorize } from '../middleware/role.middleware.js';
@@ -12,24 +14,31 @@ const router = express.Router();
 
 /**
  * @route   POST /api/entry-exit/entry
- * @desc    Mark entry
- * @access  Private
+ * @desc    Mark entry (QR scans must send a signed passToken)
+ * @access  Private (Student, staff with gate:scan)
  */
-router.post('/entry', protect, markEntry);
+router.post('/entry', protect, authorize('student', 'gate:scan'), markEntry);
 
 /**
  * @route   POST /api/entry-exit/exit
- * @desc    Mark exit
- * @access  Private
+ * @desc    Mark exit (QR scans must send a signed passToken)
+ * @access  Private (Student, staff with gate:scan)
  */
-router.post('/exit', protect, markExit);
+router.post('/exit', protect, authorize('student', 'gate:scan'), markExit);
 
 /**
  * @route   GET /api/entry-exit/logs
  * @desc    Get all entry-exit logs
- * @access  Private (Warden only)
+ * @access  Private (Staff with gate:read)
  */
-router.get('/logs', protect, authorize('warden'), getAllLogs);
+router.get('/logs', protect, authorize('gate:read'), getAllLogs);
+
+/**
+ * @route   GET /api/entry-exit/outside
+ * @desc    Students currently out, flagged as without leave or overdue
+ * @access  Private (Staff with gate:read)
+ */
+router.get('/outside', protect, authorize('gate:read'), getStudentsOutside);
 
 /**
  * @route   GET /api/entry-exit/my-logs
@@ -38,4 +47,11 @@ router.get('/logs', protect, authorize('warden'), getAllLogs);
  */
 router.get('/my-logs', protect, authorize('student'), getMyLogs);
 
+/**
+ * @route   GET /api/entry-exit/my-pass
+ * @desc    Get a short-lived signed gate pass for the QR code
+ * @access  Private (Student only)
+ */
+router.get('/my-pass', protect, authorize('student'), getMyGatePass);
+
 export default router;
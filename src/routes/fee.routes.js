@@ -6,6 +6,12 @@ import {
   updateFee,
   markFeePaid,
   deleteFee,
+  setInstallmentPlan,
+  waivePenalty,
+  getStudentLedger,
+  getInvoicePdf,
+  getFeeStatement,
+  emailFeeStatement,
 } from '../controllers/fee.controller.js';
 import { protect } from '../middleware/auth.middleware.js';
 import { authorize } from '../middleware/role.middleware.js';
@@ -14,44 +20,86 @@ const router = express.Router();
 
 /**
  * @route   GET /api/fees
- * @desc    Get all fees (warden) or own fees (student)
- * @access  Private
+ * @desc    Get all fees (warden), own fees (student) or a linked child's fees (parent, ?studentId= with several)
+ * @access  Private (Student, Parent, staff with fees:read)
  */
-router.get('/', protect, getFees);
+router.get('/', protect, authorize('student', 'parent', 'fees:read'), getFees);
+
+/**
+ * @route   GET /api/fees/ledger
+ * @desc    Student ledger with running balance (staff pass ?studentId=)
+ * @access  Private (Student, Parent, staff with fees:read)
+ */
+router.get('/ledger', protect, authorize('student', 'parent', 'fees:read'), getStudentLedger);
+
+/**
+ * @route   GET /api/fees/statement
+ * @desc    Fee statement PDF for a financial year or date range (staff pass ?studentId=)
+ * @access  Private (Student, Parent, staff with fees:read)
+ */
+router.get('/statement', protect, authorize('student', 'parent', 'fees:read'), getFeeStatement);
+
+/**
+ * @route   POST /api/fees/statement/email
+ * @desc    Email the fee statement PDF
+ * @access  Private (Student, Parent, staff with fees:read)
+ */
+router.post('/statement/email', protect, authorize('student', 'parent', 'fees:read'), emailFeeStatement);
 
 /**
  * @route   POST /api/fees
  * @desc    Create fee record
- * @access  Private (Warden only)
+ * @access  Private (Staff with fees:write)
  */
-router.post('/', protect, authorize('warden'), createFee);
+router.post('/', protect, authorize('fees:write'), createFee);
 
 /**
  * @route   PUT /api/fees/:id/mark-paid
- * @desc    Mark fee as paid
- * @access  Private (Warden only)
+ * @desc    Record an offline payment on a fee (settles the balance unless an amount is given)
+ * @access  Private (Staff with fees:write)
+ */
+router.put('/:id/mark-paid', protect, authorize('fees:write'), markFeePaid);
+
+/**
+ * @route   PUT /api/fees/:id/installments
+ * @desc    Set or replace the fee's installment plan
+ * @access  Private (Staff with fees:write)
+ */
+router.put('/:id/installments', protect, authorize('fees:write'), setInstallmentPlan);
+
+/**
+ * @route   PUT /api/fees/:id/waive
+ * @desc    Waive a late fee penalty with a reason
+ * @access  Private (Staff with fees:write)
+ */
+router.put('/:id/waive', protect, authorize('fees:write'), waivePenalty);
+
+/**
+ * @route   GET /api/fees/:id/invoice
+ * @desc    Download the fee's invoice PDF
+ * @access  Private (Student, Parent, staff with fees:read)
  */
-router.put('/:id/mark-paid', protect, authorize('warden'), markFeePaid);
+router.get('/:id/invoice', protect, authorize('student', 'parent', 'fees:read'), getInvoicePdf);
 
 /**
  * @route   GET /api/fees/:id
  * @desc    Get fee by ID
- * @access  Private
+ * @access  Private (Student, Parent, staff with fees:read)
  */
-router.get('/:id', protect, getFeeById);
+router.get('/:id', protect, authorize('student', 'parent', 'fees:read'), getFeeById);
 
 /**
  * @route   PUT /api/fees/:id
  * @desc    Update fee record
- * @access  Private (Warden only)
+ * @access  Private (Staff with fees:write)
  */
-router.put('/:id', protect, authorize('warden'), updateFee);
+router.put('/:id', protect, authorize('fees:write'), updateFee);
 
 /**
  * @route   DELETE /api/fees/:id
  * @desc    Delete fee record
- * @access  Private (Warden only)
+ * @access  Private (Staff with fees:write)
  */
-router.delete('/:id', protect, authorize('warden'), deleteFee);
+router.delete('/:id', protect, authorize('fees:write'), deleteFee);
 
 export default router;
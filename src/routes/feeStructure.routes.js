@@ -0,0 +1,26 @@
+import express from 'express';
+import {
+  getFeeStructures,
+  getFeeStructureById,
+  createFeeStructure,
+  updateFeeStructure,
+  deleteFeeStructure,
+  generateFees,
+} from '../controllers/feeStructure.controller.js';
+import { protect } from '../middleware/auth.middleware.js';
+import { authorize } from '../middleware/role.middleware.js';
+
+const router = express.Router();
+
+router.use(protect);
+
+router.get('/', authorize('fees:read'), getFeeStructures);
+router.post('/', authorize('fees:write'), createFeeStructure);
+router.get('/:id', authorize('fees:read'), getFeeStructureById);
+router.put('/:id', authorize('fees:write'), updateFeeStructure);
+router.delete('/:id', authorize('fees:write'), deleteFeeStructure);
+
+// Bulk issue a term's fees; send dryRun: true to preview
+router.post('/:id/generate', authorize('fees:write'), generateFees);
+
+export default router;
@@ -0,0 +1,57 @@
+import express from 'express';
+import {
+  getInstitution,
+  getInvites,
+  createInvite,
+  revokeInvite,
+  resendInvite,
+  updateStaffRole,
+  getPenaltyRule,
+  updatePenaltyRule,
+  getNumbering,
+  updateNumbering,
+  getBilling,
+  updateBilling,
+  getComplaintWorkflowSettings,
+  updateComplaintWorkflowSettings,
+  updateTimezone,
+} from '../controllers/institution.controller.js';
+import { protect } from '../middleware/auth.middleware.js';
+import { authorize, requireInstitutionAdmin } from '../middleware/role.middleware.js';
+
+const router = express.Router();
+
+// Any staff account (all staff have role 'warden')
+router.use(protect, authorize('warden'));
+
+router.get('/', getInstitution);
+
+// Local timezone for notification quiet hours
+router.put('/timezone', authorize('staff:manage'), updateTimezone);
+
+// Warden invites (institution admin only)
+router.get('/invites', requireInstitutionAdmin, getInvites);
+router.post('/invites', requireInstitutionAdmin, createInvite);
+router.put('/invites/:id/revoke', requireInstitutionAdmin, revokeInvite);
+router.post('/invites/:id/resend', requireInstitutionAdmin, resendInvite);
+
+// Staff roles (institution admin only)
+router.put('/staff/:userId/role', requireInstitutionAdmin, updateStaffRole);
+
+// Late fee penalty rule
+router.get('/penalty-rule', authorize('fees:read'), getPenaltyRule);
+router.put('/penalty-rule', authorize('fees:write'), updatePenaltyRule);
+
+// Receipt, invoice and refund numbering
+router.get('/numbering', authorize('fees:read'), getNumbering);
+router.put('/numbering', authorize('fees:write'), updateNumbering);
+
+// Invoice details and GST
+router.get('/billing', authorize('fees:read'), getBilling);
+router.put('/billing', authorize('fees:write'), updateBilling);
+
+// Complaint routing, SLAs and reopen window
+router.get('/complaint-workflow', authorize('complaints:read'), getComplaintWorkflowSettings);
+router.put('/complaint-workflow', authorize('staff:manage'), updateComplaintWorkflowSettings);
+
+export default router;
@@ -24,7 +24,7 @@ router.put('/:id/cancel', authorize('student'), cancelMyLeaveRequest);
 router.put('/:id/parent-approval', authorize('parent'), parentApproveOrReject);
 
 // Warden routes
-router.get('/', authorize('warden'), getAllLeaveRequests);
-router.put('/:id/status', authorize('warden'), updateLeaveStatus);
+router.get('/', authorize('leaves:read'), getAllLeaveRequests);
+router.put('/:id/status', authorize('leaves:approve'), updateLeaveStatus);
 
 export default router;
\ No newline at end of file
@@ -16,7 +16,7 @@ router.use(protect);
 
 // Student: Toggle and update location
 // Only warden can enable/disable tracking for a student
-router.put('/:studentId/tracking', authorize('warden'), setTrackingForStudent);
+router.put('/:studentId/tracking', authorize('location:write'), setTrackingForStudent);
 
 // Student: update location and view own status
 // Accept both PUT and POST /update for compatibility
@@ -28,10 +28,10 @@ router.post('/permission', authorize('student'), reportPermission);
 
 // Warden or Parent: Get student location (if enabled)
 // Provide convenient aliases: /latest/:studentId and /:studentId
-router.get('/latest/:studentId', authorize('warden', 'parent'), getStudentLocation);
-router.get('/:studentId', authorize('warden', 'parent'), getStudentLocation);
+router.get('/latest/:studentId', authorize('parent', 'location:read'), getStudentLocation);
+router.get('/:studentId', authorize('parent', 'location:read'), getStudentLocation);
 // Warden or Parent: Get student's location history (default last 30 days)
-router.get('/history/:studentId', authorize('warden', 'parent'), getStudentLocationHistory);
-router.get('/:studentId/history', authorize('warden', 'parent'), getStudentLocationHistory);
+router.get('/history/:studentId', authorize('parent', 'location:read'), getStudentLocationHistory);
+router.get('/:studentId/history', authorize('parent', 'location:read'), getStudentLocationHistory);
 
 export default router;
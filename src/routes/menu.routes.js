@@ -36,24 +36,24 @@ router.use(protect);
 router.get('/today', getTodayMenu);
 
 // Warden - Create new menu
-router.post('/', createMenu);
+router.post('/', authorize('menus:write'), createMenu);
 
 // Get all menus (with filters)
 router.get('/', getMenus);
 
 // Poll routes (must be above '/:id' to avoid route conflicts)
 router.get('/poll', getPolls);
-router.post('/poll', authorize('warden'), createPoll);
+router.post('/poll', authorize('polls:write'), createPoll);
 router.get('/poll/:id/details', getPollDetails);
 router.post('/poll/:id/vote', votePoll);
-router.put('/poll/:id/close', authorize('warden'), closePoll);
-router.delete('/poll/:id', authorize('warden'), deletePoll);
+router.put('/poll/:id/close', authorize('polls:write'), closePoll);
+router.delete('/poll/:id', authorize('polls:write'), deletePoll);
 
 // Get menu feedback (likes/dislikes) - must be above '/:id'
 router.get('/feedback/:id', getMenuFeedback);
 
 // Get menu details with full stats (Warden only) - must be above '/:id'
-router.get('/:id/details', authorize('warden'), getMenuDetails);
+router.get('/:id/details', authorize('menus:write'), getMenuDetails);
 
 // Get single menu with stats
 router.get('/:id', getMenuById);
@@ -77,12 +77,12 @@ router.get('/:id/voting-details', getVotingDetails);
 router.get('/:id/reviews', getReviews);
 
 // Warden - Publish menu
-router.post('/:id/publish', publishMenu);
+router.post('/:id/publish', authorize('menus:write'), publishMenu);
 
 // Warden - Update menu
-router.put('/:id', updateMenu);
+router.put('/:id', authorize('menus:write'), updateMenu);
 
 // Warden - Delete menu
-router.delete('/:id', deleteMenu);
+router.delete('/:id', authorize('menus:write'), deleteMenu);
 
 export default router;
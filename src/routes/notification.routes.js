@@ -3,6 +3,8 @@ import {
   getMyNotifications,
   markAsRead,
   markAllAsRead,
+  getMyPreferences,
+  updateMyPreferences,
 } from '../controllers/notification.controller.js';
 import { protect } from '../middleware/auth.middleware.js';
 
@@ -14,6 +16,10 @@ router.use(protect);
 // Get user's notifications
 router.get('/', getMyNotifications);
 
+// Channels per notification type and quiet hours
+router.get('/preferences', getMyPreferences);
+router.put('/preferences', updateMyPreferences);
+
 // Mark notification as read
 router.put('/:id/read', markAsRead);
 
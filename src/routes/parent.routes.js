@@ -4,7 +4,11 @@ import {
   updateParent,
   deleteParent,
   registerParent,
+  linkChild,
+  unlinkChild,
   getMyChild,
+  getMyChildren,
+  getChildrenFees,
   getChildRoom,
   getChildFees,
   getChildEntryExit,
@@ -22,13 +26,22 @@ router.use(protect);
 /**
  * Warden: Register parent for a student
  */
-router.get('/', authorize('warden'), getAllParents);
-router.put('/:parentId', authorize('warden'), updateParent);
-router.delete('/:parentId', authorize('warden'), deleteParent);
-router.post('/register', authorize('warden'), registerParent);
+router.get('/', authorize('students:read'), getAllParents);
+router.put('/:parentId', authorize('students:write'), updateParent);
+router.delete('/:parentId', authorize('students:delete'), deleteParent);
+router.post('/register', authorize('students:write'), registerParent);
+router.post('/:parentId/children', authorize('students:write'), linkChild);
+router.delete('/:parentId/children/:studentId', authorize('students:write'), unlinkChild);
 
 /**
- * Parent: Get linked child info and various child data
+ * Parent: List linked children and combined fees across siblings
+ */
+router.get('/children', authorize('parent'), getMyChildren);
+router.get('/children/fees', authorize('parent'), getChildrenFees);
+
+/**
+ * Parent: Get linked child info and various child data.
+ * With several children linked, pass ?studentId= to choose one.
  */
 router.get('/child', authorize('parent'), getMyChild);
 router.get('/child/room', authorize('parent'), getChildRoom);
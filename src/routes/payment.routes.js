@@ -3,8 +3,14 @@ import {
 	getPaymentSummary,
 	payMyFees,
 	createRazorpayOrder,
+	createFamilyRazorpayOrder,
 	verifyRazorpayPayment,
 	getReceiptPdf,
+	recordOfflinePayment,
+	getReconciliationQueue,
+	approvePaymentClaim,
+	rejectPaymentClaim,
+	handleRazorpayWebhook,
 } from '../controllers/payment.controller.js';
 import { protect } from '../middleware/auth.middleware.js';
 import { authorize } from '../middleware/role.middleware.js';
@@ -13,37 +19,79 @@ const router = express.Router();
 
 /**
  * @route   GET /api/payments
- * @desc    Get payment summary for all students
- * @access  Private (Warden only)
+ * @desc    Paginated fee and payment totals per student (?search=&paymentStatus=&page=&limit=)
+ * @access  Private (Staff with payments:read)
  */
-router.get('/', protect, authorize('warden'), getPaymentSummary);
+router.get('/', protect, authorize('payments:read'), getPaymentSummary);
+
+/**
+ * @route   POST /api/payments/webhook
+ * @desc    Razorpay webhook receiver (verified by signature, no auth token)
+ * @access  Public
+ */
+router.post('/webhook', handleRazorpayWebhook);
 
 /**
  * @route   POST /api/payments/create-order
  * @desc    Create Razorpay order for student/parent/warden
- * @access  Private (Student, Parent, Warden)
+ * @access  Private (Student, Parent, staff with payments:write)
  */
-router.post('/create-order', protect, authorize('student', 'parent', 'warden'), createRazorpayOrder);
+router.post('/create-order', protect, authorize('student', 'parent', 'payments:write'), createRazorpayOrder);
+
+/**
+ * @route   POST /api/payments/create-family-order
+ * @desc    One Razorpay order paying fees for several linked children
+ * @access  Private (Parent only)
+ */
+router.post('/create-family-order', protect, authorize('parent'), createFamilyRazorpayOrder);
 
 /**
  * @route   POST /api/payments/verify
  * @desc    Verify Razorpay payment and mark fees paid
- * @access  Private (Student, Parent, Warden)
+ * @access  Private (Student, Parent, staff with payments:write)
  */
-router.post('/verify', protect, authorize('student', 'parent', 'warden'), verifyRazorpayPayment);
+router.post('/verify', protect, authorize('student', 'parent', 'payments:write'), verifyRazorpayPayment);
 
 /**
  * @route   POST /api/payments/pay
- * @desc    Record payment against student's pending fees (student or parent)
+ * @desc    Submit an offline payment claim for staff verification (student or parent)
  * @access  Private (Student or Parent only)
  */
 router.post('/pay', protect, authorize('student', 'parent'), payMyFees);
 
+/**
+ * @route   POST /api/payments/offline
+ * @desc    Record a cash or cheque payment received by staff
+ * @access  Private (Staff with payments:write)
+ */
+router.post('/offline', protect, authorize('payments:write'), recordOfflinePayment);
+
+/**
+ * @route   GET /api/payments/reconciliation
+ * @desc    Payment claims waiting for verification (?status=Unverified|Verified|Rejected)
+ * @access  Private (Staff with payments:read)
+ */
+router.get('/reconciliation', protect, authorize('payments:read'), getReconciliationQueue);
+
+/**
+ * @route   PUT /api/payments/:id/approve
+ * @desc    Approve a payment claim and credit the fees
+ * @access  Private (Staff with payments:write)
+ */
+router.put('/:id/approve', protect, authorize('payments:write'), approvePaymentClaim);
+
+/**
+ * @route   PUT /api/payments/:id/reject
+ * @desc    Reject a payment claim with a reason
+ * @access  Private (Staff with payments:write)
+ */
+router.put('/:id/reject', protect, authorize('payments:write'), rejectPaymentClaim);
+
 /**
  * @route   GET /api/payments/receipt/:receiptNumber
  * @desc    Download receipt PDF
- * @access  Private (Student, Parent, Warden)
+ * @access  Private (Student, Parent, staff with payments:read)
  */
-router.get('/receipt/:receiptNumber', protect, authorize('student', 'parent', 'warden'), getReceiptPdf);
+router.get('/receipt/:receiptNumber', protect, authorize('student', 'parent', 'payments:read'), getReceiptPdf);
 
 export default router;
@@ -23,7 +23,7 @@ router.get('/menu/:id/voting-history', getVotingHistory);
 router.get('/', getPolls);
 
 // Warden only - create polls
-router.post('/', authorize('warden'), createPoll);
+router.post('/', authorize('polls:write'), createPoll);
 
 // Warden only - get detailed voting results
 router.get('/:id/details', getPollDetails);
@@ -32,9 +32,9 @@ router.get('/:id/details', getPollDetails);
 router.post('/:id/vote', votePoll);
 
 // Warden only - close poll
-router.put('/:id/close', authorize('warden'), closePoll);
+router.put('/:id/close', authorize('polls:write'), closePoll);
 
 // Warden only - delete poll
-router.delete('/:id', authorize('warden'), deletePoll);
+router.delete('/:id', authorize('polls:write'), deletePoll);
 
 export default router;
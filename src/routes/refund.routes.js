@@ -0,0 +1,24 @@
+import express from 'express';
+import {
+  getRefunds,
+  createRefund,
+  previewSettlement,
+  createSettlement,
+  getRefundStatementPdf,
+} from '../controllers/refund.controller.js';
+import { protect } from '../middleware/auth.middleware.js';
+import { authorize } from '../middleware/role.middleware.js';
+
+const router = express.Router();
+
+router.use(protect);
+
+// Security deposit settlement at check-out (must be above '/:id')
+router.post('/settlement/preview', authorize('payments:read'), previewSettlement);
+router.post('/settlement', authorize('payments:write'), createSettlement);
+
+router.get('/', authorize('payments:read'), getRefunds);
+router.post('/', authorize('payments:write'), createRefund);
+router.get('/:id/statement', authorize('student', 'parent', 'payments:read'), getRefundStatementPdf);
+
+export default router;
@@ -0,0 +1,59 @@
+import express from 'express';
+import {
+  getFinanceOverview,
+  getCollections,
+  getOutstanding,
+  getAgeing,
+  getDefaulters,
+  getComplaintPerformance,
+} from '../controllers/report.controller.js';
+import { protect } from '../middleware/auth.middleware.js';
+import { authorize } from '../middleware/role.middleware.js';
+
+const router = express.Router();
+
+router.use(protect);
+
+/**
+ * @route   GET /api/reports/finance
+ * @desc    Finance dashboard (collections, ageing, top defaulters)
+ * @access  Private (Staff with payments:read)
+ */
+router.get('/finance', authorize('payments:read'), getFinanceOverview);
+
+/**
+ * @route   GET /api/reports/finance/collections
+ * @desc    Collections by day, month or method; format=csv|xlsx exports
+ * @access  Private (Staff with payments:read)
+ */
+router.get('/finance/collections', authorize('payments:read'), getCollections);
+
+/**
+ * @route   GET /api/reports/finance/outstanding
+ * @desc    Outstanding balances by class, room or term; format=csv|xlsx exports
+ * @access  Private (Staff with payments:read)
+ */
+router.get('/finance/outstanding', authorize('payments:read'), getOutstanding);
+
+/**
+ * @route   GET /api/reports/finance/ageing
+ * @desc    Outstanding balances in 0-30, 31-60 and 60+ day buckets; format=csv|xlsx exports
+ * @access  Private (Staff with payments:read)
+ */
+router.get('/finance/ageing', authorize('payments:read'), getAgeing);
+
+/**
+ * @route   GET /api/reports/finance/defaulters
+ * @desc    Students with overdue fees; format=csv|xlsx exports
+ * @access  Private (Staff with payments:read)
+ */
+router.get('/finance/defaulters', authorize('payments:read'), getDefaulters);
+
+/**
+ * @route   GET /api/reports/complaints
+ * @desc    Response and resolution times, reopen rate and satisfaction by category or assignee; format=csv|xlsx exports
+ * @access  Private (Staff with complaints:read)
+ */
+router.get('/complaints', authorize('complaints:read'), getComplaintPerformance);
+
+export default router;
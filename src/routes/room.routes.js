@@ -0,0 +1,35 @@
+import express from 'express';
+import {
+  getRooms,
+  getRoomById,
+  createRoom,
+  updateRoom,
+  deleteRoom,
+  allocateRoom,
+  vacateRoom,
+  transferRoom,
+  getAllocationHistory,
+  getOccupancyReport,
+} from '../controllers/room.controller.js';
+import { protect } from '../middleware/auth.middleware.js';
+import { authorize } from '../middleware/role.middleware.js';
+
+const router = express.Router();
+
+router.use(protect);
+
+// Reports and bed assignment (must be above '/:id')
+router.get('/occupancy', authorize('rooms:read'), getOccupancyReport);
+router.get('/history/:studentId', authorize('rooms:read'), getAllocationHistory);
+router.post('/allocate', authorize('rooms:write'), allocateRoom);
+router.post('/vacate', authorize('rooms:write'), vacateRoom);
+router.post('/transfer', authorize('rooms:write'), transferRoom);
+
+// Room inventory
+router.get('/', authorize('rooms:read'), getRooms);
+router.post('/', authorize('rooms:write'), createRoom);
+router.get('/:id', authorize('rooms:read'), getRoomById);
+router.put('/:id', authorize('rooms:write'), updateRoom);
+router.delete('/:id', authorize('rooms:write'), deleteRoom);
+
+export default router;
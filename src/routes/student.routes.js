@@ -26,57 +26,57 @@ router.get('/profile', protect, authorize('student'), requirePasswordChange, get
 /**
  * @route   GET /api/students/locations/all
  * @desc    Get all students with their live locations (warden dashboard)
- * @access  Private (Warden only)
+ * @access  Private (Staff with location:read)
  */
-router.get('/locations/all', protect, authorize('warden'), getAllStudentsWithLocations);
+router.get('/locations/all', protect, authorize('location:read'), getAllStudentsWithLocations);
 
 /**
  * @route   GET /api/students
  * @desc    Get all students
- * @access  Private (Warden only)
+ * @access  Private (Staff with students:read)
  */
-router.get('/', protect, authorize('warden'), getAllStudents);
+router.get('/', protect, authorize('students:read'), getAllStudents);
 
 /**
  * @route   GET /api/students/lookup
  * @desc    Lookup student by roll number or id (warden only)
- * @access  Private (Warden only)
+ * @access  Private (Staff with students:read or gate:scan)
  */
-router.get('/lookup', protect, authorize('warden'), lookupStudent);
+router.get('/lookup', protect, authorize('students:read', 'gate:scan'), lookupStudent);
 
 /**
  * @route   POST /api/students
  * @desc    Create new student account
- * @access  Private (Warden only)
+ * @access  Private (Staff with students:write)
  */
-router.post('/', protect, authorize('warden'), createStudent);
+router.post('/', protect, authorize('students:write'), createStudent);
 
 /**
  * @route   GET /api/students/:id
  * @desc    Get student by ID
- * @access  Private (Warden only)
+ * @access  Private (Staff with students:read)
  */
-router.get('/:id', protect, authorize('warden'), getStudentById);
+router.get('/:id', protect, authorize('students:read'), getStudentById);
 
 /**
  * @route   PUT /api/students/:id
  * @desc    Update student details
- * @access  Private (Warden only)
+ * @access  Private (Staff with students:write)
  */
-router.put('/:id', protect, authorize('warden'), updateStudent);
+router.put('/:id', protect, authorize('students:write'), updateStudent);
 
 /**
  * @route   DELETE /api/students/:id
  * @desc    Delete student account
- * @access  Private (Warden only)
+ * @access  Private (Staff with students:delete)
  */
-router.delete('/:id', protect, authorize('warden'), deleteStudent);
+router.delete('/:id', protect, authorize('students:delete'), deleteStudent);
 
 /**
  * @route   DELETE /api/students/:id/delete-all
  * @desc    Delete student and related records
- * @access  Private (Warden only)
+ * @access  Private (Staff with students:delete)
  */
-router.delete('/:id/delete-all', protect, authorize('warden'), deleteStudentEverywhere);
+router.delete('/:id/delete-all', protect, authorize('students:delete'), deleteStudentEverywhere);
 
 export default router;
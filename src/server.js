@@ -3,7 +3,16 @@ import connectDB from './config/db.js';
 import dotenv from 'dotenv';
 import { fileURLToPath } from 'url';
 import { dirname, resolve } from 'path';
-import { schedulePaymentReminders } from './utils/paymentReminders.js';
+import {
+  schedulePaymentReminders,
+  scheduleOverdueReturnChecks,
+  scheduleLatePenalties,
+} from './utils/paymentReminders.js';
+import {
+  scheduleComplaintEscalations,
+  scheduleAttachmentCleanup,
+  scheduleDeferredNotifications,
+} from './utils/scheduledJobs.js';
 
 // Get __dirname equivalent for ES modules
 const __filename = fileURLToPath(import.meta.url);
@@ -41,6 +50,11 @@ connectDB().then(async () => {
   });
 
   schedulePaymentReminders();
+  scheduleOverdueReturnChecks();
+  scheduleLatePenalties();
+  scheduleComplaintEscalations();
+  scheduleAttachmentCleanup();
+  scheduleDeferredNotifications();
 
   // Initialize Socket.IO for real-time updates
   try {
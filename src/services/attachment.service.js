@@ -0,0 +1,376 @@
+import crypto from 'crypto';
+import path from 'path';
+import mongoose from 'mongoose';
+import sharp from 'sharp';
+import Attachment from '../models/Attachment.model.js';
+import Complaint from '../models/Complaint.model.js';
+import Leave from '../models/Leave.model.js';
+import Chat from '../models/Chat.model.js';
+import Student from '../models/Student.model.js';
+import Parent from '../models/Parent.model.js';
+import { hasPermission } from '../config/permissions.js';
+import { getAttachmentStorage } from './attachmentStorage.service.js';
+
+export const MAX_ATTACHMENTS_PER_ITEM = 5;
+
+const DEFAULT_MAX_BYTES = 10 * 1024 * 1024;
+const DEFAULT_URL_TTL_SECONDS = 15 * 60;
+// Presigned bucket URLs are only a redirect hop from an already signed link
+const DIRECT_URL_TTL_SECONDS = 60;
+const THUMBNAIL_SIZE = 320;
+const ORPHAN_AGE_MS = 24 * 60 * 60 * 1000;
+
+// Accepted types, identified by their leading bytes
+const FILE_TYPES = [
+  { mimeType: 'image/jpeg', ext: '.jpg', matches: (buf) => buf[0] === 0xff && buf[1] === 0xd8 && buf[2] === 0xff },
+  {
+    mimeType: 'image/png',
+    ext: '.png',
+    matches: (buf) => buf.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])),
+  },
+  {
+    mimeType: 'image/webp',
+    ext: '.webp',
+    matches: (buf) => buf.toString('latin1', 0, 4) === 'RIFF' && buf.toString('latin1', 8, 12) === 'WEBP',
+  },
+  { mimeType: 'application/pdf', ext: '.pdf', matches: (buf) => buf.toString('latin1', 0, 5) === '%PDF-' },
+];
+
+const urlSecret = () => process.env.ATTACHMENT_URL_SECRET || process.env.JWT_SECRET;
+const urlTtlSeconds = () => Number(process.env.ATTACHMENT_URL_TTL_SECONDS) || DEFAULT_URL_TTL_SECONDS;
+
+const signContentUrl = (attachment, variant, expires) =>
+  crypto
+    .createHmac('sha256', urlSecret())
+    .update(`${attachment._id}:${attachment.institutionId}:${variant}:${expires}`)
+    .digest('hex');
+
+const cleanFileName = (fileName, ext) => {
+  const base = path
+    .basename(String(fileName || ''))
+    .replace(/[^\w.\- ()]+/g, '_')
+    .trim()
+    .slice(0, 120);
+  return base || `attachment${ext}`;
+};
+
+const removeKeys = async (storage, keys) => {
+  for (const key of keys.filter(Boolean)) {
+    try {
+      await storage.remove(key);
+    } catch (error) {
+      console.error(`Failed to remove attachment file ${key}:`, error.message);
+    }
+  }
+};
+
+const removeFiles = (attachment) =>
+  removeKeys(getAttachmentStorage(attachment.storage), [attachment.key, attachment.thumbnailKey]);
+
+/**
+ * Largest accepted upload in bytes (ATTACHMENT_MAX_BYTES, default 10 MB)
+ */
+export const getMaxAttachmentBytes = () => Number(process.env.ATTACHMENT_MAX_BYTES) || DEFAULT_MAX_BYTES;
+
+/**
+ * File type from the contents, or null when it is not an accepted type
+ * @returns {{mimeType: string, ext: string}|null}
+ */
+export const detectFileType = (buffer) => {
+  if (!buffer || buffer.length < 12) return null;
+  const type = FILE_TYPES.find((item) => item.matches(buffer));
+  return type ? { mimeType: type.mimeType, ext: type.ext } : null;
+};
+
+/**
+ * Validate and store an upload. Images get a JPEG thumbnail; the upload stays
+ * unlinked until the record it belongs to is created.
+ * @returns {Promise<{attachment: object}|{status: number, message: string}>}
+ */
+export const storeAttachment = async ({ buffer, fileName, user }) => {
+  if (!buffer?.length) {
+    return { status: 400, message: 'File is empty' };
+  }
+  const maxBytes = getMaxAttachmentBytes();
+  if (buffer.length > maxBytes) {
+    return { status: 413, message: `File is larger than ${Math.floor(maxBytes / (1024 * 1024))} MB` };
+  }
+
+  const type = detectFileType(buffer);
+  if (!type) {
+    return { status: 415, message: 'Only JPEG, PNG and WebP photos or PDF documents can be attached' };
+  }
+
+  let dimensions = {};
+  let thumbnail = null;
+  if (type.mimeType.startsWith('image/')) {
+    try {
+      const metadata = await sharp(buffer).metadata();
+      // EXIF orientations 5-8 are rotated a quarter turn
+      const rotated = metadata.orientation >= 5;
+      dimensions = {
+        width: rotated ? metadata.height : metadata.width,
+        height: rotated ? metadata.width : metadata.height,
+      };
+      thumbnail = await sharp(buffer)
+        .rotate()
+        .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+        .jpeg({ quality: 70 })
+        .toBuffer();
+    } catch (error) {
+      return { status: 415, message: 'Image could not be read' };
+    }
+  }
+
+  const id = new mongoose.Types.ObjectId();
+  const month = new Date().toISOString().slice(0, 7).replace('-', '/');
+  const key = `${user.institutionId}/${month}/${id}${type.ext}`;
+  const thumbnailKey = thumbnail ? `${user.institutionId}/${month}/${id}-thumb.jpg` : undefined;
+
+  const storage = getAttachmentStorage();
+  const written = [];
+  try {
+    await storage.put(key, buffer, type.mimeType);
+    written.push(key);
+    if (thumbnail) {
+      await storage.put(thumbnailKey, thumbnail, 'image/jpeg');
+      written.push(thumbnailKey);
+    }
+
+    const attachment = await Attachment.create({
+      _id: id,
+      institutionId: user.institutionId,
+      uploadedBy: user._id,
+      storage: storage.name,
+      key,
+      thumbnailKey,
+      fileName: cleanFileName(fileName, type.ext),
+      mimeType: type.mimeType,
+      size: buffer.length,
+      ...dimensions,
+    });
+
+    return { attachment };
+  } catch (error) {
+    // No record points at these files, so nothing else would ever remove them
+    await removeKeys(storage, written);
+    throw error;
+  }
+};
+
+/**
+ * Load attachments the user uploaded and has not linked yet, for a new record
+ * @param {string[]} [attachmentIds]
+ * @returns {Promise<{attachments: object[]}|{status: number, message: string}>}
+ */
+export const findLinkableAttachments = async (attachmentIds, user) => {
+  if (attachmentIds === undefined || attachmentIds === null) {
+    return { attachments: [] };
+  }
+  if (!Array.isArray(attachmentIds) || attachmentIds.some((id) => !mongoose.Types.ObjectId.isValid(id))) {
+    return { status: 400, message: 'attachmentIds must be a list of attachment IDs' };
+  }
+
+  const ids = [...new Set(attachmentIds.map(String))];
+  if (ids.length > MAX_ATTACHMENTS_PER_ITEM) {
+    return { status: 400, message: `At most ${MAX_ATTACHMENTS_PER_ITEM} attachments are allowed` };
+  }
+
+  const attachments = await Attachment.find({
+    _id: { $in: ids },
+    institutionId: user.institutionId,
+    uploadedBy: user._id,
+    'linkedTo.id': null,
+  });
+  if (attachments.length !== ids.length) {
+    return { status: 400, message: 'Some attachments were not found or are already in use' };
+  }
+
+  return { attachments };
+};
+
+/**
+ * Link uploads to the record they are attached to. Call this before saving the
+ * record, with the _id it will get. Each upload is claimed with a conditional
+ * update so two requests cannot both take one; if one was taken in the meantime,
+ * the uploads claimed here are released again.
+ * @param {object[]} attachments - From findLinkableAttachments
+ * @param {'Complaint'|'Leave'|'Chat'} type
+ * @returns {Promise<{linked: true}|{status: number, message: string}>}
+ */
+export const linkAttachments = async (attachments, type, id) => {
+  const claimed = [];
+  for (const attachment of attachments) {
+    const { modifiedCount } = await Attachment.updateOne(
+      { _id: attachment._id, 'linkedTo.id': null },
+      { $set: { linkedTo: { type, id } } }
+    );
+    if (!modifiedCount) {
+      await unlinkAttachments(claimed, id);
+      return { status: 409, message: 'Some attachments were not found or are already in use' };
+    }
+    claimed.push(attachment);
+  }
+  return { linked: true };
+};
+
+/**
+ * Release uploads linked by linkAttachments when saving the record failed
+ */
+export const unlinkAttachments = async (attachments, id) => {
+  if (!attachments.length) return;
+  await Attachment.updateMany(
+    { _id: { $in: attachments.map((attachment) => attachment._id) }, 'linkedTo.id': id },
+    { $unset: { linkedTo: 1 } }
+  );
+};
+
+/**
+ * Whether a user may download an attachment: its uploader, or anyone who can
+ * see the complaint, leave or chat it is linked to
+ */
+export const canAccessAttachment = async (user, attachment) => {
+  if (String(attachment.institutionId) !== String(user.institutionId)) return false;
+  if (String(attachment.uploadedBy) === String(user._id)) return true;
+
+  const { type, id } = attachment.linkedTo || {};
+  if (!id) return false;
+
+  const isOwnStudent = async (studentId) => {
+    if (user.role !== 'student') return false;
+    const student = await Student.findOne({ userId: user._id, institutionId: user.institutionId }).select('_id');
+    return Boolean(student) && String(student._id) === String(studentId);
+  };
+
+  if (type === 'Complaint') {
+    if (hasPermission(user, 'complaints:read')) return true;
+    const complaint = await Complaint.findById(id).select('studentId');
+    return Boolean(complaint) && isOwnStudent(complaint.studentId);
+  }
+
+  if (type === 'Leave') {
+    if (hasPermission(user, 'leaves:read')) return true;
+    const leave = await Leave.findById(id).select('studentId');
+    if (!leave) return false;
+    if (user.role === 'parent') {
+      return Boolean(await Parent.exists({ userId: user._id, studentId: leave.studentId }));
+    }
+    return isOwnStudent(leave.studentId);
+  }
+
+  if (type === 'Chat') {
+    if (hasPermission(user, 'chats:read')) return true;
+    if (user.role !== 'parent') return false;
+    return Boolean(await Chat.exists({ _id: id, parentId: user._id }));
+  }
+
+  return false;
+};
+
+/**
+ * Base URL of this API as seen by the client
+ */
+export const getApiBaseUrl = (req) => process.env.API_URL || `${req.protocol}://${req.get('host')}`;
+
+/**
+ * Short-lived download URL, served by GET /api/attachments/:id/content with an
+ * HMAC signature. For S3 files that endpoint redirects to a presigned bucket URL.
+ * @param {object} attachment
+ * @param {object} options
+ * @param {string} options.baseUrl - From getApiBaseUrl
+ * @param {'original'|'thumbnail'} [options.variant]
+ * @returns {string|null} null when the variant does not exist
+ */
+export const getAttachmentUrl = (attachment, { baseUrl, variant = 'original' }) => {
+  const key = variant === 'thumbnail' ? attachment.thumbnailKey : attachment.key;
+  if (!key) return null;
+
+  const expires = Math.floor(Date.now() / 1000) + urlTtlSeconds();
+  const query = new URLSearchParams({ variant, expires: String(expires), signature: signContentUrl(attachment, variant, expires) });
+  return `${baseUrl}/api/attachments/${attachment._id}/content?${query}`;
+};
+
+/**
+ * Presigned bucket URL for a variant, or null when the storage serves files
+ * through this API (local disk)
+ * @returns {Promise<string|null>}
+ */
+export const getDirectDownloadUrl = async (attachment, variant = 'original') => {
+  const storage = getAttachmentStorage(attachment.storage);
+  if (!storage.presign) return null;
+
+  const thumbnail = variant === 'thumbnail';
+  return storage.presign(thumbnail ? attachment.thumbnailKey : attachment.key, {
+    expiresIn: DIRECT_URL_TTL_SECONDS,
+    fileName: thumbnail ? undefined : attachment.fileName,
+    contentType: thumbnail ? 'image/jpeg' : attachment.mimeType,
+  });
+};
+
+/**
+ * Check a signed content URL from getAttachmentUrl
+ */
+export const verifyContentSignature = (attachment, { variant, expires, signature }) => {
+  const expiresAt = Number(expires);
+  if (!Number.isInteger(expiresAt) || expiresAt < Date.now() / 1000) return false;
+  if (typeof signature !== 'string' || !/^[a-f0-9]{64}$/.test(signature)) return false;
+
+  const expected = signContentUrl(attachment, variant, expiresAt);
+  return crypto.timingSafeEqual(Buffer.from(signature, 'hex'), Buffer.from(expected, 'hex'));
+};
+
+/**
+ * File bytes for a variant
+ * @returns {Promise<{buffer: Buffer, contentType: string}>}
+ */
+export const readAttachment = async (attachment, variant = 'original') => {
+  const storage = getAttachmentStorage(attachment.storage);
+  if (variant === 'thumbnail') {
+    return { buffer: await storage.get(attachment.thumbnailKey), contentType: 'image/jpeg' };
+  }
+  return { buffer: await storage.get(attachment.key), contentType: attachment.mimeType };
+};
+
+/**
+ * Attachments as returned to clients, with fresh download URLs
+ * @param {object[]} attachments - Populated attachment documents
+ */
+export const formatAttachments = (attachments, req) => {
+  const baseUrl = getApiBaseUrl(req);
+  return (attachments || [])
+    .filter((attachment) => attachment?.key)
+    .map((attachment) => ({
+      id: attachment._id,
+      fileName: attachment.fileName,
+      mimeType: attachment.mimeType,
+      size: attachment.size,
+      width: attachment.width,
+      height: attachment.height,
+      url: getAttachmentUrl(attachment, { baseUrl }),
+      thumbnailUrl: getAttachmentUrl(attachment, { baseUrl, variant: 'thumbnail' }),
+    }));
+};
+
+/**
+ * Delete an unlinked upload and its files
+ */
+export const deleteAttachment = async (attachment) => {
+  await removeFiles(attachment);
+  await Attachment.deleteOne({ _id: attachment._id });
+};
+
+/**
+ * Delete uploads that were never attached to anything within a day
+ * @returns {Promise<number>} Attachments removed
+ */
+export const purgeOrphanAttachments = async (now = new Date()) => {
+  const orphans = await Attachment.find({
+    'linkedTo.id': null,
+    createdAt: { $lt: new Date(now.getTime() - ORPHAN_AGE_MS) },
+  }).limit(500);
+
+  for (const attachment of orphans) {
+    await deleteAttachment(attachment);
+  }
+  return orphans.length;
+};
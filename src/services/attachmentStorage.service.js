@@ -0,0 +1,114 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { DeleteObjectCommand, GetObjectCommand, PutObjectCommand, S3Client } from '@aws-sdk/client-s3';
+import { getSignedUrl } from '@aws-sdk/s3-request-presigner';
+
+/**
+ * Storage drivers for attachments. Each driver stores bytes under a key:
+ *   put(key, buffer, contentType), get(key) -> Buffer, remove(key)
+ * and may offer presign(key, { expiresIn, fileName, contentType }) -> Promise<URL>
+ * for direct downloads. ATTACHMENT_STORAGE picks the driver (local | s3).
+ */
+
+/**
+ * Files on the server's disk under ATTACHMENT_LOCAL_DIR (default ./uploads)
+ */
+export const createLocalStorage = (rootDir) => {
+  const root = path.resolve(rootDir);
+
+  const resolveKey = (key) => {
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(`${root}${path.sep}`)) {
+      throw new Error('Invalid storage key');
+    }
+    return filePath;
+  };
+
+  return {
+    name: 'local',
+    put: async (key, buffer) => {
+      const filePath = resolveKey(key);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, buffer);
+    },
+    get: (key) => fs.readFile(resolveKey(key)),
+    remove: async (key) => {
+      await fs.rm(resolveKey(key), { force: true });
+    },
+  };
+};
+
+/**
+ * Any S3-compatible bucket (AWS S3, Cloudflare R2, MinIO, DigitalOcean Spaces),
+ * addressed path-style. Leave the endpoint empty for AWS S3 itself.
+ */
+export const createS3Storage = ({ endpoint, region = 'us-east-1', bucket, accessKeyId, secretAccessKey }) => {
+  if (!bucket || !accessKeyId || !secretAccessKey) {
+    throw new Error('S3 storage needs S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY');
+  }
+
+  const client = new S3Client({
+    endpoint: endpoint || undefined,
+    region,
+    forcePathStyle: true,
+    credentials: { accessKeyId, secretAccessKey },
+    // Not every S3-compatible service accepts the newer default checksums
+    requestChecksumCalculation: 'WHEN_REQUIRED',
+    responseChecksumValidation: 'WHEN_REQUIRED',
+  });
+
+  return {
+    name: 's3',
+    put: async (key, buffer, contentType) => {
+      await client.send(new PutObjectCommand({ Bucket: bucket, Key: key, Body: buffer, ContentType: contentType }));
+    },
+    get: async (key) => {
+      const { Body } = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+      return Buffer.from(await Body.transformToByteArray());
+    },
+    remove: async (key) => {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    },
+    presign: (key, { expiresIn, fileName, contentType }) =>
+      getSignedUrl(
+        client,
+        new GetObjectCommand({
+          Bucket: bucket,
+          Key: key,
+          ResponseContentDisposition: fileName ? `inline; filename="${fileName.replace(/"/g, '')}"` : undefined,
+          ResponseContentType: contentType,
+        }),
+        { expiresIn }
+      ),
+  };
+};
+
+const drivers = new Map();
+
+/**
+ * A storage driver, created once. Defaults to the configured ATTACHMENT_STORAGE;
+ * pass the driver an attachment was saved with to read older files after a switch.
+ * @param {string} [name] - local | s3
+ */
+export const getAttachmentStorage = (name = process.env.ATTACHMENT_STORAGE || 'local') => {
+  const driver = name.toLowerCase();
+  if (drivers.has(driver)) return drivers.get(driver);
+
+  let storage;
+  if (driver === 's3') {
+    storage = createS3Storage({
+      endpoint: process.env.S3_ENDPOINT,
+      region: process.env.S3_REGION || 'us-east-1',
+      bucket: process.env.S3_BUCKET,
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+    });
+  } else if (driver === 'local') {
+    storage = createLocalStorage(process.env.ATTACHMENT_LOCAL_DIR || 'uploads');
+  } else {
+    throw new Error(`Unknown ATTACHMENT_STORAGE "${driver}". Use local or s3.`);
+  }
+
+  drivers.set(driver, storage);
+  return storage;
+};
@@ -0,0 +1,82 @@
+import mongoose from 'mongoose';
+import AuditLog from '../models/AuditLog.model.js';
+
+/**
+ * Turn ObjectIds, Dates and sub-documents into plain values for storage and comparison
+ */
+const toPlainValue = (value) => {
+  if (value === undefined || value === null) return null;
+  if (value instanceof mongoose.Types.ObjectId) return String(value);
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value?.toObject === 'function') return value.toObject({ depopulate: true });
+  return value;
+};
+
+/**
+ * Pick fields from a document as plain values (used for before/after snapshots)
+ * @param {object} doc - Mongoose document or plain object
+ * @param {string[]} fields - Field paths to capture
+ * @returns {object}
+ */
+export const snapshot = (doc, fields) => {
+  const result = {};
+  if (!doc) return result;
+  fields.forEach((field) => {
+    const value = typeof doc.get === 'function' ? doc.get(field) : doc[field];
+    result[field] = toPlainValue(value);
+  });
+  return result;
+};
+
+/**
+ * List the fields that differ between two snapshots
+ * @returns {Array<{field: string, before: *, after: *}>}
+ */
+export const diffSnapshots = (before = {}, after = {}) => {
+  const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+  const changes = [];
+  fields.forEach((field) => {
+    const previous = before[field] ?? null;
+    const next = after[field] ?? null;
+    if (JSON.stringify(previous) !== JSON.stringify(next)) {
+      changes.push({ field, before: previous, after: next });
+    }
+  });
+  return changes;
+};
+
+/**
+ * Write an audit entry for a staff mutation.
+ * Never throws: a failed audit write is logged but must not fail the request.
+ * @param {object} req - Express request (actor, IP and user agent are taken from it)
+ * @param {object} entry
+ * @param {string} entry.action - e.g. 'fee.mark_paid'
+ * @param {string} entry.targetType - Student | Fee | FeeStructure | Payment | Refund | Parent | Leave | Complaint
+ * @param {string} entry.targetId
+ * @param {string} [entry.targetLabel] - Human readable target (roll number, fee title)
+ * @param {object} [entry.before] - Snapshot before the change
+ * @param {object} [entry.after] - Snapshot after the change
+ * @param {object} [entry.metadata] - Extra context (reason, receipt number, counts)
+ */
+export const recordAudit = async (req, { action, targetType, targetId, targetLabel, before, after, metadata }) => {
+  try {
+    const changes = diffSnapshots(before, after);
+
+    await AuditLog.create({
+      institutionId: req.user.institutionId,
+      actorId: req.user._id,
+      actorName: req.user.name,
+      actorRole: req.user.staffRole ? `${req.user.role}:${req.user.staffRole}` : req.user.role,
+      action,
+      targetType,
+      targetId,
+      targetLabel,
+      changes,
+      metadata,
+      ip: req.ip,
+      userAgent: req.get?.('user-agent'),
+    });
+  } catch (error) {
+    console.error(`Failed to write audit log (${action}):`, error.message || error);
+  }
+};
@@ -0,0 +1,127 @@
+import Complaint from '../models/Complaint.model.js';
+import Institution from '../models/Institution.model.js';
+import User from '../models/User.model.js';
+import { hasPermission } from '../config/permissions.js';
+import { DEFAULT_REOPEN_WINDOW_DAYS, DEFAULT_SLA_HOURS, OPEN_COMPLAINT_STATUSES } from '../config/complaints.js';
+import { notifyUsers } from './notification.service.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+/**
+ * Institution complaint settings with defaults filled in
+ * @returns {Promise<{routing: Array<{category: string, assignee: object}>, slaHours: object, reopenWindowDays: number}>}
+ */
+export const getComplaintWorkflow = async (institutionId) => {
+  const institution = await Institution.findById(institutionId).select('complaintWorkflow');
+  const workflow = institution?.toObject().complaintWorkflow || {};
+  return {
+    routing: workflow.routing || [],
+    slaHours: { ...DEFAULT_SLA_HOURS, ...(workflow.slaHours || {}) },
+    reopenWindowDays: workflow.reopenWindowDays ?? DEFAULT_REOPEN_WINDOW_DAYS,
+  };
+};
+
+/**
+ * Staff account that may work on complaints, or null
+ */
+export const findComplaintStaff = async (userId, institutionId) => {
+  const user = await User.findOne({ _id: userId, institutionId, role: 'warden' }).select(
+    'name email staffRole isInstitutionAdmin'
+  );
+  return user && hasPermission(user, 'complaints:write') ? user : null;
+};
+
+/**
+ * Staff member routed to a category. Returns null (left for any warden to pick up)
+ * when no one is routed or the routed account can no longer handle complaints.
+ */
+export const findCategoryAssignee = async (institutionId, category, workflow) => {
+  const route = workflow.routing.find((item) => item.category === category);
+  if (!route) return null;
+  return findComplaintStaff(route.assignee, institutionId);
+};
+
+/**
+ * Resolution deadline for a complaint opened (or reopened) at `from`
+ */
+export const getComplaintDueAt = (from, priority, workflow) =>
+  new Date(from.getTime() + (workflow.slaHours[priority] || DEFAULT_SLA_HOURS.Medium) * HOUR_MS);
+
+/**
+ * Last moment a resolved complaint can be reopened by the student, or null if it cannot
+ */
+export const getReopenDeadline = (complaint, workflow) => {
+  if (complaint.status !== 'Resolved' || !complaint.resolvedAt) return null;
+  return new Date(complaint.resolvedAt.getTime() + workflow.reopenWindowDays * DAY_MS);
+};
+
+/**
+ * Record when staff first responded to a complaint; later responses leave it unchanged
+ */
+export const markFirstResponse = (complaintId, at = new Date()) =>
+  Complaint.updateOne({ _id: complaintId, firstResponseAt: null }, { $set: { firstResponseAt: at } });
+
+/**
+ * Whether the student can rate the complaint now: it is resolved and this
+ * resolution has not been rated yet (a reopened and re-resolved complaint can be rated again)
+ */
+export const canRateComplaint = (complaint) =>
+  complaint.status === 'Resolved' &&
+  Boolean(complaint.resolvedAt) &&
+  (!complaint.satisfaction?.ratedAt || complaint.satisfaction.ratedAt < complaint.resolvedAt);
+
+/**
+ * Chief wardens of an institution. Staff created before staff roles existed count
+ * as chief wardens (see getUserPermissions), as does the institution admin.
+ */
+export const getChiefWardens = (institutionId) =>
+  User.find({
+    institutionId,
+    role: 'warden',
+    $or: [{ isInstitutionAdmin: true }, { staffRole: 'chief_warden' }, { staffRole: { $exists: false } }, { staffRole: null }],
+  }).select('name email');
+
+/**
+ * Alert chief wardens about open complaints past their SLA. Each complaint is
+ * escalated once; reopening it starts a new SLA and allows another escalation.
+ * @returns {Promise<number>} Complaints escalated
+ */
+export const escalateBreachedComplaints = async (now = new Date()) => {
+  const breached = await Complaint.find({
+    status: { $in: OPEN_COMPLAINT_STATUSES },
+    escalatedAt: null,
+    dueAt: { $lte: now },
+  })
+    .populate({ path: 'studentId', select: 'userId room', populate: { path: 'userId', select: 'name' } })
+    .populate('assignedTo', 'name');
+
+  let escalated = 0;
+  for (const complaint of breached) {
+    // Claim it first so overlapping runs never alert twice
+    const claimed = await Complaint.updateOne(
+      { _id: complaint._id, escalatedAt: null },
+      { $set: { escalatedAt: now }, $push: { activity: { type: 'sla_breached', at: now } } }
+    );
+    if (!claimed.modifiedCount) continue;
+    escalated += 1;
+
+    const chiefWardens = await getChiefWardens(complaint.institutionId);
+    const hoursOverdue = Math.max(1, Math.round((now - complaint.dueAt) / HOUR_MS));
+    const studentName = complaint.studentId?.userId?.name || 'A student';
+    const assignee = complaint.assignedTo?.name ? ` Assigned to ${complaint.assignedTo.name}.` : ' Not assigned yet.';
+
+    await notifyUsers(chiefWardens.map((warden) => ({
+      institutionId: complaint.institutionId,
+      userId: warden._id,
+      type: 'complaint',
+      title: `SLA Breached: ${complaint.priority} Complaint`,
+      message: `${studentName}'s ${complaint.category.toLowerCase()} complaint "${complaint.title}" is ${hoursOverdue}h past its deadline.${assignee}`,
+      referenceId: complaint._id,
+      socketEvent: 'notification:new',
+      pushData: { type: 'complaint', complaintId: String(complaint._id), escalated: true },
+    })));
+  }
+
+  return escalated;
+};
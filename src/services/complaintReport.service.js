@@ -0,0 +1,116 @@
+import mongoose from 'mongoose';
+import Complaint from '../models/Complaint.model.js';
+import User from '../models/User.model.js';
+import { OPEN_COMPLAINT_STATUSES } from '../config/complaints.js';
+
+export const COMPLAINT_REPORT_GROUPS = ['category', 'assignee'];
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const EMPTY_STATS = {
+  complaints: 0,
+  open: 0,
+  resolved: 0,
+  everResolved: 0,
+  reopened: 0,
+  slaBreaches: 0,
+  avgResolutionHours: null,
+  avgFirstResponseHours: null,
+  ratings: 0,
+  avgRating: null,
+};
+
+const toObjectId = (id) => new mongoose.Types.ObjectId(String(id));
+
+const hoursBetween = (start, end) => ({
+  $cond: [{ $and: [start, end] }, { $divide: [{ $subtract: [end, start] }, HOUR_MS] }, null],
+});
+
+const statsGroup = (groupKey) => ({
+  $group: {
+    _id: groupKey,
+    complaints: { $sum: 1 },
+    open: { $sum: { $cond: [{ $in: ['$status', OPEN_COMPLAINT_STATUSES] }, 1, 0] } },
+    resolved: { $sum: { $cond: [{ $eq: ['$status', 'Resolved'] }, 1, 0] } },
+    // Resolved at least once, the base for the reopen rate
+    everResolved: {
+      $sum: { $cond: [{ $or: [{ $eq: ['$status', 'Resolved'] }, { $gt: ['$reopenCount', 0] }] }, 1, 0] },
+    },
+    reopened: { $sum: { $cond: [{ $gt: ['$reopenCount', 0] }, 1, 0] } },
+    slaBreaches: { $sum: { $cond: [{ $ifNull: ['$escalatedAt', false] }, 1, 0] } },
+    avgResolutionHours: { $avg: '$resolutionHours' },
+    avgFirstResponseHours: { $avg: '$firstResponseHours' },
+    ratings: { $sum: { $cond: [{ $ifNull: ['$satisfaction.rating', false] }, 1, 0] } },
+    avgRating: { $avg: '$satisfaction.rating' },
+  },
+});
+
+const formatStats = (stats) => ({
+  complaints: stats.complaints,
+  open: stats.open,
+  resolved: stats.resolved,
+  reopened: stats.reopened,
+  reopenRate: stats.everResolved ? Math.round((stats.reopened / stats.everResolved) * 1000) / 10 : null,
+  slaBreaches: stats.slaBreaches,
+  avgResolutionHours: stats.avgResolutionHours === null ? null : Math.round(stats.avgResolutionHours * 10) / 10,
+  avgFirstResponseHours: stats.avgFirstResponseHours === null ? null : Math.round(stats.avgFirstResponseHours * 10) / 10,
+  ratings: stats.ratings,
+  avgRating: stats.avgRating === null ? null : Math.round(stats.avgRating * 100) / 100,
+});
+
+/**
+ * Complaint handling performance for complaints raised in a period, per category
+ * or per assignee: resolution and first-response times (hours), reopen rate (%
+ * of resolved complaints later reopened), SLA breaches and student satisfaction.
+ * @param {object} params
+ * @param {string} params.institutionId
+ * @param {Date} params.from
+ * @param {Date} params.to
+ * @param {string} [params.groupBy='category'] - category | assignee
+ * @param {string} [params.category] - Only this category
+ * @returns {Promise<{rows: object[], totals: object}>}
+ */
+export const getComplaintPerformanceReport = async ({ institutionId, from, to, groupBy = 'category', category }) => {
+  const match = {
+    institutionId: toObjectId(institutionId),
+    createdAt: { $gte: from, $lte: to },
+  };
+  if (category) match.category = category;
+
+  const [result] = await Complaint.aggregate([
+    { $match: match },
+    {
+      $addFields: {
+        resolutionHours: hoursBetween('$createdAt', '$resolvedAt'),
+        firstResponseHours: hoursBetween('$createdAt', '$firstResponseAt'),
+      },
+    },
+    {
+      $facet: {
+        rows: [statsGroup(groupBy === 'assignee' ? '$assignedTo' : '$category'), { $sort: { complaints: -1, _id: 1 } }],
+        totals: [statsGroup(null)],
+      },
+    },
+  ]);
+
+  let names = new Map();
+  if (groupBy === 'assignee') {
+    const staff = await User.find({ _id: { $in: result.rows.map((row) => row._id).filter(Boolean) } }).select('name');
+    names = new Map(staff.map((user) => [String(user._id), user.name]));
+  }
+
+  const rows = result.rows.map((row) =>
+    groupBy === 'assignee'
+      ? {
+          assigneeId: row._id ? String(row._id) : null,
+          assignee: row._id ? names.get(String(row._id)) || 'Former staff' : 'Unassigned',
+          ...formatStats(row),
+        }
+      : { category: row._id, ...formatStats(row) }
+  );
+
+  return {
+    rows,
+    totals: formatStats(result.totals[0] || EMPTY_STATS),
+  };
+};
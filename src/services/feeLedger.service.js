@@ -0,0 +1,284 @@
+import mongoose from 'mongoose';
+import Fee from '../models/Fee.model.js';
+import Payment from '../models/Payment.model.js';
+import Refund from '../models/Refund.model.js';
+
+export const OUTSTANDING_FEE_STATUSES = ['Pending', 'PartiallyPaid'];
+// Payments whose money was received (refunds are tracked separately as Refund records)
+export const SETTLED_PAYMENT_STATUSES = ['Completed', 'PartiallyRefunded', 'Refunded'];
+
+// Round to paise so repeated splits don't leave floating point dust
+const roundAmount = (value) => Math.round(Number(value || 0) * 100) / 100;
+
+const MAX_FEE_SAVE_ATTEMPTS = 5;
+
+/**
+ * Change a fee and save it. Fee uses optimistic concurrency, so when another
+ * request saved the fee in between (a webhook and a verify call, or an online and
+ * an offline payment) the fee is loaded again and the change re-applied to it.
+ * @param {object} fee - Fee document
+ * @param {function(object): boolean} change - Mutates the fee; returns false to leave it unsaved
+ * @returns {Promise<object|null>} The saved fee, or null if it is gone or was left unchanged
+ */
+export const saveFeeChange = async (fee, change) => {
+  let current = fee;
+  for (let attempt = 1; ; attempt += 1) {
+    if (!current || change(current) === false) return null;
+    try {
+      return await current.save();
+    } catch (error) {
+      if (!(error instanceof mongoose.Error.VersionError) || attempt >= MAX_FEE_SAVE_ATTEMPTS) throw error;
+      current = await Fee.findById(current._id);
+    }
+  }
+};
+
+/**
+ * Sort fees oldest first: by next due date, then creation date
+ */
+const byOldestDue = (a, b) => {
+  const aDue = new Date(a.nextDueDate || a.dueDate || a.createdAt).getTime();
+  const bDue = new Date(b.nextDueDate || b.dueDate || b.createdAt).getTime();
+  if (aDue !== bDue) return aDue - bDue;
+  return new Date(a.createdAt) - new Date(b.createdAt);
+};
+
+/**
+ * Get a student's fees that still have a balance, oldest first
+ * @param {object} params
+ * @param {string} params.studentId
+ * @param {string} params.institutionId
+ * @param {string[]} [params.feeIds] - Restrict to these fees (kept in the given order)
+ * @returns {Promise<object[]>} Fee documents
+ */
+export const getOutstandingFees = async ({ studentId, institutionId, feeIds }) => {
+  const query = { studentId, institutionId, status: { $in: OUTSTANDING_FEE_STATUSES } };
+  if (feeIds?.length) query._id = { $in: feeIds };
+
+  const fees = await Fee.find(query);
+  if (feeIds?.length) {
+    const order = feeIds.map(String);
+    return fees.sort((a, b) => order.indexOf(String(a._id)) - order.indexOf(String(b._id)));
+  }
+  return fees.sort(byOldestDue);
+};
+
+/**
+ * Credit this payment already holds on a fee, if any
+ */
+const creditFrom = (fee, paymentId) =>
+  (fee.paymentCredits || []).find((credit) => String(credit.paymentId) === String(paymentId));
+
+/**
+ * Credit a completed payment to the student's outstanding fees and record the split
+ * on the payment. Uses the fees chosen on the payment, or oldest first.
+ * Each fee records the credit it got from the payment in the same save, so when an
+ * earlier attempt failed before the payment was saved, a retry keeps those credits
+ * and only allocates what is left.
+ * @param {object} payment - Payment document (amount, studentId, institutionId, feeIds)
+ * @param {object} payer
+ * @param {string} payer.paidBy - student | parent | warden
+ * @param {string} payer.paidByUserId
+ * @param {Date} [paidAt]
+ * @returns {Promise<Array<{feeId: string, term: string, amount: number}>>} Allocations
+ */
+export const applyPaymentToFees = async (payment, { paidBy, paidByUserId }, paidAt = new Date()) => {
+  const credited = await Fee.find({ institutionId: payment.institutionId, 'paymentCredits.paymentId': payment._id });
+  const allocations = credited.map((fee) => ({ fee, amount: creditFrom(fee, payment._id).amount }));
+  const creditedIds = new Set(credited.map((fee) => String(fee._id)));
+
+  let fees = await getOutstandingFees({
+    studentId: payment.studentId,
+    institutionId: payment.institutionId,
+    feeIds: payment.feeIds,
+  });
+
+  // Chosen fees may have been settled in the meantime; spill over to the oldest others
+  if (payment.feeIds?.length) {
+    const chosen = new Set(fees.map((fee) => String(fee._id)));
+    const others = await getOutstandingFees({ studentId: payment.studentId, institutionId: payment.institutionId });
+    fees = [...fees, ...others.filter((fee) => !chosen.has(String(fee._id)))];
+  }
+
+  // Shares are worked out against each fee as saved, so a concurrent credit is never lost
+  let remaining = roundAmount(payment.amount - allocations.reduce((sum, { amount }) => sum + amount, 0));
+  for (const outstanding of fees.filter((fee) => !creditedIds.has(String(fee._id)))) {
+    if (remaining <= 0) break;
+    let share = 0;
+    const fee = await saveFeeChange(outstanding, (current) => {
+      if (creditFrom(current, payment._id)) return false;
+      share = Math.min(remaining, roundAmount(current.balance));
+      if (share <= 0) return false;
+      current.amountPaid = roundAmount(current.getAmountPaid() + share);
+      current.paymentCredits.push({ paymentId: payment._id, amount: share });
+      current.paidBy = paidBy;
+      current.paidByUserId = paidByUserId;
+      if (current.amountPaid >= current.amount) current.paidAt = paidAt;
+      return true;
+    });
+    if (!fee) continue;
+    allocations.push({ fee, amount: share });
+    remaining = roundAmount(remaining - share);
+  }
+  const unallocated = Math.max(remaining, 0);
+
+  payment.allocations = allocations.map(({ fee, amount }) => ({ feeId: fee._id, term: fee.term, amount }));
+  payment.unallocatedAmount = unallocated;
+  if (!payment.feeIds?.length) {
+    payment.feeIds = allocations.map(({ fee }) => fee._id);
+  }
+
+  return payment.allocations;
+};
+
+/**
+ * Take fee credit back from a payment being refunded: its unallocated advance
+ * first, then its fee allocations from the last one backwards. Fees become due again.
+ * The caller saves the payment.
+ * @param {object} payment - Payment document
+ * @param {number} amount - Amount being refunded
+ * @returns {Promise<Array<{feeId: string, term: string, amount: number}>>} What was taken back per fee
+ */
+export const reverseAllocations = async (payment, amount) => {
+  let remaining = roundAmount(amount);
+
+  const fromAdvance = Math.min(remaining, roundAmount(payment.unallocatedAmount));
+  payment.unallocatedAmount = roundAmount((payment.unallocatedAmount || 0) - fromAdvance);
+  remaining = roundAmount(remaining - fromAdvance);
+
+  const reversals = [];
+  for (const allocation of [...(payment.allocations || [])].reverse()) {
+    if (remaining <= 0) break;
+    let share = 0;
+    const fee = await saveFeeChange(await Fee.findById(allocation.feeId), (current) => {
+      share = Math.min(remaining, allocation.amount, current.getAmountPaid());
+      if (share <= 0) return false;
+      current.amountPaid = roundAmount(current.getAmountPaid() - share);
+      const credit = creditFrom(current, payment._id);
+      if (credit) credit.amount = roundAmount(Math.max(credit.amount - share, 0));
+      return true;
+    });
+    if (!fee) continue;
+
+    reversals.push({ feeId: fee._id, term: fee.term, amount: share });
+    remaining = roundAmount(remaining - share);
+  }
+
+  return reversals;
+};
+
+/**
+ * Total still owed by a student
+ * @returns {Promise<{totalDue: number, fees: object[]}>}
+ */
+export const getOutstandingSummary = async ({ studentId, institutionId, feeIds }) => {
+  const fees = await getOutstandingFees({ studentId, institutionId, feeIds });
+  const totalDue = roundAmount(fees.reduce((sum, fee) => sum + fee.balance, 0));
+  return { totalDue, fees };
+};
+
+/**
+ * Build a student's ledger: fees, late fee penalties and refunds as debits,
+ * payments and waivers as credits, with a running balance (positive = amount owed).
+ * Fees marked paid without a payment record (older data) get a settlement credit.
+ * @returns {Promise<{entries: object[], totals: {debits: number, credits: number, balance: number}}>}
+ */
+export const buildStudentLedger = async ({ studentId, institutionId }) => {
+  const [fees, payments, refunds] = await Promise.all([
+    Fee.find({ studentId, institutionId }),
+    Payment.find({ studentId, institutionId, status: { $in: SETTLED_PAYMENT_STATUSES } }),
+    Refund.find({ studentId, institutionId, status: { $ne: 'Failed' }, amount: { $gt: 0 } }),
+  ]);
+
+  const entries = [];
+  const creditedByFee = new Map();
+
+  fees.forEach((fee) => {
+    entries.push({
+      date: fee.createdAt,
+      type: fee.category === 'Penalty' ? 'penalty' : 'debit',
+      description: fee.term,
+      feeId: fee._id,
+      invoiceNumber: fee.invoiceNumber || null,
+      debit: fee.amount,
+      credit: 0,
+    });
+  });
+
+  payments.forEach((payment) => {
+    entries.push({
+      date: payment.createdAt,
+      type: 'credit',
+      description: payment.method === 'Deposit' ? 'Security deposit applied at settlement' : `Payment (${payment.method})`,
+      paymentId: payment._id,
+      receiptNumber: payment.receiptNumber || null,
+      allocations: payment.allocations || [],
+      debit: 0,
+      credit: payment.amount,
+    });
+
+    const allocations = payment.allocations?.length
+      ? payment.allocations
+      : (payment.feeIds || []).map((feeId) => ({ feeId, amount: null }));
+    allocations.forEach(({ feeId, amount }) => {
+      const key = String(feeId);
+      // Legacy payments list fees without amounts: treat them as covering the fee fully
+      const fee = fees.find((item) => String(item._id) === key);
+      const credited = amount ?? fee?.amount ?? 0;
+      creditedByFee.set(key, (creditedByFee.get(key) || 0) + credited);
+    });
+  });
+
+  refunds.forEach((refund) => {
+    entries.push({
+      date: refund.createdAt,
+      type: 'refund',
+      description: `${refund.type === 'DepositSettlement' ? 'Deposit refund' : 'Refund'}${refund.method ? ` (${refund.method})` : ''}`,
+      refundId: refund._id,
+      paymentId: refund.paymentId || null,
+      receiptNumber: refund.refundNumber || null,
+      debit: refund.amount,
+      credit: 0,
+    });
+  });
+
+  fees.forEach((fee) => {
+    if (fee.waivedAmount > 0) {
+      entries.push({
+        date: fee.waivedAt || fee.updatedAt,
+        type: 'credit',
+        description: `${fee.term} waived${fee.waiverReason ? ` (${fee.waiverReason})` : ''}`,
+        feeId: fee._id,
+        debit: 0,
+        credit: fee.waivedAmount,
+      });
+    }
+
+    const unexplained = roundAmount(fee.getAmountPaid() - (creditedByFee.get(String(fee._id)) || 0));
+    if (unexplained > 0) {
+      entries.push({
+        date: fee.paidAt || fee.updatedAt,
+        type: 'credit',
+        description: `${fee.term} marked paid`,
+        feeId: fee._id,
+        receiptNumber: fee.receiptNumber || null,
+        debit: 0,
+        credit: unexplained,
+      });
+    }
+  });
+
+  entries.sort((a, b) => new Date(a.date) - new Date(b.date) || (a.debit > 0 ? -1 : 1));
+
+  let balance = 0;
+  let debits = 0;
+  let credits = 0;
+  entries.forEach((entry) => {
+    debits = roundAmount(debits + entry.debit);
+    credits = roundAmount(credits + entry.credit);
+    balance = roundAmount(balance + entry.debit - entry.credit);
+    entry.balance = balance;
+  });
+
+  return { entries, totals: { debits, credits, balance } };
+};
@@ -0,0 +1,135 @@
+import Fee from '../models/Fee.model.js';
+import Student from '../models/Student.model.js';
+import Room from '../models/Room.model.js';
+import { assignInvoiceNumbers } from './invoice.service.js';
+
+/**
+ * Pick a component's amount for a student. The most specific override wins:
+ * class + room type, then class, then room type, then the component default.
+ */
+const resolveComponentAmount = (component, { className, roomType }) => {
+  const overrides = component.overrides || [];
+  const matches = overrides.filter(
+    (override) =>
+      (!override.class || override.class === className) &&
+      (!override.roomType || override.roomType === roomType)
+  );
+  if (!matches.length) return component.amount;
+
+  const score = (override) => (override.class ? 2 : 0) + (override.roomType ? 1 : 0);
+  return matches.sort((a, b) => score(b) - score(a))[0].amount;
+};
+
+/**
+ * Work out a student's fee components under a structure
+ * @param {object} structure - FeeStructure document
+ * @param {{className: string, roomType: string|null}} profile
+ * @returns {{components: Array<{name: string, amount: number, refundable: boolean}>, amount: number}}
+ */
+export const resolveStructureForStudent = (structure, profile) => {
+  const components = structure.components.map((component) => ({
+    name: component.name,
+    amount: resolveComponentAmount(component, profile),
+    refundable: Boolean(component.refundable),
+  }));
+  const amount = components.reduce((sum, component) => sum + component.amount, 0);
+  return { components, amount };
+};
+
+/**
+ * Build the list of fees a structure would issue for a term.
+ * Students who already have this structure's fee for the term are reported as skipped.
+ * @param {object} structure - FeeStructure document
+ * @param {object} options
+ * @param {string} options.term
+ * @param {string[]} [options.classes] - Narrow the run to these classes
+ * @param {string[]} [options.studentIds] - Narrow the run to these students
+ * @returns {Promise<{toCreate: object[], skipped: object[]}>}
+ */
+export const planFeeGeneration = async (structure, { term, classes, studentIds }) => {
+  const query = { institutionId: structure.institutionId };
+  const classFilter = classes?.length ? classes : structure.classes;
+  if (classFilter?.length) query.class = { $in: classFilter };
+  if (studentIds?.length) query._id = { $in: studentIds };
+
+  const students = await Student.find(query)
+    .populate('userId', 'name')
+    .sort({ class: 1, rollNumber: 1 });
+
+  const roomIds = students.map((student) => student.roomId).filter(Boolean);
+  const rooms = await Room.find({ _id: { $in: roomIds } }).select('type');
+  const roomTypes = new Map(rooms.map((room) => [String(room._id), room.type]));
+
+  const existing = await Fee.find({
+    institutionId: structure.institutionId,
+    structureId: structure._id,
+    term,
+    studentId: { $in: students.map((student) => student._id) },
+  }).select('studentId');
+  const alreadyIssued = new Set(existing.map((fee) => String(fee.studentId)));
+
+  const toCreate = [];
+  const skipped = [];
+
+  students.forEach((student) => {
+    const roomType = student.roomId ? roomTypes.get(String(student.roomId)) || null : null;
+    const row = {
+      studentId: student._id,
+      name: student.userId?.name || 'Unknown',
+      rollNumber: student.rollNumber,
+      class: student.class,
+      roomType,
+    };
+
+    if (structure.roomTypes?.length && !structure.roomTypes.includes(roomType)) {
+      skipped.push({ ...row, reason: roomType ? 'Room type not covered' : 'No room allocated' });
+      return;
+    }
+    if (alreadyIssued.has(String(student._id))) {
+      skipped.push({ ...row, reason: 'Already issued' });
+      return;
+    }
+
+    const { components, amount } = resolveStructureForStudent(structure, { className: student.class, roomType });
+    if (amount <= 0) {
+      skipped.push({ ...row, reason: 'Nothing to charge' });
+      return;
+    }
+
+    toCreate.push({ ...row, components, amount });
+  });
+
+  return { toCreate, skipped };
+};
+
+/**
+ * Issue the planned fees. Duplicate-key errors from a concurrent run are counted
+ * as skipped, so generating the same term twice never creates duplicates.
+ * @returns {Promise<{created: number, duplicates: number}>}
+ */
+export const issueStructureFees = async (structure, { term, dueDate }, toCreate) => {
+  if (!toCreate.length) return { created: 0, duplicates: 0 };
+
+  const docs = toCreate.map((item) => ({
+    studentId: item.studentId,
+    institutionId: structure.institutionId,
+    structureId: structure._id,
+    term,
+    amount: item.amount,
+    components: item.components,
+    dueDate,
+  }));
+
+  try {
+    const created = await Fee.insertMany(docs, { ordered: false });
+    await assignInvoiceNumbers(created);
+    return { created: created.length, duplicates: 0 };
+  } catch (error) {
+    const writeErrors = error.writeErrors || [];
+    if (!writeErrors.length || writeErrors.some((writeError) => writeError.code !== 11000)) throw error;
+    // Only the fees that were actually inserted take invoice numbers
+    if (error.insertedDocs?.length) await assignInvoiceNumbers(error.insertedDocs);
+    const created = error.insertedDocs?.length ?? docs.length - writeErrors.length;
+    return { created, duplicates: writeErrors.length };
+  }
+};
@@ -0,0 +1,547 @@
+import mongoose from 'mongoose';
+import Fee from '../models/Fee.model.js';
+import Payment from '../models/Payment.model.js';
+import Room from '../models/Room.model.js';
+import RoomAllocation from '../models/RoomAllocation.model.js';
+import Student from '../models/Student.model.js';
+import { OUTSTANDING_FEE_STATUSES, SETTLED_PAYMENT_STATUSES } from './feeLedger.service.js';
+import { getInstitutionTimezone } from './notificationPreference.service.js';
+
+export const COLLECTION_GROUPS = ['day', 'month', 'method'];
+export const OUTSTANDING_GROUPS = ['class', 'room', 'term'];
+export const AGEING_BUCKETS = ['Not yet due', '0-30', '31-60', '60+'];
+
+const toObjectId = (id) => new mongoose.Types.ObjectId(String(id));
+
+const roundStage = (field) => ({ $round: [field, 2] });
+
+/**
+ * Append a page (or everything, for exports) plus the total row count to a pipeline
+ * @returns {object[]}
+ */
+const paginate = (pipeline, { page, limit }) => [
+  ...pipeline,
+  {
+    $facet: {
+      rows: limit ? [{ $skip: (page - 1) * limit }, { $limit: limit }] : [],
+      total: [{ $count: 'count' }],
+    },
+  },
+];
+
+const unpackPage = ([result], { page, limit }) => {
+  const total = result?.total[0]?.count || 0;
+  return {
+    rows: result?.rows || [],
+    total,
+    page: limit ? page : 1,
+    pages: limit ? Math.ceil(total / limit) : 1,
+  };
+};
+
+/**
+ * Outstanding fees with their balance, the date the oldest unpaid part fell due
+ * (earliest unpaid installment, else the fee due date, else its creation date)
+ * and whole days overdue as of `asOf` (negative when not yet due), counted in
+ * days on the institution's calendar
+ */
+const outstandingFeeStages = (institutionId, asOf, timezone) => [
+  { $match: { institutionId: toObjectId(institutionId), status: { $in: OUTSTANDING_FEE_STATUSES } } },
+  {
+    $addFields: {
+      balance: {
+        $max: [
+          { $subtract: ['$amount', { $add: [{ $ifNull: ['$amountPaid', 0] }, { $ifNull: ['$waivedAmount', 0] }] }] },
+          0,
+        ],
+      },
+      dueOn: {
+        $ifNull: [
+          {
+            $min: {
+              $map: {
+                input: {
+                  $filter: {
+                    input: { $ifNull: ['$installments', []] },
+                    as: 'installment',
+                    cond: { $lt: ['$$installment.amountPaid', '$$installment.amount'] },
+                  },
+                },
+                as: 'installment',
+                in: '$$installment.dueDate',
+              },
+            },
+          },
+          { $ifNull: ['$dueDate', '$createdAt'] },
+        ],
+      },
+    },
+  },
+  { $match: { balance: { $gt: 0 } } },
+  {
+    $addFields: {
+      isOverdue: { $lt: ['$dueOn', asOf] },
+      daysOverdue: {
+        $dateDiff: {
+          startDate: '$dueOn',
+          endDate: asOf,
+          unit: 'day',
+          timezone,
+        },
+      },
+    },
+  },
+  {
+    $addFields: {
+      ageingBucket: {
+        $switch: {
+          branches: [
+            { case: { $not: ['$isOverdue'] }, then: 'Not yet due' },
+            { case: { $lte: ['$daysOverdue', 30] }, then: '0-30' },
+            { case: { $lte: ['$daysOverdue', 60] }, then: '31-60' },
+          ],
+          default: '60+',
+        },
+      },
+    },
+  },
+];
+
+const studentLookupStages = [
+  {
+    $lookup: {
+      from: Student.collection.name,
+      localField: 'studentId',
+      foreignField: '_id',
+      as: 'student',
+    },
+  },
+  { $unwind: { path: '$student', preserveNullAndEmptyArrays: true } },
+];
+
+// The room of the student's current bed allocation, as `room: { roomId, label }`
+const currentRoomLookupStages = [
+  {
+    $lookup: {
+      from: RoomAllocation.collection.name,
+      localField: 'studentId',
+      foreignField: 'studentId',
+      pipeline: [
+        { $match: { isActive: true } },
+        { $lookup: { from: Room.collection.name, localField: 'roomId', foreignField: '_id', as: 'room' } },
+        { $unwind: '$room' },
+        { $project: { _id: 0, roomId: 1, label: { $concat: ['$room.block', '-', '$room.number'] } } },
+      ],
+      as: 'room',
+    },
+  },
+  { $unwind: { path: '$room', preserveNullAndEmptyArrays: true } },
+];
+
+/**
+ * Money collected in a period, grouped by day, month or payment method.
+ * Deposit adjustments only move money already paid, so they are left out.
+ * @param {object} params
+ * @param {string} params.institutionId
+ * @param {Date} params.from
+ * @param {Date} params.to
+ * @param {string} [params.groupBy='day'] - day | month | method
+ * @param {string} [params.method] - Only this payment method
+ * @param {number} [params.page]
+ * @param {number} [params.limit] - Omit for every row (exports)
+ * @returns {Promise<{rows: object[], total: number, page: number, pages: number, totals: object}>}
+ */
+export const getCollectionsReport = async ({ institutionId, from, to, groupBy = 'day', method, page = 1, limit }) => {
+  // Days and months are bucketed on the institution's calendar
+  const timezone = await getInstitutionTimezone(institutionId);
+  const groupKey = {
+    day: { $dateToString: { format: '%Y-%m-%d', date: '$collectedAt', timezone } },
+    month: { $dateToString: { format: '%Y-%m', date: '$collectedAt', timezone } },
+    method: '$method',
+  }[groupBy];
+
+  const match = {
+    institutionId: toObjectId(institutionId),
+    status: { $in: SETTLED_PAYMENT_STATUSES },
+    method: method || { $ne: 'Deposit' },
+  };
+
+  const base = [
+    { $match: match },
+    // Verified payments count on the day the money was confirmed
+    { $addFields: { collectedAt: { $ifNull: ['$verifiedAt', '$createdAt'] } } },
+    { $match: { collectedAt: { $gte: from, $lte: to } } },
+  ];
+
+  const [[totals], pageResult] = await Promise.all([
+    Payment.aggregate([
+      ...base,
+      {
+        $group: {
+          _id: null,
+          collected: { $sum: '$amount' },
+          refunded: { $sum: { $ifNull: ['$refundedAmount', 0] } },
+          payments: { $sum: 1 },
+        },
+      },
+    ]),
+    Payment.aggregate(
+      paginate(
+        [
+          ...base,
+          {
+            $group: {
+              _id: groupKey,
+              collected: { $sum: '$amount' },
+              refunded: { $sum: { $ifNull: ['$refundedAmount', 0] } },
+              payments: { $sum: 1 },
+            },
+          },
+          {
+            $project: {
+              _id: 0,
+              [groupBy]: '$_id',
+              payments: 1,
+              collected: roundStage('$collected'),
+              refunded: roundStage('$refunded'),
+              net: roundStage({ $subtract: ['$collected', '$refunded'] }),
+            },
+          },
+          { $sort: groupBy === 'method' ? { collected: -1 } : { [groupBy]: 1 } },
+        ],
+        { page, limit }
+      )
+    ),
+  ]);
+
+  return {
+    ...unpackPage(pageResult, { page, limit }),
+    totals: {
+      payments: totals?.payments || 0,
+      collected: Math.round((totals?.collected || 0) * 100) / 100,
+      refunded: Math.round((totals?.refunded || 0) * 100) / 100,
+      net: Math.round(((totals?.collected || 0) - (totals?.refunded || 0)) * 100) / 100,
+    },
+  };
+};
+
+/**
+ * Balances still owed, grouped by the student's class, the room of their current
+ * bed allocation, or by fee term
+ * @param {object} params
+ * @param {string} params.institutionId
+ * @param {string} [params.groupBy='class'] - class | room | term
+ * @param {Date} [params.asOf]
+ * @param {number} [params.page]
+ * @param {number} [params.limit] - Omit for every row (exports)
+ * @returns {Promise<{rows: object[], total: number, page: number, pages: number}>}
+ */
+export const getOutstandingReport = async ({ institutionId, groupBy = 'class', asOf = new Date(), page = 1, limit }) => {
+  const groupKey = {
+    class: { $ifNull: ['$student.class', 'Unassigned'] },
+    room: { $ifNull: ['$room.roomId', null] },
+    term: '$term',
+  }[groupBy];
+  const lookupStages = { class: studentLookupStages, room: currentRoomLookupStages, term: [] }[groupBy];
+
+  const result = await Fee.aggregate(
+    paginate(
+      [
+        ...outstandingFeeStages(institutionId, asOf, await getInstitutionTimezone(institutionId)),
+        ...lookupStages,
+        {
+          $group: {
+            _id: groupKey,
+            ...(groupBy === 'room' ? { label: { $first: { $ifNull: ['$room.label', 'Unassigned'] } } } : {}),
+            outstanding: { $sum: '$balance' },
+            overdue: { $sum: { $cond: ['$isOverdue', '$balance', 0] } },
+            fees: { $sum: 1 },
+            students: { $addToSet: '$studentId' },
+          },
+        },
+        {
+          $project: {
+            _id: 0,
+            ...(groupBy === 'room' ? { room: '$label', roomId: '$_id' } : { [groupBy]: '$_id' }),
+            outstanding: roundStage('$outstanding'),
+            overdue: roundStage('$overdue'),
+            fees: 1,
+            students: { $size: '$students' },
+          },
+        },
+        { $sort: { outstanding: -1 } },
+      ],
+      { page, limit }
+    )
+  );
+
+  return unpackPage(result, { page, limit });
+};
+
+/**
+ * Outstanding balances in ageing buckets by days overdue: not yet due, 0-30, 31-60, 60+
+ * @param {object} params
+ * @param {string} params.institutionId
+ * @param {Date} [params.asOf]
+ * @returns {Promise<{rows: object[], totals: {outstanding: number, overdue: number}}>}
+ */
+export const getAgeingReport = async ({ institutionId, asOf = new Date() }) => {
+  const grouped = await Fee.aggregate([
+    ...outstandingFeeStages(institutionId, asOf, await getInstitutionTimezone(institutionId)),
+    {
+      $group: {
+        _id: '$ageingBucket',
+        amount: { $sum: '$balance' },
+        fees: { $sum: 1 },
+        students: { $addToSet: '$studentId' },
+      },
+    },
+  ]);
+
+  // Always return every bucket, in order, even when empty
+  const rows = AGEING_BUCKETS.map((bucket) => {
+    const match = grouped.find((row) => row._id === bucket);
+    return {
+      bucket,
+      amount: Math.round((match?.amount || 0) * 100) / 100,
+      fees: match?.fees || 0,
+      students: match?.students.length || 0,
+    };
+  });
+
+  const outstanding = rows.reduce((sum, row) => sum + row.amount, 0);
+  const overdue = rows.filter((row) => row.bucket !== 'Not yet due').reduce((sum, row) => sum + row.amount, 0);
+
+  return {
+    rows,
+    totals: {
+      outstanding: Math.round(outstanding * 100) / 100,
+      overdue: Math.round(overdue * 100) / 100,
+    },
+  };
+};
+
+/**
+ * Students with overdue balances, largest first, with contact details for follow-up
+ * @param {object} params
+ * @param {string} params.institutionId
+ * @param {number} [params.minDays=1] - Only students at least this many days overdue
+ * @param {number} [params.minAmount=0] - Only students owing at least this much overdue
+ * @param {string} [params.className] - Only this class
+ * @param {Date} [params.asOf]
+ * @param {number} [params.page]
+ * @param {number} [params.limit] - Omit for every row (exports)
+ * @returns {Promise<{rows: object[], total: number, page: number, pages: number}>}
+ */
+export const getDefaultersReport = async ({
+  institutionId,
+  minDays = 1,
+  minAmount = 0,
+  className,
+  asOf = new Date(),
+  page = 1,
+  limit,
+}) => {
+  const result = await Fee.aggregate(
+    paginate(
+      [
+        ...outstandingFeeStages(institutionId, asOf, await getInstitutionTimezone(institutionId)),
+        {
+          $group: {
+            _id: '$studentId',
+            outstanding: { $sum: '$balance' },
+            overdue: { $sum: { $cond: ['$isOverdue', '$balance', 0] } },
+            overdueFees: { $sum: { $cond: ['$isOverdue', 1, 0] } },
+            oldestDueDate: { $min: '$dueOn' },
+            daysOverdue: { $max: '$daysOverdue' },
+          },
+        },
+        { $match: { overdue: { $gt: 0, $gte: minAmount }, daysOverdue: { $gte: minDays } } },
+        { $addFields: { studentId: '$_id' } },
+        ...studentLookupStages,
+        ...(className ? [{ $match: { 'student.class': className } }] : []),
+        {
+          $lookup: {
+            from: 'users',
+            localField: 'student.userId',
+            foreignField: '_id',
+            as: 'user',
+          },
+        },
+        { $unwind: { path: '$user', preserveNullAndEmptyArrays: true } },
+        {
+          $project: {
+            _id: 0,
+            studentId: 1,
+            studentName: { $ifNull: ['$user.name', 'Unknown'] },
+            email: '$user.email',
+            rollNumber: '$student.rollNumber',
+            class: '$student.class',
+            room: '$student.room',
+            phone: '$student.phone',
+            guardianName: '$student.guardianName',
+            guardianPhone: '$student.guardianPhone',
+            outstanding: roundStage('$outstanding'),
+            overdue: roundStage('$overdue'),
+            overdueFees: 1,
+            oldestDueDate: 1,
+            daysOverdue: 1,
+          },
+        },
+        { $sort: { overdue: -1, daysOverdue: -1 } },
+      ],
+      { page, limit }
+    )
+  );
+
+  return unpackPage(result, { page, limit });
+};
+
+/**
+ * Per-student fee totals (fees, paid, due) for the payments screen, computed in the
+ * database and paginated. Fee lines are only loaded for the students on the page.
+ * @param {object} params
+ * @param {string} params.institutionId
+ * @param {string} [params.search] - Name or roll number
+ * @param {string} [params.paymentStatus] - Paid | Partial | Pending
+ * @param {number} [params.page]
+ * @param {number} [params.limit]
+ * @returns {Promise<{rows: object[], total: number, page: number, pages: number}>}
+ */
+export const getStudentPaymentSummary = async ({ institutionId, search, paymentStatus, page = 1, limit }) => {
+  const pattern = search ? new RegExp(search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i') : null;
+
+  const result = await Student.aggregate(
+    paginate(
+      [
+        { $match: { institutionId: toObjectId(institutionId) } },
+        { $lookup: { from: 'users', localField: 'userId', foreignField: '_id', as: 'user' } },
+        { $unwind: { path: '$user', preserveNullAndEmptyArrays: true } },
+        ...(pattern ? [{ $match: { $or: [{ 'user.name': pattern }, { rollNumber: pattern }] } }] : []),
+        {
+          $lookup: {
+            from: Fee.collection.name,
+            localField: '_id',
+            foreignField: 'studentId',
+            pipeline: [
+              {
+                $group: {
+                  _id: null,
+                  totalFees: { $sum: '$amount' },
+                  // Legacy fees without amountPaid count as fully paid when marked Paid
+                  paidFromFees: {
+                    $sum: { $ifNull: ['$amountPaid', { $cond: [{ $eq: ['$status', 'Paid'] }, '$amount', 0] }] },
+                  },
+                  waived: { $sum: { $ifNull: ['$waivedAmount', 0] } },
+                  feeCount: { $sum: 1 },
+                },
+              },
+            ],
+            as: 'feeTotals',
+          },
+        },
+        {
+          $lookup: {
+            from: Payment.collection.name,
+            localField: '_id',
+            foreignField: 'studentId',
+            pipeline: [
+              // Deposit adjustments move money already paid, so they are left out of the totals
+              { $match: { status: { $in: SETTLED_PAYMENT_STATUSES }, method: { $ne: 'Deposit' } } },
+              {
+                $group: {
+                  _id: null,
+                  // Net of refunds, which also took the credit back off the fees
+                  totalPaid: { $sum: { $subtract: ['$amount', { $ifNull: ['$refundedAmount', 0] }] } },
+                  lastPaidAt: { $max: '$createdAt' },
+                },
+              },
+            ],
+            as: 'paymentTotals',
+          },
+        },
+        {
+          $addFields: {
+            feeTotals: { $ifNull: [{ $first: '$feeTotals' }, { totalFees: 0, paidFromFees: 0, waived: 0, feeCount: 0 }] },
+            paidFromPayments: { $ifNull: [{ $first: '$paymentTotals.totalPaid' }, 0] },
+            lastPaidAt: { $first: '$paymentTotals.lastPaidAt' },
+          },
+        },
+        {
+          $addFields: {
+            // The fee ledger is the source of truth; payments recorded without fee
+            // lines still show what was collected
+            paidAmount: {
+              $cond: [{ $gt: ['$feeTotals.feeCount', 0] }, '$feeTotals.paidFromFees', '$paidFromPayments'],
+            },
+            totalFees: {
+              $cond: [{ $gt: ['$feeTotals.feeCount', 0] }, '$feeTotals.totalFees', '$paidFromPayments'],
+            },
+          },
+        },
+        {
+          $addFields: {
+            dueAmount: {
+              $round: [{ $max: [{ $subtract: ['$totalFees', { $add: ['$paidAmount', '$feeTotals.waived'] }] }, 0] }, 2],
+            },
+          },
+        },
+        {
+          $addFields: {
+            paymentStatus: {
+              $switch: {
+                branches: [
+                  { case: { $eq: ['$dueAmount', 0] }, then: 'Paid' },
+                  { case: { $eq: ['$dueAmount', '$totalFees'] }, then: 'Pending' },
+                ],
+                default: 'Partial',
+              },
+            },
+          },
+        },
+        ...(paymentStatus ? [{ $match: { paymentStatus } }] : []),
+        { $sort: { rollNumber: 1 } },
+      ],
+      { page, limit }
+    )
+  );
+
+  const summary = unpackPage(result, { page, limit });
+
+  const studentIds = summary.rows.map((row) => row._id);
+  const fees = await Fee.find({ institutionId, studentId: { $in: studentIds } }).sort({ createdAt: 1 });
+
+  summary.rows = summary.rows.map((row) => {
+    const studentFees = fees.filter((fee) => String(fee.studentId) === String(row._id));
+    return {
+      studentId: row._id,
+      studentName: row.user?.name || 'Unknown',
+      rollNumber: row.rollNumber,
+      email: row.user?.email || 'N/A',
+      class: row.class,
+      section: row.section || 'N/A',
+      room: row.room || 'N/A',
+      totalFees: row.totalFees,
+      paidAmount: row.paidAmount,
+      dueAmount: row.dueAmount,
+      paymentStatus: row.paymentStatus,
+      lastPaidAt: row.lastPaidAt || null,
+      feeCount: row.feeTotals.feeCount,
+      fees: studentFees.map((fee) => ({
+        id: fee._id,
+        amount: fee.amount,
+        amountPaid: fee.getAmountPaid(),
+        balance: fee.balance,
+        term: fee.term,
+        status: fee.status,
+        invoiceNumber: fee.invoiceNumber || null,
+        receiptNumber: fee.receiptNumber || 'N/A',
+        paidAt: fee.paidAt || null,
+        dueDate: fee.dueDate || null,
+        createdAt: fee.createdAt,
+      })),
+    };
+  });
+
+  return summary;
+};
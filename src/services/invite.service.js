@@ -0,0 +1,99 @@
+import crypto from 'crypto';
+import WardenInvite from '../models/WardenInvite.model.js';
+import { sendWardenInviteEmail } from '../utils/emailService.js';
+// Note: dotenv is loaded in server.js, process.env is available globally
+
+// No 0/O or 1/I so codes can be read out or typed from a printout
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 10;
+
+export const getInviteTtlMs = () => Number(process.env.WARDEN_INVITE_TTL_DAYS || 7) * 24 * 60 * 60 * 1000;
+
+const normalizeInviteCode = (code) => String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+const hashInviteCode = (code) => crypto.createHash('sha256').update(normalizeInviteCode(code)).digest('hex');
+
+/**
+ * Generate a new invite code and its hash, formatted as XXXXX-XXXXX
+ * @returns {{code: string, codeHash: string}}
+ */
+export const generateInviteCode = () => {
+  const bytes = crypto.randomBytes(CODE_LENGTH);
+  let raw = '';
+  for (let i = 0; i < CODE_LENGTH; i += 1) {
+    raw += CODE_ALPHABET[bytes[i] % CODE_ALPHABET.length];
+  }
+  const code = `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  return { code, codeHash: hashInviteCode(code) };
+};
+
+/**
+ * Email an invite code when the invite is addressed to someone
+ * @returns {Promise<{success: boolean, message: string}|null>} null when there is no email
+ */
+export const deliverInvite = async ({ invite, code, institution, inviter }) => {
+  if (!invite.email) return null;
+
+  const result = await sendWardenInviteEmail({
+    to: invite.email,
+    name: invite.name,
+    institutionName: institution.name,
+    inviterName: inviter?.name,
+    code,
+    expiresAt: invite.expiresAt,
+  });
+
+  if (result.success) {
+    await WardenInvite.updateOne(
+      { _id: invite._id },
+      { $set: { lastSentAt: new Date() }, $inc: { sendCount: 1 } }
+    );
+  }
+
+  return result;
+};
+
+/**
+ * Atomically claim a pending invite so it can only be used once
+ * @param {string} code - Invite code entered by the new warden
+ * @param {string} email - Normalized email of the new warden
+ * @returns {Promise<{invite?: object, error?: string}>}
+ */
+export const claimInvite = async (code, email) => {
+  const invite = await WardenInvite.findOne({ codeHash: hashInviteCode(code) });
+
+  if (!invite || invite.status === 'Revoked') {
+    return { error: 'Invalid invite code' };
+  }
+  if (invite.status === 'Accepted') {
+    return { error: 'This invite code has already been used' };
+  }
+  if (invite.expiresAt <= new Date()) {
+    return { error: 'This invite code has expired' };
+  }
+  if (invite.email && invite.email !== email) {
+    return { error: 'This invite was sent to a different email address' };
+  }
+
+  const claimed = await WardenInvite.findOneAndUpdate(
+    { _id: invite._id, status: 'Pending', expiresAt: { $gt: new Date() } },
+    { $set: { status: 'Accepted', acceptedAt: new Date() } },
+    { new: true }
+  );
+
+  if (!claimed) {
+    return { error: 'This invite code has already been used' };
+  }
+
+  return { invite: claimed };
+};
+
+/**
+ * Put a claimed invite back to pending (account creation failed after claiming)
+ */
+export const releaseInvite = async (inviteId) => {
+  await WardenInvite.updateOne(
+    { _id: inviteId, status: 'Accepted', acceptedBy: { $exists: false } },
+    { $set: { status: 'Pending' }, $unset: { acceptedAt: 1 } }
+  );
+};
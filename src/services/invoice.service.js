@@ -0,0 +1,241 @@
+import Fee from '../models/Fee.model.js';
+import Institution from '../models/Institution.model.js';
+import { buildStudentLedger } from './feeLedger.service.js';
+import { DEFAULT_NUMBERING, generateDocumentNumbers, generateInvoiceNumber, getFinancialYear } from '../utils/receiptNumber.js';
+import { DEFAULT_TIMEZONE } from '../config/notifications.js';
+import { getZonedDayBounds, getZonedParts, resolveTimezone, zonedTime } from '../utils/timezone.js';
+
+// Statement periods and financial years follow the institution's local calendar
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+const FINANCIAL_YEAR_PATTERN = /^(\d{4})(?:-(\d{2}))?$/;
+
+const roundAmount = (value) => Math.round(Number(value || 0) * 100) / 100;
+
+/**
+ * Split a GST-inclusive amount into taxable value and equal CGST/SGST halves
+ * @param {number} amount - Amount including GST
+ * @param {number} rate - Total GST rate in percent
+ * @returns {{taxable: number, cgst: number, sgst: number, tax: number}}
+ */
+export const splitGst = (amount, rate) => {
+  const total = roundAmount(amount);
+  const taxable = roundAmount((total * 100) / (100 + Number(rate || 0)));
+  const tax = roundAmount(total - taxable);
+  const cgst = roundAmount(tax / 2);
+  return { taxable, cgst, sgst: roundAmount(tax - cgst), tax };
+};
+
+/**
+ * Institution details printed on invoices and statements
+ * @param {string} institutionId
+ * @returns {Promise<object>}
+ */
+export const getBillingProfile = async (institutionId) => {
+  const institution = await Institution.findById(institutionId).select('name billing numbering timezone');
+  const billing = institution?.toObject().billing || {};
+
+  return {
+    name: billing.legalName || institution?.name || 'HostelEase',
+    address: billing.address || '',
+    phone: billing.phone || '',
+    email: billing.email || '',
+    gstin: billing.gstin || '',
+    gst: billing.gstEnabled
+      ? { rate: billing.gstRate ?? 18, sacCode: billing.sacCode || '' }
+      : null,
+    financialYearStartMonth:
+      institution?.toObject().numbering?.financialYearStartMonth || DEFAULT_NUMBERING.financialYearStartMonth,
+    timezone: resolveTimezone(institution),
+  };
+};
+
+/**
+ * Give a fee its invoice number if it has none yet. Called right after a fee is
+ * created; fees from before invoicing get theirs the first time the invoice is opened.
+ * @param {object} fee - Fee document
+ * @returns {Promise<object>} The same fee
+ */
+export const assignInvoiceNumber = async (fee) => {
+  if (fee.invoiceNumber) return fee;
+
+  const invoiceNumber = await generateInvoiceNumber(fee.institutionId, fee.createdAt || new Date());
+  const result = await Fee.updateOne(
+    { _id: fee._id, invoiceNumber: { $exists: false } },
+    { $set: { invoiceNumber } }
+  );
+
+  if (result.modifiedCount) {
+    fee.invoiceNumber = invoiceNumber;
+  } else {
+    // Someone else numbered it first
+    const current = await Fee.findById(fee._id).select('invoiceNumber');
+    fee.invoiceNumber = current?.invoiceNumber;
+  }
+  return fee;
+};
+
+/**
+ * Number a batch of newly created fees of one institution with a single block of invoice numbers
+ * @param {object[]} fees - Fee documents without invoice numbers
+ * @returns {Promise<void>}
+ */
+export const assignInvoiceNumbers = async (fees) => {
+  const unnumbered = fees.filter((fee) => !fee.invoiceNumber);
+  if (!unnumbered.length) return;
+
+  const numbers = await generateDocumentNumbers(unnumbered[0].institutionId, 'invoice', unnumbered.length);
+  await Fee.bulkWrite(
+    unnumbered.map((fee, index) => ({
+      updateOne: {
+        filter: { _id: fee._id, invoiceNumber: { $exists: false } },
+        update: { $set: { invoiceNumber: numbers[index] } },
+      },
+    }))
+  );
+  unnumbered.forEach((fee, index) => {
+    fee.invoiceNumber = numbers[index];
+  });
+};
+
+/**
+ * Link printed on invoices that takes the student or parent to the fee to pay it
+ */
+export const getPaymentLink = (fee) => {
+  const baseUrl = (process.env.FRONTEND_URL || 'http://localhost:5173').replace(/\/$/, '');
+  return `${baseUrl}/#/student/fees?feeId=${fee._id}`;
+};
+
+/**
+ * Everything an invoice PDF shows for one fee
+ * @param {object} fee - Fee document with studentId populated (userId for name/email)
+ * @param {object} billing - From getBillingProfile
+ * @returns {object}
+ */
+export const buildInvoice = (fee, billing) => {
+  const student = fee.studentId || {};
+  const lines = fee.components?.length
+    ? fee.components.map((component) => ({ name: component.name, amount: component.amount }))
+    : [{ name: fee.term, amount: fee.amount }];
+
+  return {
+    invoiceNumber: fee.invoiceNumber,
+    issuedAt: fee.createdAt,
+    dueDate: fee.nextDueDate || fee.dueDate,
+    term: fee.term,
+    institution: billing,
+    student: {
+      name: student.userId?.name || 'Student',
+      email: student.userId?.email || '',
+      rollNumber: student.rollNumber,
+      class: student.class,
+      room: student.room,
+    },
+    lines,
+    installments: (fee.installments || []).map((installment) => ({
+      label: installment.label,
+      amount: installment.amount,
+      dueDate: installment.dueDate,
+    })),
+    gst: billing.gst ? { ...billing.gst, ...splitGst(fee.amount, billing.gst.rate) } : null,
+    total: fee.amount,
+    amountPaid: fee.getAmountPaid(),
+    waived: fee.waivedAmount || 0,
+    balance: fee.balance,
+    status: fee.status,
+    paymentLink: fee.balance > 0 ? getPaymentLink(fee) : null,
+  };
+};
+
+// A YYYY-MM-DD day on the institution's clock, or null when it is not a real date
+const getLocalDay = (value, timeZone) => {
+  const match = DATE_PATTERN.exec(String(value));
+  if (!match) return null;
+  const [year, month, day] = match.slice(1).map(Number);
+  const start = zonedTime(timeZone, year, month, day);
+  const parts = getZonedParts(start, timeZone);
+  return parts.month === month && parts.day === day ? getZonedDayBounds(start, timeZone) : null;
+};
+
+/**
+ * Work out a statement period from ?financialYear=2026-27 or ?from=&to= (dates on
+ * the institution's calendar), defaulting to the current financial year
+ * @param {object} query
+ * @param {number} [startMonth] - First month of the financial year (1-12)
+ * @param {string} [timeZone] - Institution timezone
+ * @returns {{from: Date, to: Date, label: string}|{error: string}}
+ */
+export const resolveStatementPeriod = (
+  { from, to, financialYear } = {},
+  startMonth = DEFAULT_NUMBERING.financialYearStartMonth,
+  timeZone = DEFAULT_TIMEZONE
+) => {
+  if (from || to) {
+    const start = from ? getLocalDay(from, timeZone)?.start : null;
+    const end = to ? getLocalDay(to, timeZone)?.end : new Date();
+    if (start === undefined || end === undefined) {
+      return { error: 'from and to must be dates in YYYY-MM-DD format' };
+    }
+    if (start && start > end) {
+      return { error: 'from must be on or before to' };
+    }
+    return {
+      from: start || new Date(0),
+      to: end,
+      label: `${from || 'Opening'} to ${to || 'date'}`,
+    };
+  }
+
+  const year = financialYear || getFinancialYear(new Date(), startMonth, timeZone);
+  const match = FINANCIAL_YEAR_PATTERN.exec(String(year));
+  if (!match) {
+    return { error: 'financialYear must look like 2026-27' };
+  }
+  const startYear = Number(match[1]);
+  return {
+    from: zonedTime(timeZone, startYear, startMonth, 1),
+    to: new Date(zonedTime(timeZone, startYear + 1, startMonth, 1).getTime() - 1),
+    label: `Financial year ${year}`,
+  };
+};
+
+/**
+ * A student's fee statement for a period: opening balance, every invoice, payment,
+ * waiver and refund in the period, totals and the closing balance. With GST enabled
+ * the invoiced total is split into taxable value and tax.
+ * @param {object} params
+ * @param {string} params.studentId
+ * @param {string} params.institutionId
+ * @param {Date} params.from
+ * @param {Date} params.to
+ * @param {object} [params.billing] - From getBillingProfile
+ * @returns {Promise<object>}
+ */
+export const buildFeeStatement = async ({ studentId, institutionId, from, to, billing }) => {
+  const { entries } = await buildStudentLedger({ studentId, institutionId });
+
+  const before = entries.filter((entry) => new Date(entry.date) < from);
+  const inPeriod = entries.filter((entry) => new Date(entry.date) >= from && new Date(entry.date) <= to);
+  const openingBalance = before.length ? before[before.length - 1].balance : 0;
+  const closingBalance = inPeriod.length ? inPeriod[inPeriod.length - 1].balance : openingBalance;
+
+  const sum = (items, field) => roundAmount(items.reduce((total, entry) => total + entry[field], 0));
+  const invoices = inPeriod.filter((entry) => ['debit', 'penalty'].includes(entry.type));
+  const refunds = inPeriod.filter((entry) => entry.type === 'refund');
+  const payments = inPeriod.filter((entry) => entry.type === 'credit' && entry.paymentId);
+  const adjustments = inPeriod.filter((entry) => entry.type === 'credit' && !entry.paymentId);
+
+  const invoiced = sum(invoices, 'debit');
+
+  return {
+    openingBalance,
+    closingBalance,
+    entries: inPeriod,
+    totals: {
+      invoiced,
+      paid: sum(payments, 'credit'),
+      waivedOrSettled: sum(adjustments, 'credit'),
+      refunded: sum(refunds, 'debit'),
+    },
+    tax: billing?.gst ? { ...billing.gst, gstin: billing.gstin, ...splitGst(invoiced, billing.gst.rate) } : null,
+  };
+};
@@ -0,0 +1,108 @@
+import Fee from '../models/Fee.model.js';
+import Institution from '../models/Institution.model.js';
+import { OUTSTANDING_FEE_STATUSES, saveFeeChange } from './feeLedger.service.js';
+import { assignInvoiceNumber } from './invoice.service.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const roundAmount = (value) => Math.round(Number(value || 0) * 100) / 100;
+
+/**
+ * When a fee became overdue: its first unpaid installment, or the fee due date
+ * @returns {Date|null}
+ */
+const getOverdueSince = (fee) => {
+  if (fee.installments?.length) {
+    const unpaid = fee.installments
+      .filter((installment) => installment.amountPaid < installment.amount)
+      .sort((a, b) => a.dueDate - b.dueDate);
+    return unpaid[0]?.dueDate || null;
+  }
+  return fee.dueDate || null;
+};
+
+/**
+ * Work out the penalty for an overdue fee under an institution rule
+ * @param {object} rule - Institution.latePenalty
+ * @param {object} fee - Fee document
+ * @param {Date} now
+ * @returns {{amount: number, daysLate: number}|null} null when not (yet) penalised
+ */
+export const calculatePenalty = (rule, fee, now = new Date()) => {
+  const overdueSince = getOverdueSince(fee);
+  if (!overdueSince) return null;
+
+  const daysLate = Math.floor((now - new Date(overdueSince)) / DAY_MS) - (rule.graceDays || 0);
+  if (daysLate < 1) return null;
+
+  let amount = 0;
+  if (rule.type === 'flat') amount = rule.amount;
+  if (rule.type === 'percentage') amount = (fee.balance * rule.amount) / 100;
+  if (rule.type === 'perDay') amount = rule.amount * daysLate;
+
+  if (rule.cap !== undefined && rule.cap !== null) amount = Math.min(amount, rule.cap);
+  amount = roundAmount(amount);
+
+  return amount > 0 ? { amount, daysLate } : null;
+};
+
+/**
+ * Add (or grow, for per-day rules) a penalty line for every overdue fee
+ * in institutions that have late fees enabled. Waived penalties are left alone.
+ * @returns {Promise<{created: number, updated: number}>}
+ */
+export const applyLatePenalties = async (now = new Date()) => {
+  const result = { created: 0, updated: 0 };
+  const institutions = await Institution.find({ isActive: true, 'latePenalty.enabled': true });
+
+  for (const institution of institutions) {
+    const rule = institution.latePenalty;
+    const cutoff = new Date(now.getTime() - (rule.graceDays || 0) * DAY_MS);
+
+    const overdueFees = await Fee.find({
+      institutionId: institution._id,
+      category: { $ne: 'Penalty' },
+      status: { $in: OUTSTANDING_FEE_STATUSES },
+      $or: [{ dueDate: { $lt: cutoff } }, { 'installments.dueDate': { $lt: cutoff } }],
+    });
+
+    for (const fee of overdueFees) {
+      const penalty = calculatePenalty(rule, fee, now);
+      if (!penalty) continue;
+
+      try {
+        const existing = await Fee.findOne({ penaltyForFeeId: fee._id, category: 'Penalty' });
+
+        if (!existing) {
+          const penaltyFee = await Fee.create({
+            studentId: fee.studentId,
+            institutionId: fee.institutionId,
+            category: 'Penalty',
+            penaltyForFeeId: fee._id,
+            term: `Late fee - ${fee.term}`,
+            amount: penalty.amount,
+            penaltyDays: penalty.daysLate,
+            dueDate: now,
+          });
+          await assignInvoiceNumber(penaltyFee);
+          result.created += 1;
+        } else {
+          const updated = await saveFeeChange(existing, (current) => {
+            if (rule.type !== 'perDay' || current.waivedAt || penalty.amount <= current.amount) return false;
+            current.amount = penalty.amount;
+            current.penaltyDays = penalty.daysLate;
+            return true;
+          });
+          if (updated) result.updated += 1;
+        }
+      } catch (error) {
+        // Duplicate key means another run already created the line
+        if (error.code !== 11000) {
+          console.error(`❌ Failed to apply late fee for fee ${fee._id}:`, error.message || error);
+        }
+      }
+    }
+  }
+
+  return result;
+};
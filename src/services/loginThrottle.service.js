@@ -0,0 +1,78 @@
+import { getRateLimitStore } from '../utils/rateLimitStore.js';
+// Note: dotenv is loaded in server.js, process.env is available globally
+
+/**
+ * Progressive login lockouts.
+ * Failures are counted per account (institution + email) and per client IP.
+ * Each time a counter reaches its limit the key is locked, and every further
+ * lockout doubles in length up to LOGIN_LOCKOUT_MAX_SECONDS.
+ */
+
+const getConfig = () => ({
+  accountMaxFailures: Number(process.env.LOGIN_MAX_FAILURES || 5),
+  ipMaxFailures: Number(process.env.LOGIN_IP_MAX_FAILURES || 20),
+  baseLockSeconds: Number(process.env.LOGIN_LOCKOUT_BASE_SECONDS || 60),
+  maxLockSeconds: Number(process.env.LOGIN_LOCKOUT_MAX_SECONDS || 3600),
+});
+
+// Lockout history is remembered for a day so repeat offenders escalate
+const STATE_TTL_MS = 24 * 60 * 60 * 1000;
+
+const accountKey = (institutionName, email) =>
+  `login:account:${String(institutionName || '').trim().toLowerCase()}:${String(email || '').trim().toLowerCase()}`;
+
+const ipKey = (ip) => `login:ip:${ip}`;
+
+const getLockRemaining = async (key) => {
+  const state = await getRateLimitStore().get(key);
+  if (!state?.lockedUntil) return 0;
+  return Math.max((state.lockedUntil - Date.now()) / 1000, 0);
+};
+
+const registerFailure = async (key, maxFailures) => {
+  const store = getRateLimitStore();
+  const { baseLockSeconds, maxLockSeconds } = getConfig();
+  const state = (await store.get(key)) || { failures: 0, lockouts: 0, lockedUntil: 0 };
+
+  state.failures += 1;
+  if (state.failures >= maxFailures) {
+    state.lockouts += 1;
+    state.failures = 0;
+    const lockSeconds = Math.min(baseLockSeconds * 2 ** (state.lockouts - 1), maxLockSeconds);
+    state.lockedUntil = Date.now() + lockSeconds * 1000;
+  }
+
+  await store.set(key, state, STATE_TTL_MS);
+  return state;
+};
+
+/**
+ * Get the active lock for a login attempt, if any
+ * @returns {Promise<{retryAfter: number}|null>}
+ */
+export const getLoginLock = async ({ ip, email, institutionName }) => {
+  const remaining = Math.max(
+    await getLockRemaining(ipKey(ip)),
+    email ? await getLockRemaining(accountKey(institutionName, email)) : 0
+  );
+  return remaining > 0 ? { retryAfter: remaining } : null;
+};
+
+/**
+ * Count a failed login against the account and the client IP
+ */
+export const recordLoginFailure = async ({ ip, email, institutionName }) => {
+  const { accountMaxFailures, ipMaxFailures } = getConfig();
+  await registerFailure(ipKey(ip), ipMaxFailures);
+  if (email) {
+    await registerFailure(accountKey(institutionName, email), accountMaxFailures);
+  }
+};
+
+/**
+ * Clear the account's failure counter after a successful login.
+ * The IP counter is left alone: many students share one hostel network.
+ */
+export const clearLoginFailures = async ({ email, institutionName }) => {
+  await getRateLimitStore().delete(accountKey(institutionName, email));
+};
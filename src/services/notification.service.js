@@ -1,7 +1,16 @@
 import Notification from '../models/Notification.model.js';
+import DeferredNotification from '../models/DeferredNotification.model.js';
 import User from '../models/User.model.js';
+import Student from '../models/Student.model.js';
+import Parent from '../models/Parent.model.js';
 import { getIO } from '../utils/socket.js';
+import { sendNotificationEmail } from '../utils/emailService.js';
 import { sendPushNotification } from './pushNotification.service.js';
+import { sendSms } from './sms.service.js';
+import { planNotificationDelivery } from './notificationPreference.service.js';
+
+const RECIPIENT_FIELDS = 'name email role institutionId expoPushToken notificationPreferences';
+const DEFERRED_BATCH_SIZE = 500;
 
 const resolveNavigationMeta = ({ type, referenceId, pushData = {}, navigation = {} }) => {
   const fallbackTargetId =
@@ -36,6 +45,53 @@ const emitNotification = (io, user, eventName, payload) => {
   io.to(`user_${userId}`).emit(eventName, payload);
 };
 
+// Phone number for SMS: students and parents keep theirs on their profile
+const getUserPhone = async (user) => {
+  if (user.role === 'student') {
+    return (await Student.findOne({ userId: user._id }).select('phone'))?.phone || null;
+  }
+  if (user.role === 'parent') {
+    return (await Parent.findOne({ userId: user._id, phone: { $nin: [null, ''] } }).select('phone'))?.phone || null;
+  }
+  return null;
+};
+
+// Send on the push, email and SMS channels. Each sender logs its own failures.
+const deliverOutsideApp = async (user, channels, { type, title, message, referenceId, pushData = {}, navigation }) => {
+  if (channels.includes('push')) {
+    await sendPushNotification(user.expoPushToken, title, message, {
+      title,
+      message,
+      type,
+      targetId: navigation.targetId,
+      screen: navigation.screen,
+      params: navigation.params,
+      referenceId: referenceId ? String(referenceId) : undefined,
+      ...pushData,
+    });
+  }
+
+  if (channels.includes('email') && user.email) {
+    await sendNotificationEmail({ to: user.email, name: user.name, title, message });
+  }
+
+  if (channels.includes('sms')) {
+    const phone = await getUserPhone(user);
+    if (phone) await sendSms(phone, `${title}: ${message}`);
+  }
+};
+
+/**
+ * Notify a user on the channels they chose for this type of notification.
+ * During their quiet hours push, email and SMS are held until the quiet hours
+ * end; the in-app notification is still created. Critical alerts (e.g. an
+ * overdue return) skip the preferences and quiet hours.
+ * @param {object} params
+ * @param {boolean} [params.critical]
+ * @param {string[]} [params.channels] - Only use these channels, e.g. when the caller emails separately
+ * @param {Date} [params.now] - Time the quiet hours are checked against
+ * @returns {Promise<object|null>} The in-app notification, if one was created
+ */
 export const notifyUser = async ({
   institutionId,
   userId,
@@ -47,8 +103,11 @@ export const notifyUser = async ({
   socketPayload = {},
   pushData = {},
   navigation = {},
+  critical = false,
+  channels,
+  now = new Date(),
 }) => {
-  const user = await User.findById(userId).select('role expoPushToken');
+  const user = await User.findById(userId).select(RECIPIENT_FIELDS);
   if (!user) return null;
 
   const navigationMeta = resolveNavigationMeta({
@@ -58,36 +117,47 @@ export const notifyUser = async ({
     navigation,
   });
 
-  console.log('[notification] Sending notification to user:', user._id, '| role:', user.role, '| title:', title);
+  const delivery = await planNotificationDelivery(user, { type, critical, channels, now });
 
-  const notification = await Notification.create({
-    institutionId,
-    userId,
-    type,
-    title,
-    message,
-    referenceId,
-    relatedId: referenceId,
-    navigation: navigationMeta,
-    isRead: false,
-  });
+  console.log(
+    '[notification] Sending notification to user:', user._id, '| role:', user.role, '| title:', title,
+    '| channels:', delivery.immediate.join(',') || 'none', delivery.deferred.length ? `| deferred: ${delivery.deferred.join(',')}` : ''
+  );
 
-  const io = getIO();
-  emitNotification(io, user, socketEvent, {
-    ...socketPayload,
-    notification,
-  });
+  let notification = null;
+  if (delivery.immediate.includes('inApp')) {
+    notification = await Notification.create({
+      institutionId,
+      userId,
+      type,
+      title,
+      message,
+      referenceId,
+      relatedId: referenceId,
+      navigation: navigationMeta,
+      isRead: false,
+    });
+
+    const io = getIO();
+    emitNotification(io, user, socketEvent, {
+      ...socketPayload,
+      notification,
+    });
+  }
+
+  const content = { type, title, message, referenceId, pushData, navigation: navigationMeta };
+  await deliverOutsideApp(user, delivery.immediate, content);
+
+  if (delivery.deferred.length) {
+    await DeferredNotification.create({
+      institutionId,
+      userId,
+      ...content,
+      channels: delivery.deferred,
+      deliverAt: delivery.deliverAt,
+    });
+  }
 
-  await sendPushNotification(user.expoPushToken, title, message, {
-    title,
-    message,
-    type,
-    targetId: navigationMeta.targetId,
-    screen: navigationMeta.screen,
-    params: navigationMeta.params,
-    referenceId: referenceId ? String(referenceId) : undefined,
-    ...pushData,
-  });
   return notification;
 };
 
@@ -105,3 +175,28 @@ export const notifyUsers = async (notifications) => {
 
   return created;
 };
+
+/**
+ * Send notifications held back during quiet hours whose quiet hours have ended
+ * @returns {Promise<number>} Notifications delivered
+ */
+export const deliverDeferredNotifications = async (now = new Date()) => {
+  let delivered = 0;
+
+  for (let count = 0; count < DEFERRED_BATCH_SIZE; count += 1) {
+    // Remove before sending so overlapping runs never deliver twice
+    const deferred = await DeferredNotification.findOneAndDelete(
+      { deliverAt: { $lte: now } },
+      { sort: { deliverAt: 1 } }
+    );
+    if (!deferred) break;
+
+    const user = await User.findById(deferred.userId).select(RECIPIENT_FIELDS);
+    if (!user) continue;
+
+    await deliverOutsideApp(user, deferred.channels, deferred);
+    delivered += 1;
+  }
+
+  return delivered;
+};
@@ -0,0 +1,164 @@
+import Institution from '../models/Institution.model.js';
+import {
+  DEFAULT_CHANNELS,
+  DEFAULT_QUIET_HOURS,
+  DEFERRABLE_CHANNELS,
+  NOTIFICATION_CHANNELS,
+  NOTIFICATION_TYPES,
+} from '../config/notifications.js';
+import { getZonedParts, resolveTimezone } from '../utils/timezone.js';
+
+const TIME_OF_DAY = /^([01]\d|2[0-3]):[0-5]\d$/;
+const MINUTES_PER_DAY = 24 * 60;
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Minutes past midnight on the wall clock of a timezone
+const localMinutes = (date, timeZone) => {
+  const { hour, minute } = getZonedParts(date, timeZone);
+  return hour * 60 + minute;
+};
+
+/**
+ * Timezone for an institution's local-time rules, DEFAULT_TIMEZONE when it has none
+ * @returns {Promise<string>}
+ */
+export const getInstitutionTimezone = async (institutionId) =>
+  resolveTimezone(await Institution.findById(institutionId).select('timezone'));
+
+/**
+ * A user's preferences with defaults filled in for every type and channel
+ * @returns {{channels: Object<string, {inApp: boolean, push: boolean, email: boolean, sms: boolean}>, quietHours: {enabled: boolean, start: string, end: string}}}
+ */
+export const getNotificationPreferences = (user) => {
+  const stored = user.notificationPreferences || {};
+  const saved = stored.channels instanceof Map ? stored.channels : new Map(Object.entries(stored.channels || {}));
+
+  return {
+    channels: Object.fromEntries(
+      NOTIFICATION_TYPES.map((type) => [
+        type,
+        Object.fromEntries(
+          NOTIFICATION_CHANNELS.map((channel) => {
+            const value = saved.get(type)?.[channel];
+            return [channel, typeof value === 'boolean' ? value : DEFAULT_CHANNELS[channel]];
+          })
+        ),
+      ])
+    ),
+    quietHours: {
+      enabled: stored.quietHours?.enabled ?? DEFAULT_QUIET_HOURS.enabled,
+      start: stored.quietHours?.start || DEFAULT_QUIET_HOURS.start,
+      end: stored.quietHours?.end || DEFAULT_QUIET_HOURS.end,
+    },
+  };
+};
+
+/**
+ * Validate a preferences update. Only the types, channels and quiet-hour fields
+ * sent are changed.
+ * @param {object} body - { channels: { menu: { push: false } }, quietHours: { enabled, start, end } }
+ * @returns {{updates: object}|{error: string}} MongoDB $set paths
+ */
+export const parsePreferenceUpdate = ({ channels, quietHours } = {}) => {
+  const updates = {};
+
+  if (channels !== undefined) {
+    if (!channels || typeof channels !== 'object' || Array.isArray(channels)) {
+      return { error: 'channels must map notification types to { inApp, push, email, sms }' };
+    }
+    for (const [type, values] of Object.entries(channels)) {
+      if (!NOTIFICATION_TYPES.includes(type)) {
+        return { error: `Unknown notification type "${type}". Must be one of: ${NOTIFICATION_TYPES.join(', ')}` };
+      }
+      if (!values || typeof values !== 'object') {
+        return { error: `channels.${type} must be an object of channel switches` };
+      }
+      for (const [channel, enabled] of Object.entries(values)) {
+        if (!NOTIFICATION_CHANNELS.includes(channel)) {
+          return { error: `Unknown channel "${channel}". Must be one of: ${NOTIFICATION_CHANNELS.join(', ')}` };
+        }
+        if (typeof enabled !== 'boolean') {
+          return { error: `channels.${type}.${channel} must be true or false` };
+        }
+        updates[`notificationPreferences.channels.${type}.${channel}`] = enabled;
+      }
+    }
+  }
+
+  if (quietHours !== undefined) {
+    if (!quietHours || typeof quietHours !== 'object') {
+      return { error: 'quietHours must be { enabled, start, end }' };
+    }
+    if (quietHours.enabled !== undefined) {
+      if (typeof quietHours.enabled !== 'boolean') {
+        return { error: 'quietHours.enabled must be true or false' };
+      }
+      updates['notificationPreferences.quietHours.enabled'] = quietHours.enabled;
+    }
+    for (const field of ['start', 'end']) {
+      if (quietHours[field] === undefined) continue;
+      if (!TIME_OF_DAY.test(String(quietHours[field]))) {
+        return { error: `quietHours.${field} must be a time like 22:00` };
+      }
+      updates[`notificationPreferences.quietHours.${field}`] = quietHours[field];
+    }
+  }
+
+  return { updates };
+};
+
+/**
+ * When the quiet hours around `now` end, or null if `now` is outside them.
+ * Windows may run past midnight (22:00-07:00).
+ */
+export const getQuietHoursEnd = (quietHours, timeZone, now = new Date()) => {
+  if (!quietHours.enabled || quietHours.start === quietHours.end) return null;
+
+  const current = localMinutes(now, timeZone);
+  const start = toMinutes(quietHours.start);
+  const end = toMinutes(quietHours.end);
+  const inside = start < end ? current >= start && current < end : current >= start || current < end;
+  if (!inside) return null;
+
+  const endsAt = new Date(now.getTime() + ((end - current + MINUTES_PER_DAY) % MINUTES_PER_DAY) * 60000);
+  endsAt.setSeconds(0, 0);
+  return endsAt;
+};
+
+/**
+ * Decide which channels a notification goes out on now and which wait for the
+ * end of quiet hours. Critical alerts use every channel immediately, whatever
+ * the user chose.
+ * @param {object} user - With notificationPreferences and institutionId
+ * @param {object} options
+ * @param {string} options.type - Notification type
+ * @param {boolean} [options.critical]
+ * @param {string[]} [options.channels] - Only consider these channels
+ * @returns {Promise<{immediate: string[], deferred: string[], deliverAt: Date|null}>}
+ */
+export const planNotificationDelivery = async (user, { type, critical = false, channels: allowed, now = new Date() }) => {
+  const preferences = getNotificationPreferences(user);
+  const wanted = preferences.channels[type] || DEFAULT_CHANNELS;
+
+  const channels = NOTIFICATION_CHANNELS.filter(
+    (channel) => (critical || wanted[channel]) && (!allowed || allowed.includes(channel))
+  );
+  if (critical || !preferences.quietHours.enabled) {
+    return { immediate: channels, deferred: [], deliverAt: null };
+  }
+
+  const deliverAt = getQuietHoursEnd(preferences.quietHours, await getInstitutionTimezone(user.institutionId), now);
+  if (!deliverAt) {
+    return { immediate: channels, deferred: [], deliverAt: null };
+  }
+
+  return {
+    immediate: channels.filter((channel) => !DEFERRABLE_CHANNELS.includes(channel)),
+    deferred: channels.filter((channel) => DEFERRABLE_CHANNELS.includes(channel)),
+    deliverAt,
+  };
+};
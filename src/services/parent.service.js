@@ -0,0 +1,65 @@
+import mongoose from 'mongoose';
+import Parent from '../models/Parent.model.js';
+
+/**
+ * A parent account has one Parent record per linked child. These helpers pick
+ * the child a request is about.
+ */
+
+/**
+ * All children linked to a parent user, oldest link first
+ * @returns {Promise<object[]>} Parent records
+ */
+export const getParentLinks = (parentUserId, institutionId) =>
+  Parent.find({ userId: parentUserId, institutionId }).sort({ createdAt: 1 });
+
+/**
+ * IDs of every student linked to a parent user
+ * @returns {Promise<mongoose.Types.ObjectId[]>}
+ */
+export const getParentStudentIds = async (parentUserId, institutionId) =>
+  (await getParentLinks(parentUserId, institutionId)).map((link) => link.studentId);
+
+/**
+ * Pick one linked child for a parent. With a single child the studentId may be
+ * omitted; with several the caller must choose, and the linked IDs are returned
+ * so the client can show a selector.
+ * @param {object} params
+ * @param {string} params.parentUserId
+ * @param {string} params.institutionId
+ * @param {string} [params.studentId] - Child chosen by the client
+ * @returns {Promise<{parent: object, studentId: object}|{status: number, message: string, children?: string[]}>}
+ */
+export const resolveParentLink = async ({ parentUserId, institutionId, studentId }) => {
+  const links = await getParentLinks(parentUserId, institutionId);
+  if (!links.length) {
+    return { status: 404, message: 'No child linked to this parent account' };
+  }
+
+  if (studentId) {
+    if (!mongoose.Types.ObjectId.isValid(studentId)) {
+      return { status: 400, message: 'Invalid studentId' };
+    }
+    const link = links.find((item) => String(item.studentId) === String(studentId));
+    if (!link) {
+      return { status: 403, message: 'This student is not linked to this parent account' };
+    }
+    return { parent: link, studentId: link.studentId };
+  }
+
+  if (links.length > 1) {
+    return {
+      status: 400,
+      message: 'Several children are linked to this account. Choose one with studentId.',
+      children: links.map((link) => String(link.studentId)),
+    };
+  }
+
+  return { parent: links[0], studentId: links[0].studentId };
+};
+
+/**
+ * resolveParentLink for the logged-in parent
+ */
+export const resolveParentChild = (user, studentId) =>
+  resolveParentLink({ parentUserId: user._id, institutionId: user.institutionId, studentId });
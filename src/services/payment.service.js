@@ -0,0 +1,186 @@
+import Razorpay from 'razorpay';
+import Payment from '../models/Payment.model.js';
+import Parent from '../models/Parent.model.js';
+import Student from '../models/Student.model.js';
+import { applyPaymentToFees, SETTLED_PAYMENT_STATUSES } from './feeLedger.service.js';
+import { generateReceiptNumber } from '../utils/receiptNumber.js';
+import { sendPaymentReceiptEmail } from '../utils/emailService.js';
+
+/**
+ * Razorpay API client, or null when keys are not configured
+ */
+export const getRazorpayClient = () => {
+  if (!process.env.RAZORPAY_KEY_ID || !process.env.RAZORPAY_KEY_SECRET) {
+    return null;
+  }
+  return new Razorpay({
+    key_id: process.env.RAZORPAY_KEY_ID,
+    key_secret: process.env.RAZORPAY_KEY_SECRET,
+  });
+};
+
+/**
+ * Receipt line items from a payment's allocations
+ */
+export const toReceiptItems = (payment) => {
+  const items = (payment.allocations || []).map((allocation) => ({ term: allocation.term, amount: allocation.amount }));
+  if (payment.unallocatedAmount > 0) {
+    items.push({ term: 'Advance (credit)', amount: payment.unallocatedAmount });
+  }
+  return items;
+};
+
+/**
+ * Email the receipt to the student and every linked parent. Failures are logged, never thrown.
+ */
+export const sendReceiptEmails = async (payment, paidAt = new Date()) => {
+  const [student, parents] = await Promise.all([
+    Student.findOne({ _id: payment.studentId, institutionId: payment.institutionId }).populate('userId', 'name email'),
+    Parent.find({ studentId: payment.studentId, institutionId: payment.institutionId }).populate('userId', 'email name'),
+  ]);
+
+  const receiptPayload = {
+    receiptNumber: payment.receiptNumber,
+    studentName: student?.userId?.name,
+    studentEmail: student?.userId?.email,
+    amount: payment.amount,
+    paidAt,
+    method: payment.method,
+    items: toReceiptItems(payment),
+  };
+
+  const recipients = [
+    { to: student?.userId?.email, label: 'student' },
+    ...parents.map((parent) => ({ to: parent.userId?.email, label: 'parent' })),
+  ];
+  recipients
+    .filter((recipient) => recipient.to)
+    .forEach(({ to, label }) => {
+      sendPaymentReceiptEmail({ to, ...receiptPayload }).catch((err) => {
+        console.error(`❌ Failed to send receipt to ${label}:`, err.message || err);
+      });
+    });
+};
+
+/**
+ * Mark a payment as verified and credit it to the student's fees.
+ * This is the only path that turns money into fee credit: the gateway
+ * (Razorpay verify) and staff (offline payments, approved claims) both end here.
+ * @param {object} payment - Payment document, not yet Completed
+ * @param {object} options
+ * @param {string} options.source - Gateway | Staff
+ * @param {string} options.paidBy - student | parent | warden (stored on the fees)
+ * @param {string} options.paidByUserId
+ * @param {string} [options.verifiedBy] - Staff member who recorded or approved it
+ * @param {Date} [options.paidAt]
+ * @param {boolean} [options.notify=true] - Email the receipt to the student and parent
+ * @returns {Promise<object>} The saved payment
+ */
+export const completeVerifiedPayment = async (
+  payment,
+  { source, paidBy, paidByUserId, verifiedBy, paidAt = new Date(), notify = true }
+) => {
+  await applyPaymentToFees(payment, { paidBy, paidByUserId }, paidAt);
+
+  payment.status = 'Completed';
+  payment.verificationStatus = 'Verified';
+  payment.verificationSource = source;
+  payment.verifiedAt = paidAt;
+  if (verifiedBy) payment.verifiedBy = verifiedBy;
+  // Numbered last so a failure above does not leave a gap in the receipt series
+  if (!payment.receiptNumber) payment.receiptNumber = await generateReceiptNumber(payment.institutionId, paidAt);
+  await payment.save();
+
+  if (notify) {
+    sendReceiptEmails(payment, paidAt).catch((err) => {
+      console.error('❌ Failed to send payment receipts:', err.message || err);
+    });
+  }
+
+  return payment;
+};
+
+/**
+ * Atomically take an unverified offline claim off the reconciliation queue
+ * so two staff members cannot approve (or reject) the same claim.
+ * @returns {Promise<object|null>} The claim, or null if it was already handled
+ */
+export const takeClaimForReview = (paymentId, institutionId, update) =>
+  Payment.findOneAndUpdate(
+    { _id: paymentId, institutionId, gateway: 'Manual', status: 'Pending', verificationStatus: 'Unverified' },
+    { $set: update },
+    { new: true }
+  );
+
+/**
+ * Credit a captured Razorpay payment. Shared by the client verify call and the
+ * payment.captured webhook, so whichever arrives second finds the work done.
+ * A parent paying for several children in one checkout has one payment per
+ * child on the same order; each is credited to its own child's fees.
+ * @param {object} params
+ * @param {string} params.razorpayOrderId
+ * @param {string} params.razorpayPaymentId
+ * @param {string} [params.razorpaySignature] - Checkout signature (verify only)
+ * @param {string} [params.institutionId] - Scope the lookup (verify only)
+ * @param {object} [params.payer] - { paidBy, paidByUserId }; defaults to who created the order
+ * @returns {Promise<{payment: object|null, payments: object[], alreadyProcessed: boolean}>}
+ *          `payment` is the first payment on the order, `payments` all of them
+ */
+export const settleRazorpayPayment = async ({ razorpayOrderId, razorpayPaymentId, razorpaySignature, institutionId, payer }) => {
+  const scope = { razorpayOrderId, gateway: 'Razorpay' };
+  if (institutionId) scope.institutionId = institutionId;
+
+  let settledCount = 0;
+  for (;;) {
+    // Flip to Verified first so a concurrent verify/webhook cannot credit the fees again
+    const payment = await Payment.findOneAndUpdate(
+      { ...scope, status: { $in: ['Pending', 'Failed'] }, verificationStatus: 'Unverified' },
+      {
+        $set: {
+          verificationStatus: 'Verified',
+          razorpayPaymentId,
+          transactionId: razorpayPaymentId,
+          ...(razorpaySignature ? { razorpaySignature } : {}),
+        },
+      },
+      { new: true, sort: { createdAt: 1 } }
+    );
+    if (!payment) break;
+
+    try {
+      await completeVerifiedPayment(payment, {
+        source: 'Gateway',
+        paidBy: payer?.paidBy || payment.payerType,
+        paidByUserId: payer?.paidByUserId || payment.payerUserId,
+      });
+    } catch (error) {
+      // Reopen for the next verify call or webhook retry. Fee credit already saved is
+      // recorded against this payment, so the retry resumes it instead of crediting twice.
+      await Payment.updateOne({ _id: payment._id, status: { $ne: 'Completed' } }, { $set: { verificationStatus: 'Unverified' } });
+      throw error;
+    }
+    settledCount += 1;
+  }
+
+  const payments = await Payment.find(scope).sort({ createdAt: 1 });
+  return {
+    payment: payments[0] || null,
+    payments,
+    alreadyProcessed:
+      settledCount === 0 && payments.length > 0 && payments.every((item) => SETTLED_PAYMENT_STATUSES.includes(item.status)),
+  };
+};
+
+/**
+ * Record a failed checkout attempt on every payment of the order. A later
+ * successful attempt on the same order can still complete them.
+ * @returns {Promise<object|null>} The first payment, or null if none was waiting
+ */
+export const markRazorpayPaymentFailed = async ({ razorpayOrderId, razorpayPaymentId, reason }) => {
+  const { modifiedCount } = await Payment.updateMany(
+    { razorpayOrderId, gateway: 'Razorpay', status: 'Pending', verificationStatus: 'Unverified' },
+    { $set: { status: 'Failed', razorpayPaymentId, failureReason: reason } }
+  );
+  if (!modifiedCount) return null;
+  return Payment.findOne({ razorpayOrderId, gateway: 'Razorpay' }).sort({ createdAt: 1 });
+};
@@ -0,0 +1,150 @@
+import crypto from 'crypto';
+import WebhookEvent from '../models/WebhookEvent.model.js';
+import Payment from '../models/Payment.model.js';
+import { settleRazorpayPayment, markRazorpayPaymentFailed } from './payment.service.js';
+import { recordGatewayRefund } from './refund.service.js';
+
+const toRupees = (paise) => Math.round(Number(paise || 0)) / 100;
+
+/**
+ * Constant-time check of a hex HMAC-SHA256 signature
+ * @param {string|Buffer} payload - Exactly what was signed (raw body for webhooks)
+ * @param {string} signature - Hex signature from Razorpay
+ * @param {string} secret
+ * @returns {boolean}
+ */
+export const isValidSignature = (payload, signature, secret) => {
+  if (!secret || typeof signature !== 'string') return false;
+  const expected = crypto.createHmac('sha256', secret).update(payload).digest('hex');
+  const given = Buffer.from(signature, 'utf8');
+  const wanted = Buffer.from(expected, 'utf8');
+  return given.length === wanted.length && crypto.timingSafeEqual(given, wanted);
+};
+
+/**
+ * Apply one Razorpay event to our records
+ * @returns {Promise<{status: string, message: string, payment: object|null, razorpayPaymentId: string|undefined}>}
+ */
+const applyEvent = async (body) => {
+  const paymentEntity = body.payload?.payment?.entity;
+  const refundEntity = body.payload?.refund?.entity;
+
+  switch (body.event) {
+    case 'payment.captured': {
+      if (!paymentEntity?.order_id) {
+        return { status: 'Ignored', message: 'Payment is not linked to an order', razorpayPaymentId: paymentEntity?.id };
+      }
+
+      // One payment per child when a parent paid for several children at once
+      const pending = await Payment.find({ razorpayOrderId: paymentEntity.order_id, gateway: 'Razorpay' }).sort({
+        createdAt: 1,
+      });
+      if (!pending.length) {
+        return { status: 'Ignored', message: 'No payment found for this order', razorpayPaymentId: paymentEntity.id };
+      }
+      const orderAmount = pending.reduce((sum, item) => sum + Math.round(item.amount * 100), 0);
+      if (pending.some((item) => item.verificationStatus !== 'Verified') && orderAmount !== Number(paymentEntity.amount)) {
+        return {
+          status: 'Ignored',
+          message: `Captured ₹${toRupees(paymentEntity.amount)} does not match the order amount ₹${toRupees(orderAmount)}; left for review`,
+          payment: pending[0],
+          razorpayPaymentId: paymentEntity.id,
+        };
+      }
+
+      const { payment, alreadyProcessed } = await settleRazorpayPayment({
+        razorpayOrderId: paymentEntity.order_id,
+        razorpayPaymentId: paymentEntity.id,
+      });
+      return {
+        status: alreadyProcessed ? 'Duplicate' : 'Processed',
+        message: alreadyProcessed ? 'Payment was already completed' : 'Payment completed',
+        payment,
+        razorpayPaymentId: paymentEntity.id,
+      };
+    }
+
+    case 'payment.failed': {
+      const payment = await markRazorpayPaymentFailed({
+        razorpayOrderId: paymentEntity?.order_id,
+        razorpayPaymentId: paymentEntity?.id,
+        reason: paymentEntity?.error_description || paymentEntity?.error_code,
+      });
+      return {
+        status: payment ? 'Processed' : 'Ignored',
+        message: payment ? 'Payment marked as failed' : 'No pending payment for this order',
+        payment,
+        razorpayPaymentId: paymentEntity?.id,
+      };
+    }
+
+    case 'refund.processed': {
+      if (!refundEntity?.payment_id) {
+        return { status: 'Ignored', message: 'Refund is not linked to a payment' };
+      }
+      const { payment, alreadyProcessed } = await recordGatewayRefund({
+        razorpayPaymentId: refundEntity.payment_id,
+        refundId: refundEntity.id,
+        receipt: refundEntity.receipt,
+        amount: toRupees(refundEntity.amount),
+      });
+      if (!payment) {
+        return { status: 'Ignored', message: 'No payment found for this refund', razorpayPaymentId: refundEntity.payment_id };
+      }
+      return {
+        status: alreadyProcessed ? 'Duplicate' : 'Processed',
+        message: alreadyProcessed ? 'Refund was already recorded' : 'Refund recorded',
+        payment,
+        razorpayPaymentId: refundEntity.payment_id,
+      };
+    }
+
+    default:
+      return { status: 'Ignored', message: `Unhandled event ${body.event}` };
+  }
+};
+
+/**
+ * Process a verified Razorpay webhook body. Redelivered events (same event ID)
+ * are acknowledged without being applied again; failed ones are retried.
+ * Callable directly with a recorded fixture.
+ * @param {object} body - Parsed webhook JSON
+ * @param {string} [eventId] - x-razorpay-event-id header
+ * @returns {Promise<{status: string, message: string}>}
+ */
+export const processRazorpayWebhook = async (body, eventId) => {
+  const paymentEntity = body?.payload?.payment?.entity;
+  const refundEntity = body?.payload?.refund?.entity;
+  // Older deliveries have no event ID header; fall back to a stable key per payment and event
+  const key = eventId || `${body?.event}:${refundEntity?.id || paymentEntity?.id}:${body?.created_at}`;
+
+  const seen = await WebhookEvent.findOne({ provider: 'razorpay', eventId: key });
+  if (seen && seen.status !== 'Failed') {
+    return { status: 'Duplicate', message: 'Event already received' };
+  }
+
+  let result;
+  try {
+    result = await applyEvent(body);
+  } catch (error) {
+    result = { status: 'Failed', message: error.message || 'Processing failed' };
+  }
+
+  await WebhookEvent.findOneAndUpdate(
+    { provider: 'razorpay', eventId: key },
+    {
+      $set: {
+        event: body.event,
+        status: result.status,
+        message: result.message,
+        institutionId: result.payment?.institutionId,
+        paymentId: result.payment?._id,
+        razorpayPaymentId: result.razorpayPaymentId || paymentEntity?.id || refundEntity?.payment_id,
+        payload: body,
+      },
+    },
+    { upsert: true }
+  );
+
+  return { status: result.status, message: result.message };
+};
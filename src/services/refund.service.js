@@ -0,0 +1,390 @@
+import Fee from '../models/Fee.model.js';
+import Payment from '../models/Payment.model.js';
+import Refund from '../models/Refund.model.js';
+import { getOutstandingSummary, reverseAllocations, SETTLED_PAYMENT_STATUSES } from './feeLedger.service.js';
+import { completeVerifiedPayment, getRazorpayClient } from './payment.service.js';
+import { assignInvoiceNumber } from './invoice.service.js';
+import { generateRefundNumber } from '../utils/receiptNumber.js';
+
+export const REFUND_METHODS = ['Razorpay', 'Cash', 'Cheque', 'BankTransfer'];
+
+const roundAmount = (value) => Math.round(Number(value || 0) * 100) / 100;
+
+/**
+ * Refunded / PartiallyRefunded / Completed from how much of a payment went back
+ */
+const refundStatusFor = (payment) => {
+  if (payment.refundedAmount >= payment.amount) return 'Refunded';
+  if (payment.refundedAmount > 0) return 'PartiallyRefunded';
+  return 'Completed';
+};
+
+/**
+ * Reserve part of a payment for a refund so two refunds can never exceed what was paid
+ * @returns {Promise<object|null>} The updated payment, or null if not enough is left
+ */
+const reserveRefund = async (paymentId, amount, razorpayRefundId) => {
+  const filter = {
+    _id: paymentId,
+    status: { $in: SETTLED_PAYMENT_STATUSES },
+    $expr: { $lte: [{ $add: [{ $ifNull: ['$refundedAmount', 0] }, amount] }, '$amount'] },
+  };
+  if (razorpayRefundId) filter.razorpayRefundIds = { $ne: razorpayRefundId };
+
+  const update = { $inc: { refundedAmount: amount } };
+  if (razorpayRefundId) update.$push = { razorpayRefundIds: razorpayRefundId };
+
+  const payment = await Payment.findOneAndUpdate(filter, update, { new: true });
+  if (!payment) return null;
+
+  payment.status = refundStatusFor(payment);
+  await payment.save();
+  return payment;
+};
+
+const releaseRefund = async (paymentId, amount) => {
+  const payment = await Payment.findByIdAndUpdate(paymentId, { $inc: { refundedAmount: -amount } }, { new: true });
+  if (payment) {
+    payment.status = refundStatusFor(payment);
+    await payment.save();
+  }
+};
+
+/**
+ * Send a saved Pending refund through Razorpay. The refund number goes out as the
+ * receipt, so a refund.processed webhook that beats this response still finds it.
+ * On failure the reserved amount is released and the refund marked Failed.
+ * @returns {Promise<{error?: string}>}
+ */
+const sendGatewayRefund = async (refund, payment) => {
+  try {
+    const razorpay = getRazorpayClient();
+    if (!razorpay) throw new Error('Razorpay is not configured');
+    if (!payment.razorpayPaymentId) throw new Error('This payment was not made through Razorpay');
+
+    const gatewayRefund = await razorpay.payments.refund(payment.razorpayPaymentId, {
+      amount: Math.round(refund.amount * 100),
+      receipt: refund.refundNumber,
+      notes: { reason: refund.reason || 'Refund' },
+    });
+
+    await Payment.updateOne({ _id: payment._id }, { $addToSet: { razorpayRefundIds: gatewayRefund.id } });
+    await Refund.updateOne({ _id: refund._id }, { $set: { razorpayRefundId: gatewayRefund.id } });
+    if (gatewayRefund.status === 'processed') {
+      // The webhook may already have marked it processed
+      await Refund.updateOne({ _id: refund._id, status: 'Pending' }, { $set: { status: 'Processed', processedAt: new Date() } });
+    }
+    return {};
+  } catch (error) {
+    const message = error.error?.description || error.message || 'Razorpay refund failed';
+    await releaseRefund(payment._id, refund.amount);
+    await Refund.updateOne({ _id: refund._id }, { $set: { status: 'Failed', failureReason: message } });
+    return { error: message };
+  }
+};
+
+/**
+ * How much a payment can still refund
+ */
+export const getRefundableAmount = (payment) => roundAmount(payment.amount - (payment.refundedAmount || 0));
+
+/**
+ * Refund (part of) a completed payment. Fee credit from the payment is taken back,
+ * so the refunded fees show as due again.
+ * @param {object} payment - Payment document
+ * @param {object} options
+ * @param {number} options.amount
+ * @param {string} options.method - Razorpay | Cash | Cheque | BankTransfer
+ * @param {string} [options.reason]
+ * @param {string} [options.reference] - Cheque number / UTR for manual refunds
+ * @param {string} options.createdBy - Staff member
+ * @returns {Promise<{refund?: object, error?: string}>}
+ */
+export const refundPayment = async (payment, { amount, method, reason, reference, createdBy }) => {
+  const refundAmount = roundAmount(amount);
+  if (refundAmount <= 0) return { error: 'Refund amount must be greater than zero' };
+  if (refundAmount > getRefundableAmount(payment)) {
+    return { error: `Only ₹${getRefundableAmount(payment)} of this payment can still be refunded` };
+  }
+  if (method === 'Razorpay' && payment.gateway !== 'Razorpay') {
+    return { error: 'Only Razorpay payments can be refunded through Razorpay' };
+  }
+
+  const reserved = await reserveRefund(payment._id, refundAmount);
+  if (!reserved) return { error: 'This payment has already been refunded' };
+
+  const isGateway = method === 'Razorpay';
+  const refund = await Refund.create({
+    institutionId: payment.institutionId,
+    studentId: payment.studentId,
+    paymentId: payment._id,
+    type: 'Refund',
+    refundNumber: await generateRefundNumber(payment.institutionId),
+    amount: refundAmount,
+    method,
+    status: isGateway ? 'Pending' : 'Processed',
+    reason,
+    reference,
+    createdBy,
+    processedAt: isGateway ? undefined : new Date(),
+  });
+
+  if (isGateway) {
+    const { error } = await sendGatewayRefund(refund, reserved);
+    if (error) return { error };
+  }
+
+  refund.reversals = await reverseAllocations(reserved, refundAmount);
+  await reserved.save();
+  await Refund.updateOne({ _id: refund._id }, { $set: { reversals: refund.reversals } });
+
+  return { refund: await Refund.findById(refund._id), payment: reserved };
+};
+
+/**
+ * Security deposit a student has paid: refundable fee components (from fee
+ * structures) in proportion to what was paid, plus fees named as a deposit.
+ * @returns {Promise<{depositAmount: number, depositFees: object[], depositPayments: object[]}>}
+ */
+export const getDepositHeld = async ({ studentId, institutionId }) => {
+  const fees = await Fee.find({ studentId, institutionId, category: { $ne: 'Penalty' } });
+
+  let depositAmount = 0;
+  const depositFees = [];
+  fees.forEach((fee) => {
+    const refundable = fee.components?.length
+      ? fee.components.filter((component) => component.refundable).reduce((sum, component) => sum + component.amount, 0)
+      : /deposit/i.test(fee.term)
+        ? fee.amount
+        : 0;
+    if (refundable <= 0 || !fee.amount) return;
+
+    const paidShare = Math.min(fee.getAmountPaid() / fee.amount, 1);
+    const held = roundAmount(refundable * paidShare);
+    if (held > 0) {
+      depositAmount = roundAmount(depositAmount + held);
+      depositFees.push({ feeId: fee._id, term: fee.term, amount: held });
+    }
+  });
+
+  const depositPayments = depositFees.length
+    ? await Payment.find({
+        studentId,
+        institutionId,
+        status: { $in: SETTLED_PAYMENT_STATUSES },
+        method: { $ne: 'Deposit' },
+        'allocations.feeId': { $in: depositFees.map((fee) => fee.feeId) },
+      }).sort({ createdAt: 1 })
+    : [];
+
+  return { depositAmount, depositFees, depositPayments };
+};
+
+/**
+ * Work out a check-out settlement: deposit held, outstanding dues and damages
+ * deducted from it, and what goes back to the student.
+ * @param {object} params
+ * @param {string} params.studentId
+ * @param {string} params.institutionId
+ * @param {Array<{reason: string, amount: number}>} [params.damages]
+ * @param {number} [params.depositAmount] - Override the computed deposit (older records)
+ * @returns {Promise<object>}
+ */
+export const planSettlement = async ({ studentId, institutionId, damages = [], depositAmount }) => {
+  const held = await getDepositHeld({ studentId, institutionId });
+  const deposit = depositAmount === undefined ? held.depositAmount : roundAmount(depositAmount);
+
+  const { fees } = await getOutstandingSummary({ studentId, institutionId });
+  const dues = fees.map((fee) => ({ reason: `Unpaid: ${fee.term}`, amount: roundAmount(fee.balance), feeId: fee._id }));
+  const damageLines = damages.map((damage) => ({ reason: String(damage.reason).trim(), amount: roundAmount(damage.amount) }));
+
+  const totalDeductions = roundAmount([...dues, ...damageLines].reduce((sum, line) => sum + line.amount, 0));
+
+  return {
+    depositAmount: deposit,
+    depositFees: held.depositFees,
+    depositPayments: held.depositPayments,
+    deductions: [...dues, ...damageLines],
+    dues,
+    damages: damageLines,
+    totalDeductions,
+    refundAmount: roundAmount(Math.max(deposit - totalDeductions, 0)),
+    balanceDue: roundAmount(Math.max(totalDeductions - deposit, 0)),
+  };
+};
+
+/**
+ * Settle a leaving student's security deposit. Damages become fees, the deposit
+ * is applied to dues and damages through a 'Deposit' payment, and the rest is
+ * refunded against the payment that originally carried the deposit.
+ * @returns {Promise<{refund?: object, plan?: object, error?: string}>}
+ */
+export const settleDeposit = async ({ student, institutionId, damages, depositAmount, method, reference, notes, user }) => {
+  const existing = await Refund.findOne({ studentId: student._id, institutionId, type: 'DepositSettlement', status: { $ne: 'Failed' } });
+  if (existing) return { error: 'The deposit for this student has already been settled' };
+
+  const plan = await planSettlement({ studentId: student._id, institutionId, damages, depositAmount });
+  if (plan.depositAmount <= 0) return { error: 'No security deposit found for this student. Pass depositAmount to settle manually.' };
+
+  const isGateway = plan.refundAmount > 0 && method === 'Razorpay';
+  if (plan.refundAmount > 0 && !REFUND_METHODS.includes(method)) {
+    return { error: `Please choose a refund method: ${REFUND_METHODS.join(', ')}` };
+  }
+
+  // Refund against the payment that carried the deposit (Razorpay needs one with enough left)
+  const originalPayment = plan.depositPayments.find(
+    (payment) =>
+      getRefundableAmount(payment) >= plan.refundAmount &&
+      (!isGateway || (payment.gateway === 'Razorpay' && payment.razorpayPaymentId))
+  );
+  if (isGateway && !originalPayment) {
+    return { error: 'The deposit was not paid through Razorpay; choose a manual refund method' };
+  }
+
+  // The settlement record is the claim: a unique index allows one open settlement per
+  // student, so a concurrent second settlement stops here before touching any money
+  let refund;
+  try {
+    refund = await Refund.create({
+      institutionId,
+      studentId: student._id,
+      type: 'DepositSettlement',
+      refundNumber: await generateRefundNumber(institutionId),
+      amount: plan.refundAmount,
+      method: plan.refundAmount > 0 ? method : undefined,
+      status: 'Pending',
+      reason: 'Security deposit settlement',
+      reference,
+      depositAmount: plan.depositAmount,
+      deductions: plan.dues,
+      balanceDue: plan.balanceDue,
+      notes,
+      createdBy: user._id,
+    });
+  } catch (error) {
+    if (error.code === 11000 && error.keyPattern?.studentId) {
+      return { error: 'The deposit for this student has already been settled' };
+    }
+    throw error;
+  }
+
+  let reserved = null;
+  if (plan.refundAmount > 0 && originalPayment) {
+    reserved = await reserveRefund(originalPayment._id, plan.refundAmount);
+    if (!reserved) {
+      const message = 'The deposit payment has already been refunded';
+      await Refund.updateOne({ _id: refund._id }, { $set: { status: 'Failed', failureReason: message } });
+      return { error: message };
+    }
+    await Refund.updateOne({ _id: refund._id }, { $set: { paymentId: reserved._id } });
+  }
+  if (!isGateway) {
+    await Refund.updateOne({ _id: refund._id }, { $set: { status: 'Processed', processedAt: new Date() } });
+  }
+
+  if (isGateway) {
+    const { error } = await sendGatewayRefund(refund, reserved);
+    if (error) return { error };
+  }
+
+  const damageLines = [];
+  for (const damage of plan.damages) {
+    const fee = await Fee.create({
+      studentId: student._id,
+      institutionId,
+      term: `Damages - ${damage.reason}`,
+      amount: damage.amount,
+      dueDate: new Date(),
+    });
+    await assignInvoiceNumber(fee);
+    damageLines.push({ ...damage, feeId: fee._id });
+  }
+
+  // Apply the deposit to dues and damages; the leftover credit is what the refund pays out
+  const adjustment = new Payment({
+    studentId: student._id,
+    institutionId,
+    payerType: 'warden',
+    payerUserId: user._id,
+    amount: plan.depositAmount,
+    method: 'Deposit',
+    gateway: 'Manual',
+    status: 'Pending',
+    reference: refund.refundNumber,
+    transactionId: refund.refundNumber,
+    feeIds: [...plan.dues, ...damageLines].map((line) => line.feeId),
+  });
+  await completeVerifiedPayment(adjustment, {
+    source: 'Staff',
+    paidBy: 'warden',
+    paidByUserId: user._id,
+    verifiedBy: user._id,
+    notify: false,
+  });
+  adjustment.unallocatedAmount = 0;
+  await adjustment.save();
+
+  await Refund.updateOne(
+    { _id: refund._id },
+    { $set: { deductions: [...plan.dues, ...damageLines], settlementPaymentId: adjustment._id } }
+  );
+
+  return { refund: await Refund.findById(refund._id), plan };
+};
+
+/**
+ * Record a refund reported by the Razorpay refund.processed webhook.
+ * Refunds we started (matched by ID or by our refund number sent as the receipt)
+ * are marked processed; refunds made from the Razorpay dashboard are recorded
+ * and taken off the fees like any other refund.
+ * @returns {Promise<{payment: object|null, alreadyProcessed: boolean}>}
+ */
+export const recordGatewayRefund = async ({ razorpayPaymentId, refundId, receipt, amount }) => {
+  const known = await Refund.findOne({
+    $or: [{ razorpayRefundId: refundId }, ...(receipt ? [{ refundNumber: receipt, method: 'Razorpay' }] : [])],
+  });
+
+  if (known) {
+    const payment = known.paymentId ? await Payment.findById(known.paymentId) : null;
+    if (known.status === 'Processed') return { payment, alreadyProcessed: true };
+    known.status = 'Processed';
+    known.razorpayRefundId = refundId;
+    known.processedAt = new Date();
+    await known.save();
+    if (payment) await Payment.updateOne({ _id: payment._id }, { $addToSet: { razorpayRefundIds: refundId } });
+    return { payment, alreadyProcessed: false };
+  }
+
+  // A family checkout has one payment per child under the same Razorpay payment;
+  // take the refund from the first one with enough left
+  const originals = await Payment.find({ razorpayPaymentId, gateway: 'Razorpay' }).sort({ createdAt: 1 });
+  if (!originals.length) return { payment: null, alreadyProcessed: false };
+
+  let reserved = null;
+  for (const original of originals) {
+    if (original.razorpayRefundIds?.includes(refundId)) break;
+    reserved = await reserveRefund(original._id, roundAmount(amount), refundId);
+    if (reserved) break;
+  }
+  if (!reserved) return { payment: originals[0], alreadyProcessed: true };
+
+  const reversals = await reverseAllocations(reserved, amount);
+  await reserved.save();
+
+  await Refund.create({
+    institutionId: reserved.institutionId,
+    studentId: reserved.studentId,
+    paymentId: reserved._id,
+    type: 'Refund',
+    refundNumber: await generateRefundNumber(reserved.institutionId),
+    amount: roundAmount(amount),
+    method: 'Razorpay',
+    status: 'Processed',
+    reason: 'Refunded from the Razorpay dashboard',
+    razorpayRefundId: refundId,
+    reversals,
+    processedAt: new Date(),
+  });
+
+  return { payment: reserved, alreadyProcessed: false };
+};
@@ -0,0 +1,150 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import Session from '../models/Session.model.js';
+import User from '../models/User.model.js';
+// Note: dotenv is loaded in server.js, process.env is available globally
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const getRefreshTtlMs = () => Number(process.env.REFRESH_TOKEN_EXPIRE_DAYS || 30) * 24 * 60 * 60 * 1000;
+
+/**
+ * Sign a short-lived access token bound to a session
+ * @param {object} user - User document
+ * @param {string} sessionId - Session ID
+ * @returns {string} JWT access token
+ */
+export const signAccessToken = (user, sessionId) => {
+  return jwt.sign(
+    {
+      userId: user._id,
+      role: user.role,
+      name: user.name,
+      isTempPassword: Boolean(user.isTempPassword),
+      institutionId: user.institutionId,
+      sid: String(sessionId),
+    },
+    process.env.JWT_SECRET,
+    {
+      expiresIn: process.env.JWT_ACCESS_EXPIRE || '15m',
+    }
+  );
+};
+
+/**
+ * Refresh tokens are "<sessionId>.<random>" so the session can be found
+ * directly and the random part compared by hash.
+ */
+const buildRefreshToken = (sessionId) => `${sessionId}.${crypto.randomBytes(48).toString('hex')}`;
+
+const getRequestMeta = (req) => ({
+  userAgent: req?.headers?.['user-agent']?.slice(0, 256),
+  ip: req?.ip,
+});
+
+/**
+ * Start a new session for a user (login, signup, password change)
+ * @returns {Promise<{token: string, refreshToken: string, refreshTokenExpiresAt: Date}>}
+ */
+export const createSession = async (user, req) => {
+  const session = new Session({
+    userId: user._id,
+    institutionId: user.institutionId,
+    expiresAt: new Date(Date.now() + getRefreshTtlMs()),
+    ...getRequestMeta(req),
+  });
+
+  const refreshToken = buildRefreshToken(session._id);
+  session.refreshTokenHash = hashToken(refreshToken);
+  await session.save();
+
+  return {
+    token: signAccessToken(user, session._id),
+    refreshToken,
+    refreshTokenExpiresAt: session.expiresAt,
+  };
+};
+
+/**
+ * Exchange a refresh token for a new access/refresh pair.
+ * Presenting an already-rotated token revokes the whole session.
+ * @returns {Promise<{user?: object, token?: string, refreshToken?: string, refreshTokenExpiresAt?: Date, error?: string}>}
+ */
+export const rotateSession = async (refreshToken, req) => {
+  const [sessionId] = String(refreshToken || '').split('.');
+  if (!sessionId || !/^[a-f0-9]{24}$/i.test(sessionId)) {
+    return { error: 'Invalid refresh token' };
+  }
+
+  const session = await Session.findById(sessionId).select('+refreshTokenHash +previousRefreshTokenHash');
+  if (!session || session.revokedAt || session.expiresAt <= new Date()) {
+    return { error: 'Session has expired or been revoked' };
+  }
+
+  const presentedHash = hashToken(refreshToken);
+  if (presentedHash !== session.refreshTokenHash) {
+    if (presentedHash === session.previousRefreshTokenHash) {
+      // A rotated-out token came back: treat as stolen and end the session
+      await revokeSession(session._id, 'Refresh token reuse detected');
+    }
+    return { error: 'Invalid refresh token' };
+  }
+
+  const user = await User.findById(session.userId);
+  if (!user) {
+    await revokeSession(session._id, 'User no longer exists');
+    return { error: 'User not found' };
+  }
+
+  const nextRefreshToken = buildRefreshToken(session._id);
+  session.previousRefreshTokenHash = session.refreshTokenHash;
+  session.refreshTokenHash = hashToken(nextRefreshToken);
+  session.lastUsedAt = new Date();
+  Object.assign(session, getRequestMeta(req));
+  await session.save();
+
+  return {
+    user,
+    token: signAccessToken(user, session._id),
+    refreshToken: nextRefreshToken,
+    refreshTokenExpiresAt: session.expiresAt,
+  };
+};
+
+/**
+ * Check that an access token's session is still live
+ * @returns {Promise<boolean>}
+ */
+export const isSessionActive = async (sessionId, userId) => {
+  if (!sessionId) return false;
+  const session = await Session.exists({
+    _id: sessionId,
+    userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  });
+  return Boolean(session);
+};
+
+/**
+ * Revoke a single session (logout on this device)
+ */
+export const revokeSession = async (sessionId, reason = 'Logged out') => {
+  await Session.updateOne(
+    { _id: sessionId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+};
+
+/**
+ * Revoke every session of one or more users (logout all devices, password change, account deletion)
+ */
+export const revokeUserSessions = async (userIds, reason = 'Logged out of all devices') => {
+  const ids = (Array.isArray(userIds) ? userIds : [userIds]).filter(Boolean);
+  if (ids.length === 0) return;
+
+  await Session.updateMany(
+    { userId: { $in: ids }, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+};
@@ -0,0 +1,40 @@
+import axios from 'axios';
+
+const MAX_SMS_LENGTH = 320;
+
+/**
+ * Send a text message through Twilio's REST API.
+ * Errors are caught and logged — notification failures never break the main flow.
+ *
+ * @param {string} to - Phone number; 10-digit numbers get SMS_DEFAULT_COUNTRY_CODE (default +91)
+ * @param {string} body - Message text, cut to two SMS segments
+ * @returns {Promise<{success: boolean, message: string}>}
+ */
+export const sendSms = async (to, body) => {
+  const { TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN, TWILIO_FROM_NUMBER } = process.env;
+  if (!TWILIO_ACCOUNT_SID || !TWILIO_AUTH_TOKEN || !TWILIO_FROM_NUMBER) {
+    console.warn('⚠️ SMS not configured (TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN, TWILIO_FROM_NUMBER)');
+    return { success: false, message: 'SMS service not configured' };
+  }
+
+  const digits = String(to || '').replace(/[^\d+]/g, '');
+  const phone = digits.startsWith('+') ? digits : `${process.env.SMS_DEFAULT_COUNTRY_CODE || '+91'}${digits.slice(-10)}`;
+  if (!/^\+\d{8,15}$/.test(phone)) {
+    return { success: false, message: 'Invalid phone number' };
+  }
+
+  try {
+    await axios.post(
+      `https://api.twilio.com/2010-04-01/Accounts/${TWILIO_ACCOUNT_SID}/Messages.json`,
+      new URLSearchParams({ To: phone, From: TWILIO_FROM_NUMBER, Body: String(body).slice(0, MAX_SMS_LENGTH) }),
+      {
+        auth: { username: TWILIO_ACCOUNT_SID, password: TWILIO_AUTH_TOKEN },
+        timeout: 15000,
+      }
+    );
+    return { success: true, message: 'SMS sent successfully' };
+  } catch (error) {
+    console.error('[sms] sendSms error:', error?.response?.data || error.message);
+    return { success: false, message: error.message || 'Unknown SMS error' };
+  }
+};
@@ -0,0 +1,39 @@
+/**
+ * Minimal CSV builder for report exports
+ */
+
+// Spreadsheet apps run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const escapeCsvValue = (value) => {
+  if (value === undefined || value === null) return '';
+  let text = value instanceof Date ? value.toISOString() : typeof value === 'object' ? JSON.stringify(value) : String(value);
+  // Text typed by users (names, titles, audit details) is kept as text, numbers stay numbers
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Build a CSV string
+ * @param {Array<{key: string, label: string}>} columns - Column keys and header labels
+ * @param {object[]} rows - Row objects
+ * @returns {string}
+ */
+export const toCsv = (columns, rows) => {
+  const header = columns.map((column) => escapeCsvValue(column.label)).join(',');
+  const lines = rows.map((row) => columns.map((column) => escapeCsvValue(row[column.key])).join(','));
+  return [header, ...lines].join('\r\n');
+};
+
+/**
+ * Send a CSV string as a file download
+ * @param {object} res - Express response
+ * @param {string} filename - Download file name
+ * @param {string} csv - CSV content
+ */
+export const sendCsv = (res, filename, csv) => {
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  // BOM so Excel opens UTF-8 names correctly
+  res.status(200).send(`\uFEFF${csv}`);
+};
@@ -1,5 +1,6 @@
 import axios from 'axios';
 import { buildReceiptPdfBuffer } from './receiptPdf.js';
+import { DEFAULT_TIMEZONE } from '../config/notifications.js';
 // Note: dotenv is loaded in server.js, process.env is available globally
 
 /**
@@ -12,14 +13,21 @@ const isValidEmail = (email) => {
   return emailRegex.test(email);
 };
 
+/**
+ * Escape user-written text (names, messages) before putting it in an email
+ */
+const escapeHtml = (text) =>
+  String(text ?? '').replace(/[&<>"']/g, (char) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[char]));
+
 /**
  * Core email sending function using Brevo REST API
  * @param {string} to - Recipient email address
  * @param {string} subject - Email subject
  * @param {string} html - HTML email content
+ * @param {Array<{name: string, content: Buffer}>} [attachments] - Files to attach (e.g. PDFs)
  * @returns {Promise<{success: boolean, message: string}>}
  */
-const sendEmail = async (to, subject, html) => {
+const sendEmail = async (to, subject, html, attachments = []) => {
   try {
     // Validate API key
     if (!process.env.BREVO_API_KEY) {
@@ -52,6 +60,9 @@ const sendEmail = async (to, subject, html) => {
         to: [{ email: to }],
         subject,
         htmlContent: html,
+        ...(attachments.length > 0 && {
+          attachment: attachments.map((file) => ({ name: file.name, content: file.content.toString('base64') })),
+        }),
       },
       {
         headers: {
@@ -327,6 +338,81 @@ export const sendPaymentReceiptEmail = async ({
   }
 };
 
+/**
+ * Send a fee statement with the PDF attached
+ * @returns {Promise<{success: boolean, message: string}>}
+ */
+export const sendFeeStatementEmail = async ({
+  to,
+  recipientName,
+  studentName,
+  institutionName,
+  periodLabel,
+  closingBalance,
+  pdfBuffer,
+  fileName,
+}) => {
+  try {
+    // Validate email format
+    if (!isValidEmail(to)) {
+      console.error('❌ Invalid email format for fee statement:', to);
+      return { success: false, message: 'Invalid email address' };
+    }
+
+    const html = `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: linear-gradient(135deg, #7c3aed 0%, #ec4899 100%); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+          .content { background: #f8fafc; padding: 30px; border-radius: 0 0 10px 10px; }
+          .receipt-box { background: white; border: 1px solid #e2e8f0; padding: 20px; margin: 20px 0; border-radius: 8px; }
+          .footer { text-align: center; margin-top: 30px; color: #64748b; font-size: 12px; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>Fee Statement</h1>
+          </div>
+          <div class="content">
+            <p>Hi ${recipientName || 'there'},</p>
+            <p>Please find attached the hostel fee statement for <strong>${studentName || 'the student'}</strong>${institutionName ? ` at ${institutionName}` : ''}.</p>
+
+            <div class="receipt-box">
+              <ul style="list-style: none; padding: 0;">
+                <li style="padding: 10px 0; border-bottom: 1px solid #e2e8f0;">
+                  <strong>Period:</strong> ${periodLabel || 'N/A'}
+                </li>
+                <li style="padding: 10px 0;">
+                  <strong>Closing Balance:</strong> ${formatCurrency(closingBalance)}
+                </li>
+              </ul>
+            </div>
+
+            <p>If you have any questions, please contact the hostel administration.</p>
+          </div>
+          <div class="footer">
+            <p>HostelEase Management System</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+
+    return await sendEmail(to, `Fee Statement - ${periodLabel || 'HostelEase'}`, html, [
+      { name: fileName || 'Fee-Statement.pdf', content: pdfBuffer },
+    ]);
+  } catch (error) {
+    const errorMessage = error.message || 'Unknown email error';
+    console.error('❌ Error in sendFeeStatementEmail:', errorMessage);
+    return { success: false, message: errorMessage };
+  }
+};
+
 /**
  * Send payment reminder email
  * @returns {Promise<{success: boolean, message: string}>}
@@ -394,3 +480,273 @@ export const sendPaymentReminderEmail = async ({
   }
 };
 
+/**
+ * Send overdue return alert to a parent or warden
+ * @returns {Promise<{success: boolean, message: string}>}
+ */
+export const sendOverdueReturnEmail = async ({
+  to,
+  recipientName,
+  studentName,
+  leaveType,
+  expectedAt,
+  escalationLevel = 1,
+  timeZone = DEFAULT_TIMEZONE,
+}) => {
+  try {
+    // Validate email format
+    if (!isValidEmail(to)) {
+      console.error('❌ Invalid email format for overdue alert:', to);
+      return { success: false, message: 'Invalid email address' };
+    }
+
+    const html = `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: linear-gradient(135deg, #dc2626 0%, #b91c1c 100%); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+          .content { background: #f8fafc; padding: 30px; border-radius: 0 0 10px 10px; }
+          .alert-box { background: #fee2e2; border: 2px dashed #b91c1c; padding: 20px; margin: 20px 0; border-radius: 8px; }
+          .footer { text-align: center; margin-top: 30px; color: #64748b; font-size: 12px; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>Overdue Return Alert</h1>
+          </div>
+          <div class="content">
+            <p>Dear ${recipientName || 'Sir/Madam'},</p>
+            <p><strong>${studentName || 'The student'}</strong> has not yet returned to the hostel.</p>
+
+            <div class="alert-box">
+              <ul style="list-style: none; padding: 0; margin: 0;">
+                <li style="padding: 10px 0;"><strong>Leave Type:</strong> ${leaveType || 'Leave'}</li>
+                <li style="padding: 10px 0;"><strong>Expected Back By:</strong> ${expectedAt ? new Date(expectedAt).toLocaleString('en-IN', { timeZone }) : 'N/A'}</li>
+                <li style="padding: 10px 0;"><strong>Alert Level:</strong> ${escalationLevel}</li>
+              </ul>
+            </div>
+
+            <p>Please contact the student or the hostel administration as soon as possible.</p>
+          </div>
+          <div class="footer">
+            <p>HostelEase Management System</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+
+    return await sendEmail(to, `Overdue Return Alert - ${studentName || 'Student'}`, html);
+  } catch (error) {
+    const errorMessage = error.message || 'Unknown email error';
+    console.error('❌ Error in sendOverdueReturnEmail:', errorMessage);
+    return { success: false, message: errorMessage };
+  }
+};
+
+/**
+ * Send password reset code email
+ * @param {string} email - Recipient email
+ * @param {string} name - Recipient name
+ * @param {string} code - One-time reset code
+ * @param {number} expiresInMinutes - Minutes until the code expires
+ * @returns {Promise<{success: boolean, message: string}>}
+ */
+export const sendPasswordResetEmail = async (email, name, code, expiresInMinutes) => {
+  try {
+    // Validate email format
+    if (!isValidEmail(email)) {
+      console.error('❌ Invalid email format:', email);
+      return { success: false, message: 'Invalid email address' };
+    }
+
+    const html = `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: linear-gradient(135deg, #4f46e5 0%, #7c3aed 100%); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+          .content { background: #f8fafc; padding: 30px; border-radius: 0 0 10px 10px; }
+          .password-box { background: white; border: 2px dashed #4f46e5; padding: 20px; margin: 20px 0; text-align: center; border-radius: 8px; }
+          .password { font-size: 28px; font-weight: bold; color: #4f46e5; letter-spacing: 6px; font-family: monospace; }
+          .warning { background: #fef3c7; border-left: 4px solid #f59e0b; padding: 15px; margin: 20px 0; border-radius: 4px; }
+          .footer { text-align: center; margin-top: 30px; color: #64748b; font-size: 12px; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>Reset Your Password</h1>
+          </div>
+          <div class="content">
+            <p>Dear ${name},</p>
+
+            <p>We received a request to reset your HostelEase password. Enter the code below in the app to choose a new password.</p>
+
+            <div class="password-box">
+              <p style="margin: 0 0 10px 0; color: #64748b; font-size: 14px;">Your Reset Code:</p>
+              <div class="password">${code}</div>
+            </div>
+
+            <div class="warning">
+              <strong>⚠️ Important:</strong> This code expires in ${expiresInMinutes} minutes and can only be used once.
+            </div>
+
+            <p style="color: #64748b; font-size: 14px; margin-top: 30px;">
+              <strong>Security Note:</strong> If you did not request a password reset, you can ignore this email. Your password will not change.
+            </p>
+          </div>
+          <div class="footer">
+            <p>This is an automated message from HostelEase Management System.</p>
+            <p>Please do not reply to this email.</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+
+    return await sendEmail(email, 'Your HostelEase Password Reset Code', html);
+  } catch (error) {
+    const errorMessage = error.message || 'Unknown email error';
+    console.error('❌ Error in sendPasswordResetEmail:', errorMessage);
+    return { success: false, message: errorMessage };
+  }
+};
+
+
+/**
+ * Send warden invitation email
+ * @returns {Promise<{success: boolean, message: string}>}
+ */
+export const sendWardenInviteEmail = async ({
+  to,
+  name,
+  institutionName,
+  inviterName,
+  code,
+  expiresAt,
+}) => {
+  try {
+    // Validate email format
+    if (!isValidEmail(to)) {
+      console.error('❌ Invalid email format for warden invite:', to);
+      return { success: false, message: 'Invalid email address' };
+    }
+
+    const signupLink = process.env.FRONTEND_URL
+      ? `${process.env.FRONTEND_URL.replace(/\/$/, '')}/warden-signup?invite=${encodeURIComponent(code)}`
+      : null;
+
+    const html = `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: linear-gradient(135deg, #4f46e5 0%, #7c3aed 100%); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+          .content { background: #f8fafc; padding: 30px; border-radius: 0 0 10px 10px; }
+          .password-box { background: white; border: 2px dashed #4f46e5; padding: 20px; margin: 20px 0; text-align: center; border-radius: 8px; }
+          .password { font-size: 24px; font-weight: bold; color: #4f46e5; letter-spacing: 4px; font-family: monospace; }
+          .button { display: inline-block; background: #4f46e5; color: white; padding: 12px 30px; text-decoration: none; border-radius: 6px; margin: 10px 0; }
+          .warning { background: #fef3c7; border-left: 4px solid #f59e0b; padding: 15px; margin: 20px 0; border-radius: 4px; }
+          .footer { text-align: center; margin-top: 30px; color: #64748b; font-size: 12px; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>You're Invited to HostelEase</h1>
+          </div>
+          <div class="content">
+            <p>Dear ${name || 'Warden'},</p>
+
+            <p>${inviterName || 'Your institution admin'} has invited you to join <strong>${institutionName}</strong> as a warden on HostelEase.</p>
+
+            <div class="password-box">
+              <p style="margin: 0 0 10px 0; color: #64748b; font-size: 14px;">Your Invite Code:</p>
+              <div class="password">${code}</div>
+            </div>
+
+            ${signupLink ? `<p style="text-align: center;"><a class="button" href="${signupLink}">Create Warden Account</a></p>` : ''}
+
+            <div class="warning">
+              <strong>⚠️ Important:</strong> This invite can only be used once and expires on ${new Date(expiresAt).toLocaleString('en-IN')}.
+            </div>
+          </div>
+          <div class="footer">
+            <p>This is an automated message from HostelEase Management System.</p>
+            <p>Please do not reply to this email.</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+
+    return await sendEmail(to, `Invitation to join ${institutionName} on HostelEase`, html);
+  } catch (error) {
+    const errorMessage = error.message || 'Unknown email error';
+    console.error('❌ Error in sendWardenInviteEmail:', errorMessage);
+    return { success: false, message: errorMessage };
+  }
+};
+
+/**
+ * Send an in-app notification by email (for users who turned on the email channel)
+ * @returns {Promise<{success: boolean, message: string}>}
+ */
+export const sendNotificationEmail = async ({ to, name, title, message }) => {
+  try {
+    if (!isValidEmail(to)) {
+      console.error('❌ Invalid email format for notification:', to);
+      return { success: false, message: 'Invalid email address' };
+    }
+
+    const html = `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: linear-gradient(135deg, #4f46e5 0%, #7c3aed 100%); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+          .content { background: #f8fafc; padding: 30px; border-radius: 0 0 10px 10px; }
+          .footer { text-align: center; margin-top: 30px; color: #64748b; font-size: 12px; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>${escapeHtml(title)}</h1>
+          </div>
+          <div class="content">
+            <p>Hi ${escapeHtml(name || 'there')},</p>
+            <p>${escapeHtml(message)}</p>
+            <p>Open the HostelEase app for details.</p>
+          </div>
+          <div class="footer">
+            <p>HostelEase Management System</p>
+            <p>You can choose which notifications you get by email in the app's notification settings.</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+
+    return await sendEmail(to, title, html);
+  } catch (error) {
+    const errorMessage = error.message || 'Unknown email error';
+    console.error('❌ Error in sendNotificationEmail:', errorMessage);
+    return { success: false, message: errorMessage };
+  }
+};
@@ -0,0 +1,92 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import GatePassRedemption from '../models/GatePassRedemption.model.js';
+// Note: dotenv is loaded in server.js, process.env is available globally
+
+const GATE_PASS_TYPE = 'gate-pass';
+
+const getGatePassSecret = () => process.env.GATE_PASS_SECRET || process.env.JWT_SECRET;
+
+const getGatePassTtlSeconds = () => Number(process.env.GATE_PASS_TTL_SECONDS || 60);
+
+/**
+ * Issue a short-lived, single-use gate pass for a student to show as a QR code
+ * @param {object} student - Student document
+ * @returns {{token: string, expiresAt: Date, ttlSeconds: number}}
+ */
+export const issueGatePass = (student) => {
+  const ttlSeconds = getGatePassTtlSeconds();
+  const token = jwt.sign(
+    {
+      type: GATE_PASS_TYPE,
+      studentId: String(student._id),
+      institutionId: String(student.institutionId),
+      nonce: crypto.randomBytes(16).toString('hex'),
+    },
+    getGatePassSecret(),
+    { expiresIn: ttlSeconds }
+  );
+
+  return {
+    token,
+    expiresAt: new Date(Date.now() + ttlSeconds * 1000),
+    ttlSeconds,
+  };
+};
+
+/**
+ * Verify a scanned gate pass signature, expiry and institution.
+ * Does not consume the pass - call redeemGatePass once the scan is accepted.
+ * @returns {Promise<{pass?: object, error?: string}>}
+ */
+export const verifyGatePass = async (token, institutionId) => {
+  if (!token || typeof token !== 'string') {
+    return { error: 'A signed gate pass is required for QR scans' };
+  }
+
+  let pass;
+  try {
+    pass = jwt.verify(token, getGatePassSecret());
+  } catch (error) {
+    return {
+      error: error.name === 'TokenExpiredError' ? 'Gate pass has expired' : 'Invalid gate pass',
+    };
+  }
+
+  if (pass.type !== GATE_PASS_TYPE || !pass.nonce || !pass.studentId) {
+    return { error: 'Invalid gate pass' };
+  }
+
+  if (String(pass.institutionId) !== String(institutionId)) {
+    return { error: 'Gate pass belongs to another institution' };
+  }
+
+  const alreadyUsed = await GatePassRedemption.exists({ nonce: pass.nonce });
+  if (alreadyUsed) {
+    return { error: 'Gate pass has already been used' };
+  }
+
+  return { pass };
+};
+
+/**
+ * Mark a verified gate pass as used. Refuses replays atomically via the unique nonce.
+ * @returns {Promise<{error?: string}>}
+ */
+export const redeemGatePass = async (pass, scannedBy) => {
+  try {
+    await GatePassRedemption.create({
+      nonce: pass.nonce,
+      studentId: pass.studentId,
+      institutionId: pass.institutionId,
+      scannedBy,
+      expiresAt: new Date(pass.exp * 1000),
+    });
+    return {};
+  } catch (error) {
+    if (error?.code === 11000) {
+      return { error: 'Gate pass has already been used' };
+    }
+    throw error;
+  }
+};
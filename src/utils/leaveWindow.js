@@ -0,0 +1,57 @@
+import { DEFAULT_TIMEZONE } from '../config/notifications.js';
+import { getZonedDayBounds, getZonedParts, zonedTime } from './timezone.js';
+
+/**
+ * Helpers for working out when an approved leave starts and ends.
+ * Leave dates are stored as Date values while the optional times are free-text
+ * strings such as "18:30" or "6:30 PM", on the institution's local clock.
+ */
+
+/**
+ * Parse a leave time string into hours and minutes
+ * @param {string} value - Time string (HH:mm, H:mm AM/PM)
+ * @returns {{hours: number, minutes: number}|null}
+ */
+export const parseLeaveTime = (value) => {
+  if (!value || typeof value !== 'string') return null;
+
+  const match = value.trim().match(/^(\d{1,2})(?::(\d{2}))?\s*([AaPp][Mm])?$/);
+  if (!match) return null;
+
+  let hours = Number(match[1]);
+  const minutes = Number(match[2] || 0);
+  const meridiem = match[3]?.toUpperCase();
+
+  if (meridiem === 'PM' && hours < 12) hours += 12;
+  if (meridiem === 'AM' && hours === 12) hours = 0;
+
+  if (hours > 23 || minutes > 59) return null;
+  return { hours, minutes };
+};
+
+/**
+ * Get the start and end of the institution's local day containing the given date
+ * @param {Date} date
+ * @param {string} [timeZone] - Institution timezone
+ * @returns {{start: Date, end: Date}}
+ */
+export const getDayBounds = (date = new Date(), timeZone = DEFAULT_TIMEZONE) => getZonedDayBounds(date, timeZone);
+
+/**
+ * Get the moment a student is expected back from a leave: the in time on the
+ * return day, both read on the institution's clock.
+ * Falls back to the end of the return day when no in time was given.
+ * @param {object} leave - Leave document (inDate, inTime)
+ * @param {string} [timeZone] - Institution timezone
+ * @returns {Date|null}
+ */
+export const getLeaveReturnDeadline = (leave, timeZone = DEFAULT_TIMEZONE) => {
+  if (!leave?.inDate) return null;
+
+  const { year, month, day } = getZonedParts(leave.inDate, timeZone);
+  const time = parseLeaveTime(leave.inTime);
+  if (time) {
+    return zonedTime(timeZone, year, month, day, time.hours, time.minutes);
+  }
+  return getZonedDayBounds(leave.inDate, timeZone).end;
+};
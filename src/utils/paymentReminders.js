@@ -1,49 +1,126 @@
 import cron from 'node-cron';
 import Fee from '../models/Fee.model.js';
 import Parent from '../models/Parent.model.js';
-import { sendPaymentReminderEmail } from './emailService.js';
+import Leave from '../models/Leave.model.js';
+import EntryExit from '../models/EntryExit.model.js';
+import User from '../models/User.model.js';
+import { sendPaymentReminderEmail, sendOverdueReturnEmail } from './emailService.js';
+import { getLeaveReturnDeadline } from './leaveWindow.js';
+import { getZonedParts, zonedTime } from './timezone.js';
+import { DEFAULT_TIMEZONE } from '../config/notifications.js';
+import { hasPermission } from '../config/permissions.js';
+import { notifyUser, notifyUsers } from '../services/notification.service.js';
+import { getInstitutionTimezone, planNotificationDelivery } from '../services/notificationPreference.service.js';
+import { OUTSTANDING_FEE_STATUSES, saveFeeChange } from '../services/feeLedger.service.js';
+import { applyLatePenalties } from '../services/latePenalty.service.js';
+
+// Enough of a user to address the email and apply their notification preferences
+const REMINDER_RECIPIENT_FIELDS = 'name email institutionId notificationPreferences';
+
+/**
+ * Email one fee reminder if the recipient wants fee emails. During their quiet
+ * hours it is queued as a notification email for when they end instead.
+ */
+const sendFeeReminder = async (recipient, fee, payload, now) => {
+  const delivery = await planNotificationDelivery(recipient, { type: 'fee', channels: ['email'], now });
+
+  if (delivery.immediate.includes('email')) {
+    await sendPaymentReminderEmail({ to: recipient.email, ...payload });
+  } else if (delivery.deferred.includes('email')) {
+    await notifyUser({
+      institutionId: fee.institutionId,
+      userId: recipient._id,
+      type: 'fee',
+      title: 'Upcoming Hostel Payment Due',
+      message: `${payload.term}: INR ${Number(payload.amount || 0).toLocaleString('en-IN')} is due on ${new Date(payload.dueDate).toLocaleDateString('en-IN')}.`,
+      referenceId: fee._id,
+      channels: ['email'],
+      now,
+    });
+  }
+};
+
+/**
+ * Email students and parents about fees (or installments) due within the next week,
+ * following each recipient's fee email preference and quiet hours.
+ * Each fee or installment is reminded once.
+ */
+export const sendDuePaymentReminders = async (now = new Date()) => {
+  const weekAhead = new Date(now);
+  weekAhead.setDate(now.getDate() + 7);
+  const dueWindow = { $gte: now, $lte: weekAhead };
+
+  const dueFees = await Fee.find({
+    status: { $in: OUTSTANDING_FEE_STATUSES },
+    $or: [
+      {
+        'installments.0': { $exists: false },
+        dueDate: dueWindow,
+        $or: [{ reminderSentAt: { $exists: false } }, { reminderSentAt: null }],
+      },
+      { installments: { $elemMatch: { dueDate: dueWindow, reminderSentAt: null } } },
+    ],
+  }).populate({
+    path: 'studentId',
+    populate: { path: 'userId', select: REMINDER_RECIPIENT_FIELDS },
+  });
+
+  for (const fee of dueFees) {
+    const student = fee.studentId;
+    if (!student) continue;
+
+    // With a plan, remind about the unpaid installments falling in the window
+    const dueInstallments = fee.installments.filter((installment) =>
+      !installment.reminderSentAt
+      && installment.amountPaid < installment.amount
+      && installment.dueDate >= now
+      && installment.dueDate <= weekAhead);
+
+    const reminders = fee.installments.length
+      ? dueInstallments.map((installment) => ({
+        amount: installment.amount - installment.amountPaid,
+        dueDate: installment.dueDate,
+        term: `${fee.term} - ${installment.label || 'Installment'}`,
+      }))
+      : [{ amount: fee.balance, dueDate: fee.dueDate, term: fee.term }];
+
+    // Every guardian linked to the child gets the reminder
+    const parents = await Parent.find({ studentId: student._id, institutionId: fee.institutionId })
+      .populate('userId', REMINDER_RECIPIENT_FIELDS);
+    const recipients = [student.userId, ...parents.map((parent) => parent.userId)]
+      .filter((user, index, all) => user?.email && all.findIndex((other) => other?.email === user.email) === index);
+
+    for (const reminder of reminders) {
+      const payload = { studentName: student.userId?.name, ...reminder };
+
+      for (const recipient of recipients) {
+        await sendFeeReminder(recipient, fee, payload, now);
+      }
+    }
+
+    // Re-applied to the saved fee if a payment credited it while the emails went out
+    const remindedIds = new Set(dueInstallments.map((installment) => String(installment._id)));
+    await saveFeeChange(fee, (current) => {
+      if (current.installments.length) {
+        current.installments
+          .filter((installment) => remindedIds.has(String(installment._id)))
+          .forEach((installment) => {
+            installment.reminderSentAt = new Date();
+          });
+      } else {
+        current.reminderSentAt = new Date();
+      }
+      return true;
+    });
+  }
+};
 
 export const schedulePaymentReminders = () => {
   cron.schedule(
     '0 9 * * *',
     async () => {
       try {
-        const now = new Date();
-        const weekAhead = new Date();
-        weekAhead.setDate(now.getDate() + 7);
-
-        const pendingFees = await Fee.find({
-          status: 'Pending',
-          dueDate: { $gte: now, $lte: weekAhead },
-          $or: [{ reminderSentAt: { $exists: false } }, { reminderSentAt: null }],
-        }).populate({
-          path: 'studentId',
-          populate: { path: 'userId', select: 'name email' },
-        });
-
-        for (const fee of pendingFees) {
-          const student = fee.studentId;
-          if (!student) continue;
-
-          const payload = {
-            studentName: student.userId?.name,
-            amount: fee.amount,
-            dueDate: fee.dueDate,
-            term: fee.term,
-          };
-
-          if (student.userId?.email) {
-            await sendPaymentReminderEmail({ to: student.userId.email, ...payload });
-          }
-
-          const parent = await Parent.findOne({ studentId: student._id }).populate('userId', 'email name');
-          if (parent?.userId?.email) {
-            await sendPaymentReminderEmail({ to: parent.userId.email, ...payload });
-          }
-
-          fee.reminderSentAt = new Date();
-          await fee.save();
-        }
+        await sendDuePaymentReminders();
       } catch (error) {
         console.error('❌ Payment reminder job failed:', error.message || error);
       }
@@ -51,3 +128,160 @@ export const schedulePaymentReminders = () => {
     { timezone: 'Asia/Kolkata' }
   );
 };
+
+/**
+ * Parse overdue escalation steps from OVERDUE_ESCALATION_STEPS.
+ * Each step is "<n>m", "<n>h" or "morning" (next OVERDUE_MORNING_HOUR after the deadline).
+ * @returns {Array<{minutes?: number, morning?: boolean}>}
+ */
+export const getOverdueEscalationSteps = () => {
+  const raw = process.env.OVERDUE_ESCALATION_STEPS || '30m,2h,morning';
+  return raw
+    .split(',')
+    .map((step) => step.trim().toLowerCase())
+    .map((step) => {
+      if (step === 'morning') return { morning: true };
+      const match = step.match(/^(\d+)\s*([mh])$/);
+      if (!match) return null;
+      const value = Number(match[1]);
+      return { minutes: match[2] === 'h' ? value * 60 : value };
+    })
+    .filter(Boolean);
+};
+
+/**
+ * Work out when an escalation step becomes due for a given return deadline.
+ * "morning" is OVERDUE_MORNING_HOUR on the institution's clock.
+ */
+export const getStepDueAt = (deadline, step, timeZone = DEFAULT_TIMEZONE) => {
+  if (step.morning) {
+    const morningHour = Number(process.env.OVERDUE_MORNING_HOUR || 8);
+    const { year, month, day } = getZonedParts(deadline, timeZone);
+    const dueAt = zonedTime(timeZone, year, month, day, morningHour);
+    return dueAt > deadline ? dueAt : zonedTime(timeZone, year, month, day + 1, morningHour);
+  }
+  return new Date(deadline.getTime() + step.minutes * 60000);
+};
+
+// Staff alerted about students overdue from leave
+const OVERDUE_ALERT_PERMISSIONS = ['leaves:approve', 'gate:read'];
+
+/**
+ * Scan approved leaves whose return time has passed while the student is still
+ * OUT, and alert wardens, gate staff and linked parents at each escalation step.
+ */
+export const checkOverdueReturns = async (now = new Date()) => {
+  const steps = getOverdueEscalationSteps();
+  if (!steps.length) return;
+
+  const leaves = await Leave.find({
+    status: 'Approved',
+    actualInTime: null,
+    inDate: { $lte: now },
+    overdueEscalationLevel: { $lt: steps.length },
+  }).populate({
+    path: 'studentId',
+    select: 'userId rollNumber',
+    populate: { path: 'userId', select: 'name' },
+  });
+
+  const timezones = new Map();
+  for (const leave of leaves) {
+    const student = leave.studentId;
+    if (!student) continue;
+
+    const institutionKey = String(leave.institutionId);
+    if (!timezones.has(institutionKey)) {
+      timezones.set(institutionKey, await getInstitutionTimezone(leave.institutionId));
+    }
+    const timeZone = timezones.get(institutionKey);
+
+    const deadline = getLeaveReturnDeadline(leave, timeZone);
+    if (!deadline || deadline > now) continue;
+
+    // Only escalate while the student's latest gate record says they are out
+    const lastLog = await EntryExit.findOne({ studentId: student._id, institutionId: leave.institutionId })
+      .sort({ createdAt: -1 });
+    if (!lastLog || lastLog.status !== 'OUT') continue;
+
+    // Jump straight to the latest due step so a delayed run does not send a burst
+    let dueLevel = 0;
+    steps.forEach((step, index) => {
+      if (getStepDueAt(deadline, step, timeZone) <= now) dueLevel = index + 1;
+    });
+    if (dueLevel <= (leave.overdueEscalationLevel || 0)) continue;
+
+    const studentName = student.userId?.name || 'Student';
+    const title = dueLevel === 1 ? 'Student Overdue to Return' : `Overdue Return - Alert ${dueLevel}`;
+    const message = `${studentName} has not returned from ${leave.type.toLowerCase()}. Expected back by ${deadline.toLocaleString('en-IN', { timeZone })}.`;
+
+    const [staff, parents] = await Promise.all([
+      User.find({ role: 'warden', institutionId: leave.institutionId }).select('name email staffRole isInstitutionAdmin'),
+      Parent.find({ studentId: student._id, institutionId: leave.institutionId }).populate('userId', 'name email'),
+    ]);
+    // Only staff who handle leaves or the gate, not accountants or mess staff
+    const wardens = staff.filter((user) => OVERDUE_ALERT_PERMISSIONS.some((permission) => hasPermission(user, permission)));
+    const recipients = [...wardens, ...parents.map((parent) => parent.userId).filter(Boolean)];
+
+    await notifyUsers(recipients.map((recipient) => ({
+      institutionId: leave.institutionId,
+      userId: recipient._id,
+      type: 'leave',
+      title,
+      message,
+      referenceId: leave._id,
+      pushData: { type: 'leave', leaveId: String(leave._id), overdue: true, escalationLevel: dueLevel },
+      // A missing student beats quiet hours and muted leave alerts; the email is sent below
+      critical: true,
+      channels: ['inApp', 'push', 'sms'],
+    })));
+
+    for (const recipient of recipients) {
+      if (!recipient.email) continue;
+      await sendOverdueReturnEmail({
+        to: recipient.email,
+        recipientName: recipient.name,
+        studentName,
+        leaveType: leave.type,
+        expectedAt: deadline,
+        escalationLevel: dueLevel,
+        timeZone,
+      });
+    }
+
+    leave.overdueEscalationLevel = dueLevel;
+    leave.overdueNotifiedAt = now;
+    await leave.save();
+  }
+};
+
+export const scheduleOverdueReturnChecks = () => {
+  cron.schedule(
+    '*/5 * * * *',
+    async () => {
+      try {
+        await checkOverdueReturns();
+      } catch (error) {
+        console.error('❌ Overdue return job failed:', error.message || error);
+      }
+    },
+    { timezone: 'Asia/Kolkata' }
+  );
+};
+
+export const scheduleLatePenalties = () => {
+  cron.schedule(
+    '30 0 * * *',
+    async () => {
+      try {
+        const { created, updated } = await applyLatePenalties();
+        if (created || updated) {
+          console.log(`Late fees applied: ${created} new, ${updated} updated`);
+        }
+      } catch (error) {
+        console.error('❌ Late fee job failed:', error.message || error);
+      }
+    },
+    { timezone: 'Asia/Kolkata' }
+  );
+};
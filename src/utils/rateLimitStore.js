@@ -0,0 +1,63 @@
+/**
+ * Key/value store used by rate limiting and login lockouts.
+ * The default is in-memory (per process). A shared store such as Redis can be
+ * plugged in with setRateLimitStore() as long as it implements the same async API:
+ *   get(key) -> value | null
+ *   set(key, value, ttlMs)
+ *   increment(key, windowMs) -> { count, resetAt }
+ *   delete(key)
+ */
+export class MemoryStore {
+  constructor({ sweepIntervalMs = 60 * 1000 } = {}) {
+    this.entries = new Map();
+
+    // Drop expired keys periodically; unref so the timer never keeps the process alive
+    this.sweeper = setInterval(() => this.sweep(), sweepIntervalMs);
+    this.sweeper.unref?.();
+  }
+
+  sweep() {
+    const now = Date.now();
+    for (const [key, entry] of this.entries) {
+      if (entry.expiresAt <= now) this.entries.delete(key);
+    }
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+    return entry.value;
+  }
+
+  async set(key, value, ttlMs) {
+    this.entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+  }
+
+  async increment(key, windowMs) {
+    const now = Date.now();
+    const entry = this.entries.get(key);
+    if (!entry || entry.expiresAt <= now) {
+      const resetAt = now + windowMs;
+      this.entries.set(key, { value: 1, expiresAt: resetAt });
+      return { count: 1, resetAt };
+    }
+    entry.value += 1;
+    return { count: entry.value, resetAt: entry.expiresAt };
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+}
+
+let store = new MemoryStore();
+
+export const setRateLimitStore = (nextStore) => {
+  store = nextStore;
+};
+
+export const getRateLimitStore = () => store;
@@ -1,5 +1,101 @@
-export const generateReceiptNumber = () => {
-  const ts = Date.now().toString(36).toUpperCase();
-  const rnd = Math.random().toString(36).slice(2, 8).toUpperCase();
-  return `RCPT-${ts}-${rnd}`;
+import DocumentSequence from '../models/DocumentSequence.model.js';
+import Institution from '../models/Institution.model.js';
+import { DEFAULT_TIMEZONE } from '../config/notifications.js';
+import { getZonedParts, resolveTimezone } from './timezone.js';
+
+export const DOCUMENT_SERIES = ['receipt', 'invoice', 'refund'];
+
+export const DEFAULT_NUMBERING = {
+  receiptPrefix: 'RCPT',
+  invoicePrefix: 'INV',
+  refundPrefix: 'RFND',
+  padding: 6,
+  financialYearStartMonth: 4,
 };
+
+/**
+ * Financial year label for a date, e.g. '2026-27' for 15 May 2026 with an April start.
+ * The year turns over on the institution's local calendar.
+ * @param {Date} date
+ * @param {number} [startMonth=4] - First month of the financial year (1-12)
+ * @param {string} [timeZone] - Institution timezone
+ * @returns {string}
+ */
+export const getFinancialYear = (
+  date = new Date(),
+  startMonth = DEFAULT_NUMBERING.financialYearStartMonth,
+  timeZone = DEFAULT_TIMEZONE
+) => {
+  const { year, month } = getZonedParts(date, timeZone);
+
+  const startYear = month >= startMonth ? year : year - 1;
+  if (startMonth === 1) return String(startYear);
+  return `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`;
+};
+
+/**
+ * Atomically take the next `count` numbers in a series and return the last one.
+ * Concurrent callers always get different numbers; the upsert retry covers two
+ * callers opening a new year at once.
+ */
+const nextSequence = async (institutionId, series, financialYear, count = 1) => {
+  const filter = { institutionId, series, financialYear };
+  const update = { $inc: { seq: count } };
+  try {
+    const counter = await DocumentSequence.findOneAndUpdate(filter, update, { new: true, upsert: true });
+    return counter.seq;
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+    const counter = await DocumentSequence.findOneAndUpdate(filter, update, { new: true });
+    return counter.seq;
+  }
+};
+
+/**
+ * Issue a block of consecutive document numbers in one step (bulk fee generation).
+ * Numbers run without gaps per institution, series and financial year, so only
+ * ask for as many as are actually being saved.
+ * @param {string} institutionId
+ * @param {string} series - receipt | invoice | refund
+ * @param {number} count
+ * @param {Date} [date]
+ * @returns {Promise<string[]>}
+ */
+export const generateDocumentNumbers = async (institutionId, series, count, date = new Date()) => {
+  if (!DOCUMENT_SERIES.includes(series)) {
+    throw new Error(`Unknown numbering series: ${series}`);
+  }
+  if (!count) return [];
+
+  const institution = await Institution.findById(institutionId).select('numbering timezone');
+  const numbering = { ...DEFAULT_NUMBERING, ...(institution?.toObject().numbering || {}) };
+
+  const financialYear = getFinancialYear(date, numbering.financialYearStartMonth, resolveTimezone(institution));
+  const last = await nextSequence(institutionId, series, financialYear, count);
+  const prefix = numbering[`${series}Prefix`] || DEFAULT_NUMBERING[`${series}Prefix`];
+
+  return Array.from({ length: count }, (_, index) => {
+    const seq = last - count + 1 + index;
+    return `${prefix}/${financialYear}/${String(seq).padStart(numbering.padding, '0')}`;
+  });
+};
+
+/**
+ * Issue the next document number for an institution, e.g. HST/2026-27/000123.
+ * Numbers run without gaps per institution, series and financial year, so call
+ * this only once the receipt, invoice or refund is actually being saved.
+ * @param {string} institutionId
+ * @param {string} [series='receipt'] - receipt | invoice | refund
+ * @param {Date} [date]
+ * @returns {Promise<string>}
+ */
+export const generateDocumentNumber = async (institutionId, series = 'receipt', date = new Date()) => {
+  const [number] = await generateDocumentNumbers(institutionId, series, 1, date);
+  return number;
+};
+
+export const generateReceiptNumber = (institutionId, date) => generateDocumentNumber(institutionId, 'receipt', date);
+
+export const generateInvoiceNumber = (institutionId, date) => generateDocumentNumber(institutionId, 'invoice', date);
+
+export const generateRefundNumber = (institutionId, date) => generateDocumentNumber(institutionId, 'refund', date);
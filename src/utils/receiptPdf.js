@@ -1,19 +1,55 @@
 import PDFDocument from 'pdfkit';
+import { DEFAULT_TIMEZONE } from '../config/notifications.js';
 
 const formatCurrency = (value) => {
   const amount = Number(value || 0);
   return `INR ${amount.toLocaleString('en-IN')}`;
 };
 
-export const buildReceiptPdfBuffer = async ({
-  receiptNumber,
-  studentName,
-  studentEmail,
-  amount,
-  paidAt,
-  method,
-  items = [],
-}) => {
+const formatDate = (value) => (value ? new Date(value).toLocaleString('en-IN') : 'N/A');
+
+// Dates print on the institution's calendar (billing profile timezone)
+const formatDay = (value, timeZone = DEFAULT_TIMEZONE) =>
+  value ? new Date(value).toLocaleDateString('en-IN', { timeZone }) : 'N/A';
+
+/**
+ * Institution name, address, contact and GSTIN at the top of invoices and statements
+ */
+const drawInstitutionHeader = (doc, institution = {}) => {
+  doc.fontSize(16).text(institution.name || 'HostelEase', { align: 'center' });
+  doc.fontSize(10).fillColor('#475569');
+  if (institution.address) doc.text(institution.address, { align: 'center' });
+  const contact = [institution.phone, institution.email].filter(Boolean).join(' | ');
+  if (contact) doc.text(contact, { align: 'center' });
+  if (institution.gstin) doc.text(`GSTIN: ${institution.gstin}`, { align: 'center' });
+  doc.fillColor('black');
+  doc.moveDown(1);
+};
+
+/**
+ * One row of fixed-width columns: [{ text, width, align }]
+ */
+const drawRow = (doc, columns, { bold = false } = {}) => {
+  if (doc.y > doc.page.height - doc.page.margins.bottom - 40) doc.addPage();
+  const y = doc.y;
+  let x = doc.page.margins.left;
+  let bottom = y;
+  doc.font(bold ? 'Helvetica-Bold' : 'Helvetica');
+  columns.forEach(({ text, width, align = 'left' }) => {
+    doc.text(String(text ?? ''), x, y, { width, align });
+    bottom = Math.max(bottom, doc.y);
+    x += width;
+  });
+  doc.font('Helvetica');
+  doc.x = doc.page.margins.left;
+  doc.y = bottom;
+  doc.moveDown(0.3);
+};
+
+/**
+ * Render an A4 PDF into a buffer; `draw` writes the content
+ */
+const renderPdf = (draw) => {
   const doc = new PDFDocument({ margin: 48, size: 'A4' });
   const chunks = [];
 
@@ -22,13 +58,29 @@ export const buildReceiptPdfBuffer = async ({
     doc.on('end', () => resolve(Buffer.concat(chunks)));
     doc.on('error', reject);
 
+    draw(doc);
+
+    doc.end();
+  });
+};
+
+export const buildReceiptPdfBuffer = async ({
+  receiptNumber,
+  studentName,
+  studentEmail,
+  amount,
+  paidAt,
+  method,
+  items = [],
+}) =>
+  renderPdf((doc) => {
     doc.fontSize(20).text('HostelEase Payment Receipt', { align: 'center' });
     doc.moveDown(1);
 
     doc.fontSize(12).text(`Receipt No: ${receiptNumber || 'N/A'}`);
     doc.text(`Student: ${studentName || 'N/A'}`);
     doc.text(`Email: ${studentEmail || 'N/A'}`);
-    doc.text(`Paid On: ${paidAt ? new Date(paidAt).toLocaleString('en-IN') : 'N/A'}`);
+    doc.text(`Paid On: ${formatDate(paidAt)}`);
     doc.text(`Method: ${method || 'N/A'}`);
     doc.moveDown(1);
 
@@ -47,7 +99,244 @@ export const buildReceiptPdfBuffer = async ({
     doc.fontSize(10).fillColor('#64748b').text('This receipt is generated by HostelEase. Please keep it for your records.', {
       align: 'center',
     });
+  });
 
-    doc.end();
+/**
+ * Refund statement, or the final settlement statement when a deposit was settled
+ * (deposit held, itemized deductions, amount returned and any balance still due).
+ */
+export const buildSettlementPdfBuffer = async ({
+  refundNumber,
+  studentName,
+  studentEmail,
+  rollNumber,
+  type,
+  depositAmount,
+  deductions = [],
+  amount,
+  balanceDue = 0,
+  method,
+  reference,
+  status,
+  originalReceiptNumber,
+  reversals = [],
+  reason,
+  settledAt,
+}) =>
+  renderPdf((doc) => {
+    const isSettlement = type === 'DepositSettlement';
+    doc.fontSize(20).text(isSettlement ? 'HostelEase Final Settlement Statement' : 'HostelEase Refund Statement', {
+      align: 'center',
+    });
+    doc.moveDown(1);
+
+    doc.fontSize(12).text(`Reference No: ${refundNumber || 'N/A'}`);
+    doc.text(`Student: ${studentName || 'N/A'}${rollNumber ? ` (${rollNumber})` : ''}`);
+    doc.text(`Email: ${studentEmail || 'N/A'}`);
+    doc.text(`Date: ${formatDate(settledAt)}`);
+    if (originalReceiptNumber) doc.text(`Original Receipt: ${originalReceiptNumber}`);
+    if (reason && !isSettlement) doc.text(`Reason: ${reason}`);
+    doc.moveDown(1);
+
+    if (isSettlement) {
+      doc.fontSize(12).text(`Security Deposit Held: ${formatCurrency(depositAmount)}`);
+      doc.moveDown(0.5);
+      if (deductions.length > 0) {
+        doc.text('Deductions', { underline: true });
+        doc.moveDown(0.5);
+        deductions.forEach((deduction) => {
+          doc.text(`${deduction.reason}: - ${formatCurrency(deduction.amount)}`);
+        });
+        doc.moveDown(0.5);
+      } else {
+        doc.text('Deductions: None');
+        doc.moveDown(0.5);
+      }
+    } else if (reversals.length > 0) {
+      doc.fontSize(12).text('Fee Items Reversed', { underline: true });
+      doc.moveDown(0.5);
+      reversals.forEach((item) => {
+        doc.text(`${item.term || 'Fee'}: ${formatCurrency(item.amount)}`);
+      });
+      doc.moveDown(0.5);
+    }
+
+    doc.fontSize(14).text(`Amount Refunded: ${formatCurrency(amount)}`, { align: 'right' });
+    if (balanceDue > 0) {
+      doc.fontSize(12).fillColor('#b91c1c').text(`Balance Still Due: ${formatCurrency(balanceDue)}`, { align: 'right' });
+      doc.fillColor('black');
+    }
+    doc.moveDown(0.5);
+    doc.fontSize(12).text(`Refund Method: ${method || 'N/A'}${reference ? ` (Ref: ${reference})` : ''}`);
+    doc.text(`Status: ${status || 'N/A'}`);
+    doc.moveDown(2);
+
+    doc.fontSize(10).fillColor('#64748b').text('This statement is generated by HostelEase. Please keep it for your records.', {
+      align: 'center',
+    });
+  });
+
+/**
+ * Invoice for a fee: institution details, components, GST split when enabled,
+ * due date and a link to pay the balance online.
+ */
+export const buildInvoicePdfBuffer = async ({
+  invoiceNumber,
+  issuedAt,
+  dueDate,
+  institution = {},
+  student = {},
+  lines = [],
+  installments = [],
+  gst,
+  total,
+  amountPaid = 0,
+  waived = 0,
+  balance = 0,
+  paymentLink,
+}) =>
+  renderPdf((doc) => {
+    const day = (value) => formatDay(value, institution.timezone);
+    drawInstitutionHeader(doc, institution);
+    doc.fontSize(18).text(gst ? 'Tax Invoice' : 'Fee Invoice', { align: 'center' });
+    doc.moveDown(1);
+
+    doc.fontSize(11).text(`Invoice No: ${invoiceNumber || 'N/A'}`);
+    doc.text(`Invoice Date: ${day(issuedAt)}`);
+    doc.text(`Due Date: ${day(dueDate)}`);
+    doc.moveDown(0.5);
+    doc.text(`Billed To: ${student.name || 'N/A'}${student.rollNumber ? ` (${student.rollNumber})` : ''}`);
+    if (student.email) doc.text(`Email: ${student.email}`);
+    if (student.class || student.room) {
+      doc.text([student.class && `Class: ${student.class}`, student.room && `Room: ${student.room}`].filter(Boolean).join('   '));
+    }
+    doc.moveDown(1);
+
+    drawRow(doc, [
+      { text: 'Description', width: 340 },
+      { text: 'Amount', width: 159, align: 'right' },
+    ], { bold: true });
+    lines.forEach((line) => {
+      drawRow(doc, [
+        { text: line.name || 'Fee', width: 340 },
+        { text: formatCurrency(line.amount), width: 159, align: 'right' },
+      ]);
+    });
+    doc.moveDown(0.5);
+
+    if (gst) {
+      doc.fontSize(10).fillColor('#475569');
+      if (gst.sacCode) doc.text(`SAC: ${gst.sacCode}`);
+      doc.text(`Taxable Value: ${formatCurrency(gst.taxable)}`, { align: 'right' });
+      doc.text(`CGST @ ${gst.rate / 2}%: ${formatCurrency(gst.cgst)}`, { align: 'right' });
+      doc.text(`SGST @ ${gst.rate / 2}%: ${formatCurrency(gst.sgst)}`, { align: 'right' });
+      doc.fillColor('black');
+    }
+
+    doc.fontSize(13).text(`Invoice Total: ${formatCurrency(total)}`, { align: 'right' });
+    doc.fontSize(11);
+    if (amountPaid > 0) doc.text(`Paid: ${formatCurrency(amountPaid)}`, { align: 'right' });
+    if (waived > 0) doc.text(`Waived: ${formatCurrency(waived)}`, { align: 'right' });
+    doc.fontSize(13).text(`Balance Due: ${formatCurrency(balance)}`, { align: 'right' });
+    doc.moveDown(1);
+
+    if (installments.length > 0) {
+      doc.fontSize(11).text('Installments', { underline: true });
+      doc.moveDown(0.3);
+      installments.forEach((installment) => {
+        doc.text(`${installment.label || 'Installment'}: ${formatCurrency(installment.amount)} due ${day(installment.dueDate)}`);
+      });
+      doc.moveDown(1);
+    }
+
+    if (paymentLink) {
+      doc.fontSize(11).text('Pay online: ', { continued: true }).fillColor('#2563eb').text(paymentLink, { link: paymentLink });
+      doc.fillColor('black');
+      doc.moveDown(1);
+    }
+
+    doc.fontSize(10).fillColor('#64748b').text(
+      gst ? 'Amounts are inclusive of GST.' : 'This invoice is generated by HostelEase.',
+      { align: 'center' }
+    );
+  });
+
+/**
+ * Fee statement for a period: opening balance, invoices, payments, waivers and
+ * refunds with a running balance, period totals and the GST summary when enabled.
+ */
+export const buildFeeStatementPdfBuffer = async ({
+  institution = {},
+  student = {},
+  periodLabel,
+  from,
+  to,
+  openingBalance = 0,
+  closingBalance = 0,
+  entries = [],
+  totals = {},
+  tax,
+}) =>
+  renderPdf((doc) => {
+    const day = (value) => formatDay(value, institution.timezone);
+    drawInstitutionHeader(doc, institution);
+    doc.fontSize(18).text('Fee Statement', { align: 'center' });
+    doc.fontSize(11).text(periodLabel || `${day(from)} to ${day(to)}`, { align: 'center' });
+    doc.moveDown(1);
+
+    doc.text(`Student: ${student.name || 'N/A'}${student.rollNumber ? ` (${student.rollNumber})` : ''}`);
+    if (student.email) doc.text(`Email: ${student.email}`);
+    doc.text(`Period: ${day(from)} to ${day(to)}`);
+    doc.moveDown(1);
+
+    doc.fontSize(9);
+    const columns = (date, description, reference, debit, credit, balance) => [
+      { text: date, width: 62 },
+      { text: description, width: 160 },
+      { text: reference, width: 97 },
+      { text: debit, width: 60, align: 'right' },
+      { text: credit, width: 60, align: 'right' },
+      { text: balance, width: 60, align: 'right' },
+    ];
+    const amount = (value) => (value ? Number(value).toLocaleString('en-IN') : '');
+
+    drawRow(doc, columns('Date', 'Description', 'Reference', 'Debit', 'Credit', 'Balance'), { bold: true });
+    drawRow(doc, columns(day(from), 'Opening balance', '', '', '', amount(openingBalance) || '0'));
+    entries.forEach((entry) => {
+      drawRow(doc, columns(
+        day(entry.date),
+        entry.description,
+        entry.invoiceNumber || entry.receiptNumber || '',
+        amount(entry.debit),
+        amount(entry.credit),
+        amount(entry.balance) || '0'
+      ));
+    });
+    drawRow(doc, columns(day(to), 'Closing balance', '', '', '', amount(closingBalance) || '0'), { bold: true });
+    doc.moveDown(1);
+
+    doc.fontSize(11).text('Summary', { underline: true });
+    doc.moveDown(0.3);
+    doc.text(`Opening Balance: ${formatCurrency(openingBalance)}`);
+    doc.text(`Invoiced: ${formatCurrency(totals.invoiced)}`);
+    doc.text(`Paid: ${formatCurrency(totals.paid)}`);
+    if (totals.waivedOrSettled) doc.text(`Waived / Adjusted: ${formatCurrency(totals.waivedOrSettled)}`);
+    if (totals.refunded) doc.text(`Refunded: ${formatCurrency(totals.refunded)}`);
+    doc.fontSize(13).text(`Closing Balance: ${formatCurrency(closingBalance)}`);
+    doc.moveDown(1);
+
+    if (tax) {
+      doc.fontSize(11).text('GST Summary (invoiced in period)', { underline: true });
+      doc.moveDown(0.3);
+      if (tax.gstin) doc.text(`GSTIN: ${tax.gstin}`);
+      if (tax.sacCode) doc.text(`SAC: ${tax.sacCode}`);
+      doc.text(`Taxable Value: ${formatCurrency(tax.taxable)}`);
+      doc.text(`CGST @ ${tax.rate / 2}%: ${formatCurrency(tax.cgst)}`);
+      doc.text(`SGST @ ${tax.rate / 2}%: ${formatCurrency(tax.sgst)}`);
+      doc.moveDown(1);
+    }
+
+    doc.fontSize(10).fillColor('#64748b').text('This statement is generated by HostelEase. Please keep it for your records.', {
+      align: 'center',
+    });
   });
-};
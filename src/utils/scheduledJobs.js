@@ -0,0 +1,60 @@
+import cron from 'node-cron';
+import { escalateBreachedComplaints } from '../services/complaint.service.js';
+import { purgeOrphanAttachments } from '../services/attachment.service.js';
+import { deliverDeferredNotifications } from '../services/notification.service.js';
+
+/**
+ * Background jobs that are not about fees or leave returns
+ * (those stay in paymentReminders.js). Registered in server.js.
+ */
+
+export const scheduleComplaintEscalations = () => {
+  cron.schedule(
+    '*/15 * * * *',
+    async () => {
+      try {
+        const escalated = await escalateBreachedComplaints();
+        if (escalated) {
+          console.log(`Complaints escalated for SLA breach: ${escalated}`);
+        }
+      } catch (error) {
+        console.error('❌ Complaint escalation job failed:', error.message || error);
+      }
+    },
+    { timezone: 'Asia/Kolkata' }
+  );
+};
+
+export const scheduleAttachmentCleanup = () => {
+  cron.schedule(
+    '15 3 * * *',
+    async () => {
+      try {
+        const removed = await purgeOrphanAttachments();
+        if (removed) {
+          console.log(`Unused attachments removed: ${removed}`);
+        }
+      } catch (error) {
+        console.error('❌ Attachment cleanup job failed:', error.message || error);
+      }
+    },
+    { timezone: 'Asia/Kolkata' }
+  );
+};
+
+export const scheduleDeferredNotifications = () => {
+  cron.schedule(
+    '*/5 * * * *',
+    async () => {
+      try {
+        const delivered = await deliverDeferredNotifications();
+        if (delivered) {
+          console.log(`Notifications delivered after quiet hours: ${delivered}`);
+        }
+      } catch (error) {
+        console.error('❌ Deferred notification job failed:', error.message || error);
+      }
+    },
+    { timezone: 'Asia/Kolkata' }
+  );
+};
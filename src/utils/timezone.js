@@ -0,0 +1,98 @@
+import { DEFAULT_TIMEZONE } from '../config/notifications.js';
+
+/**
+ * Wall-clock helpers for the institution's timezone (Institution.timezone).
+ * Dates are stored as instants; "a day", "20:00" or "April" only mean something
+ * on a hostel's local calendar, which is not the server's.
+ */
+
+/**
+ * Whether a string is an IANA timezone this server knows (e.g. Asia/Kolkata)
+ */
+export const isValidTimezone = (timeZone) => {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+  try {
+    new Intl.DateTimeFormat('en-GB', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Timezone of a loaded institution, or the default when it has none (or an unknown one)
+ * @param {object} [institution] - Institution document with `timezone` selected
+ * @returns {string}
+ */
+export const resolveTimezone = (institution) =>
+  isValidTimezone(institution?.timezone) ? institution.timezone : DEFAULT_TIMEZONE;
+
+/**
+ * Calendar date and time of an instant on the wall clock of a timezone
+ * @param {Date} date
+ * @param {string} [timeZone]
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number, second: number}} month is 1-12
+ */
+export const getZonedParts = (date, timeZone = DEFAULT_TIMEZONE) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric',
+    hourCycle: 'h23',
+  }).formatToParts(new Date(date));
+  const part = (type) => Number(parts.find((item) => item.type === type).value);
+  return {
+    year: part('year'),
+    month: part('month'),
+    day: part('day'),
+    hour: part('hour'),
+    minute: part('minute'),
+    second: part('second'),
+  };
+};
+
+// How far the timezone's wall clock is ahead of UTC at an instant, in milliseconds
+const offsetAt = (instant, timeZone) => {
+  const { year, month, day, hour, minute, second } = getZonedParts(new Date(instant), timeZone);
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+  return wallClock - (instant - (((instant % 1000) + 1000) % 1000));
+};
+
+/**
+ * The instant a wall-clock time occurs in a timezone. Out-of-range values roll
+ * over like Date.UTC (day 32 is the next month, hour 24 the next day).
+ * @param {string} timeZone
+ * @param {number} year
+ * @param {number} month - 1-12
+ * @param {number} day
+ * @param {number} [hours]
+ * @param {number} [minutes]
+ * @param {number} [seconds]
+ * @param {number} [ms]
+ * @returns {Date}
+ */
+export const zonedTime = (timeZone, year, month, day, hours = 0, minutes = 0, seconds = 0, ms = 0) => {
+  const wallClock = Date.UTC(year, month - 1, day, hours, minutes, seconds, ms);
+  // Read the offset near the result, then again in case a DST change lies in between
+  let instant = wallClock - offsetAt(wallClock, timeZone);
+  instant = wallClock - offsetAt(instant, timeZone);
+  return new Date(instant);
+};
+
+/**
+ * Start and end of the local day containing an instant
+ * @param {Date} [date]
+ * @param {string} [timeZone]
+ * @returns {{start: Date, end: Date}}
+ */
+export const getZonedDayBounds = (date = new Date(), timeZone = DEFAULT_TIMEZONE) => {
+  const { year, month, day } = getZonedParts(date, timeZone);
+  return {
+    start: zonedTime(timeZone, year, month, day),
+    end: new Date(zonedTime(timeZone, year, month, day + 1).getTime() - 1),
+  };
+};
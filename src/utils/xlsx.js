@@ -0,0 +1,49 @@
+import ExcelJS from 'exceljs';
+
+/**
+ * Single-sheet XLSX builder for report exports (same column format as csv.js)
+ */
+
+// Plain values only: exceljs reads objects as formulas, hyperlinks or rich text
+const toCellValue = (value) => {
+  if (value === undefined || value === null) return null;
+  if (value instanceof Date || typeof value === 'number' || typeof value === 'boolean') return value;
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+};
+
+/**
+ * Build an XLSX workbook with one sheet. Text is written as string cells, so a
+ * value starting with = is shown, never calculated.
+ * @param {Array<{key: string, label: string}>} columns - Column keys and header labels
+ * @param {object[]} rows - Row objects
+ * @param {string} [sheetName='Report']
+ * @returns {Promise<Buffer>}
+ */
+export const toXlsx = async (columns, rows, sheetName = 'Report') => {
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet(String(sheetName).replace(/[\\/?*[\]:]/g, ' ').slice(0, 31) || 'Report');
+
+  sheet.columns = columns.map((column) => ({
+    key: column.key,
+    header: column.label,
+    width: Math.min(Math.max(String(column.label).length + 2, 10), 40),
+  }));
+  sheet.getRow(1).font = { bold: true };
+  rows.forEach((row) => {
+    sheet.addRow(Object.fromEntries(columns.map((column) => [column.key, toCellValue(row[column.key])])));
+  });
+
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+};
+
+/**
+ * Send an XLSX buffer as a file download
+ * @param {object} res - Express response
+ * @param {string} filename - Download file name
+ * @param {Buffer} buffer - Workbook from toXlsx
+ */
+export const sendXlsx = (res, filename, buffer) => {
+  res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  res.status(200).send(buffer);
+};
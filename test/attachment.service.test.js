@@ -0,0 +1,93 @@
+import { afterEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import sharp from 'sharp';
+import Attachment from '../src/models/Attachment.model.js';
+import { linkAttachments, storeAttachment } from '../src/services/attachment.service.js';
+import { getAttachmentStorage } from '../src/services/attachmentStorage.service.js';
+
+afterEach(() => mock.restoreAll());
+
+describe('linkAttachments', () => {
+  const uploads = [1, 2, 3].map(() => ({ _id: new mongoose.Types.ObjectId() }));
+  const recordId = new mongoose.Types.ObjectId();
+
+  it('claims every upload for the record', async () => {
+    const claim = mock.method(Attachment, 'updateOne', async () => ({ modifiedCount: 1 }));
+
+    const result = await linkAttachments(uploads, 'Complaint', recordId);
+
+    assert.deepEqual(result, { linked: true });
+    assert.equal(claim.mock.callCount(), 3);
+    const [filter, update] = claim.mock.calls[0].arguments;
+    assert.equal(filter['linkedTo.id'], null);
+    assert.deepEqual(update, { $set: { linkedTo: { type: 'Complaint', id: recordId } } });
+  });
+
+  it('releases its own claims when another request took an upload first', async () => {
+    // The second upload was linked by a concurrent request
+    mock.method(Attachment, 'updateOne', async (filter) => ({
+      modifiedCount: String(filter._id) === String(uploads[1]._id) ? 0 : 1,
+    }));
+    const release = mock.method(Attachment, 'updateMany', async () => ({}));
+
+    const result = await linkAttachments(uploads, 'Complaint', recordId);
+
+    assert.equal(result.status, 409);
+    assert.equal(release.mock.callCount(), 1);
+    const [filter, update] = release.mock.calls[0].arguments;
+    assert.deepEqual(filter._id.$in.map(String), [String(uploads[0]._id)]);
+    assert.equal(filter['linkedTo.id'], recordId);
+    assert.deepEqual(update, { $unset: { linkedTo: 1 } });
+  });
+});
+
+describe('storeAttachment', () => {
+  const user = { _id: new mongoose.Types.ObjectId(), institutionId: new mongoose.Types.ObjectId() };
+  const photo = () => sharp({ create: { width: 8, height: 8, channels: 3, background: '#3b82f6' } }).png().toBuffer();
+
+  // Files live in `stored` instead of on disk; `failOn` makes the put for a matching key throw
+  const useStorage = (failOn) => {
+    const storage = getAttachmentStorage('local');
+    const stored = new Set();
+    mock.method(storage, 'put', async (key) => {
+      if (failOn?.test(key)) throw new Error('Storage unavailable');
+      stored.add(key);
+    });
+    mock.method(storage, 'remove', async (key) => {
+      stored.delete(key);
+    });
+    return stored;
+  };
+
+  it('stores the photo and its thumbnail', async () => {
+    const stored = useStorage();
+    mock.method(Attachment, 'create', async (doc) => doc);
+
+    const { attachment } = await storeAttachment({ buffer: await photo(), fileName: 'tap.png', user });
+
+    assert.deepEqual([...stored], [attachment.key, attachment.thumbnailKey]);
+    assert.equal(attachment.mimeType, 'image/png');
+  });
+
+  it('removes the written files when the record cannot be saved', async () => {
+    const stored = useStorage();
+    mock.method(Attachment, 'create', async () => {
+      throw new Error('Database unavailable');
+    });
+
+    await assert.rejects(storeAttachment({ buffer: await photo(), fileName: 'tap.png', user }), /Database unavailable/);
+
+    assert.equal(stored.size, 0);
+  });
+
+  it('removes the upload when the thumbnail cannot be written', async () => {
+    const stored = useStorage(/-thumb\.jpg$/);
+    const create = mock.method(Attachment, 'create', async (doc) => doc);
+
+    await assert.rejects(storeAttachment({ buffer: await photo(), fileName: 'tap.png', user }), /Storage unavailable/);
+
+    assert.equal(stored.size, 0);
+    assert.equal(create.mock.callCount(), 0);
+  });
+});
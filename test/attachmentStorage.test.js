@@ -0,0 +1,30 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createS3Storage } from '../src/services/attachmentStorage.service.js';
+
+describe('S3 attachment storage', () => {
+  const storage = createS3Storage({
+    endpoint: 'https://minio.example.test',
+    region: 'us-east-1',
+    bucket: 'hostel-files',
+    accessKeyId: 'AKIDEXAMPLE',
+    secretAccessKey: 'wJalrXUtnFEMI/K7MDENG+bPxRfiCYEXAMPLEKEY',
+  });
+
+  it('presigns path-style download URLs with the file name and type', async () => {
+    const url = new URL(
+      await storage.presign('inst/2026/photo one.jpg', { expiresIn: 60, fileName: 'leak "photo".jpg', contentType: 'image/jpeg' })
+    );
+
+    assert.equal(url.origin, 'https://minio.example.test');
+    assert.equal(url.pathname, '/hostel-files/inst/2026/photo%20one.jpg');
+    assert.equal(url.searchParams.get('X-Amz-Expires'), '60');
+    assert.equal(url.searchParams.get('response-content-disposition'), 'inline; filename="leak photo.jpg"');
+    assert.equal(url.searchParams.get('response-content-type'), 'image/jpeg');
+    assert.match(url.searchParams.get('X-Amz-Signature'), /^[a-f0-9]{64}$/);
+  });
+
+  it('needs a bucket and credentials', () => {
+    assert.throws(() => createS3Storage({ bucket: 'hostel-files' }), /S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY/);
+  });
+});
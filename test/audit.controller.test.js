@@ -0,0 +1,46 @@
+import { afterEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import AuditLog from '../src/models/AuditLog.model.js';
+import { getAuditLogs } from '../src/controllers/audit.controller.js';
+import { mockQuery, mockResponse } from './helpers.js';
+
+const user = { institutionId: new mongoose.Types.ObjectId() };
+
+afterEach(() => mock.restoreAll());
+
+describe('getAuditLogs', () => {
+  const list = async (query) => {
+    const find = mock.method(AuditLog, 'find', () => mockQuery([]));
+    mock.method(AuditLog, 'countDocuments', async () => 0);
+    const res = mockResponse();
+    await getAuditLogs({ query, user }, res);
+    return { res, find };
+  };
+
+  it('rejects filters that are not plain strings', async () => {
+    for (const query of [{ targetType: ['Fee', 'Payment'] }, { action: { $ne: 'fee.update' } }]) {
+      const { res, find } = await list(query);
+
+      assert.equal(res.statusCode, 400);
+      assert.equal(find.mock.callCount(), 0);
+      mock.restoreAll();
+    }
+  });
+
+  it('rejects an unknown target type', async () => {
+    const { res } = await list({ targetType: 'Invoice' });
+
+    assert.equal(res.statusCode, 400);
+    assert.match(res.body.message, /targetType must be one of/);
+  });
+
+  it('filters by target type and action prefix', async () => {
+    const { res, find } = await list({ targetType: 'Fee', action: 'fee' });
+
+    assert.equal(res.statusCode, 200);
+    const [filter] = find.mock.calls[0].arguments;
+    assert.equal(filter.targetType, 'Fee');
+    assert.ok(filter.action.test('fee.mark_paid'));
+  });
+});
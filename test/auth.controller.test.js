@@ -0,0 +1,70 @@
+import { afterEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import bcrypt from 'bcryptjs';
+import mongoose from 'mongoose';
+import Institution from '../src/models/Institution.model.js';
+import PasswordReset from '../src/models/PasswordReset.model.js';
+import User from '../src/models/User.model.js';
+import { resetPassword } from '../src/controllers/auth.controller.js';
+import { mockQuery, mockResponse } from './helpers.js';
+
+const MAX_ATTEMPTS = 5;
+
+afterEach(() => mock.restoreAll());
+
+describe('resetPassword', () => {
+  // One stored reset code; findOneAndUpdate applies the $inc atomically like the database
+  const useResetCode = async (code) => {
+    const stored = {
+      _id: new mongoose.Types.ObjectId(),
+      codeHash: await bcrypt.hash(code, 4),
+      attempts: 0,
+      usedAt: null,
+      invalidatedAt: null,
+    };
+    mock.method(Institution, 'findOne', async () => ({ _id: new mongoose.Types.ObjectId() }));
+    mock.method(User, 'findOne', () => mockQuery({ _id: new mongoose.Types.ObjectId() }));
+    mock.method(PasswordReset, 'findOne', () => mockQuery({ ...stored }));
+    mock.method(PasswordReset, 'findOneAndUpdate', async (filter, update) => {
+      if (stored.usedAt || stored.invalidatedAt) return null;
+      if (filter.attempts && stored.attempts >= filter.attempts.$lt) return null;
+      if (update.$inc) stored.attempts += update.$inc.attempts;
+      return { ...stored };
+    });
+    mock.method(PasswordReset, 'updateOne', async (filter, update) => {
+      Object.assign(stored, update);
+      return {};
+    });
+    return stored;
+  };
+
+  const guess = async (code) => {
+    const res = mockResponse();
+    await resetPassword(
+      { body: { email: 'asha@student.test', institutionName: 'Hostel', code, newPassword: 'secret123' } },
+      res
+    );
+    return res;
+  };
+
+  it('never checks more guesses than the attempt limit, even in parallel', async () => {
+    const stored = await useResetCode('123456');
+    const compare = mock.method(bcrypt, 'compare');
+
+    const results = await Promise.all(Array.from({ length: 12 }, () => guess('000000')));
+
+    assert.equal(compare.mock.callCount(), MAX_ATTEMPTS);
+    assert.equal(stored.attempts, MAX_ATTEMPTS);
+    assert.ok(stored.invalidatedAt);
+    assert.ok(results.every((res) => res.statusCode === 400));
+  });
+
+  it('counts down the attempts left after a wrong guess', async () => {
+    await useResetCode('123456');
+
+    const res = await guess('000000');
+
+    assert.equal(res.statusCode, 400);
+    assert.match(res.body.message, /4 attempt\(s\) remaining/);
+  });
+});
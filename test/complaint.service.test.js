@@ -0,0 +1,98 @@
+import { afterEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Complaint from '../src/models/Complaint.model.js';
+import User from '../src/models/User.model.js';
+import { DEFAULT_SLA_HOURS } from '../src/config/complaints.js';
+import {
+  canRateComplaint,
+  escalateBreachedComplaints,
+  getComplaintDueAt,
+  getReopenDeadline,
+} from '../src/services/complaint.service.js';
+import { mockQuery } from './helpers.js';
+
+const institutionId = new mongoose.Types.ObjectId();
+const workflow = { routing: [], slaHours: { ...DEFAULT_SLA_HOURS, High: 12 }, reopenWindowDays: 3 };
+
+afterEach(() => mock.restoreAll());
+
+describe('getComplaintDueAt', () => {
+  it('adds the SLA hours for the priority', () => {
+    const openedAt = new Date('2026-06-01T10:00:00Z');
+
+    assert.equal(getComplaintDueAt(openedAt, 'High', workflow).toISOString(), '2026-06-01T22:00:00.000Z');
+    assert.equal(getComplaintDueAt(openedAt, 'Urgent', workflow).toISOString(), '2026-06-01T14:00:00.000Z');
+  });
+
+  it('falls back to the medium SLA for an unknown priority', () => {
+    const openedAt = new Date('2026-06-01T10:00:00Z');
+
+    assert.equal(getComplaintDueAt(openedAt, 'Someday', workflow).toISOString(), '2026-06-04T10:00:00.000Z');
+  });
+});
+
+describe('getReopenDeadline', () => {
+  it('allows reopening for the window after resolution', () => {
+    const complaint = { status: 'Resolved', resolvedAt: new Date('2026-06-01T10:00:00Z') };
+
+    assert.equal(getReopenDeadline(complaint, workflow).toISOString(), '2026-06-04T10:00:00.000Z');
+  });
+
+  it('has no deadline until the complaint is resolved', () => {
+    assert.equal(getReopenDeadline({ status: 'In Progress' }, workflow), null);
+  });
+});
+
+describe('canRateComplaint', () => {
+  it('allows one rating per resolution', () => {
+    const resolvedAt = new Date('2026-06-05T10:00:00Z');
+
+    assert.equal(canRateComplaint({ status: 'Resolved', resolvedAt }), true);
+    assert.equal(canRateComplaint({ status: 'Resolved', resolvedAt, satisfaction: { ratedAt: new Date('2026-06-06') } }), false);
+    // Rated, reopened and resolved again
+    assert.equal(canRateComplaint({ status: 'Resolved', resolvedAt, satisfaction: { ratedAt: new Date('2026-06-02') } }), true);
+  });
+});
+
+describe('escalateBreachedComplaints', () => {
+  const now = new Date('2026-06-02T12:00:00Z');
+  const makeComplaint = () => ({
+    _id: new mongoose.Types.ObjectId(),
+    institutionId,
+    title: 'No water',
+    category: 'Plumbing',
+    priority: 'High',
+    dueAt: new Date('2026-06-02T09:00:00Z'),
+    studentId: { userId: { name: 'Asha' } },
+  });
+
+  it('alerts the chief wardens once for each breached complaint', async () => {
+    const complaints = [makeComplaint(), makeComplaint()];
+    let findFilter;
+    mock.method(Complaint, 'find', (filter) => {
+      findFilter = filter;
+      return mockQuery(complaints);
+    });
+    // The second complaint was claimed by an overlapping run
+    const claimed = new Set([String(complaints[0]._id)]);
+    const updateOne = mock.method(Complaint, 'updateOne', async (filter) => ({
+      modifiedCount: claimed.has(String(filter._id)) ? 1 : 0,
+    }));
+    const chiefs = [{ _id: new mongoose.Types.ObjectId() }, { _id: new mongoose.Types.ObjectId() }];
+    mock.method(User, 'find', () => mockQuery(chiefs));
+    // Delivery looks each chief warden up again; skip it here
+    const notified = mock.method(User, 'findById', () => mockQuery(null));
+
+    const escalated = await escalateBreachedComplaints(now);
+
+    assert.equal(escalated, 1);
+    assert.deepEqual(findFilter.dueAt, { $lte: now });
+    assert.equal(findFilter.escalatedAt, null);
+    const [claimFilter, claimUpdate] = updateOne.mock.calls[0].arguments;
+    assert.equal(claimFilter.escalatedAt, null);
+    assert.equal(claimUpdate.$set.escalatedAt, now);
+    assert.equal(claimUpdate.$push.activity.type, 'sla_breached');
+    assert.deepEqual(notified.mock.calls.map((call) => call.arguments[0]), chiefs.map((chief) => chief._id));
+  });
+});
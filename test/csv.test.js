@@ -0,0 +1,25 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { toCsv } from '../src/utils/csv.js';
+
+const columns = [
+  { key: 'name', label: 'Name' },
+  { key: 'amount', label: 'Amount' },
+];
+
+describe('toCsv', () => {
+  it('quotes commas, quotes and line breaks', () => {
+    const csv = toCsv(columns, [{ name: 'Rao, "Anil"\nB', amount: 10 }]);
+    assert.equal(csv, 'Name,Amount\r\n"Rao, ""Anil""\nB",10');
+  });
+
+  it('keeps text that looks like a formula from running', () => {
+    const rows = ['=HYPERLINK("http://x")', '+1', '-2+3', '@SUM(A1)', '\tcmd', '\rcmd'].map((name) => ({ name }));
+    const values = toCsv([columns[0]], rows).split('\r\n').slice(1);
+    assert.deepEqual(values, ['"\'=HYPERLINK(""http://x"")"', "'+1", "'-2+3", "'@SUM(A1)", "'\tcmd", '"\'\rcmd"']);
+  });
+
+  it('leaves negative numbers alone', () => {
+    assert.equal(toCsv([columns[1]], [{ amount: -250 }]), 'Amount\r\n-250');
+  });
+});
@@ -0,0 +1,113 @@
+import { afterEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import AuditLog from '../src/models/AuditLog.model.js';
+import DocumentSequence from '../src/models/DocumentSequence.model.js';
+import Fee from '../src/models/Fee.model.js';
+import Institution from '../src/models/Institution.model.js';
+import Parent from '../src/models/Parent.model.js';
+import Payment from '../src/models/Payment.model.js';
+import Student from '../src/models/Student.model.js';
+import { getFeeById, getFees, markFeePaid } from '../src/controllers/fee.controller.js';
+import { mockQuery, mockResponse } from './helpers.js';
+
+const institutionId = new mongoose.Types.ObjectId();
+const studentId = new mongoose.Types.ObjectId();
+const staff = { _id: new mongoose.Types.ObjectId(), role: 'warden', institutionId };
+
+afterEach(() => mock.restoreAll());
+
+describe('markFeePaid', () => {
+  it('settles an offline payment through the verified payment path', async () => {
+    const fee = new Fee({ institutionId, studentId, term: 'Term 1', amount: 1000, status: 'Pending' });
+    mock.method(Fee, 'findOne', async () => fee);
+    mock.method(Fee, 'find', async (filter) => (filter['paymentCredits.paymentId'] ? [] : [fee]));
+    mock.method(Fee, 'findById', () => mockQuery(fee));
+    mock.method(Fee.prototype, 'save', async function save() {
+      await this.validate();
+      return this;
+    });
+    const saved = [];
+    mock.method(Payment.prototype, 'save', async function save() {
+      saved.push(this);
+      return this;
+    });
+    mock.method(Institution, 'findById', () => mockQuery(null));
+    mock.method(DocumentSequence, 'findOneAndUpdate', async () => ({ seq: 42 }));
+    mock.method(Student, 'findOne', () => mockQuery(null));
+    mock.method(Parent, 'find', () => mockQuery([]));
+    mock.method(Parent, 'findOne', () => mockQuery(null));
+    mock.method(AuditLog, 'create', async () => ({}));
+
+    const res = mockResponse();
+    await markFeePaid({ params: { id: String(fee._id) }, body: { amount: 400, method: 'Cash' }, user: staff }, res);
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(saved.length, 1);
+    const [payment] = saved;
+    assert.equal(payment.status, 'Completed');
+    assert.equal(payment.verificationStatus, 'Verified');
+    assert.equal(payment.verificationSource, 'Staff');
+    assert.match(payment.receiptNumber, /^RCPT\/\d{4}-\d{2}\/000042$/);
+    assert.equal(res.body.receiptNumber, payment.receiptNumber);
+    assert.deepEqual(payment.allocations.map(({ amount }) => amount), [400]);
+    assert.equal(fee.amountPaid, 400);
+    assert.equal(fee.status, 'PartiallyPaid');
+  });
+});
+
+describe('parent access to fees', () => {
+  const parentUser = { _id: new mongoose.Types.ObjectId(), role: 'parent', institutionId };
+  const childId = new mongoose.Types.ObjectId();
+
+  it('only looks up fees of linked children by ID', async () => {
+    mock.method(Parent, 'find', () => mockQuery([{ studentId: childId }]));
+    let query;
+    mock.method(Fee, 'findOne', (filter) => {
+      query = filter;
+      return mockQuery(null);
+    });
+
+    const res = mockResponse();
+    await getFeeById({ params: { id: String(new mongoose.Types.ObjectId()) }, query: {}, user: parentUser }, res);
+
+    assert.equal(res.statusCode, 404);
+    assert.deepEqual(query.studentId.$in.map(String), [String(childId)]);
+    assert.equal(query.institutionId, institutionId);
+  });
+
+  it("lists the linked child's fees", async () => {
+    mock.method(Parent, 'find', () => mockQuery([{ studentId: childId }]));
+    const child = { _id: childId, populate: async () => child };
+    mock.method(Student, 'findOne', async () => child);
+    let query;
+    mock.method(Fee, 'find', (filter) => {
+      query = filter;
+      return mockQuery([]);
+    });
+
+    const res = mockResponse();
+    await getFees({ query: {}, user: parentUser }, res);
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(String(query.studentId), String(childId));
+  });
+
+  it('asks which child when several are linked', async () => {
+    mock.method(Parent, 'find', () => mockQuery([{ studentId: childId }, { studentId: new mongoose.Types.ObjectId() }]));
+
+    const res = mockResponse();
+    await getFees({ query: {}, user: parentUser }, res);
+
+    assert.equal(res.statusCode, 400);
+  });
+
+  it('refuses a child that is not linked', async () => {
+    mock.method(Parent, 'find', () => mockQuery([{ studentId: childId }]));
+
+    const res = mockResponse();
+    await getFees({ query: { studentId: String(new mongoose.Types.ObjectId()) }, user: parentUser }, res);
+
+    assert.equal(res.statusCode, 403);
+  });
+});
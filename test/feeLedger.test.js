@@ -0,0 +1,136 @@
+import { afterEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Fee from '../src/models/Fee.model.js';
+import Payment from '../src/models/Payment.model.js';
+import { applyPaymentToFees, reverseAllocations } from '../src/services/feeLedger.service.js';
+
+const institutionId = new mongoose.Types.ObjectId();
+const studentId = new mongoose.Types.ObjectId();
+
+const makeFee = (fields) =>
+  new Fee({ institutionId, studentId, term: 'Term', status: 'Pending', createdAt: new Date('2026-01-01'), ...fields });
+
+// Saves run the real validation hooks; `stored` plays the database
+const useFeeStore = (fees) => {
+  const stored = new Map(fees.map((fee) => [String(fee._id), fee.toObject({ virtuals: false })]));
+  mock.method(Fee, 'find', async (filter) => {
+    if (filter['paymentCredits.paymentId']) {
+      const paymentId = String(filter['paymentCredits.paymentId']);
+      return [...stored.values()]
+        .filter((fee) => fee.paymentCredits?.some((credit) => String(credit.paymentId) === paymentId))
+        .map((fee) => Fee.hydrate(fee));
+    }
+    return fees.filter((fee) => ['Pending', 'PartiallyPaid'].includes(fee.status));
+  });
+  mock.method(Fee, 'findById', async (id) => (stored.has(String(id)) ? Fee.hydrate(stored.get(String(id))) : null));
+  mock.method(Fee.prototype, 'save', async function save() {
+    await this.validate();
+    stored.set(String(this._id), this.toObject({ virtuals: false }));
+    return this;
+  });
+  return stored;
+};
+
+const makePayment = (fields) => new Payment({ institutionId, studentId, payerType: 'student', method: 'UPI', ...fields });
+
+afterEach(() => mock.restoreAll());
+
+describe('applyPaymentToFees', () => {
+  it('credits the oldest fees first and keeps the rest as an advance', async () => {
+    const older = makeFee({ amount: 1000, dueDate: new Date('2026-04-10') });
+    const newer = makeFee({ amount: 500, dueDate: new Date('2026-07-10') });
+    const stored = useFeeStore([newer, older]);
+    const payment = makePayment({ amount: 1700 });
+
+    const allocations = await applyPaymentToFees(payment, { paidBy: 'student' });
+
+    assert.deepEqual(allocations.map(({ feeId, amount }) => [String(feeId), amount]), [
+      [String(older._id), 1000],
+      [String(newer._id), 500],
+    ]);
+    assert.equal(payment.unallocatedAmount, 200);
+    assert.equal(stored.get(String(older._id)).status, 'Paid');
+    assert.equal(stored.get(String(newer._id)).status, 'Paid');
+  });
+
+  it('splits a partial payment and marks the fee partially paid', async () => {
+    const fee = makeFee({ amount: 1000 });
+    const stored = useFeeStore([fee]);
+    const payment = makePayment({ amount: 400 });
+
+    await applyPaymentToFees(payment, { paidBy: 'parent' });
+
+    assert.equal(stored.get(String(fee._id)).amountPaid, 400);
+    assert.equal(stored.get(String(fee._id)).status, 'PartiallyPaid');
+    assert.equal(payment.unallocatedAmount, 0);
+  });
+
+  it('re-applies the credit to the saved fee when another payment saved it first', async () => {
+    const fee = makeFee({ amount: 1000 });
+    const stored = useFeeStore([fee]);
+    // Another settlement credited 700 after this fee was loaded
+    stored.set(String(fee._id), { ...stored.get(String(fee._id)), amountPaid: 700, status: 'PartiallyPaid', __v: 1 });
+
+    let saves = 0;
+    const save = Fee.prototype.save;
+    mock.method(Fee.prototype, 'save', async function saveOnce() {
+      saves += 1;
+      if (saves === 1) throw new mongoose.Error.VersionError(this, 1, ['amountPaid']);
+      return save.call(this);
+    });
+
+    const payment = makePayment({ amount: 500 });
+    await applyPaymentToFees(payment, { paidBy: 'student' });
+
+    assert.equal(saves, 2);
+    assert.equal(stored.get(String(fee._id)).amountPaid, 1000);
+    assert.deepEqual(payment.allocations.map(({ amount }) => amount), [300]);
+    assert.equal(payment.unallocatedAmount, 200);
+  });
+
+  it('keeps the credit from an earlier attempt and only allocates the rest', async () => {
+    const older = makeFee({ amount: 1000, dueDate: new Date('2026-04-10') });
+    const newer = makeFee({ amount: 500, dueDate: new Date('2026-07-10') });
+    const stored = useFeeStore([older, newer]);
+    const payment = makePayment({ amount: 1200 });
+
+    await applyPaymentToFees(payment, { paidBy: 'student' });
+    // The payment itself was never saved; the retry starts from a fresh copy
+    const retried = makePayment({ _id: payment._id, amount: 1200 });
+    await applyPaymentToFees(retried, { paidBy: 'student' });
+
+    assert.equal(stored.get(String(older._id)).amountPaid, 1000);
+    assert.equal(stored.get(String(newer._id)).amountPaid, 200);
+    assert.deepEqual(retried.allocations.map(({ amount }) => amount), [1000, 200]);
+    assert.equal(retried.unallocatedAmount, 0);
+  });
+});
+
+describe('reverseAllocations', () => {
+  it('takes back the advance first, then the last allocations', async () => {
+    const first = makeFee({ amount: 1000, amountPaid: 1000 });
+    const second = makeFee({ amount: 500, amountPaid: 500 });
+    const stored = useFeeStore([first, second]);
+    const payment = makePayment({
+      amount: 1700,
+      status: 'Completed',
+      unallocatedAmount: 200,
+      allocations: [
+        { feeId: first._id, term: 'Term', amount: 1000 },
+        { feeId: second._id, term: 'Term', amount: 500 },
+      ],
+    });
+
+    const reversals = await reverseAllocations(payment, 900);
+
+    assert.equal(payment.unallocatedAmount, 0);
+    assert.deepEqual(reversals.map(({ feeId, amount }) => [String(feeId), amount]), [
+      [String(second._id), 500],
+      [String(first._id), 200],
+    ]);
+    assert.equal(stored.get(String(second._id)).status, 'Pending');
+    assert.equal(stored.get(String(first._id)).amountPaid, 800);
+    assert.equal(stored.get(String(first._id)).status, 'PartiallyPaid');
+  });
+});
@@ -0,0 +1,98 @@
+import { afterEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Fee from '../src/models/Fee.model.js';
+import Institution from '../src/models/Institution.model.js';
+import Payment from '../src/models/Payment.model.js';
+import RoomAllocation from '../src/models/RoomAllocation.model.js';
+import Student from '../src/models/Student.model.js';
+import {
+  getCollectionsReport,
+  getOutstandingReport,
+  getStudentPaymentSummary,
+} from '../src/services/financeReport.service.js';
+import { mockQuery } from './helpers.js';
+
+const institutionId = new mongoose.Types.ObjectId();
+
+// Capture the pipeline; the database is not available in tests
+const capturePipeline = (Model, result = [{ rows: [], total: [] }]) => {
+  const calls = [];
+  mock.method(Model, 'aggregate', async (pipeline) => {
+    calls.push(pipeline);
+    return result;
+  });
+  return calls;
+};
+
+const stagesOf = (pipeline, name) => pipeline.filter((stage) => stage[name]).map((stage) => stage[name]);
+
+const useTimezone = (timezone) => mock.method(Institution, 'findById', () => mockQuery({ timezone }));
+
+afterEach(() => mock.restoreAll());
+
+describe('getOutstandingReport', () => {
+  it('groups rooms by the current bed allocation, not the free-text room', async () => {
+    useTimezone('Asia/Kolkata');
+    const calls = capturePipeline(Fee);
+
+    await getOutstandingReport({ institutionId, groupBy: 'room' });
+
+    const [pipeline] = calls;
+    const [lookup] = stagesOf(pipeline, '$lookup');
+    assert.equal(lookup.from, RoomAllocation.collection.name);
+    assert.deepEqual(lookup.pipeline[0], { $match: { isActive: true } });
+    assert.ok(!JSON.stringify(pipeline).includes('$student.room'));
+    const [group] = stagesOf(pipeline, '$group');
+    assert.deepEqual(group._id, { $ifNull: ['$room.roomId', null] });
+  });
+
+  it('counts days overdue on the institution calendar', async () => {
+    useTimezone('Africa/Nairobi');
+    const calls = capturePipeline(Fee);
+
+    await getOutstandingReport({ institutionId, groupBy: 'term' });
+
+    const { daysOverdue } = stagesOf(calls[0], '$addFields').find((fields) => fields.daysOverdue);
+    assert.equal(daysOverdue.$dateDiff.timezone, 'Africa/Nairobi');
+  });
+});
+
+describe('getCollectionsReport', () => {
+  it('buckets days in the institution timezone', async () => {
+    useTimezone('Africa/Nairobi');
+    const calls = capturePipeline(Payment, [{ rows: [], total: [], totals: [] }]);
+
+    await getCollectionsReport({ institutionId, from: new Date(0), to: new Date(), groupBy: 'day' });
+
+    assert.ok(JSON.stringify(calls[1]).includes('"timezone":"Africa/Nairobi"'));
+  });
+
+  it('falls back to the default timezone when the institution has none', async () => {
+    mock.method(Institution, 'findById', () => mockQuery(null));
+    const calls = capturePipeline(Payment, [{ rows: [], total: [], totals: [] }]);
+
+    await getCollectionsReport({ institutionId, from: new Date(0), to: new Date(), groupBy: 'month' });
+
+    assert.ok(JSON.stringify(calls[1]).includes('"timezone":"Asia/Kolkata"'));
+  });
+});
+
+describe('getStudentPaymentSummary', () => {
+  it('takes paid amounts from the fee ledger so refunded payments make fees due again', async () => {
+    const calls = capturePipeline(Student);
+    mock.method(Fee, 'find', () => ({ sort: async () => [] }));
+
+    await getStudentPaymentSummary({ institutionId, page: 1, limit: 20 });
+
+    const [pipeline] = calls;
+    const paid = stagesOf(pipeline, '$addFields').find((fields) => fields.paidAmount).paidAmount;
+    assert.deepEqual(paid, {
+      $cond: [{ $gt: ['$feeTotals.feeCount', 0] }, '$feeTotals.paidFromFees', '$paidFromPayments'],
+    });
+
+    const paymentLookup = stagesOf(pipeline, '$lookup').find((lookup) => lookup.from === Payment.collection.name);
+    const { totalPaid } = paymentLookup.pipeline.find((stage) => stage.$group).$group;
+    assert.deepEqual(totalPaid, { $sum: { $subtract: ['$amount', { $ifNull: ['$refundedAmount', 0] }] } });
+  });
+});
@@ -0,0 +1,54 @@
+/**
+ * Minimal Express response that records the status and JSON body
+ */
+export const mockResponse = () => {
+  const res = { statusCode: 200, body: undefined, headers: {} };
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = (body) => {
+    res.body = body;
+    return res;
+  };
+  res.setHeader = (name, value) => {
+    res.headers[name.toLowerCase()] = value;
+  };
+  res.send = (body) => {
+    res.body = body;
+    return res;
+  };
+  return res;
+};
+
+/**
+ * Stand-in for a Mongoose query: awaitable, and chainable through the usual modifiers
+ */
+export const mockQuery = (result) => {
+  const query = {
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject),
+  };
+  ['select', 'populate', 'sort', 'lean', 'limit', 'skip'].forEach((method) => {
+    query[method] = () => query;
+  });
+  return query;
+};
+
+/**
+ * Record emails sent through Brevo instead of sending them. Call inside a test;
+ * mock.restoreAll() puts axios back.
+ * @param {object} mock - node:test mock tracker
+ * @returns {string[]} Recipient addresses, in send order
+ */
+export const captureEmails = async (mock) => {
+  const { default: axios } = await import('axios');
+  process.env.BREVO_API_KEY = process.env.BREVO_API_KEY || 'test-key';
+  process.env.EMAIL_USER = process.env.EMAIL_USER || 'office@hostel.test';
+
+  const recipients = [];
+  mock.method(axios, 'post', async (url, body) => {
+    recipients.push(...(body.to || []).map((item) => item.email));
+    return { data: { messageId: 'test' } };
+  });
+  return recipients;
+};
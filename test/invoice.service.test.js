@@ -0,0 +1,43 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveStatementPeriod, splitGst } from '../src/services/invoice.service.js';
+
+describe('resolveStatementPeriod', () => {
+  it('runs a financial year from local midnight on the first of the start month', () => {
+    const period = resolveStatementPeriod({ financialYear: '2026-27' }, 4, 'Asia/Kolkata');
+
+    assert.equal(period.from.toISOString(), '2026-03-31T18:30:00.000Z');
+    assert.equal(period.to.toISOString(), '2027-03-31T18:29:59.999Z');
+    assert.equal(period.label, 'Financial year 2026-27');
+  });
+
+  it('follows the institution timezone', () => {
+    const period = resolveStatementPeriod({ financialYear: '2026-27' }, 4, 'Europe/London');
+
+    // British Summer Time is in force on 1 April
+    assert.equal(period.from.toISOString(), '2026-03-31T23:00:00.000Z');
+  });
+
+  it('covers whole local days for a date range', () => {
+    const period = resolveStatementPeriod({ from: '2026-05-01', to: '2026-05-31' }, 4, 'Asia/Kolkata');
+
+    assert.equal(period.from.toISOString(), '2026-04-30T18:30:00.000Z');
+    assert.equal(period.to.toISOString(), '2026-05-31T18:29:59.999Z');
+  });
+
+  it('rejects dates that are not real calendar days', () => {
+    assert.ok(resolveStatementPeriod({ from: '2026-02-30' }).error);
+    assert.ok(resolveStatementPeriod({ to: '31/05/2026' }).error);
+    assert.ok(resolveStatementPeriod({ from: '2026-06-01', to: '2026-05-01' }).error);
+  });
+});
+
+describe('splitGst', () => {
+  it('splits a GST-inclusive amount into taxable value and equal halves', () => {
+    const split = splitGst(1180, 18);
+
+    assert.equal(split.taxable, 1000);
+    assert.equal(split.cgst, 90);
+    assert.equal(split.sgst, 90);
+  });
+});
@@ -0,0 +1,57 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Fee from '../src/models/Fee.model.js';
+import { calculatePenalty } from '../src/services/latePenalty.service.js';
+
+const institutionId = new mongoose.Types.ObjectId();
+const studentId = new mongoose.Types.ObjectId();
+
+const makeFee = (fields) =>
+  new Fee({ institutionId, studentId, term: 'Term 1', amount: 2000, dueDate: new Date('2026-06-01T00:00:00Z'), ...fields });
+
+// Whole days after the 1 June due date
+const daysAfterDue = (days) => new Date(Date.UTC(2026, 5, 1 + days, 6));
+
+describe('calculatePenalty', () => {
+  it('charges nothing until the grace days have passed', () => {
+    const rule = { type: 'flat', amount: 100, graceDays: 3 };
+    const fee = makeFee();
+
+    assert.equal(calculatePenalty(rule, fee, daysAfterDue(3)), null);
+    assert.deepEqual(calculatePenalty(rule, fee, daysAfterDue(4)), { amount: 100, daysLate: 1 });
+  });
+
+  it('grows a per-day penalty with each day late', () => {
+    const rule = { type: 'perDay', amount: 25, graceDays: 2 };
+    const fee = makeFee();
+
+    assert.deepEqual(calculatePenalty(rule, fee, daysAfterDue(3)), { amount: 25, daysLate: 1 });
+    assert.deepEqual(calculatePenalty(rule, fee, daysAfterDue(12)), { amount: 250, daysLate: 10 });
+  });
+
+  it('stops at the cap', () => {
+    const rule = { type: 'perDay', amount: 25, graceDays: 0, cap: 200 };
+
+    assert.deepEqual(calculatePenalty(rule, makeFee(), daysAfterDue(30)), { amount: 200, daysLate: 30 });
+  });
+
+  it('takes a percentage of the balance still owed', () => {
+    const rule = { type: 'percentage', amount: 2.5 };
+    const fee = makeFee({ amountPaid: 500, status: 'PartiallyPaid' });
+
+    assert.equal(calculatePenalty(rule, fee, daysAfterDue(1)).amount, 37.5);
+  });
+
+  it('counts from the first unpaid installment', () => {
+    const rule = { type: 'perDay', amount: 10 };
+    const fee = makeFee({
+      installments: [
+        { label: 'First', amount: 1000, amountPaid: 1000, dueDate: new Date('2026-05-01T00:00:00Z') },
+        { label: 'Second', amount: 1000, amountPaid: 0, dueDate: new Date('2026-06-01T00:00:00Z') },
+      ],
+    });
+
+    assert.deepEqual(calculatePenalty(rule, fee, daysAfterDue(5)), { amount: 50, daysLate: 5 });
+  });
+});
@@ -0,0 +1,61 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { getDayBounds, getLeaveReturnDeadline, parseLeaveTime } from '../src/utils/leaveWindow.js';
+import { zonedTime } from '../src/utils/timezone.js';
+
+// These hold whatever timezone the server itself runs in
+describe('getLeaveReturnDeadline', () => {
+  it('reads the in time on the institution clock', () => {
+    const leave = { inDate: new Date('2026-10-20T00:00:00Z'), inTime: '8:00 PM' };
+
+    assert.equal(getLeaveReturnDeadline(leave, 'Asia/Kolkata').toISOString(), '2026-10-20T14:30:00.000Z');
+    assert.equal(getLeaveReturnDeadline(leave, 'Europe/London').toISOString(), '2026-10-20T19:00:00.000Z');
+  });
+
+  it('takes the return day from the institution calendar', () => {
+    // Midnight IST on the 20th, stored as the evening of the 19th in UTC
+    const leave = { inDate: new Date('2026-10-19T18:30:00Z'), inTime: '20:00' };
+
+    assert.equal(getLeaveReturnDeadline(leave, 'Asia/Kolkata').toISOString(), '2026-10-20T14:30:00.000Z');
+  });
+
+  it('falls back to the end of the local return day', () => {
+    const leave = { inDate: new Date('2026-10-20T00:00:00Z') };
+
+    assert.equal(getLeaveReturnDeadline(leave, 'Asia/Kolkata').toISOString(), '2026-10-20T18:29:59.999Z');
+  });
+
+  it('returns null without a return date', () => {
+    assert.equal(getLeaveReturnDeadline({ inTime: '20:00' }), null);
+  });
+});
+
+describe('getDayBounds', () => {
+  it('covers the local day, not the UTC one', () => {
+    const { start, end } = getDayBounds(new Date('2026-10-20T20:00:00Z'), 'Asia/Kolkata');
+
+    assert.equal(start.toISOString(), '2026-10-20T18:30:00.000Z');
+    assert.equal(end.toISOString(), '2026-10-21T18:29:59.999Z');
+  });
+
+  it('keeps a 23 hour day when clocks go forward', () => {
+    const { start, end } = getDayBounds(new Date('2026-03-29T12:00:00Z'), 'Europe/London');
+
+    assert.equal(start.toISOString(), '2026-03-29T00:00:00.000Z');
+    assert.equal(end.toISOString(), '2026-03-29T22:59:59.999Z');
+  });
+});
+
+describe('zonedTime', () => {
+  it('rolls hours and days over like Date.UTC', () => {
+    assert.equal(zonedTime('Asia/Kolkata', 2026, 12, 31, 24).toISOString(), '2026-12-31T18:30:00.000Z');
+  });
+});
+
+describe('parseLeaveTime', () => {
+  it('accepts 24 hour and AM/PM times', () => {
+    assert.deepEqual(parseLeaveTime('18:30'), { hours: 18, minutes: 30 });
+    assert.deepEqual(parseLeaveTime('12 AM'), { hours: 0, minutes: 0 });
+    assert.equal(parseLeaveTime('25:00'), null);
+  });
+});
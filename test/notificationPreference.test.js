@@ -0,0 +1,81 @@
+import { afterEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Institution from '../src/models/Institution.model.js';
+import { getQuietHoursEnd, planNotificationDelivery } from '../src/services/notificationPreference.service.js';
+import { mockQuery } from './helpers.js';
+
+const overnight = { enabled: true, start: '22:00', end: '07:00' };
+
+afterEach(() => mock.restoreAll());
+
+describe('getQuietHoursEnd', () => {
+  it('covers both sides of midnight for an overnight window', () => {
+    // 23:30 and 02:00 IST
+    const lateEvening = new Date('2026-06-01T18:00:00Z');
+    const earlyMorning = new Date('2026-06-01T20:30:00Z');
+
+    assert.equal(getQuietHoursEnd(overnight, 'Asia/Kolkata', lateEvening).toISOString(), '2026-06-02T01:30:00.000Z');
+    assert.equal(getQuietHoursEnd(overnight, 'Asia/Kolkata', earlyMorning).toISOString(), '2026-06-02T01:30:00.000Z');
+  });
+
+  it('returns null outside the window', () => {
+    // 07:00 and 21:59 IST
+    assert.equal(getQuietHoursEnd(overnight, 'Asia/Kolkata', new Date('2026-06-01T01:30:00Z')), null);
+    assert.equal(getQuietHoursEnd(overnight, 'Asia/Kolkata', new Date('2026-06-01T16:29:00Z')), null);
+  });
+
+  it('reads the window on the institution clock', () => {
+    const now = new Date('2026-06-01T18:00:00Z'); // 23:30 IST, 19:00 in London
+
+    assert.ok(getQuietHoursEnd(overnight, 'Asia/Kolkata', now));
+    assert.equal(getQuietHoursEnd(overnight, 'Europe/London', now), null);
+  });
+
+  it('handles a daytime window and ignores a disabled one', () => {
+    const now = new Date('2026-06-01T08:30:00Z'); // 14:00 IST
+
+    assert.equal(
+      getQuietHoursEnd({ enabled: true, start: '13:00', end: '15:00' }, 'Asia/Kolkata', now).toISOString(),
+      '2026-06-01T09:30:00.000Z'
+    );
+    assert.equal(getQuietHoursEnd({ ...overnight, enabled: false }, 'Asia/Kolkata', new Date('2026-06-01T18:00:00Z')), null);
+  });
+});
+
+describe('planNotificationDelivery', () => {
+  const now = new Date('2026-06-01T18:00:00Z'); // 23:30 IST
+  const makeUser = (notificationPreferences) => ({ institutionId: new mongoose.Types.ObjectId(), notificationPreferences });
+
+  it('uses the chosen channels outside quiet hours', async () => {
+    const user = makeUser({ channels: { fee: { inApp: true, push: false, email: true, sms: false } } });
+
+    const delivery = await planNotificationDelivery(user, { type: 'fee', now });
+
+    assert.deepEqual(delivery, { immediate: ['inApp', 'email'], deferred: [], deliverAt: null });
+  });
+
+  it('holds push, email and SMS until quiet hours end but keeps in-app', async () => {
+    mock.method(Institution, 'findById', () => mockQuery({ timezone: 'Asia/Kolkata' }));
+    const user = makeUser({ channels: { leave: { email: true } }, quietHours: overnight });
+
+    const delivery = await planNotificationDelivery(user, { type: 'leave', now });
+
+    assert.deepEqual(delivery.immediate, ['inApp']);
+    assert.deepEqual(delivery.deferred, ['push', 'email']);
+    assert.equal(delivery.deliverAt.toISOString(), '2026-06-02T01:30:00.000Z');
+  });
+
+  it('sends critical alerts on every channel straight away', async () => {
+    const findById = mock.method(Institution, 'findById', () => mockQuery({ timezone: 'Asia/Kolkata' }));
+    const user = makeUser({
+      channels: { leave: { inApp: false, push: false, email: false, sms: false } },
+      quietHours: overnight,
+    });
+
+    const delivery = await planNotificationDelivery(user, { type: 'leave', critical: true, channels: ['inApp', 'push', 'sms'], now });
+
+    assert.deepEqual(delivery, { immediate: ['inApp', 'push', 'sms'], deferred: [], deliverAt: null });
+    assert.equal(findById.mock.callCount(), 0);
+  });
+});
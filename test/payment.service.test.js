@@ -0,0 +1,95 @@
+import { afterEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import DocumentSequence from '../src/models/DocumentSequence.model.js';
+import Fee from '../src/models/Fee.model.js';
+import Institution from '../src/models/Institution.model.js';
+import Parent from '../src/models/Parent.model.js';
+import Payment from '../src/models/Payment.model.js';
+import Student from '../src/models/Student.model.js';
+import { settleRazorpayPayment } from '../src/services/payment.service.js';
+import { mockQuery } from './helpers.js';
+
+const institutionId = new mongoose.Types.ObjectId();
+const studentId = new mongoose.Types.ObjectId();
+
+afterEach(() => mock.restoreAll());
+
+describe('settleRazorpayPayment', () => {
+  it('resumes a settlement whose receipt numbering failed without crediting the fee twice', async () => {
+    const fee = new Fee({ institutionId, studentId, term: 'Term 1', amount: 1000, status: 'Pending' });
+    let storedFee = fee.toObject({ virtuals: false });
+    mock.method(Fee, 'find', async (filter) => {
+      const current = Fee.hydrate(storedFee);
+      if (filter['paymentCredits.paymentId']) {
+        const paymentId = String(filter['paymentCredits.paymentId']);
+        return current.paymentCredits.some((credit) => String(credit.paymentId) === paymentId) ? [current] : [];
+      }
+      return ['Pending', 'PartiallyPaid'].includes(current.status) ? [current] : [];
+    });
+    mock.method(Fee.prototype, 'save', async function save() {
+      await this.validate();
+      storedFee = this.toObject({ virtuals: false });
+      return this;
+    });
+
+    // The database copy of the payment: claimed while Unverified, reopened by the rollback
+    const payment = new Payment({
+      institutionId,
+      studentId,
+      amount: 600,
+      method: 'Razorpay',
+      gateway: 'Razorpay',
+      razorpayOrderId: 'order_1',
+      payerType: 'student',
+      status: 'Pending',
+      verificationStatus: 'Unverified',
+    });
+    let storedPayment = payment.toObject();
+    mock.method(Payment, 'findOneAndUpdate', async () => {
+      if (storedPayment.verificationStatus !== 'Unverified') return null;
+      storedPayment = { ...storedPayment, verificationStatus: 'Verified' };
+      return Payment.hydrate(storedPayment);
+    });
+    mock.method(Payment, 'updateOne', async (filter, update) => {
+      storedPayment = { ...storedPayment, ...update.$set };
+      return {};
+    });
+    mock.method(Payment.prototype, 'save', async function save() {
+      storedPayment = this.toObject();
+      return this;
+    });
+    mock.method(Payment, 'find', () => mockQuery([Payment.hydrate(storedPayment)]));
+
+    mock.method(Student, 'findOne', () => mockQuery(null));
+    mock.method(Parent, 'find', () => mockQuery([]));
+    mock.method(Institution, 'findById', () => mockQuery(null));
+    let numbered = 0;
+    mock.method(DocumentSequence, 'findOneAndUpdate', async () => {
+      numbered += 1;
+      if (numbered === 1) throw new Error('Sequence unavailable');
+      return { seq: 1 };
+    });
+
+    const settle = () =>
+      settleRazorpayPayment({
+        razorpayOrderId: 'order_1',
+        razorpayPaymentId: 'pay_1',
+        payer: { paidBy: 'student' },
+      });
+
+    await assert.rejects(settle(), /Sequence unavailable/);
+    assert.equal(storedFee.amountPaid, 600);
+    assert.equal(storedPayment.verificationStatus, 'Unverified');
+
+    const result = await settle();
+
+    assert.equal(storedFee.amountPaid, 600);
+    assert.equal(storedFee.paymentCredits.length, 1);
+    assert.equal(result.alreadyProcessed, false);
+    assert.equal(storedPayment.status, 'Completed');
+    assert.deepEqual(storedPayment.allocations.map(({ amount }) => amount), [600]);
+    assert.equal(storedPayment.unallocatedAmount, 0);
+    assert.match(storedPayment.receiptNumber, /^RCPT\/.+\/000001$/);
+  });
+});
@@ -0,0 +1,154 @@
+import { afterEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import DeferredNotification from '../src/models/DeferredNotification.model.js';
+import EntryExit from '../src/models/EntryExit.model.js';
+import Fee from '../src/models/Fee.model.js';
+import Institution from '../src/models/Institution.model.js';
+import Leave from '../src/models/Leave.model.js';
+import Parent from '../src/models/Parent.model.js';
+import Student from '../src/models/Student.model.js';
+import User from '../src/models/User.model.js';
+import { checkOverdueReturns, getStepDueAt, sendDuePaymentReminders } from '../src/utils/paymentReminders.js';
+import { captureEmails, mockQuery } from './helpers.js';
+
+const institutionId = new mongoose.Types.ObjectId();
+
+afterEach(() => mock.restoreAll());
+
+describe('sendDuePaymentReminders', () => {
+  const now = new Date('2026-06-01T03:30:00Z'); // 09:00 IST, when the job runs
+  const wantsFeeEmails = (fields = {}) => ({
+    channels: { fee: { email: true } },
+    quietHours: { enabled: false },
+    ...fields,
+  });
+
+  // One fee due in the window, populated the way the job loads it
+  const useDueFee = (studentUser, parentUsers) => {
+    const student = new Student({ institutionId, userId: new User({ institutionId, ...studentUser }) });
+    const fee = new Fee({
+      institutionId,
+      studentId: student._id,
+      term: 'Term 1',
+      amount: 1000,
+      dueDate: new Date('2026-06-05T00:00:00Z'),
+    });
+    fee.studentId = student;
+    mock.method(Fee, 'find', () => mockQuery([fee]));
+    mock.method(Fee.prototype, 'save', async function save() {
+      return this;
+    });
+    const parentFind = mock.method(Parent, 'find', () =>
+      mockQuery(parentUsers.map((user) => ({ userId: { _id: new mongoose.Types.ObjectId(), institutionId, ...user } }))));
+    return { fee, parentFind };
+  };
+
+  it('emails the student and every parent linked to them who wants fee emails', async () => {
+    const { fee, parentFind } = useDueFee(
+      { name: 'Asha', email: 'asha@student.test', notificationPreferences: wantsFeeEmails() },
+      [
+        { email: 'mother@parent.test', notificationPreferences: wantsFeeEmails() },
+        { email: 'father@parent.test', notificationPreferences: wantsFeeEmails() },
+        // Fee emails are off unless chosen
+        { email: 'uncle@parent.test' },
+      ]
+    );
+    const recipients = await captureEmails(mock);
+
+    await sendDuePaymentReminders(now);
+
+    assert.equal(String(parentFind.mock.calls[0].arguments[0].institutionId), String(institutionId));
+    assert.deepEqual(recipients, ['asha@student.test', 'mother@parent.test', 'father@parent.test']);
+    assert.ok(fee.reminderSentAt);
+  });
+
+  it('holds the email until the end of the recipient quiet hours', async () => {
+    const parent = {
+      email: 'mother@parent.test',
+      notificationPreferences: wantsFeeEmails({ quietHours: { enabled: true, start: '08:00', end: '10:00' } }),
+    };
+    const { fee } = useDueFee({ name: 'Asha', email: 'asha@student.test' }, [parent]);
+    mock.method(Institution, 'findById', () => mockQuery({ timezone: 'Asia/Kolkata' }));
+    mock.method(User, 'findById', (id) => mockQuery({ _id: id, institutionId, ...parent }));
+    const deferred = mock.method(DeferredNotification, 'create', async (doc) => doc);
+    const recipients = await captureEmails(mock);
+
+    await sendDuePaymentReminders(now);
+
+    assert.deepEqual(recipients, []);
+    assert.equal(deferred.mock.callCount(), 1);
+    const [held] = deferred.mock.calls[0].arguments;
+    assert.deepEqual(held.channels, ['email']);
+    assert.equal(held.deliverAt.toISOString(), '2026-06-01T04:30:00.000Z');
+    assert.ok(fee.reminderSentAt);
+  });
+});
+
+describe('checkOverdueReturns', () => {
+  it('alerts staff who handle leaves or the gate, not every staff account', async () => {
+    const now = new Date('2026-06-02T12:00:00Z');
+    const student = { _id: new mongoose.Types.ObjectId(), userId: { name: 'Asha' } };
+    const leave = {
+      _id: new mongoose.Types.ObjectId(),
+      institutionId,
+      studentId: student,
+      type: 'Home',
+      inDate: new Date('2026-06-01T00:00:00Z'),
+      inTime: '18:00',
+      overdueEscalationLevel: 0,
+      save: async () => {},
+    };
+    mock.method(Leave, 'find', () => mockQuery([leave]));
+    mock.method(Institution, 'findById', () => mockQuery({ timezone: 'Asia/Kolkata' }));
+    mock.method(EntryExit, 'findOne', () => mockQuery({ status: 'OUT' }));
+    const staff = (name, fields) => new User({ name, email: `${name}@staff.test`, role: 'warden', institutionId, ...fields });
+    mock.method(User, 'find', () =>
+      mockQuery([
+        staff('chief', { staffRole: 'chief_warden' }),
+        staff('warden', { staffRole: 'warden' }),
+        staff('guard', { staffRole: 'security_guard' }),
+        staff('accounts', { staffRole: 'accountant' }),
+        staff('mess', { staffRole: 'mess_manager' }),
+        staff('admin', { staffRole: 'accountant', isInstitutionAdmin: true }),
+      ])
+    );
+    // In-app and push delivery look the user up again; skip them here
+    mock.method(User, 'findById', () => mockQuery(null));
+    mock.method(Parent, 'find', () => mockQuery([{ userId: { _id: new mongoose.Types.ObjectId(), name: 'Mother', email: 'mother@parent.test' } }]));
+    const recipients = await captureEmails(mock);
+
+    await checkOverdueReturns(now);
+
+    assert.deepEqual(recipients, [
+      'chief@staff.test',
+      'warden@staff.test',
+      'guard@staff.test',
+      'admin@staff.test',
+      'mother@parent.test',
+    ]);
+    // Back by 18:00 IST; 30m, 2h and 08:00 IST next morning have all passed
+    assert.equal(leave.overdueEscalationLevel, 3);
+  });
+});
+
+describe('getStepDueAt', () => {
+  it('sends the morning step at the morning hour on the institution clock', () => {
+    const deadline = new Date('2026-06-01T14:30:00Z'); // 20:00 IST
+
+    assert.equal(getStepDueAt(deadline, { morning: true }, 'Asia/Kolkata').toISOString(), '2026-06-02T02:30:00.000Z');
+    assert.equal(getStepDueAt(deadline, { morning: true }, 'UTC').toISOString(), '2026-06-02T08:00:00.000Z');
+  });
+
+  it('uses the same morning when the deadline is before it', () => {
+    const deadline = new Date('2026-06-01T00:30:00Z'); // 06:00 IST
+
+    assert.equal(getStepDueAt(deadline, { morning: true }, 'Asia/Kolkata').toISOString(), '2026-06-01T02:30:00.000Z');
+  });
+
+  it('adds minutes for timed steps', () => {
+    const deadline = new Date('2026-06-01T14:30:00Z');
+
+    assert.equal(getStepDueAt(deadline, { minutes: 120 }).toISOString(), '2026-06-01T16:30:00.000Z');
+  });
+});
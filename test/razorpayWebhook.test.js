@@ -0,0 +1,87 @@
+import { afterEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Payment from '../src/models/Payment.model.js';
+import WebhookEvent from '../src/models/WebhookEvent.model.js';
+import { processRazorpayWebhook } from '../src/services/razorpayWebhook.service.js';
+import { mockQuery } from './helpers.js';
+
+const institutionId = new mongoose.Types.ObjectId();
+
+const capturedEvent = {
+  event: 'payment.captured',
+  created_at: 1700000000,
+  payload: { payment: { entity: { id: 'pay_1', order_id: 'order_1', amount: 100000 } } },
+};
+
+const completedPayment = () =>
+  new Payment({
+    institutionId,
+    studentId: new mongoose.Types.ObjectId(),
+    amount: 1000,
+    method: 'UPI',
+    gateway: 'Razorpay',
+    razorpayOrderId: 'order_1',
+    status: 'Completed',
+    verificationStatus: 'Verified',
+  });
+
+afterEach(() => mock.restoreAll());
+
+describe('processRazorpayWebhook', () => {
+  it('acknowledges a redelivered event without applying it again', async () => {
+    mock.method(WebhookEvent, 'findOne', async () => ({ status: 'Processed' }));
+    const find = mock.method(Payment, 'find', () => mockQuery([]));
+    const record = mock.method(WebhookEvent, 'findOneAndUpdate', async () => ({}));
+
+    const result = await processRazorpayWebhook(capturedEvent, 'evt_1');
+
+    assert.equal(result.status, 'Duplicate');
+    assert.equal(find.mock.callCount(), 0);
+    assert.equal(record.mock.callCount(), 0);
+  });
+
+  it('applies an event again when the earlier attempt failed', async () => {
+    mock.method(WebhookEvent, 'findOne', async () => ({ status: 'Failed' }));
+    const find = mock.method(Payment, 'find', () => mockQuery([]));
+    const record = mock.method(WebhookEvent, 'findOneAndUpdate', async () => ({}));
+
+    const result = await processRazorpayWebhook(capturedEvent, 'evt_1');
+
+    assert.equal(result.status, 'Ignored');
+    assert.equal(find.mock.callCount(), 1);
+    assert.equal(record.mock.calls[0].arguments[1].$set.status, 'Ignored');
+  });
+
+  it('does not credit fees again for an order the verify call already settled', async () => {
+    const payment = completedPayment();
+    mock.method(WebhookEvent, 'findOne', async () => null);
+    mock.method(Payment, 'find', () => mockQuery([payment]));
+    const claim = mock.method(Payment, 'findOneAndUpdate', async () => null);
+    const save = mock.method(Payment.prototype, 'save', async function save() {
+      return this;
+    });
+    const record = mock.method(WebhookEvent, 'findOneAndUpdate', async () => ({}));
+
+    const result = await processRazorpayWebhook(capturedEvent, 'evt_2');
+
+    assert.equal(result.status, 'Duplicate');
+    assert.equal(claim.mock.callCount(), 1);
+    assert.equal(save.mock.callCount(), 0);
+    const [filter, update, options] = record.mock.calls[0].arguments;
+    assert.deepEqual(filter, { provider: 'razorpay', eventId: 'evt_2' });
+    assert.equal(update.$set.paymentId, payment._id);
+    assert.equal(options.upsert, true);
+  });
+
+  it('keys events without an event ID on the event, entity and time', async () => {
+    const findOne = mock.method(WebhookEvent, 'findOne', async () => ({ status: 'Duplicate' }));
+
+    await processRazorpayWebhook(capturedEvent);
+
+    assert.deepEqual(findOne.mock.calls[0].arguments[0], {
+      provider: 'razorpay',
+      eventId: 'payment.captured:pay_1:1700000000',
+    });
+  });
+});
@@ -0,0 +1,106 @@
+import { afterEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import DocumentSequence from '../src/models/DocumentSequence.model.js';
+import Institution from '../src/models/Institution.model.js';
+import { generateDocumentNumbers, generateReceiptNumber, getFinancialYear } from '../src/utils/receiptNumber.js';
+import { markFeePaid, updateFee } from '../src/controllers/fee.controller.js';
+import { mockQuery, mockResponse } from './helpers.js';
+
+const institutionId = new mongoose.Types.ObjectId();
+
+// One counter per series and year, incremented like MongoDB's $inc
+const useSequenceStore = () => {
+  const counters = new Map();
+  mock.method(DocumentSequence, 'findOneAndUpdate', async (filter, update) => {
+    const key = `${filter.series}:${filter.financialYear}`;
+    counters.set(key, (counters.get(key) || 0) + update.$inc.seq);
+    return { seq: counters.get(key) };
+  });
+  return counters;
+};
+
+afterEach(() => mock.restoreAll());
+
+describe('getFinancialYear', () => {
+  it('starts the year in the configured month', () => {
+    assert.equal(getFinancialYear(new Date('2026-05-15T00:00:00Z'), 4), '2026-27');
+    assert.equal(getFinancialYear(new Date('2026-02-15T00:00:00Z'), 4), '2025-26');
+    assert.equal(getFinancialYear(new Date('2026-02-15T00:00:00Z'), 1), '2026');
+  });
+
+  it('turns over on the institution calendar', () => {
+    // 1 April 01:30 in India, still 31 March in UTC
+    const date = new Date('2026-03-31T20:00:00Z');
+
+    assert.equal(getFinancialYear(date, 4, 'Asia/Kolkata'), '2026-27');
+    assert.equal(getFinancialYear(date, 4, 'UTC'), '2025-26');
+  });
+});
+
+describe('document numbers', () => {
+  it('issues consecutive receipt numbers with the institution prefix', async () => {
+    useSequenceStore();
+    mock.method(Institution, 'findById', () =>
+      mockQuery({ toObject: () => ({ numbering: { receiptPrefix: 'HST', padding: 4 } }) })
+    );
+
+    const date = new Date('2026-06-01T00:00:00Z');
+    const numbers = await Promise.all([1, 2, 3].map(() => generateReceiptNumber(institutionId, date)));
+
+    assert.deepEqual(numbers.sort(), ['HST/2026-27/0001', 'HST/2026-27/0002', 'HST/2026-27/0003']);
+  });
+
+  it('reserves a block without gaps and keeps series apart', async () => {
+    useSequenceStore();
+    mock.method(Institution, 'findById', () => mockQuery(null));
+
+    const date = new Date('2026-06-01T00:00:00Z');
+    await generateReceiptNumber(institutionId, date);
+    const invoices = await generateDocumentNumbers(institutionId, 'invoice', 3, date);
+    const receipt = await generateReceiptNumber(institutionId, date);
+
+    assert.deepEqual(invoices, ['INV/2026-27/000001', 'INV/2026-27/000002', 'INV/2026-27/000003']);
+    assert.equal(receipt, 'RCPT/2026-27/000002');
+  });
+
+  it('retries once when two callers open a new year at the same time', async () => {
+    mock.method(Institution, 'findById', () => mockQuery(null));
+    const calls = [];
+    mock.method(DocumentSequence, 'findOneAndUpdate', async (filter, update, options) => {
+      calls.push(options);
+      if (options.upsert) throw Object.assign(new Error('duplicate key'), { code: 11000 });
+      return { seq: 2 };
+    });
+
+    const number = await generateReceiptNumber(institutionId, new Date('2026-06-01T00:00:00Z'));
+
+    assert.equal(number, 'RCPT/2026-27/000002');
+    assert.equal(calls.length, 2);
+    assert.equal(calls[1].upsert, undefined);
+  });
+
+  it('rejects unknown series', async () => {
+    await assert.rejects(generateDocumentNumbers(institutionId, 'voucher', 1), /Unknown numbering series/);
+  });
+});
+
+describe('fee receipt numbers', () => {
+  const staffRequest = (body) => ({
+    params: { id: String(new mongoose.Types.ObjectId()) },
+    body,
+    user: { _id: new mongoose.Types.ObjectId(), role: 'warden', institutionId },
+  });
+
+  it('cannot be set when recording an offline payment', async () => {
+    const res = mockResponse();
+    await markFeePaid(staffRequest({ receiptNumber: 'RCPT/2026-27/000001' }), res);
+    assert.equal(res.statusCode, 400);
+  });
+
+  it('cannot be edited on a fee', async () => {
+    const res = mockResponse();
+    await updateFee(staffRequest({ receiptNumber: 'MANUAL-1' }), res);
+    assert.equal(res.statusCode, 400);
+  });
+});
@@ -0,0 +1,177 @@
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import DocumentSequence from '../src/models/DocumentSequence.model.js';
+import Fee from '../src/models/Fee.model.js';
+import Institution from '../src/models/Institution.model.js';
+import Payment from '../src/models/Payment.model.js';
+import Refund from '../src/models/Refund.model.js';
+import { recordGatewayRefund, refundPayment, settleDeposit } from '../src/services/refund.service.js';
+import { mockQuery } from './helpers.js';
+
+const institutionId = new mongoose.Types.ObjectId();
+const createdBy = new mongoose.Types.ObjectId();
+
+const makePayment = (fields = {}) =>
+  new Payment({
+    institutionId,
+    studentId: new mongoose.Types.ObjectId(),
+    amount: 1000,
+    method: 'UPI',
+    gateway: 'Razorpay',
+    razorpayPaymentId: 'pay_1',
+    status: 'Completed',
+    verificationStatus: 'Verified',
+    ...fields,
+  });
+
+beforeEach(() => {
+  delete process.env.RAZORPAY_KEY_ID;
+  delete process.env.RAZORPAY_KEY_SECRET;
+});
+
+afterEach(() => mock.restoreAll());
+
+describe('refundPayment', () => {
+  it('reserves the amount with a cap on what is left to refund', async () => {
+    const payment = makePayment();
+    const reserve = mock.method(Payment, 'findOneAndUpdate', async () => null);
+    const create = mock.method(Refund, 'create', async () => ({}));
+
+    const result = await refundPayment(payment, { amount: 400, method: 'Cash', createdBy });
+
+    assert.equal(result.error, 'This payment has already been refunded');
+    assert.equal(create.mock.callCount(), 0);
+    const [filter, update] = reserve.mock.calls[0].arguments;
+    assert.equal(filter._id, payment._id);
+    assert.deepEqual(filter.$expr, {
+      $lte: [{ $add: [{ $ifNull: ['$refundedAmount', 0] }, 400] }, '$amount'],
+    });
+    assert.deepEqual(update, { $inc: { refundedAmount: 400 } });
+  });
+
+  it('rejects more than the payment has left before reserving anything', async () => {
+    const payment = makePayment({ refundedAmount: 800, status: 'PartiallyRefunded' });
+    const reserve = mock.method(Payment, 'findOneAndUpdate', async () => null);
+
+    const result = await refundPayment(payment, { amount: 300, method: 'Cash', createdBy });
+
+    assert.match(result.error, /Only ₹200/);
+    assert.equal(reserve.mock.callCount(), 0);
+  });
+
+  it('releases the reservation when the gateway refund fails', async () => {
+    const payment = makePayment();
+    const reserved = makePayment({ _id: payment._id, refundedAmount: 400 });
+    mock.method(Payment, 'findOneAndUpdate', async () => reserved);
+    const release = mock.method(Payment, 'findByIdAndUpdate', async () => makePayment({ _id: payment._id }));
+    mock.method(Payment.prototype, 'save', async function save() {
+      return this;
+    });
+    mock.method(Institution, 'findById', () => mockQuery(null));
+    mock.method(DocumentSequence, 'findOneAndUpdate', async () => ({ seq: 7 }));
+    const refundId = new mongoose.Types.ObjectId();
+    mock.method(Refund, 'create', async (fields) => ({ _id: refundId, ...fields }));
+    const refundUpdate = mock.method(Refund, 'updateOne', async () => ({}));
+
+    const result = await refundPayment(payment, { amount: 400, method: 'Razorpay', createdBy });
+
+    assert.equal(result.error, 'Razorpay is not configured');
+    assert.deepEqual(release.mock.calls[0].arguments.slice(0, 2), [payment._id, { $inc: { refundedAmount: -400 } }]);
+    assert.deepEqual(refundUpdate.mock.calls[0].arguments, [
+      { _id: refundId },
+      { $set: { status: 'Failed', failureReason: 'Razorpay is not configured' } },
+    ]);
+  });
+});
+
+describe('recordGatewayRefund', () => {
+  it('does not reserve a dashboard refund the payment already carries', async () => {
+    const payment = makePayment({ refundedAmount: 400, razorpayRefundIds: ['rfnd_1'], status: 'PartiallyRefunded' });
+    mock.method(Refund, 'findOne', async () => null);
+    mock.method(Payment, 'find', () => mockQuery([payment]));
+    const reserve = mock.method(Payment, 'findOneAndUpdate', async () => null);
+    const create = mock.method(Refund, 'create', async () => ({}));
+
+    const result = await recordGatewayRefund({ razorpayPaymentId: 'pay_1', refundId: 'rfnd_1', amount: 400 });
+
+    assert.equal(result.alreadyProcessed, true);
+    assert.equal(reserve.mock.callCount(), 0);
+    assert.equal(create.mock.callCount(), 0);
+  });
+
+  it('reserves a new dashboard refund only once per refund ID', async () => {
+    const payment = makePayment();
+    mock.method(Refund, 'findOne', async () => null);
+    mock.method(Payment, 'find', () => mockQuery([payment]));
+    const reserve = mock.method(Payment, 'findOneAndUpdate', async () => null);
+
+    const result = await recordGatewayRefund({ razorpayPaymentId: 'pay_1', refundId: 'rfnd_2', amount: 250 });
+
+    assert.equal(result.alreadyProcessed, true);
+    const [filter, update] = reserve.mock.calls[0].arguments;
+    assert.deepEqual(filter.razorpayRefundIds, { $ne: 'rfnd_2' });
+    assert.deepEqual(update, { $inc: { refundedAmount: 250 }, $push: { razorpayRefundIds: 'rfnd_2' } });
+  });
+});
+
+describe('settleDeposit', () => {
+  const student = { _id: new mongoose.Types.ObjectId() };
+  const user = { _id: createdBy };
+
+  // A paid 5000 deposit fee and the payment that carried it; nothing else due
+  const useDeposit = () => {
+    const depositFee = new Fee({
+      institutionId,
+      studentId: student._id,
+      term: 'Security Deposit',
+      amount: 5000,
+      amountPaid: 5000,
+      status: 'Paid',
+    });
+    const payment = makePayment({ amount: 5000, allocations: [{ feeId: depositFee._id, term: 'Security Deposit', amount: 5000 }] });
+    mock.method(Fee, 'find', async (filter) => (filter.category ? [depositFee] : []));
+    mock.method(Payment, 'find', () => mockQuery([payment]));
+    mock.method(Refund, 'findOne', async () => null);
+    mock.method(Institution, 'findById', () => mockQuery(null));
+    mock.method(DocumentSequence, 'findOneAndUpdate', async () => ({ seq: 3 }));
+    return payment;
+  };
+
+  it('stops a concurrent second settlement at the unique settlement index', async () => {
+    useDeposit();
+    mock.method(Refund, 'create', async () => {
+      throw Object.assign(new Error('E11000 duplicate key'), {
+        code: 11000,
+        keyPattern: { institutionId: 1, studentId: 1 },
+      });
+    });
+    const reserve = mock.method(Payment, 'findOneAndUpdate', async () => null);
+    const adjustment = mock.method(Payment.prototype, 'save', async function save() {
+      return this;
+    });
+
+    const result = await settleDeposit({ student, institutionId, method: 'Cash', user });
+
+    assert.equal(result.error, 'The deposit for this student has already been settled');
+    assert.equal(reserve.mock.callCount(), 0);
+    assert.equal(adjustment.mock.callCount(), 0);
+  });
+
+  it('fails a manual settlement when the deposit payment cannot be reserved', async () => {
+    useDeposit();
+    const refundId = new mongoose.Types.ObjectId();
+    mock.method(Refund, 'create', async (fields) => ({ _id: refundId, ...fields }));
+    const refundUpdate = mock.method(Refund, 'updateOne', async () => ({}));
+    mock.method(Payment, 'findOneAndUpdate', async () => null);
+    const adjustment = mock.method(Payment.prototype, 'save', async function save() {
+      return this;
+    });
+
+    const result = await settleDeposit({ student, institutionId, method: 'Cash', user });
+
+    assert.equal(result.error, 'The deposit payment has already been refunded');
+    assert.equal(adjustment.mock.callCount(), 0);
+    assert.deepEqual(refundUpdate.mock.calls.map(({ arguments: [, update] }) => update.$set.status), ['Failed']);
+  });
+});
@@ -0,0 +1,39 @@
+import { afterEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Fee from '../src/models/Fee.model.js';
+import { getCollections, getDefaulters } from '../src/controllers/report.controller.js';
+import { getPaymentSummary } from '../src/controllers/payment.controller.js';
+import { mockResponse } from './helpers.js';
+
+const staff = { _id: new mongoose.Types.ObjectId(), role: 'warden', institutionId: new mongoose.Types.ObjectId() };
+
+afterEach(() => mock.restoreAll());
+
+describe('report filters', () => {
+  it('rejects an operator object as the payment method', async () => {
+    const res = mockResponse();
+    await getCollections({ query: { method: { $ne: 'x' } }, user: staff }, res);
+    assert.equal(res.statusCode, 400);
+  });
+
+  it('rejects an unknown payment method', async () => {
+    const res = mockResponse();
+    await getCollections({ query: { method: 'Bitcoin' }, user: staff }, res);
+    assert.equal(res.statusCode, 400);
+  });
+
+  it('rejects an operator object as the class', async () => {
+    const aggregate = mock.method(Fee, 'aggregate', async () => [{ rows: [], total: [] }]);
+    const res = mockResponse();
+    await getDefaulters({ query: { class: { $ne: '' } }, user: staff }, res);
+    assert.equal(res.statusCode, 400);
+    assert.equal(aggregate.mock.callCount(), 0);
+  });
+
+  it('rejects an unknown payment status on the payment summary', async () => {
+    const res = mockResponse();
+    await getPaymentSummary({ query: { paymentStatus: { $ne: 'Paid' } }, user: staff }, res);
+    assert.equal(res.statusCode, 400);
+  });
+});
@@ -0,0 +1,94 @@
+import { afterEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Room, { bedLabel } from '../src/models/Room.model.js';
+import RoomAllocation from '../src/models/RoomAllocation.model.js';
+import { createRoom, updateRoom } from '../src/controllers/room.controller.js';
+import { mockResponse } from './helpers.js';
+
+const institutionId = new mongoose.Types.ObjectId();
+const warden = { _id: new mongoose.Types.ObjectId(), role: 'warden', institutionId };
+
+afterEach(() => mock.restoreAll());
+
+describe('bedLabel', () => {
+  it('runs A to Z, then AA, AB like spreadsheet columns', () => {
+    assert.deepEqual([0, 1, 25, 26, 27, 51, 52, 701, 702].map(bedLabel), [
+      'A',
+      'B',
+      'Z',
+      'AA',
+      'AB',
+      'AZ',
+      'BA',
+      'ZZ',
+      'AAA',
+    ]);
+  });
+});
+
+describe('createRoom', () => {
+  for (const capacity of ['abc', 2.5, 0, [3]]) {
+    it(`rejects capacity ${JSON.stringify(capacity)}`, async () => {
+      const create = mock.method(Room, 'create', async () => ({}));
+      const res = mockResponse();
+
+      await createRoom({ body: { block: 'A', floor: 1, number: '101', capacity }, user: warden }, res);
+
+      assert.equal(res.statusCode, 400);
+      assert.equal(create.mock.callCount(), 0);
+    });
+  }
+
+  it('rejects a fractional floor', async () => {
+    const create = mock.method(Room, 'create', async () => ({}));
+    const res = mockResponse();
+
+    await createRoom({ body: { block: 'A', floor: '1.5', number: '101', capacity: 2 }, user: warden }, res);
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(create.mock.callCount(), 0);
+  });
+});
+
+describe('updateRoom', () => {
+  const useRoom = () => {
+    const room = new Room({ institutionId, block: 'A', floor: 1, number: '101', capacity: 2 });
+    mock.method(Room, 'findOne', async () => room);
+    mock.method(RoomAllocation, 'find', async () => []);
+    return mock.method(Room.prototype, 'save', async function save() {
+      return this;
+    });
+  };
+
+  it('rejects a capacity that is not a positive whole number', async () => {
+    const save = useRoom();
+    const res = mockResponse();
+
+    await updateRoom({ params: { id: 'room' }, body: { capacity: 'NaN' }, user: warden }, res);
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(save.mock.callCount(), 0);
+  });
+
+  it('rejects a negative floor', async () => {
+    const save = useRoom();
+    const res = mockResponse();
+
+    await updateRoom({ params: { id: 'room' }, body: { floor: -1 }, user: warden }, res);
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(save.mock.callCount(), 0);
+  });
+});
+
+describe('Room beds', () => {
+  it('labels dormitory beds past Z with two letters', async () => {
+    const room = new Room({ institutionId, block: 'D', floor: 0, number: '1', type: 'Dormitory', capacity: 28 });
+    mock.method(mongoose.Collection.prototype, 'insertOne', async () => ({ acknowledged: true }));
+
+    await room.save();
+
+    assert.deepEqual(room.beds.slice(24).map((bed) => bed.label), ['Y', 'Z', 'AA', 'AB']);
+  });
+});
@@ -0,0 +1,28 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import ExcelJS from 'exceljs';
+import { toXlsx } from '../src/utils/xlsx.js';
+
+describe('toXlsx', () => {
+  it('writes a header row and typed cells that read back unchanged', async () => {
+    const columns = [
+      { key: 'name', label: 'Name' },
+      { key: 'amount', label: 'Amount' },
+      { key: 'paidAt', label: 'Paid At' },
+    ];
+    const paidAt = new Date('2026-06-01T10:00:00Z');
+    const buffer = await toXlsx(columns, [{ name: '=SUM(A1:A9)', amount: 1500.5, paidAt }], 'fee/report');
+
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(buffer);
+    const sheet = workbook.getWorksheet('fee report');
+
+    assert.deepEqual(sheet.getRow(1).values.slice(1), ['Name', 'Amount', 'Paid At']);
+    const [name, amount, date] = sheet.getRow(2).values.slice(1);
+    // Stored as text, so the spreadsheet shows it instead of calculating it
+    assert.equal(name, '=SUM(A1:A9)');
+    assert.equal(sheet.getCell('A2').type, ExcelJS.ValueType.String);
+    assert.equal(amount, 1500.5);
+    assert.equal(date.toISOString(), paidAt.toISOString());
+  });
+});